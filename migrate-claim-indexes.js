@@ -0,0 +1,42 @@
+// migrate-claim-indexes.js
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import the RewardClaim model
+const RewardClaim = require("./src/models/rewardclaim.model");
+
+async function migrateClaimIndexes() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB successfully");
+
+    // The old unique index also counted rejected claims, so a user whose
+    // proof was rejected could never claim the code again
+    try {
+      await RewardClaim.collection.dropIndex("userId_1_qrCodeId_1");
+      console.log("Dropped old userId_1_qrCodeId_1 index");
+    } catch (error) {
+      if (error.codeName !== "IndexNotFound" && error.code !== 27) {
+        throw error;
+      }
+      console.log("Old userId_1_qrCodeId_1 index not found");
+    }
+
+    // Build the partial index on pending and completed claims
+    await RewardClaim.createIndexes();
+    console.log("Indexes are up to date");
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(0);
+  }
+}
+
+// Run the migration
+migrateClaimIndexes();
@@ -0,0 +1,89 @@
+// migrate-qr-locations.js
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import the QRCode model
+const QRCode = require("./src/models/qrcode.model");
+
+// QR codes with a latitude/longitude but no GeoJSON point yet
+const NEEDS_POINT = {
+  "location.coordinates.latitude": { $type: "number" },
+  "location.coordinates.longitude": { $type: "number" },
+  "location.point": { $exists: false },
+};
+
+async function migrateQRLocations() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB successfully");
+
+    // The old index was on the { latitude, longitude } object, which
+    // MongoDB reads as [longitude, latitude] the wrong way round
+    try {
+      await QRCode.collection.dropIndex("location.coordinates_2dsphere");
+      console.log("Dropped old location.coordinates_2dsphere index");
+    } catch (error) {
+      if (error.codeName !== "IndexNotFound" && error.code !== 27) {
+        throw error;
+      }
+    }
+
+    // Check how many QR codes need migration
+    const qrCodesWithoutPoint = await QRCode.countDocuments(NEEDS_POINT);
+
+    console.log(`Found ${qrCodesWithoutPoint} QR codes that need migration`);
+
+    if (qrCodesWithoutPoint > 0) {
+      // Run the migration (straight on the collection: an update pipeline
+      // copies each code's own coordinates)
+      console.log("Starting migration...");
+      const result = await QRCode.collection.updateMany(NEEDS_POINT, [
+        {
+          $set: {
+            "location.point": {
+              type: "Point",
+              coordinates: [
+                "$location.coordinates.longitude",
+                "$location.coordinates.latitude",
+              ],
+            },
+          },
+        },
+      ]);
+
+      console.log(`Migration completed successfully!`);
+      console.log(`- QR codes updated: ${result.modifiedCount}`);
+      console.log(`- QR codes matched: ${result.matchedCount}`);
+    } else {
+      console.log(
+        "No QR codes need migration. All located QR codes already have a GeoJSON point."
+      );
+    }
+
+    // Build the new location.point index
+    await QRCode.createIndexes();
+    console.log("Indexes are up to date");
+
+    // Verify the migration
+    const locatedQRCodes = await QRCode.countDocuments({
+      "location.point": { $exists: true },
+    });
+
+    console.log(
+      `Total QR codes with a location after migration: ${locatedQRCodes}`
+    );
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(0);
+  }
+}
+
+// Run the migration
+migrateQRLocations();
@@ -5,12 +5,17 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const cookieParser = require("cookie-parser");
 const { errorHandler } = require("./src/middleware/error.middleware");
+const { getTrustProxy } = require("./src/config/proxy");
 
 // Load environment variables first
 dotenv.config();
 
 // Import database connection
 const connectDB = require("./src/config/db");
+const { checkSigningKeys } = require("./src/utils/qrSigningUtils");
+
+// Refuse to start without usable QR signing keys (QR_SIGNING_KEYS)
+checkSigningKeys();
 
 // Initialize Express app
 const app = express();
@@ -18,7 +23,17 @@ const app = express();
 console.log("🐛 Starting server with debugging...");
 
 // ===== MIDDLEWARE SECTION =====
-app.use(express.json());
+// Take req.ip from the proxy's X-Forwarded-For (TRUST_PROXY)
+app.set("trust proxy", getTrustProxy());
+
+app.use(
+  express.json({
+    // Keep the raw body around for webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(cookieParser());
 app.use(
   cors({
@@ -30,7 +45,8 @@ app.use(
     ],
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     credentials: true,
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotency-Replayed", "Retry-After"],
   })
 );
 
@@ -119,6 +135,94 @@ try {
   console.error("❌ Error loading clerk routes:", error.message);
 }
 
+console.log("🐛 Loading webhook routes...");
+try {
+  const webhookRoutes = require("./src/routes/webhook.routes");
+  app.use("/api/v1/webhooks", webhookRoutes);
+  console.log("✅ Webhook routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading webhook routes:", error.message);
+}
+
+console.log("🐛 Loading email routes...");
+try {
+  const emailRoutes = require("./src/routes/email.routes");
+  app.use("/api/v1/emails", emailRoutes);
+  console.log("✅ Email routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading email routes:", error.message);
+}
+
+console.log("🐛 Loading points routes...");
+try {
+  const pointsRoutes = require("./src/routes/points.routes");
+  app.use("/api/v1/points", pointsRoutes);
+  console.log("✅ Points routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading points routes:", error.message);
+}
+
+console.log("🐛 Loading redemption routes...");
+try {
+  const redemptionRoutes = require("./src/routes/redemption.routes");
+  app.use("/api/v1/redemptions", redemptionRoutes);
+  console.log("✅ Redemption routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading redemption routes:", error.message);
+}
+
+console.log("🐛 Loading partner POS routes...");
+try {
+  const posRoutes = require("./src/routes/pos.routes");
+  app.use("/api/v1/partner-pos", posRoutes);
+  console.log("✅ Partner POS routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading partner POS routes:", error.message);
+}
+
+console.log("🐛 Loading upload routes...");
+try {
+  const uploadRoutes = require("./src/routes/upload.routes");
+  app.use("/api/v1/uploads", uploadRoutes);
+  console.log("✅ Upload routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading upload routes:", error.message);
+}
+
+console.log("🐛 Loading notification routes...");
+try {
+  const notificationRoutes = require("./src/routes/notification.routes");
+  app.use("/api/v1/notifications", notificationRoutes);
+  console.log("✅ Notification routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading notification routes:", error.message);
+}
+
+console.log("🐛 Loading push routes...");
+try {
+  const pushRoutes = require("./src/routes/push.routes");
+  app.use("/api/v1/push", pushRoutes);
+  console.log("✅ Push routes loaded successfully");
+} catch (error) {
+  console.error("❌ Error loading push routes:", error.message);
+}
+
+// Development helpers (email outbox viewer). The outbox holds live sign-in
+// and reset links and has no authentication, so it is only mounted when
+// explicitly enabled, and never in production.
+if (
+  process.env.ENABLE_DEV_OUTBOX === "true" &&
+  process.env.NODE_ENV !== "production"
+) {
+  try {
+    const devRoutes = require("./src/routes/dev.routes");
+    app.use("/api/v1/dev", devRoutes);
+    console.log("✅ Dev routes loaded successfully");
+  } catch (error) {
+    console.error("❌ Error loading dev routes:", error.message);
+  }
+}
+
 console.log("🐛 Loading partner routes...");
 try {
   const partnerRoutes = require("./src/routes/partner.routes");
@@ -0,0 +1,21 @@
+// Which proxies in front of the app Express trusts to report the client's
+// address in X-Forwarded-For, so req.ip is the client and not the proxy (the
+// per-IP throttles and session records depend on it). TRUST_PROXY takes
+// Express's "trust proxy" values: a hop count, true/false or a comma-separated
+// list of addresses. It defaults to the single hop of Vercel's edge on
+// Vercel, and to no proxy elsewhere: trusting a proxy that isn't there lets
+// clients pick their own address.
+const getTrustProxy = (value = process.env.TRUST_PROXY) => {
+  if (value === undefined || value.trim() === "") {
+    return process.env.VERCEL ? 1 : false;
+  }
+
+  const setting = value.trim();
+  if (setting === "true") return true;
+  if (setting === "false") return false;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+
+  return setting;
+};
+
+module.exports = { getTrustProxy };
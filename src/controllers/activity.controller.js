@@ -1,8 +1,51 @@
 const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
 const Activity = require("../models/activity.model");
-const User = require("../models/user.model");
+const PointsTransaction = require("../models/pointstransaction.model");
 const Leaderboard = require("../models/leaderboard.model");
 const QRCode = require("../models/qrcode.model");
+const Upload = require("../models/upload.model");
+
+// Create an activity and credit its points through the ledger in one
+// transaction, attaching its evidence uploads. Returns { activity, user }.
+const createActivityWithPoints = async (data, sourceType) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const [activity] = await Activity.create([data], { session });
+      await Upload.attach(
+        data.evidenceUploadIds || [],
+        {
+          ownerId: data.userId,
+          purpose: "activity-evidence",
+          id: activity._id,
+        },
+        { session }
+      );
+      const { user } = await PointsTransaction.record(
+        {
+          userId: data.userId,
+          amount: data.pointsEarned,
+          sourceType,
+          sourceId: activity._id,
+          description: data.title,
+        },
+        { session }
+      );
+
+      result = { activity, user };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  result.user.$session(null);
+  await result.user.notifyEcoLevelChange();
+
+  return result;
+};
 
 // @desc    Scan QR Code (integrated with your QR system)
 // @route   POST /api/v1/activities/qr-scan
@@ -41,24 +84,21 @@ const scanQRCode = asyncHandler(async (req, res) => {
   // Record the scan in your QR system
   await qrCodeDoc.recordScan(req.user.id);
 
-  // Create activity record for the scan
-  const scanActivity = await Activity.create({
-    userId: req.user.id,
-    activityType: "qr_scan",
-    title: `Scanned: ${qrCodeDoc.rewardId.title}`,
-    description: `Scanned QR code at ${qrCodeDoc.partnerId.name}`,
-    pointsEarned: qrCodeDoc.rewardId.points, // Use points from reward
-    qrCodeId: qrCodeDoc._id,
-    rewardId: qrCodeDoc.rewardId._id,
-    partnerId: qrCodeDoc.partnerId._id,
-    location: qrCodeDoc.location?.name,
-  });
-
-  // Update user points
-  const user = await User.findById(req.user.id);
-  user.points += qrCodeDoc.rewardId.points;
-  user.updateEcoLevel();
-  await user.save();
+  // Create activity record for the scan and credit its points
+  const { activity: scanActivity, user } = await createActivityWithPoints(
+    {
+      userId: req.user.id,
+      activityType: "qr_scan",
+      title: `Scanned: ${qrCodeDoc.rewardId.title}`,
+      description: `Scanned QR code at ${qrCodeDoc.partnerId.name}`,
+      pointsEarned: qrCodeDoc.rewardId.points, // Use points from reward
+      qrCodeId: qrCodeDoc._id,
+      rewardId: qrCodeDoc.rewardId._id,
+      partnerId: qrCodeDoc.partnerId._id,
+      location: qrCodeDoc.location?.name,
+    },
+    "qr_scan"
+  );
 
   // Update leaderboard
   try {
@@ -87,7 +127,14 @@ const scanQRCode = asyncHandler(async (req, res) => {
 // @route   POST /api/v1/activities
 // @access  Private
 const createActivity = asyncHandler(async (req, res) => {
-  const { activityType, title, description, location, metadata } = req.body;
+  const {
+    activityType,
+    title,
+    description,
+    location,
+    metadata,
+    evidenceUploadIds = [],
+  } = req.body;
 
   if (!activityType || !title) {
     return res.status(400).json({
@@ -104,26 +151,35 @@ const createActivity = asyncHandler(async (req, res) => {
     });
   }
 
+  if (
+    !Array.isArray(evidenceUploadIds) ||
+    evidenceUploadIds.length > 5 ||
+    !evidenceUploadIds.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "evidenceUploadIds must be a list of up to 5 upload IDs",
+    });
+  }
+
   // Get points for this activity type
   const pointsMapping = Activity.getPointsMapping();
   const pointsEarned = pointsMapping[activityType] || 0;
 
-  // Create activity
-  const activity = await Activity.create({
-    userId: req.user.id,
-    activityType,
-    title,
-    description,
-    pointsEarned,
-    location,
-    metadata,
-  });
-
-  // Update user points
-  const user = await User.findById(req.user.id);
-  user.points += pointsEarned;
-  user.updateEcoLevel();
-  await user.save();
+  // Create activity and credit its points
+  const { activity, user } = await createActivityWithPoints(
+    {
+      userId: req.user.id,
+      activityType,
+      title,
+      description,
+      pointsEarned,
+      location,
+      metadata,
+      evidenceUploadIds,
+    },
+    "activity"
+  );
 
   // Update leaderboard
   try {
@@ -4,10 +4,59 @@ const asyncHandler = require("express-async-handler");
 const {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  localeValidation,
 } = require("../validations/auth.validation");
 const User = require("../models/user.model");
-const { sendTokenResponse } = require("../utils/tokenUtils");
-const { sendVerificationEmail } = require("../utils/emailUtils");
+const RefreshToken = require("../models/refreshtoken.model");
+const Session = require("../models/session.model");
+const {
+  generateToken,
+  generateSuccessorRefreshToken,
+  issueRefreshToken,
+  setAuthCookies,
+  sendLoginResponse,
+} = require("../utils/tokenUtils");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountUnlockEmail,
+} = require("../utils/emailUtils");
+const {
+  accountKey,
+  ipKey,
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottledResponse,
+} = require("../utils/throttleUtils");
+const { resolveLocale } = require("../utils/templateUtils");
+
+// A refresh token rotated this recently may still be replayed by a second
+// tab refreshing at the same time, or by a retry after a lost response
+const ROTATION_GRACE_MS =
+  (parseInt(process.env.REFRESH_ROTATION_GRACE_SECONDS, 10) || 10) * 1000;
+
+// Count a failed login against the account and the IP. When this failure
+// locks the account, email its owner a link to unlock it.
+const recordFailedLogin = async (email, req, user = null) => {
+  const [account] = await Promise.all([
+    recordFailure(accountKey(email), "account"),
+    recordFailure(ipKey(req.ip), "ip"),
+  ]);
+
+  if (account.justLocked && user) {
+    const unlockToken = user.getAccountUnlockToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendAccountUnlockEmail(user, unlockToken, account.lockedUntil);
+    } catch (error) {
+      console.error("Email sending error:", error);
+    }
+  }
+};
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
@@ -22,7 +71,7 @@ const register = asyncHandler(async (req, res) => {
     });
   }
 
-  const { name, email, password } = req.body;
+  const { name, email, password, locale } = req.body;
 
   // Check if user already exists
   const userExists = await User.findOne({ email });
@@ -39,6 +88,7 @@ const register = asyncHandler(async (req, res) => {
     name,
     email,
     password,
+    locale: resolveLocale(locale || req.acceptsLanguages()[0]),
     isEmailVerified: false,
   });
 
@@ -49,29 +99,22 @@ const register = asyncHandler(async (req, res) => {
   await user.save({ validateBeforeSave: false });
 
   try {
-    // Send verification email
+    // Send verification email (queued for retry if it can't go out now)
     await sendVerificationEmail(user, verificationToken);
-
-    res.status(201).json({
-      success: true,
-      message:
-        "User registered successfully. Please check your email to verify your account.",
-      data: {
-        email: user.email,
-        isEmailVerified: user.isEmailVerified,
-      },
-    });
   } catch (error) {
+    // Keep the account: a new link can be requested via resend-verification
     console.error("Email sending error:", error);
-
-    // Remove the user if email sending fails
-    await User.findByIdAndDelete(user._id);
-
-    return res.status(500).json({
-      success: false,
-      error: "Email could not be sent. Registration failed.",
-    });
   }
+
+  res.status(201).json({
+    success: true,
+    message:
+      "User registered successfully. Please check your email to verify your account.",
+    data: {
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+    },
+  });
 });
 
 // @desc    Verify email
@@ -103,8 +146,8 @@ const verifyEmail = asyncHandler(async (req, res) => {
 
   await user.save();
 
-  // Send token response (user is now logged in)
-  return sendTokenResponse(user, 200, res);
+  // Send token response (or a two-factor challenge)
+  return sendLoginResponse(user, 200, res);
 });
 
 // @desc    Resend email verification
@@ -178,10 +221,26 @@ const login = asyncHandler(async (req, res) => {
 
   const { email, password } = req.body;
 
+  // Refuse while the account or IP is throttled
+  const throttle = await checkThrottle([
+    [accountKey(email), "account"],
+    [ipKey(req.ip), "ip"],
+  ]);
+  if (!throttle.allowed) {
+    return sendThrottledResponse(
+      res,
+      throttle,
+      throttle.locked
+        ? "Too many failed login attempts. Login is temporarily locked"
+        : `Too many failed login attempts. Please try again in ${throttle.retryAfter} seconds`
+    );
+  }
+
   // Check if user exists
   const user = await User.findOne({ email }).select("+password");
 
   if (!user) {
+    await recordFailedLogin(email, req);
     return res.status(401).json({
       success: false,
       error: "Invalid credentials",
@@ -198,18 +257,184 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if password matches
-  const isMatch = await user.matchPassword(password);
+  // Check if password matches (accounts created via Clerk have none)
+  const isMatch = user.password && (await user.matchPassword(password));
 
   if (!isMatch) {
+    await recordFailedLogin(email, req, user);
     return res.status(401).json({
       success: false,
       error: "Invalid credentials",
     });
   }
 
-  // Send token response
-  return sendTokenResponse(user, 200, res);
+  await clearFailures(accountKey(email));
+
+  // Send token response (or a two-factor challenge)
+  return sendLoginResponse(user, 200, res);
+});
+
+// @desc    Forgot password
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = forgotPasswordValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const message =
+    "If an account exists for that email, a password reset link has been sent";
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Same response whether or not the account exists
+  if (!user) {
+    return res.status(200).json({
+      success: true,
+      message,
+    });
+  }
+
+  // Generate reset token
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    // Send password reset email
+    await sendPasswordResetEmail(user, resetToken);
+
+    res.status(200).json({
+      success: true,
+      message,
+    });
+  } catch (error) {
+    console.error("Email sending error:", error);
+
+    // Clear reset fields if email sending fails
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(500).json({
+      success: false,
+      error: "Email could not be sent",
+    });
+  }
+});
+
+// @desc    Reset password
+// @route   PUT /api/v1/auth/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = resetPasswordValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  // Get hashed token
+  const resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid or expired reset token",
+    });
+  }
+
+  // Set new password (pre-save hook hashes it and stamps passwordChangedAt,
+  // which invalidates every token issued before now)
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+
+  // The reset link was delivered to this address, so it is verified
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+
+  await user.save();
+
+  // Sign the user out everywhere else
+  await Session.revokeAllForUser(user._id, "password-reset");
+
+  // Send token response (or a two-factor challenge)
+  return sendLoginResponse(user, 200, res);
+});
+
+// @desc    Unlock account from the link in the lockout email
+// @route   GET /api/v1/auth/unlock/:token
+// @access  Public
+const unlockAccount = asyncHandler(async (req, res) => {
+  // Get hashed token
+  const accountUnlockToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    accountUnlockToken,
+    accountUnlockExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid or expired unlock token",
+    });
+  }
+
+  await clearFailures(accountKey(user.email));
+
+  user.accountUnlockToken = undefined;
+  user.accountUnlockExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Account unlocked. You can log in again",
+  });
+});
+
+// @desc    Unlock a user's account (Admin only)
+// @route   PUT /api/v1/auth/users/:id/unlock
+// @access  Private (Admin only)
+const adminUnlockAccount = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  await clearFailures(accountKey(user.email));
+
+  user.accountUnlockToken = undefined;
+  user.accountUnlockExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `Account ${user.email} unlocked`,
+  });
 });
 
 // @desc    Get current logged in user
@@ -224,78 +449,171 @@ const getMe = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Refresh token
+// @desc    Update the language used for emails
+// @route   PUT /api/v1/auth/me/locale
+// @access  Private
+const updateLocale = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = localeValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const locale = resolveLocale(req.body.locale);
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { locale },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message:
+      locale === req.body.locale
+        ? "Language updated"
+        : `Language "${req.body.locale}" is not available, using "${locale}"`,
+    data: user,
+  });
+});
+
+// @desc    Refresh token (rotates the refresh token on every call)
 // @route   POST /api/v1/auth/refresh-token
 // @access  Public
 const refreshToken = asyncHandler(async (req, res) => {
-  console.log("Processing refresh token request");
-  console.log("Request body:", typeof req.body, req.body);
+  // Get refresh token from request
+  const token = req.cookies?.refreshToken || req.body?.refreshToken;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: "No refresh token provided",
+    });
+  }
 
+  let decoded;
   try {
-    // Get refresh token from request
-    const token = req.cookies?.refreshToken || req.body?.refreshToken;
+    // Verify refresh token
+    decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    console.error("Token verification error:", error.message);
+    return res.status(401).json({
+      success: false,
+      error: "Invalid refresh token",
+    });
+  }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: "No refresh token provided",
+  const tokenHash = RefreshToken.hashToken(token);
+
+  // Atomically consume the token so it can only be rotated once
+  let stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    const rotated = existing && existing.revokedReason === "rotated";
+
+    // A token rotated moments ago (a second tab, a retry after a lost
+    // response) gets the successor it was rotated into, as long as that
+    // hasn't been used yet. Its successor is always the same token, so
+    // replays can't start new chains.
+    let successorUnused = false;
+    if (
+      rotated &&
+      existing.revokedAt > new Date(Date.now() - ROTATION_GRACE_MS) &&
+      existing.expiresAt > new Date()
+    ) {
+      const successor = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(
+          generateSuccessorRefreshToken(existing)
+        ),
       });
+      successorUnused = !successor || !successor.revokedAt;
     }
 
-    console.log("Token received:", token.substring(0, 10) + "...");
-
-    try {
-      // Verify refresh token
-      const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
-      console.log("Token verified, user id:", decoded.id);
-
-      // Find the user
-      const user = await User.findById(decoded.id);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: "User not found",
-        });
-      }
-
-      // Check if email is verified
-      if (!user.isEmailVerified) {
-        return res.status(401).json({
-          success: false,
-          error: "Email not verified",
-        });
+    if (successorUnused) {
+      stored = existing;
+    } else {
+      if (rotated) {
+        // A token that was already rotated is being replayed: assume it was
+        // stolen and sign out the whole session it belongs to
+        console.warn(
+          `Refresh token reuse detected for user ${existing.userId}, revoking session ${existing.sessionId}`
+        );
+        const session = await Session.findById(existing.sessionId);
+        if (session) await session.revoke("reuse-detected");
       }
 
-      // Generate new access token
-      const accessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || "1h",
-      });
-
-      // Return the new access token
-      return res.status(200).json({
-        success: true,
-        accessToken,
-      });
-    } catch (error) {
-      console.error("Token verification error:", error.message);
       return res.status(401).json({
         success: false,
         error: "Invalid refresh token",
       });
     }
-  } catch (error) {
-    console.error("Error processing refresh token:", error);
-    return res.status(500).json({
+  }
+
+  const session = await Session.findById(stored.sessionId);
+  if (!session || !session.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: "Session has been signed out. Please log in again",
+    });
+  }
+
+  // Find the user
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  // Check if email is verified
+  if (!user.isEmailVerified) {
+    return res.status(401).json({
+      success: false,
+      error: "Email not verified",
+    });
+  }
+
+  // Reject refresh tokens issued before the last password change
+  if (user.changedPasswordAfter(decoded.iat, session)) {
+    return res.status(401).json({
       success: false,
-      error: "Server error",
+      error: "Password was changed. Please log in again",
     });
   }
+
+  // Issue a new pair within the same session
+  const accessToken = generateToken(user._id, session._id);
+  const newRefreshToken = await issueRefreshToken(
+    user,
+    session,
+    req,
+    generateSuccessorRefreshToken(stored)
+  );
+
+  if (!stored.replacedByHash) {
+    stored.replacedByHash = RefreshToken.hashToken(newRefreshToken);
+    await stored.save();
+  }
+
+  setAuthCookies(res, accessToken, newRefreshToken);
+
+  return res.status(200).json({
+    success: true,
+    accessToken,
+    refreshToken: newRefreshToken,
+  });
 });
 
-// @desc    Logout user / clear cookies
-// @route   GET /api/v1/auth/logout
-// @access  Private
-const logout = asyncHandler(async (req, res) => {
+// Clear auth cookies
+const clearAuthCookies = (res) => {
   res.cookie("token", "none", {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
@@ -305,6 +623,32 @@ const logout = asyncHandler(async (req, res) => {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true,
   });
+};
+
+// @desc    Logout user / revoke session / clear cookies
+// @route   GET /api/v1/auth/logout
+// @route   POST /api/v1/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  if (req.authSession) {
+    // Sign out the session the access token belongs to
+    await req.authSession.revoke("logout");
+  } else {
+    // Legacy access token without a session: revoke the presented
+    // refresh token's session instead
+    const token = req.cookies?.refreshToken || req.body?.refreshToken;
+
+    if (token) {
+      const stored = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(token),
+        userId: req.user._id,
+      });
+      const session = stored && (await Session.findById(stored.sessionId));
+      if (session && session.isActive) await session.revoke("logout");
+    }
+  }
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -312,12 +656,99 @@ const logout = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get active sessions of the current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.getActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      id: session._id,
+      device: session.device,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      current: req.authSession
+        ? session._id.equals(req.authSession._id)
+        : false,
+    })),
+  });
+});
+
+// @desc    Sign out a single session
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+
+  if (!session || !session.isActive) {
+    return res.status(404).json({
+      success: false,
+      error: "Session not found",
+    });
+  }
+
+  await session.revoke("user-revoked");
+
+  const isCurrent = req.authSession && session._id.equals(req.authSession._id);
+  if (isCurrent) clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Session signed out",
+    data: {
+      id: session._id,
+      current: !!isCurrent,
+    },
+  });
+});
+
+// @desc    Sign out everywhere (optionally keeping the current session)
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true" && req.authSession;
+
+  const revokedCount = await Session.revokeAllForUser(
+    req.user._id,
+    "signed-out-everywhere",
+    keepCurrent ? req.authSession._id : null
+  );
+
+  if (!keepCurrent) clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    message: keepCurrent
+      ? "Signed out of all other sessions"
+      : "Signed out everywhere",
+    data: {
+      revokedCount,
+    },
+  });
+});
+
 module.exports = {
   register,
   verifyEmail,
   resendVerification,
   login,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  adminUnlockAccount,
   getMe,
+  updateLocale,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 };
@@ -1,24 +1,61 @@
 const asyncHandler = require("express-async-handler");
-const RewardClaim = require("../models/rewardClaim.model");
-const QRCode = require("../models/qrCode.model");
+const RewardClaim = require("../models/rewardclaim.model");
+const QRCode = require("../models/qrcode.model");
 const Reward = require("../models/reward.model");
 const Partner = require("../models/partner.model");
 const User = require("../models/user.model");
+const { notify, queueNotification } = require("../utils/notificationUtils");
+const { getUploadUrls } = require("../utils/uploadUtils");
+const { resolveScannedQRCode } = require("../utils/qrSigningUtils");
+const {
+  claimRewardValidation,
+  approveClaimValidation,
+  rejectClaimValidation,
+} = require("../validations/claim.validation");
 
 // @desc    Claim a reward
 // @route   POST /api/v1/claim/reward
 // @access  Private (Authenticated users only)
 const claimReward = asyncHandler(async (req, res) => {
-  const { qrCodeId, metadata = {}, verificationData = {} } = req.body;
+  const { error } = claimRewardValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const {
+    qrCodeId,
+    dynamicCode,
+    metadata = {},
+    verificationData = {},
+  } = req.body;
 
   const userId = req.user.id;
 
+  // Check a signed payload before touching the database
+  let scanned;
+  try {
+    scanned = await resolveScannedQRCode(qrCodeId);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
   // Find and validate QR code
-  const qrCode = await QRCode.findOne({ qrCode: qrCodeId })
+  const qrCode = await QRCode.findOne({ qrCode: scanned.qrCode })
+    .select("+dynamic.secret")
     .populate("partnerId")
     .populate("rewardId");
 
-  if (!qrCode) {
+  if (
+    !qrCode ||
+    (scanned.signed && String(qrCode.partnerId?._id) !== scanned.partnerId)
+  ) {
     return res.status(404).json({
       success: false,
       error: "QR code not found",
@@ -26,7 +63,9 @@ const claimReward = asyncHandler(async (req, res) => {
   }
 
   // Validate QR code eligibility
-  const validation = await qrCode.isValidForScanning();
+  const validation = await qrCode.isValidForScanning({
+    signed: scanned.signed,
+  });
   if (!validation.valid) {
     return res.status(400).json({
       success: false,
@@ -34,30 +73,15 @@ const claimReward = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user has already claimed this specific QR code
-  const existingClaim = await RewardClaim.hasUserClaimedQR(userId, qrCode._id);
-  if (existingClaim) {
-    return res.status(400).json({
-      success: false,
-      error: "You have already claimed this reward",
-      existingClaim: {
-        claimedAt: existingClaim.claimedAt,
-        pointsAwarded: existingClaim.pointsAwarded,
-      },
-    });
-  }
-
-  // Check user's claim count for this reward
-  const userClaimCount = await RewardClaim.getUserClaimCount(
-    userId,
-    qrCode.rewardId._id
-  );
-  if (!qrCode.rewardId.canUserClaim(userClaimCount)) {
+  // Rotating codes must come with the code the display shows right now
+  if (
+    qrCode.dynamic.enabled &&
+    qrCode.verifyDynamicCode(dynamicCode) === null
+  ) {
     return res.status(400).json({
       success: false,
-      error: `You have reached the maximum number of claims (${qrCode.rewardId.maxClaimsPerUser}) for this reward`,
-      userClaimCount,
-      maxAllowed: qrCode.rewardId.maxClaimsPerUser,
+      error: "This code has changed. Scan the code on the display again",
+      dynamicCodeRequired: true,
     });
   }
 
@@ -68,28 +92,26 @@ const claimReward = asyncHandler(async (req, res) => {
     ...metadata,
   };
 
-  // Create the reward claim
-  const rewardClaim = await RewardClaim.create({
-    userId,
-    qrCodeId: qrCode._id,
-    partnerId: qrCode.partnerId._id,
-    rewardId: qrCode.rewardId._id,
-    pointsAwarded: qrCode.rewardId.points,
-    status: "completed",
-    claimMethod: "qr-scan",
-    metadata: claimMetadata,
-    verificationData,
-    claimedAt: new Date(),
-    processedAt: new Date(),
-  });
-
-  // Record successful claim on QR code
-  await qrCode.recordSuccessfulClaim();
-
-  // Get updated user data (points and eco level will be updated by the model's pre-save hook)
-  const updatedUser = await User.findById(userId).select(
-    "name points ecoLevel"
-  );
+  // Record the claim and move points and counters in one transaction
+  let rewardClaim;
+  let updatedUser;
+  try {
+    ({ claim: rewardClaim, user: updatedUser } = await RewardClaim.claimQRCode({
+      userId,
+      qrCode,
+      metadata: claimMetadata,
+      verificationData,
+      claimMethod: qrCode.dynamic.enabled ? "dynamic-qr" : "qr-scan",
+    }));
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...error.details,
+    });
+  }
 
   // Populate the claim for response
   await rewardClaim.populate([
@@ -97,6 +119,41 @@ const claimReward = asyncHandler(async (req, res) => {
     { path: "rewardId", select: "title description points category" },
   ]);
 
+  // Claims with proof wait for review, in-store claims for partner staff
+  if (rewardClaim.status === "pending") {
+    const awaitingReview = rewardClaim.verificationData.requiresProof;
+
+    return res.status(202).json({
+      success: true,
+      message: awaitingReview
+        ? "Your proof was sent for review. You'll get your points once it is approved"
+        : "Show this code to the staff at the till to confirm your claim",
+      data: {
+        claim: {
+          id: rewardClaim._id,
+          pointsAwarded: rewardClaim.pointsAwarded,
+          claimedAt: rewardClaim.claimedAt,
+          status: rewardClaim.status,
+        },
+        ...(!awaitingReview && { confirmation: rewardClaim.confirmation }),
+        partner: {
+          name: rewardClaim.partnerId.name,
+          logo: rewardClaim.partnerId.logo,
+          category: rewardClaim.partnerId.category,
+        },
+        reward: {
+          title: rewardClaim.rewardId.title,
+          description: rewardClaim.rewardId.description,
+          points: rewardClaim.rewardId.points,
+          category: rewardClaim.rewardId.category,
+        },
+      },
+    });
+  }
+
+  // Queue the claim receipt (in-app and by email); delivery isn't awaited
+  await queueNotification("claim-receipt", { claimId: rewardClaim._id });
+
   res.status(201).json({
     success: true,
     message: "Reward claimed successfully!",
@@ -420,6 +477,27 @@ const reverseClaim = asyncHandler(async (req, res) => {
   // Reverse the claim (this will update user points, QR code stats, etc.)
   await claim.reverseClaim(reason);
 
+  // Let the user know why their points went down
+  const [user, reward] = await Promise.all([
+    User.findById(claim.userId),
+    Reward.findById(claim.rewardId).select("title"),
+  ]);
+
+  if (user) {
+    await notify(user, "claim-reversed", {
+      params: {
+        reward: reward ? reward.title : "",
+        points: claim.pointsAwarded,
+      },
+      data: {
+        claimId: claim._id,
+        reward: reward ? reward.title : undefined,
+        points: claim.pointsAwarded,
+        reason,
+      },
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: "Claim reversed successfully",
@@ -432,6 +510,203 @@ const reverseClaim = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get claims waiting for their proof to be reviewed
+// @route   GET /api/v1/claim/review
+// @access  Private (Admin only)
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status = "pending",
+    partnerId,
+    rewardId,
+    userId,
+    proofType,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const query = { "verificationData.requiresProof": true };
+
+  // Oldest first, so claims are reviewed in the order they came in
+  const sortOrder = status === "pending" ? 1 : -1;
+  if (status !== "all") query.status = status;
+  if (partnerId) query.partnerId = partnerId;
+  if (rewardId) query.rewardId = rewardId;
+  if (userId) query.userId = userId;
+  if (proofType) query["verificationData.proofType"] = proofType;
+
+  if (startDate || endDate) {
+    query.claimedAt = {};
+    if (startDate) query.claimedAt.$gte = new Date(startDate);
+    if (endDate) query.claimedAt.$lte = new Date(endDate);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [claims, total] = await Promise.all([
+    RewardClaim.find(query)
+      .populate("userId", "name email ecoLevel")
+      .populate("partnerId", "name category")
+      .populate("rewardId", "title category points requirements")
+      .populate("verificationData.verifiedBy", "name")
+      .populate("verificationData.rejectedBy", "name")
+      .populate("verificationData.proofUploadId")
+      .sort({ claimedAt: sortOrder })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    RewardClaim.countDocuments(query),
+  ]);
+
+  // Signed, expiring links to the uploaded proof for the reviewer
+  const data = await Promise.all(
+    claims.map(async (claim) => ({
+      ...claim.toJSON(),
+      proof: claim.verificationData.proofUploadId
+        ? await getUploadUrls(claim.verificationData.proofUploadId)
+        : null,
+    }))
+  );
+
+  res.status(200).json({
+    success: true,
+    count: claims.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+    },
+    data,
+  });
+});
+
+// @desc    Approve a claim's proof and award its points
+// @route   PUT /api/v1/claim/:id/approve
+// @access  Private (Admin only)
+const approveClaim = asyncHandler(async (req, res) => {
+  const { error } = approveClaimValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const claim = await RewardClaim.findById(req.params.id);
+
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      error: "Claim not found",
+    });
+  }
+
+  let approved;
+  try {
+    approved = await claim.markAsVerified(req.user.id, req.body.notes);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...error.details,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Claim approved",
+    data: {
+      claimId: approved._id,
+      status: approved.status,
+      pointsAwarded: approved.pointsAwarded,
+      verifiedAt: approved.verificationData.verifiedAt,
+    },
+  });
+});
+
+// @desc    Reject a claim's proof (no points are awarded)
+// @route   PUT /api/v1/claim/:id/reject
+// @access  Private (Admin only)
+const rejectClaim = asyncHandler(async (req, res) => {
+  const { error } = rejectClaimValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const claim = await RewardClaim.findById(req.params.id);
+
+  if (!claim) {
+    return res.status(404).json({
+      success: false,
+      error: "Claim not found",
+    });
+  }
+
+  let rejected;
+  try {
+    rejected = await claim.markAsRejected(req.user.id, req.body.reason);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Claim rejected",
+    data: {
+      claimId: rejected._id,
+      status: rejected.status,
+      reason: rejected.verificationData.rejectionReason,
+      rejectedAt: rejected.verificationData.rejectedAt,
+    },
+  });
+});
+
+// @desc    Get a new confirmation code for a pending in-store claim
+// @route   POST /api/v1/claim/:id/confirmation-code
+// @access  Private (claim owner)
+const refreshConfirmationCode = asyncHandler(async (req, res) => {
+  const claim = await RewardClaim.findById(req.params.id);
+
+  if (!claim || claim.userId.toString() !== req.user.id) {
+    return res.status(404).json({
+      success: false,
+      error: "Claim not found",
+    });
+  }
+
+  let updated;
+  try {
+    updated = await claim.refreshConfirmationCode();
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      claimId: updated._id,
+      status: updated.status,
+      confirmation: updated.confirmation,
+    },
+  });
+});
+
 // @desc    Get leaderboard
 // @route   GET /api/v1/claim/leaderboard
 // @access  Public
@@ -537,5 +812,9 @@ module.exports = {
   getUserPointsSummary,
   getAllClaims,
   reverseClaim,
+  getReviewQueue,
+  approveClaim,
+  rejectClaim,
+  refreshConfirmationCode,
   getLeaderboard,
 };
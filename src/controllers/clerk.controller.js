@@ -1,5 +1,145 @@
 const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
 const User = require("../models/user.model");
+const Leaderboard = require("../models/leaderboard.model");
+const RewardClaim = require("../models/rewardclaim.model");
+const Activity = require("../models/activity.model");
+const Session = require("../models/session.model");
+const PointsTransaction = require("../models/pointstransaction.model");
+const Voucher = require("../models/voucher.model");
+const Notification = require("../models/notification.model");
+const PushSubscription = require("../models/pushsubscription.model");
+const Upload = require("../models/upload.model");
+const { accountLinkValidation } = require("../validations/auth.validation");
+const { findClerkLinkTarget } = require("../utils/clerkUtils");
+const { sendAccountLinkCodeEmail } = require("../utils/emailUtils");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottledResponse,
+} = require("../utils/throttleUtils");
+
+const EMAIL_OTP_FIELDS =
+  "+emailOtp +emailOtpPurpose +emailOtpExpire +emailOtpAttempts";
+
+// Move everything a duplicate (Clerk-created) user earned or owns onto the
+// account being linked, link the Clerk identity and delete the duplicate,
+// in one transaction so a failure can't leave the account half merged
+const mergeDuplicateAccount = async (user, duplicate, clerkUserId) => {
+  const ownClaimedRewards = [...user.claimedRewards];
+  const ownQRCodeIds = new Set(
+    ownClaimedRewards.map((claim) => claim.qrCodeId.toString())
+  );
+
+  const session = await mongoose.startSession();
+
+  try {
+    // Retried from the top if it conflicts with a concurrent write
+    await session.withTransaction(async () => {
+      const byDuplicate = { userId: duplicate._id };
+      const toUser = { $set: { userId: user._id } };
+
+      // Claims are unique per user and QR code: keep the account's own claim
+      const claimedQRCodeIds = await RewardClaim.distinct("qrCodeId", {
+        userId: user._id,
+      }).session(session);
+      await RewardClaim.updateMany(
+        { ...byDuplicate, qrCodeId: { $nin: claimedQRCodeIds } },
+        toUser,
+        { session }
+      );
+      await RewardClaim.deleteMany(byDuplicate, { session });
+
+      await Activity.updateMany(byDuplicate, toUser, { session });
+      await Voucher.updateMany(byDuplicate, toUser, { session });
+      await Notification.updateMany(byDuplicate, toUser, { session });
+      await PushSubscription.updateMany(byDuplicate, toUser, { session });
+      await Upload.updateMany(
+        { ownerId: duplicate._id },
+        { $set: { ownerId: user._id } },
+        { session }
+      );
+
+      // Move the duplicate's points through the ledger: a debit on the
+      // duplicate and a credit of what it held on the account. Its past
+      // entries stay as they were.
+      let mergedUser = null;
+      if (duplicate.points > 0) {
+        const { transaction } = await PointsTransaction.record(
+          {
+            userId: duplicate._id,
+            amount: -duplicate.points,
+            sourceType: "account_merge",
+            sourceId: duplicate._id,
+            description: `Merged into account ${user._id}`,
+          },
+          { session }
+        );
+
+        if (transaction.amount > 0) {
+          ({ user: mergedUser } = await PointsTransaction.record(
+            {
+              userId: user._id,
+              amount: transaction.amount,
+              sourceType: "account_merge",
+              sourceId: duplicate._id,
+              description: `Merged from account ${duplicate._id}`,
+            },
+            { session }
+          ));
+        }
+      }
+
+      const duplicateEntry = await Leaderboard.findOne(byDuplicate).session(
+        session
+      );
+      if (duplicateEntry) {
+        const entry = await Leaderboard.findOne({ userId: user._id }).session(
+          session
+        );
+
+        if (entry) {
+          entry.totalPoints += duplicateEntry.totalPoints;
+          entry.weeklyPoints += duplicateEntry.weeklyPoints;
+          entry.monthlyPoints += duplicateEntry.monthlyPoints;
+          entry.recentActivities.push(...duplicateEntry.recentActivities);
+          entry.lastPointsUpdate = new Date();
+          await entry.save({ session });
+          await Leaderboard.deleteOne({ _id: duplicateEntry._id }, { session });
+        } else {
+          duplicateEntry.userId = user._id;
+          await duplicateEntry.save({ session });
+        }
+      }
+
+      // The Clerk identity is unique, so the duplicate goes first
+      await User.deleteOne({ _id: duplicate._id }, { session });
+
+      user.claimedRewards = [
+        ...ownClaimedRewards,
+        ...duplicate.claimedRewards.filter(
+          (claim) => !ownQRCodeIds.has(claim.qrCodeId.toString())
+        ),
+      ];
+      if (mergedUser) {
+        user.points = mergedUser.points;
+        user.updateEcoLevel();
+      }
+      user.clerkId = clerkUserId;
+      user.isEmailVerified = true;
+      await user.save({ session, validateBeforeSave: false });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  user.$session(null);
+  await user.notifyEcoLevelChange();
+
+  await Session.revokeAllForUser(duplicate._id, "user-revoked");
+  await Leaderboard.updateAllRankings();
+};
 
 // @desc    Sync user data from Clerk
 // @route   POST /api/v1/auth/clerk/sync
@@ -35,7 +175,173 @@ const getMe = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Check whether the Clerk user can link an existing account
+// @route   GET /api/v1/auth/clerk/link
+// @access  Private (Clerk session)
+const getLinkStatus = asyncHandler(async (req, res) => {
+  const { target, status, error } = await findClerkLinkTarget(req.auth.userId);
+
+  if (!target) {
+    return res.status(status).json({
+      success: false,
+      error,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      email: target.email,
+      // Ways the user can prove they own the account
+      methods: target.password ? ["password", "code"] : ["code"],
+    },
+  });
+});
+
+// @desc    Email a one-time code to the account being linked
+// @route   POST /api/v1/auth/clerk/link/code
+// @access  Private (Clerk session)
+const sendLinkCode = asyncHandler(async (req, res) => {
+  const { target, status, error } = await findClerkLinkTarget(req.auth.userId);
+
+  if (!target) {
+    return res.status(status).json({
+      success: false,
+      error,
+    });
+  }
+
+  const code = target.getEmailOtp("account-link");
+  await target.save({ validateBeforeSave: false });
+
+  try {
+    await sendAccountLinkCodeEmail(target, code);
+  } catch (err) {
+    target.clearEmailOtp();
+    await target.save({ validateBeforeSave: false });
+
+    return res.status(500).json({
+      success: false,
+      error: "Email could not be sent",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `A code was sent to ${target.email}`,
+  });
+});
+
+// @desc    Link the Clerk identity to an existing account (password or emailed code)
+// @route   POST /api/v1/auth/clerk/link
+// @access  Private (Clerk session)
+const linkAccount = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error: validationError } = accountLinkValidation(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError.details[0].message,
+    });
+  }
+
+  const clerkUserId = req.auth.userId;
+  const { target, status, error } = await findClerkLinkTarget(clerkUserId);
+
+  if (!target) {
+    return res.status(status).json({
+      success: false,
+      error,
+    });
+  }
+
+  // Linking takes over the account, so guess-proof it like a login
+  const throttleKey = `account-link:${target._id}`;
+  const throttle = await checkThrottle([[throttleKey, "account"]]);
+  if (!throttle.allowed) {
+    return sendThrottledResponse(
+      res,
+      throttle,
+      `Too many failed attempts. Please try again in ${throttle.retryAfter} seconds`
+    );
+  }
+
+  const { password, code } = req.body;
+  let isValid;
+
+  if (password) {
+    isValid =
+      Boolean(target.password) && (await target.matchPassword(password));
+  } else {
+    const user = await User.findById(target._id).select(EMAIL_OTP_FIELDS);
+    isValid = user.verifyEmailOtp(code, "account-link");
+    await user.save({ validateBeforeSave: false });
+  }
+
+  if (!isValid) {
+    await recordFailure(throttleKey, "account");
+    return res.status(401).json({
+      success: false,
+      error: password ? "Invalid password" : "Invalid or expired code",
+    });
+  }
+
+  await clearFailures(throttleKey);
+
+  // A user created for this Clerk identity before linking is merged in
+  const duplicate = await User.findOne({ clerkId: clerkUserId });
+  if (duplicate) {
+    await mergeDuplicateAccount(target, duplicate, clerkUserId);
+  } else {
+    target.clerkId = clerkUserId;
+    target.isEmailVerified = true;
+    await target.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: duplicate
+      ? "Accounts linked and merged successfully"
+      : "Account linked successfully",
+    data: await User.findById(target._id),
+  });
+});
+
+// @desc    Unlink the Clerk identity (only if the account has a password)
+// @route   DELETE /api/v1/auth/clerk/link
+// @access  Private
+const unlinkAccount = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select("+password");
+
+  if (!user.clerkId) {
+    return res.status(400).json({
+      success: false,
+      error: "Account is not linked to Clerk",
+    });
+  }
+
+  // Without a password the user would be locked out of the account
+  if (!user.password) {
+    return res.status(400).json({
+      success: false,
+      error: "Set a password before unlinking Clerk",
+    });
+  }
+
+  user.clerkId = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Clerk sign-in unlinked from your account",
+  });
+});
+
 module.exports = {
   syncUserData,
   getMe,
+  getLinkStatus,
+  sendLinkCode,
+  linkAccount,
+  unlinkAccount,
 };
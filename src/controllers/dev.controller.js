@@ -0,0 +1,78 @@
+const asyncHandler = require("express-async-handler");
+const EmailOutbox = require("../models/emailoutbox.model");
+
+// @desc    List emails in the outbox (newest first)
+// @route   GET /api/v1/dev/outbox
+// @access  Public (ENABLE_DEV_OUTBOX=true, non-production only)
+const getOutbox = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.to) query.to = req.query.to;
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const emails = await EmailOutbox.find(query)
+    .select("-html -text")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: emails.length,
+    data: emails,
+  });
+});
+
+// @desc    Get one email (add ?format=html to render its HTML body)
+// @route   GET /api/v1/dev/outbox/:id
+// @access  Public (ENABLE_DEV_OUTBOX=true, non-production only)
+const getOutboxEmail = asyncHandler(async (req, res) => {
+  const email = await EmailOutbox.findById(req.params.id);
+
+  if (!email) {
+    return res.status(404).json({
+      success: false,
+      error: "Email not found",
+    });
+  }
+
+  if (req.query.format === "html") {
+    return res.type("html").send(email.html || "<p>(no HTML body)</p>");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: email,
+  });
+});
+
+// @desc    Retry pending emails that are due now
+// @route   POST /api/v1/dev/outbox/process
+// @access  Public (ENABLE_DEV_OUTBOX=true, non-production only)
+const processOutbox = asyncHandler(async (req, res) => {
+  const results = await EmailOutbox.processPending();
+
+  res.status(200).json({
+    success: true,
+    data: results,
+  });
+});
+
+// @desc    Empty the outbox
+// @route   DELETE /api/v1/dev/outbox
+// @access  Public (ENABLE_DEV_OUTBOX=true, non-production only)
+const clearOutbox = asyncHandler(async (req, res) => {
+  const { deletedCount } = await EmailOutbox.deleteMany({});
+
+  res.status(200).json({
+    success: true,
+    message: `Removed ${deletedCount} emails`,
+  });
+});
+
+module.exports = {
+  getOutbox,
+  getOutboxEmail,
+  processOutbox,
+  clearOutbox,
+};
@@ -0,0 +1,59 @@
+const asyncHandler = require("express-async-handler");
+const {
+  loadTemplates,
+  getSupportedLocales,
+  renderEmail,
+} = require("../utils/templateUtils");
+
+// Pick up template edits without a restart outside production
+const getRegistry = () =>
+  loadTemplates({ reload: process.env.NODE_ENV !== "production" });
+
+// @desc    List email templates and supported locales
+// @route   GET /api/v1/emails/templates
+// @access  Private (Admin only)
+const getEmailTemplates = asyncHandler(async (req, res) => {
+  const { templates } = getRegistry();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      templates: Object.keys(templates),
+      locales: getSupportedLocales(),
+    },
+  });
+});
+
+// @desc    Preview an email with its sample data (?locale=fr&format=html|text|json)
+// @route   GET /api/v1/emails/templates/:name/preview
+// @access  Private (Admin only)
+const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const template = getRegistry().templates[req.params.name];
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Email template "${req.params.name}" not found`,
+    });
+  }
+
+  const email = renderEmail(req.params.name, template.sample, req.query.locale);
+
+  if (req.query.format === "html") {
+    return res.type("html").send(email.html);
+  }
+
+  if (req.query.format === "text") {
+    return res.type("text").send(email.text);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: email,
+  });
+});
+
+module.exports = {
+  getEmailTemplates,
+  previewEmailTemplate,
+};
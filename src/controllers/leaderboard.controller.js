@@ -1,5 +1,6 @@
 const Leaderboard = require("../models/leaderboard.model");
 const User = require("../models/user.model");
+const PointsTransaction = require("../models/pointstransaction.model");
 const asyncHandler = require("express-async-handler");
 
 // @desc    Get leaderboard
@@ -110,23 +111,25 @@ exports.updateUserPoints = asyncHandler(async (req, res) => {
       });
     }
 
-    // First update user model
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { $inc: { points: points } },
-      { new: true }
-    );
-
-    if (!user) {
+    if (!(await User.exists({ _id: userId }))) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       });
     }
 
-    // Update user's eco level
-    user.updateEcoLevel();
-    await user.save();
+    // First update user points (and eco level) through the ledger
+    const { user } = await PointsTransaction.record({
+      userId,
+      amount: points,
+      sourceType: "manual_adjustment",
+      description:
+        description ||
+        (activityType
+          ? `Earned ${points} points for ${activityType}`
+          : "Manual points adjustment"),
+      createdBy: req.user?._id,
+    });
 
     // Sync with leaderboard
     const leaderboardEntry = await Leaderboard.syncUserPoints(
@@ -0,0 +1,183 @@
+const asyncHandler = require("express-async-handler");
+const Notification = require("../models/notification.model");
+const User = require("../models/user.model");
+const { verifyUnsubscribeToken } = require("../utils/notificationUtils");
+const {
+  notificationPreferencesValidation,
+} = require("../validations/notification.validation");
+
+// @desc    Get the current user's notifications
+// @route   GET /api/v1/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread } = req.query;
+
+  const query = { userId: req.user.id };
+  if (unread === "true") query.readAt = null;
+
+  const skip = (page - 1) * limit;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Notification.countDocuments(query),
+    Notification.getUnreadCount(req.user.id),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+    },
+    data: notifications,
+  });
+});
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/v1/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount },
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/v1/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      error: "Notification not found",
+    });
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification,
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/v1/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { userId: req.user.id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "All notifications marked as read",
+    data: { updated: result.modifiedCount },
+  });
+});
+
+// @desc    Get notification preferences
+// @route   GET /api/v1/notifications/preferences
+// @access  Private
+const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(
+    "notificationPreferences"
+  );
+
+  res.status(200).json({
+    success: true,
+    data: user.notificationPreferences,
+  });
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/v1/notifications/preferences
+// @access  Private
+const updatePreferences = asyncHandler(async (req, res) => {
+  const { error, value } = notificationPreferencesValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const update = {};
+  for (const [channel, enabled] of Object.entries(value)) {
+    update[`notificationPreferences.${channel}`] = enabled;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { $set: update },
+    { new: true, runValidators: true }
+  ).select("notificationPreferences");
+
+  res.status(200).json({
+    success: true,
+    message: "Notification preferences updated",
+    data: user.notificationPreferences,
+  });
+});
+
+// @desc    Unsubscribe from an email list with the token from the email
+// @route   POST /api/v1/notifications/unsubscribe/:token
+// @access  Public
+const unsubscribe = asyncHandler(async (req, res) => {
+  const subscription = verifyUnsubscribeToken(req.params.token);
+
+  if (!subscription) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid unsubscribe link",
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    subscription.userId,
+    { $set: { [`notificationPreferences.${subscription.list}`]: false } },
+    { new: true }
+  ).select("notificationPreferences");
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "You have been unsubscribed",
+    data: { list: subscription.list },
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+};
@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const asyncHandler = require("express-async-handler");
+const User = require("../models/user.model");
+const {
+  magicLinkValidation,
+  emailOtpLoginValidation,
+} = require("../validations/auth.validation");
+const { sendLoginResponse } = require("../utils/tokenUtils");
+const { sendMagicLinkEmail } = require("../utils/emailUtils");
+const {
+  ipKey,
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottledResponse,
+} = require("../utils/throttleUtils");
+
+const EMAIL_OTP_FIELDS =
+  "+emailOtp +emailOtpPurpose +emailOtpExpire +emailOtpAttempts";
+
+// The link and the code are sent together: using either one uses up both
+const clearPasswordlessLogin = (user) => {
+  user.magicLinkToken = undefined;
+  user.magicLinkExpire = undefined;
+  user.clearEmailOtp();
+};
+
+// @desc    Email a sign-in link and a one-time code
+// @route   POST /api/v1/auth/magic-link
+// @access  Public
+const requestMagicLink = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = magicLinkValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const message =
+    "If an account exists for that email, a sign-in link and code have been sent";
+
+  const user = await User.findOne({ email: req.body.email });
+
+  // Same response whether or not the account exists
+  if (!user) {
+    return res.status(200).json({
+      success: true,
+      message,
+    });
+  }
+
+  const magicToken = user.getMagicLinkToken();
+  const code = user.getEmailOtp("login");
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMagicLinkEmail(user, magicToken, code);
+
+    res.status(200).json({
+      success: true,
+      message,
+    });
+  } catch (error) {
+    console.error("Email sending error:", error);
+
+    // Clear the link and code if email sending fails
+    clearPasswordlessLogin(user);
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(500).json({
+      success: false,
+      error: "Email could not be sent",
+    });
+  }
+});
+
+// Find the account an unexpired sign-in link belongs to
+const findByMagicLink = (token) =>
+  User.findOne({
+    magicLinkToken: crypto.createHash("sha256").update(token).digest("hex"),
+    magicLinkExpire: { $gt: Date.now() },
+  }).select(EMAIL_OTP_FIELDS);
+
+// @desc    Check an emailed sign-in link before confirming it
+// @route   GET /api/v1/auth/magic-link/:token
+// @access  Public
+const checkMagicLink = asyncHandler(async (req, res) => {
+  // Doesn't use up the link: email scanners and link previews open it too
+  const user = await findByMagicLink(req.params.token);
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid or expired sign-in link",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Confirm to sign in",
+    data: {
+      email: user.email,
+      expiresAt: user.magicLinkExpire,
+    },
+  });
+});
+
+// @desc    Sign in with the emailed link (after the user confirms it)
+// @route   POST /api/v1/auth/magic-link/:token
+// @access  Public
+const consumeMagicLink = asyncHandler(async (req, res) => {
+  const user = await findByMagicLink(req.params.token);
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid or expired sign-in link",
+    });
+  }
+
+  // Single use; receiving the email also proves the address
+  clearPasswordlessLogin(user);
+  user.isEmailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  // Send token response (or a two-factor challenge)
+  return sendLoginResponse(user, 200, res);
+});
+
+// @desc    Sign in with the emailed one-time code
+// @route   POST /api/v1/auth/magic-link/verify
+// @access  Public
+const verifyEmailOtpLogin = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = emailOtpLoginValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const { email, code } = req.body;
+
+  // Guess-proof the 6-digit codes per address and per IP
+  const throttleKey = `email-otp:${email.trim().toLowerCase()}`;
+  const throttle = await checkThrottle([
+    [throttleKey, "account"],
+    [ipKey(req.ip), "ip"],
+  ]);
+  if (!throttle.allowed) {
+    return sendThrottledResponse(
+      res,
+      throttle,
+      `Too many invalid codes. Please try again in ${throttle.retryAfter} seconds`
+    );
+  }
+
+  const user = await User.findOne({ email }).select(EMAIL_OTP_FIELDS);
+  const isValid = Boolean(user) && user.verifyEmailOtp(code, "login");
+
+  if (!isValid) {
+    // Persist the attempt count (the code is dropped after too many)
+    if (user) await user.save({ validateBeforeSave: false });
+
+    await Promise.all([
+      recordFailure(throttleKey, "account"),
+      recordFailure(ipKey(req.ip), "ip"),
+    ]);
+
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired code",
+    });
+  }
+
+  // Single use; receiving the email also proves the address
+  clearPasswordlessLogin(user);
+  user.isEmailVerified = true;
+  await user.save({ validateBeforeSave: false });
+  await clearFailures(throttleKey);
+
+  // Send token response (or a two-factor challenge)
+  return sendLoginResponse(user, 200, res);
+});
+
+module.exports = {
+  requestMagicLink,
+  checkMagicLink,
+  consumeMagicLink,
+  verifyEmailOtpLogin,
+};
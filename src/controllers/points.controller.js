@@ -0,0 +1,86 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const PointsTransaction = require("../models/pointstransaction.model");
+const User = require("../models/user.model");
+const { getLedgerValidation } = require("../validations/points.validation");
+
+// @desc    Get the points ledger of the current user (admins: any user)
+// @route   GET /api/v1/points/ledger
+// @access  Private
+const getLedger = asyncHandler(async (req, res) => {
+  const { error, value } = getLedgerValidation(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const {
+    page,
+    limit,
+    type,
+    sourceType,
+    startDate,
+    endDate,
+    userId: requestedUserId,
+  } = value;
+
+  // Only admins may look at someone else's ledger
+  const userId =
+    requestedUserId && req.user.role === "admin"
+      ? requestedUserId
+      : req.user.id;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid user ID",
+    });
+  }
+
+  const query = { userId };
+  if (type) query.type = type;
+  if (sourceType) query.sourceType = sourceType;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lte = endDate;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [transactions, total, user] = await Promise.all([
+    PointsTransaction.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    PointsTransaction.countDocuments(query),
+    User.findById(userId).select("points"),
+  ]);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    balance: user.points,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: transactions,
+  });
+});
+
+module.exports = {
+  getLedger,
+};
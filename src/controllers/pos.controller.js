@@ -0,0 +1,182 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const RewardClaim = require("../models/rewardclaim.model");
+const Partner = require("../models/partner.model");
+const User = require("../models/user.model");
+const { queueNotification } = require("../utils/notificationUtils");
+const {
+  confirmClaimValidation,
+  assignStaffValidation,
+} = require("../validations/pos.validation");
+
+// @desc    Confirm a shopper's in-store claim with their code
+// @route   POST /api/v1/partner-pos/confirm
+// @access  Private (Partner staff and admin)
+const confirmClaim = asyncHandler(async (req, res) => {
+  const { error } = confirmClaimValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  let claim;
+  let user;
+  try {
+    const pending = await RewardClaim.findByConfirmationCode(
+      req.partner._id,
+      req.body.code
+    );
+    ({ claim, user } = await pending.complete({ verifiedBy: req.user.id }));
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...error.details,
+    });
+  }
+
+  await claim.populate([
+    { path: "partnerId", select: "name logo category" },
+    { path: "rewardId", select: "title description points category" },
+  ]);
+
+  await queueNotification("claim-receipt", { claimId: claim._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Claim confirmed",
+    data: {
+      claim: {
+        id: claim._id,
+        pointsAwarded: claim.pointsAwarded,
+        claimedAt: claim.claimedAt,
+        status: claim.status,
+        verifiedAt: claim.verificationData.verifiedAt,
+      },
+      reward: {
+        title: claim.rewardId.title,
+        points: claim.rewardId.points,
+      },
+      customer: {
+        name: user.name,
+      },
+    },
+  });
+});
+
+// @desc    Get a partner's staff
+// @route   GET /api/v1/partner-pos/staff?partnerId=
+// @access  Private (Admin only)
+const getStaff = asyncHandler(async (req, res) => {
+  const { partnerId } = req.query;
+
+  if (!mongoose.isValidObjectId(partnerId)) {
+    return res.status(400).json({
+      success: false,
+      error: "A valid partnerId is required",
+    });
+  }
+
+  const staff = await User.find({ partnerId, role: "partner_staff" })
+    .select("name email role partnerId createdAt")
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: staff.length,
+    data: staff,
+  });
+});
+
+// @desc    Make a user staff of a partner
+// @route   PUT /api/v1/partner-pos/staff/:userId
+// @access  Private (Admin only)
+const assignStaff = asyncHandler(async (req, res) => {
+  const { error } = assignStaffValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const [user, partner] = await Promise.all([
+    User.findById(req.params.userId),
+    Partner.findById(req.body.partnerId),
+  ]);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  if (!partner) {
+    return res.status(404).json({
+      success: false,
+      error: "Partner not found",
+    });
+  }
+
+  if (user.role === "admin") {
+    return res.status(400).json({
+      success: false,
+      error: "Admins cannot be made partner staff",
+    });
+  }
+
+  user.role = "partner_staff";
+  user.partnerId = partner._id;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.name} is now staff of ${partner.name}`,
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      partnerId: user.partnerId,
+    },
+  });
+});
+
+// @desc    Remove a user from a partner's staff
+// @route   DELETE /api/v1/partner-pos/staff/:userId
+// @access  Private (Admin only)
+const removeStaff = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user || user.role !== "partner_staff") {
+    return res.status(404).json({
+      success: false,
+      error: "Partner staff member not found",
+    });
+  }
+
+  user.role = "user";
+  user.partnerId = null;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.name} is no longer partner staff`,
+    data: {
+      id: user._id,
+      role: user.role,
+    },
+  });
+});
+
+module.exports = {
+  confirmClaim,
+  getStaff,
+  assignStaff,
+  removeStaff,
+};
@@ -0,0 +1,132 @@
+const asyncHandler = require("express-async-handler");
+const PushSubscription = require("../models/pushsubscription.model");
+const { getVapidKeys, sendPushToUser } = require("../utils/pushUtils");
+const {
+  pushSubscriptionValidation,
+  pushUnsubscribeValidation,
+} = require("../validations/push.validation");
+
+// @desc    Get the VAPID public key for PushManager.subscribe()
+// @route   GET /api/v1/push/vapid-public-key
+// @access  Public
+const getVapidPublicKey = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { publicKey: getVapidKeys().publicKey },
+  });
+});
+
+// @desc    Save this browser's push subscription
+// @route   POST /api/v1/push/subscriptions
+// @access  Private
+const subscribe = asyncHandler(async (req, res) => {
+  const { error } = pushSubscriptionValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const { endpoint, expirationTime, keys } = req.body;
+
+  // An endpoint belongs to one browser; whoever subscribed last owns it
+  const subscription = await PushSubscription.findOneAndUpdate(
+    { endpoint },
+    {
+      $set: {
+        userId: req.user.id,
+        keys,
+        expirationTime: expirationTime ? new Date(expirationTime) : null,
+        userAgent: req.get("User-Agent"),
+        failureCount: 0,
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Push notifications enabled",
+    data: subscription,
+  });
+});
+
+// @desc    Get the current user's push subscriptions
+// @route   GET /api/v1/push/subscriptions
+// @access  Private
+const getSubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await PushSubscription.find({
+    userId: req.user.id,
+  }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: subscriptions.length,
+    data: subscriptions,
+  });
+});
+
+// @desc    Remove a push subscription (e.g. after PushSubscription.unsubscribe())
+// @route   DELETE /api/v1/push/subscriptions
+// @access  Private
+const unsubscribe = asyncHandler(async (req, res) => {
+  const { error } = pushUnsubscribeValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const result = await PushSubscription.deleteOne({
+    endpoint: req.body.endpoint,
+    userId: req.user.id,
+  });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      error: "Push subscription not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Push notifications disabled",
+    data: {},
+  });
+});
+
+// @desc    Send a test push to the current user's browsers
+// @route   POST /api/v1/push/test
+// @access  Private
+const sendTestPush = asyncHandler(async (req, res) => {
+  const results = await sendPushToUser(req.user.id, {
+    type: "test",
+    title: "EcoRewards",
+    body: "Push notifications are working 🌱",
+  });
+
+  if (results.sent === 0) {
+    return res.status(404).json({
+      success: false,
+      error: "No working push subscriptions",
+      data: results,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Test notification sent",
+    data: results,
+  });
+});
+
+module.exports = {
+  getVapidPublicKey,
+  subscribe,
+  getSubscriptions,
+  unsubscribe,
+  sendTestPush,
+};
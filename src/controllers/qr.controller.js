@@ -1,24 +1,64 @@
+const path = require("path");
 const asyncHandler = require("express-async-handler");
 const QRCode = require("../models/qrcode.model");
 const Partner = require("../models/partner.model");
 const Reward = require("../models/reward.model");
 const RewardClaim = require("../models/rewardclaim.model");
+const { renderQRImage } = require("../utils/qrImageUtils");
+const {
+  defaultPayloadExpiry,
+  getPublicKeys,
+  resolveScannedQRCode,
+} = require("../utils/qrSigningUtils");
+const { contentDisposition } = require("../utils/storageUtils");
+const {
+  getLabelLayout,
+  writeBatchPdf,
+  writeBatchZip,
+  writeBatchCsv,
+} = require("../utils/qrExportUtils");
+const {
+  qrImageQueryValidation,
+  qrBatchExportQueryValidation,
+  dynamicQRValidation,
+  locationSearchValidation,
+} = require("../validations/qr.validation");
+
+const BATCH_EXPORTS = {
+  pdf: writeBatchPdf,
+  zip: writeBatchZip,
+  csv: writeBatchCsv,
+};
 
 // @desc    Scan QR code and get reward details
 // @route   GET /api/v1/scan/:qrId
 // @access  Public (works for both authenticated and non-authenticated users)
 const scanQRCode = asyncHandler(async (req, res) => {
-  const { qrId } = req.params;
+  // Check a signed payload before touching the database
+  let scanned;
+  try {
+    scanned = await resolveScannedQRCode(req.params.qrId);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
 
   // Find QR code and populate related data
-  const qrCode = await QRCode.findOne({ qrCode: qrId })
+  const qrCode = await QRCode.findOne({ qrCode: scanned.qrCode })
+    .select("+dynamic.secret")
     .populate("partnerId", "name logo category description website")
     .populate(
       "rewardId",
       "title description points category requirements actionType maxClaimsPerUser expiryDate"
     );
 
-  if (!qrCode) {
+  if (
+    !qrCode ||
+    (scanned.signed && String(qrCode.partnerId?._id) !== scanned.partnerId)
+  ) {
     return res.status(404).json({
       success: false,
       error: "QR code not found",
@@ -26,7 +66,9 @@ const scanQRCode = asyncHandler(async (req, res) => {
   }
 
   // Validate QR code and get validation details
-  const validation = await qrCode.isValidForScanning();
+  const validation = await qrCode.isValidForScanning({
+    signed: scanned.signed,
+  });
   if (!validation.valid) {
     return res.status(400).json({
       success: false,
@@ -38,6 +80,18 @@ const scanQRCode = asyncHandler(async (req, res) => {
     });
   }
 
+  // Rotating codes are only valid with the code the display shows now
+  if (
+    qrCode.dynamic.enabled &&
+    qrCode.verifyDynamicCode(req.query.code) === null
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "This code has changed. Scan the code on the display again",
+      dynamicCodeRequired: true,
+    });
+  }
+
   // Record the scan (increment counters)
   await qrCode.recordScan(req.user?.id);
 
@@ -47,6 +101,7 @@ const scanQRCode = asyncHandler(async (req, res) => {
       id: qrCode.qrCode,
       scanCount: qrCode.scanCount + 1, // Show updated count
       location: qrCode.location,
+      dynamic: qrCode.dynamic.enabled,
     },
     partner: {
       id: qrCode.partnerId._id,
@@ -111,7 +166,14 @@ const scanQRCode = asyncHandler(async (req, res) => {
 // @route   POST /api/v1/qr/generate
 // @access  Private (Admin only)
 const generateQRCode = asyncHandler(async (req, res) => {
-  const { partnerId, rewardId, location, notes } = req.body;
+  const { partnerId, rewardId, location, notes, expiresAt } = req.body;
+
+  if (expiresAt && !(new Date(expiresAt) > new Date())) {
+    return res.status(400).json({
+      success: false,
+      error: "Expiry date must be a valid date in the future",
+    });
+  }
 
   // Verify partner exists and is eligible
   const partner = await Partner.findById(partnerId);
@@ -151,6 +213,7 @@ const generateQRCode = asyncHandler(async (req, res) => {
     rewardId,
     location,
     notes,
+    expiresAt: expiresAt ? new Date(expiresAt) : defaultPayloadExpiry(),
   });
 
   // Populate response data
@@ -164,10 +227,12 @@ const generateQRCode = asyncHandler(async (req, res) => {
     data: {
       qrCode: qrCode.qrCode,
       scanUrl: qrCode.scanUrl,
+      imageUrl: qrCode.imageUrl,
       partnerId: qrCode.partnerId,
       rewardId: qrCode.rewardId,
       location: qrCode.location,
       isActive: qrCode.isActive,
+      expiresAt: qrCode.expiresAt,
       createdAt: qrCode.createdAt,
     },
   });
@@ -177,7 +242,14 @@ const generateQRCode = asyncHandler(async (req, res) => {
 // @route   POST /api/v1/qr/bulk-generate
 // @access  Private (Admin only)
 const generateBulkQRCodes = asyncHandler(async (req, res) => {
-  const { partnerId, rewardId, quantity, batchId, locations = [] } = req.body;
+  const {
+    partnerId,
+    rewardId,
+    quantity,
+    batchId,
+    expiresAt,
+    locations = [],
+  } = req.body;
 
   if (quantity > 100) {
     return res.status(400).json({
@@ -186,6 +258,13 @@ const generateBulkQRCodes = asyncHandler(async (req, res) => {
     });
   }
 
+  if (expiresAt && !(new Date(expiresAt) > new Date())) {
+    return res.status(400).json({
+      success: false,
+      error: "Expiry date must be a valid date in the future",
+    });
+  }
+
   // Verify partner and reward (same validation as single generation)
   const [partner, reward] = await Promise.all([
     Partner.findById(partnerId),
@@ -211,15 +290,18 @@ const generateBulkQRCodes = asyncHandler(async (req, res) => {
     partnerId,
     rewardId,
     quantity,
-    batchId
+    batchId,
+    expiresAt ? new Date(expiresAt) : null
   );
 
   // If locations provided, update QR codes with location data
   if (locations.length > 0) {
     const updatePromises = qrCodes.map((qr, index) => {
       if (locations[index]) {
+        // Updates skip the model's hooks, so set the GeoJSON point here
+        const point = QRCode.toGeoPoint(locations[index].coordinates);
         return QRCode.findByIdAndUpdate(qr._id, {
-          location: locations[index],
+          location: { ...locations[index], ...(point && { point }) },
         });
       }
       return Promise.resolve();
@@ -240,9 +322,8 @@ const generateBulkQRCodes = asyncHandler(async (req, res) => {
       qrCodes: qrCodes.map((qr) => ({
         id: qr._id,
         qrCode: qr.qrCode,
-        scanUrl: `${
-          process.env.FRONTEND_URL || "https://eco-rewards-sooty.vercel.app/"
-        }/scan/${qr.qrCode}`,
+        scanUrl: qr.scanUrl,
+        imageUrl: qr.imageUrl,
       })),
     },
   });
@@ -346,15 +427,128 @@ const getQRCodesByBatch = asyncHandler(async (req, res) => {
       statistics: batchStats,
       qrCodes: qrCodes.map((qr) => ({
         ...qr.toObject(),
-        scanUrl: `${
-          process.env.FRONTEND_URL || "https://eco-rewards-sooty.vercel.app/"
-        }/scan/${qr.qrCode}`,
+        scanUrl: qr.scanUrl,
         conversionRate: qr.conversionRate,
       })),
     },
   });
 });
 
+// @desc    Export a batch as printable labels (PDF), images (ZIP) or CSV
+// @route   GET /api/v1/qr/batch/:batchId/export?format=pdf|zip|csv
+// @access  Private (Admin, or partner staff for their partner's batches)
+const exportQRCodeBatch = asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+
+  const { error, value: options } = qrBatchExportQueryValidation(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  if (options.format === "pdf") {
+    try {
+      getLabelLayout(options);
+    } catch (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  const query = { batchId };
+  if (req.user.role === "partner_staff") query.partnerId = req.user.partnerId;
+
+  if (!(await QRCode.exists(query))) {
+    return res.status(404).json({
+      success: false,
+      error: "No QR codes found for this batch",
+    });
+  }
+
+  // Read the batch as it is written out, so large batches aren't held in
+  // memory
+  const qrCodes = QRCode.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .populate("partnerId", "name logo")
+    .populate("rewardId", "title points")
+    .cursor();
+
+  res.attachment(`${batchId.replace(/[^\w.-]/g, "_")}.${options.format}`);
+
+  try {
+    await BATCH_EXPORTS[options.format](qrCodes, res, { batchId, ...options });
+  } catch (error) {
+    if (!res.headersSent) throw error;
+
+    // Part of the file was sent; cut the download short
+    console.error(`QR batch export ${batchId} failed:`, error);
+    res.destroy(error);
+  } finally {
+    await qrCodes.close();
+  }
+});
+
+// @desc    Get a QR code as an image (encodes its scan URL)
+// @route   GET /api/v1/qr/:qrId/image?format=png|svg&size=&margin=&ecc=&logo=
+// @access  Private (Admin, or partner staff for their partner's codes)
+const getQRCodeImage = asyncHandler(async (req, res) => {
+  const { error, value: options } = qrImageQueryValidation(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const qrCode = await QRCode.findOne({ qrCode: req.params.qrId }).populate(
+    "partnerId",
+    "logo"
+  );
+
+  if (
+    !qrCode ||
+    (req.user.role === "partner_staff" &&
+      String(qrCode.partnerId?._id) !== String(req.user.partnerId))
+  ) {
+    return res.status(404).json({
+      success: false,
+      error: "QR code not found",
+    });
+  }
+
+  const renderOptions = {
+    format: options.format,
+    size: options.size,
+    margin: options.margin,
+    ecc: options.ecc,
+    logoUrl: (options.logo && qrCode.partnerId?.logo) || null,
+  };
+
+  // Let clients reuse their copy without rendering it again
+  const { etag } = await renderQRImage(qrCode.scanUrl, renderOptions, {
+    etagOnly: true,
+  });
+  res.set({
+    ETag: etag,
+    "Cache-Control": "private, max-age=86400",
+  });
+  if (req.fresh) return res.status(304).end();
+
+  const image = await renderQRImage(qrCode.scanUrl, renderOptions);
+
+  res.set({
+    "Content-Type": image.contentType,
+    "Content-Disposition": contentDisposition(
+      `${qrCode.qrCode}.${options.format}`
+    ),
+  });
+  res.status(200).send(image.buffer);
+});
+
 // @desc    Toggle QR code status
 // @route   PUT /api/v1/qr/:qrId/toggle-status
 // @access  Private (Admin only)
@@ -432,9 +626,7 @@ const getTopPerformingQRCodes = asyncHandler(async (req, res) => {
 
   const enrichedQRCodes = qrCodes.map((qr) => ({
     ...qr.toObject(),
-    scanUrl: `${
-      process.env.FRONTEND_URL || "https://react-tester.vercel.app/"
-    }/scan/${qr.qrCode}`,
+    scanUrl: qr.scanUrl,
     conversionRate: qr.conversionRate,
   }));
 
@@ -445,13 +637,212 @@ const getTopPerformingQRCodes = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Active rewards near a location, grouped by partner
+// @route   GET /api/v1/qr/nearby?lat=&lng=&radiusKm=&category=
+// @access  Public
+const getNearbyRewards = asyncHandler(async (req, res) => {
+  const { error, value } = locationSearchValidation(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const partners = await QRCode.findNearbyRewards({
+    latitude: value.lat,
+    longitude: value.lng,
+    radiusInKm: value.radiusKm,
+    category: value.category,
+    limit: value.limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: partners.length,
+    data: {
+      center: { latitude: value.lat, longitude: value.lng },
+      radiusKm: value.radiusKm,
+      partners,
+    },
+  });
+});
+
+// @desc    Turn rotating (dynamic) mode on or off for a check-in QR code
+// @route   PUT /api/v1/qr/:qrId/dynamic
+// @access  Private (Admin, or partner staff for their partner's codes)
+const configureDynamicQRCode = asyncHandler(async (req, res) => {
+  const { error, value } = dynamicQRValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const qrCode = await QRCode.findOne({ qrCode: req.params.qrId })
+    .select("+dynamic.secret")
+    .populate("rewardId", "title actionType");
+
+  if (
+    !qrCode ||
+    (req.user.role === "partner_staff" &&
+      String(qrCode.partnerId) !== String(req.user.partnerId))
+  ) {
+    return res.status(404).json({
+      success: false,
+      error: "QR code not found",
+    });
+  }
+
+  if (value.enabled && qrCode.rewardId?.actionType !== "check-in") {
+    return res.status(400).json({
+      success: false,
+      error: "Only QR codes for check-in rewards can rotate",
+    });
+  }
+
+  qrCode.configureDynamic(value);
+  await qrCode.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      qrCode: qrCode.qrCode,
+      dynamic: {
+        enabled: qrCode.dynamic.enabled,
+        step: qrCode.dynamic.step,
+        window: qrCode.dynamic.window,
+      },
+      ...(qrCode.dynamic.enabled && { displayUrl: qrCode.getDisplayUrl() }),
+    },
+    message: `Rotating mode ${
+      qrCode.dynamic.enabled ? "enabled" : "disabled"
+    } for this QR code`,
+  });
+});
+
+// Find a rotating QR code for a display link, or send an error
+const findDisplayedQRCode = async (req, res) => {
+  const qrCode = await QRCode.findOne({ qrCode: req.params.qrId })
+    .select("+dynamic.secret")
+    .populate("partnerId", "name logo")
+    .populate("rewardId", "title points");
+
+  if (!qrCode || !qrCode.isDisplayKey(req.query.key)) {
+    res.status(404).json({
+      success: false,
+      error: "Display not found",
+    });
+    return null;
+  }
+
+  if (!qrCode.dynamic.enabled) {
+    res.status(400).json({
+      success: false,
+      error: "Rotating mode is off for this QR code",
+    });
+    return null;
+  }
+
+  return qrCode;
+};
+
+// @desc    Page showing a rotating QR code, for a screen at the venue
+// @route   GET /api/v1/qr/display/:qrId?key=
+// @access  Public (with the display key)
+const getQRDisplayPage = asyncHandler(async (req, res) => {
+  const qrCode = await findDisplayedQRCode(req, res);
+  if (!qrCode) return;
+
+  res.set({
+    "Cache-Control": "no-store",
+    "Referrer-Policy": "no-referrer",
+  });
+  res.sendFile(path.join(__dirname, "../views/qr-display.html"));
+});
+
+// @desc    Current code for a rotating QR display (polled by the page)
+// @route   GET /api/v1/qr/display/:qrId/feed?key=
+// @access  Public (with the display key)
+const getQRDisplayFeed = asyncHandler(async (req, res) => {
+  const qrCode = await findDisplayedQRCode(req, res);
+  if (!qrCode) return;
+
+  // The display shows the signed payload, so it has to be in date
+  const validation = await qrCode.isValidForScanning({ signed: true });
+  if (!validation.valid) {
+    return res.status(400).json({
+      success: false,
+      error: validation.reason,
+    });
+  }
+
+  // Displays follow the server's clock: codes are checked against it
+  const now = Date.now();
+  const { code, issuedAt, expiresAt } = qrCode.getDynamicCode(now);
+  const scanUrl = `${qrCode.scanUrl}?code=${code}`;
+  const { buffer } = await renderQRImage(scanUrl, {
+    format: "svg",
+    ecc: "M",
+    margin: 2,
+  });
+
+  res.set("Cache-Control", "no-store");
+  res.status(200).json({
+    success: true,
+    data: {
+      qrCode: qrCode.qrCode,
+      partner: { name: qrCode.partnerId?.name, logo: qrCode.partnerId?.logo },
+      reward: {
+        title: qrCode.rewardId?.title,
+        points: qrCode.rewardId?.points,
+      },
+      code,
+      scanUrl,
+      svg: buffer.toString(),
+      step: qrCode.dynamic.step,
+      issuedAt,
+      expiresAt,
+      serverTime: new Date(now),
+    },
+  });
+});
+
+// @desc    Public keys for verifying signed QR payloads offline (JWKS)
+// @route   GET /api/v1/qr/keys
+// @access  Public
+const getQRPublicKeys = asyncHandler(async (req, res) => {
+  res.set("Cache-Control", "public, max-age=3600");
+  res.status(200).json({
+    success: true,
+    data: { keys: getPublicKeys() },
+  });
+});
+
+// @desc    Verification library for kiosk apps (see qrVerifyUtils)
+// @route   GET /api/v1/qr/verifier.js
+// @access  Public
+const getQRVerifierScript = (req, res) => {
+  res.set("Cache-Control", "public, max-age=86400");
+  res.sendFile(path.join(__dirname, "../utils/qrVerifyUtils.js"));
+};
+
 module.exports = {
   scanQRCode,
   generateQRCode,
   generateBulkQRCodes,
   getQRCodeDetails,
   getQRCodesByBatch,
+  exportQRCodeBatch,
+  getQRCodeImage,
   toggleQRCodeStatus,
   deleteQRCode,
   getTopPerformingQRCodes,
+  getNearbyRewards,
+  getQRPublicKeys,
+  getQRVerifierScript,
+  configureDynamicQRCode,
+  getQRDisplayPage,
+  getQRDisplayFeed,
 };
@@ -0,0 +1,404 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const RedemptionItem = require("../models/redemptionitem.model");
+const Voucher = require("../models/voucher.model");
+const Partner = require("../models/partner.model");
+const { notify } = require("../utils/notificationUtils");
+const {
+  createRedemptionItemValidation,
+  updateRedemptionItemValidation,
+  redeemValidation,
+  cancelVoucherValidation,
+  partnerVoucherValidation,
+} = require("../validations/redemption.validation");
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    error: error.details[0].message,
+  });
+
+// Send a voucher/ledger error with its status and details
+const voucherErrorResponse = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    ...error.details,
+  });
+
+// @desc    Get the redemption catalogue
+// @route   GET /api/v1/redemptions/catalogue
+// @access  Public
+const getCatalogue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, partnerId, maxCost } = req.query;
+
+  // Only items of partners that can accept vouchers
+  const partners = await Partner.find({
+    verificationStatus: "verified",
+    isActive: true,
+    ...(partnerId && mongoose.isValidObjectId(partnerId)
+      ? { _id: partnerId }
+      : {}),
+  }).select("_id");
+
+  const query = {
+    isActive: true,
+    partnerId: { $in: partners.map((partner) => partner._id) },
+  };
+  if (maxCost) query.pointsCost = { $lte: parseInt(maxCost) };
+
+  const skip = (page - 1) * limit;
+
+  const [items, total] = await Promise.all([
+    RedemptionItem.find(query)
+      .populate("partnerId", "name logo category")
+      .sort({ pointsCost: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    RedemptionItem.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+    },
+    data: items,
+  });
+});
+
+// @desc    Get a catalogue item
+// @route   GET /api/v1/redemptions/catalogue/:id
+// @access  Public (admin can see inactive items)
+const getCatalogueItem = asyncHandler(async (req, res) => {
+  const item = await RedemptionItem.findById(req.params.id).populate(
+    "partnerId",
+    "name logo category website"
+  );
+
+  if (!item || (!item.isActive && req.user?.role !== "admin")) {
+    return res.status(404).json({
+      success: false,
+      error: "Catalogue item not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: item,
+  });
+});
+
+// @desc    Add an item to the catalogue
+// @route   POST /api/v1/redemptions/catalogue
+// @access  Private (Partner staff for their partner, and admin)
+const createCatalogueItem = asyncHandler(async (req, res) => {
+  const { error, value } = createRedemptionItemValidation(req.body);
+  if (error) return validationError(res, error);
+
+  // partnerScope checked the partner is verified and active
+  const item = await RedemptionItem.create({
+    ...value,
+    partnerId: req.partner._id,
+  });
+  await item.populate("partnerId", "name logo category");
+
+  res.status(201).json({
+    success: true,
+    data: item,
+  });
+});
+
+// @desc    Update a catalogue item
+// @route   PUT /api/v1/redemptions/catalogue/:id
+// @access  Private (Partner staff for their partner's items, and admin)
+const updateCatalogueItem = asyncHandler(async (req, res) => {
+  const { error, value } = updateRedemptionItemValidation(req.body);
+  if (error) return validationError(res, error);
+
+  const filter = { _id: req.params.id };
+
+  if (req.user.role === "partner_staff") {
+    // Staff can't move items to another partner
+    if (
+      !req.user.partnerId ||
+      (value.partnerId && value.partnerId !== String(req.user.partnerId))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only manage your own partner's items",
+      });
+    }
+    filter.partnerId = req.user.partnerId;
+  } else if (value.partnerId) {
+    const partner = await Partner.findById(value.partnerId);
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        error: "Partner not found",
+      });
+    }
+  }
+
+  // Issued vouchers stay valid; stock below them just sells out the item
+  const item = await RedemptionItem.findOneAndUpdate(filter, value, {
+    new: true,
+    runValidators: true,
+  }).populate("partnerId", "name logo category");
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: "Catalogue item not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: item,
+  });
+});
+
+// @desc    Spend points on a catalogue item and get a voucher
+// @route   POST /api/v1/redemptions
+// @access  Private
+const redeemPoints = asyncHandler(async (req, res) => {
+  const { error } = redeemValidation(req.body);
+  if (error) return validationError(res, error);
+
+  let result;
+  try {
+    result = await Voucher.issue({
+      userId: req.user.id,
+      itemId: req.body.itemId,
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return voucherErrorResponse(res, error);
+  }
+
+  const { voucher, item, user } = result;
+
+  await notify(user, "voucher-issued", {
+    params: {
+      item: item.title,
+      partner: item.partnerId.name,
+      code: voucher.code,
+      points: voucher.pointsCost,
+    },
+    data: {
+      voucherId: voucher._id,
+      code: voucher.code,
+      item: item.title,
+      partner: item.partnerId.name,
+      points: voucher.pointsCost,
+      expiresAt: voucher.expiresAt,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Voucher issued for ${voucher.pointsCost} points`,
+    data: {
+      voucher,
+      item: {
+        _id: item._id,
+        title: item.title,
+        partner: item.partnerId.name,
+        terms: item.terms,
+      },
+      balance: user.points,
+    },
+  });
+});
+
+// @desc    Get the current user's vouchers
+// @route   GET /api/v1/redemptions/vouchers
+// @access  Private
+const getMyVouchers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  await Voucher.expireOverdue({ userId: req.user.id });
+
+  const query = { userId: req.user.id };
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const [vouchers, total] = await Promise.all([
+    Voucher.find(query)
+      .populate("itemId", "title terms imageUrl")
+      .populate("partnerId", "name logo")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Voucher.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: vouchers.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+    },
+    data: vouchers,
+  });
+});
+
+// @desc    Get a voucher
+// @route   GET /api/v1/redemptions/vouchers/:id
+// @access  Private (owner or admin)
+const getVoucher = asyncHandler(async (req, res) => {
+  const voucher = await Voucher.findById(req.params.id)
+    .populate("itemId", "title description terms imageUrl")
+    .populate("partnerId", "name logo website");
+
+  if (
+    !voucher ||
+    (voucher.userId.toString() !== req.user.id && req.user.role !== "admin")
+  ) {
+    return res.status(404).json({
+      success: false,
+      error: "Voucher not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: voucher,
+  });
+});
+
+// @desc    Cancel an unused voucher and refund its points
+// @route   PUT /api/v1/redemptions/vouchers/:id/cancel
+// @access  Private (owner or admin)
+const cancelVoucher = asyncHandler(async (req, res) => {
+  const { error } = cancelVoucherValidation(req.body);
+  if (error) return validationError(res, error);
+
+  const voucher = await Voucher.findById(req.params.id);
+
+  if (
+    !voucher ||
+    (voucher.userId.toString() !== req.user.id && req.user.role !== "admin")
+  ) {
+    return res.status(404).json({
+      success: false,
+      error: "Voucher not found",
+    });
+  }
+
+  let result;
+  try {
+    result = await voucher.cancel({
+      cancelledBy: req.user.id,
+      reason: req.body.reason || null,
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return voucherErrorResponse(res, error);
+  }
+
+  const { voucher: cancelled, user } = result;
+
+  await notify(user, "voucher-cancelled", {
+    params: { code: cancelled.code, points: cancelled.pointsCost },
+    data: {
+      voucherId: cancelled._id,
+      code: cancelled.code,
+      points: cancelled.pointsCost,
+      totalPoints: user.points,
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Voucher cancelled and ${cancelled.pointsCost} points refunded`,
+    data: {
+      voucher: cancelled,
+      balance: user.points,
+    },
+  });
+});
+
+// @desc    Check a voucher code at a partner without using it
+// @route   POST /api/v1/redemptions/vouchers/validate
+// @access  Private (Partner staff and admin)
+const validateVoucher = asyncHandler(async (req, res) => {
+  const { error } = partnerVoucherValidation(req.body);
+  if (error) return validationError(res, error);
+
+  let voucher;
+  try {
+    voucher = await Voucher.findValidForPartner(req.body.code, req.partner._id);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return voucherErrorResponse(res, error);
+  }
+
+  await voucher.populate("itemId", "title terms");
+
+  res.status(200).json({
+    success: true,
+    message: "Voucher is valid",
+    data: {
+      code: voucher.code,
+      status: voucher.status,
+      item: voucher.itemId,
+      expiresAt: voucher.expiresAt,
+    },
+  });
+});
+
+// @desc    Accept a voucher at a partner (marks it as used)
+// @route   POST /api/v1/redemptions/vouchers/redeem
+// @access  Private (Partner staff and admin)
+const redeemVoucher = asyncHandler(async (req, res) => {
+  const { error } = partnerVoucherValidation(req.body);
+  if (error) return validationError(res, error);
+
+  let voucher;
+  try {
+    voucher = await Voucher.redeemAtPartner({
+      code: req.body.code,
+      partnerId: req.partner._id,
+      redeemedBy: req.user.id,
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return voucherErrorResponse(res, error);
+  }
+
+  await voucher.populate("itemId", "title terms");
+
+  res.status(200).json({
+    success: true,
+    message: "Voucher accepted",
+    data: {
+      code: voucher.code,
+      status: voucher.status,
+      item: voucher.itemId,
+      redeemedAt: voucher.redeemedAt,
+    },
+  });
+});
+
+module.exports = {
+  getCatalogue,
+  getCatalogueItem,
+  createCatalogueItem,
+  updateCatalogueItem,
+  redeemPoints,
+  getMyVouchers,
+  getVoucher,
+  cancelVoucher,
+  validateVoucher,
+  redeemVoucher,
+};
@@ -1,6 +1,17 @@
 const asyncHandler = require("express-async-handler");
 const Reward = require("../models/reward.model");
 const Partner = require("../models/partner.model");
+const { queueNotification } = require("../utils/notificationUtils");
+
+// Alert nearby users when a reward becomes featured. The announcement is a
+// persisted job: there may be many users to notify and the admin shouldn't
+// wait for it, but it must not be lost if the function is frozen after the
+// response.
+const announceIfNewlyFeatured = async (reward, wasFeatured = false) => {
+  if (!reward.isFeatured || wasFeatured) return;
+
+  await queueNotification("featured-reward", { rewardId: reward._id });
+};
 
 // @desc    Create new reward
 // @route   POST /api/v1/rewards
@@ -14,6 +25,7 @@ const createReward = asyncHandler(async (req, res) => {
     category,
     requirements,
     actionType,
+    proofType,
     maxClaimsPerUser,
     totalMaxClaims,
     expiryDate,
@@ -47,6 +59,7 @@ const createReward = asyncHandler(async (req, res) => {
     category,
     requirements,
     actionType,
+    proofType,
     maxClaimsPerUser,
     totalMaxClaims,
     expiryDate,
@@ -55,6 +68,8 @@ const createReward = asyncHandler(async (req, res) => {
     imageUrl,
   });
 
+  await announceIfNewlyFeatured(reward);
+
   // Populate partner info for response
   await reward.populate("partnerId", "name logo category");
 
@@ -293,10 +308,16 @@ const updateReward = asyncHandler(async (req, res) => {
     }
   }
 
+  const wasFeatured = reward.isFeatured;
+
   reward = await Reward.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
-  }).populate("partnerId", "name logo category");
+  });
+
+  await announceIfNewlyFeatured(reward, wasFeatured);
+
+  await reward.populate("partnerId", "name logo category");
 
   res.status(200).json({
     success: true,
@@ -318,7 +339,7 @@ const deleteReward = asyncHandler(async (req, res) => {
   }
 
   // Check if reward has claims before deletion
-  const RewardClaim = require("../models/rewardClaim.model");
+  const RewardClaim = require("../models/rewardclaim.model");
   const claimCount = await RewardClaim.countDocuments({
     rewardId: req.params.id,
   });
@@ -332,7 +353,7 @@ const deleteReward = asyncHandler(async (req, res) => {
   }
 
   // Also check for QR codes
-  const QRCode = require("../models/qrCode.model");
+  const QRCode = require("../models/qrcode.model");
   const qrCount = await QRCode.countDocuments({
     rewardId: req.params.id,
   });
@@ -367,9 +388,13 @@ const toggleRewardStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  const wasFeatured = reward.isFeatured;
+
   reward.isActive = !reward.isActive;
   await reward.save();
 
+  await announceIfNewlyFeatured(reward, wasFeatured);
+
   res.status(200).json({
     success: true,
     data: reward,
@@ -396,8 +421,8 @@ const getRewardStats = asyncHandler(async (req, res) => {
   }
 
   // Get QR codes and claims statistics
-  const QRCode = require("../models/qrCode.model");
-  const RewardClaim = require("../models/rewardClaim.model");
+  const QRCode = require("../models/qrcode.model");
+  const RewardClaim = require("../models/rewardclaim.model");
 
   const [qrStats, claimStats] = await Promise.all([
     QRCode.aggregate([
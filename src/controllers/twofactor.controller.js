@@ -0,0 +1,272 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../models/user.model");
+const {
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+} = require("../validations/auth.validation");
+const {
+  sendTokenResponse,
+  verifyTwoFactorChallengeToken,
+} = require("../utils/tokenUtils");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottledResponse,
+} = require("../utils/throttleUtils");
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+// @desc    Complete a login with a TOTP or recovery code
+// @route   POST /api/v1/auth/2fa/login
+// @access  Public (requires a challenge token from /login)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = twoFactorLoginValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyTwoFactorChallengeToken(challengeToken);
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired challenge. Please log in again",
+    });
+  }
+
+  // Guess-proof the 6-digit codes: throttle failures per user
+  const throttleKey = `twofactor:${decoded.id}`;
+  const throttle = await checkThrottle([[throttleKey, "account"]]);
+  if (!throttle.allowed) {
+    return sendThrottledResponse(
+      res,
+      throttle,
+      `Too many invalid codes. Please try again in ${throttle.retryAfter} seconds`
+    );
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: "User not found",
+    });
+  }
+
+  // Mandatory enrollment: the first valid code confirms the pending secret
+  if (!user.twoFactorEnabled) {
+    if (!code || !user.verifyTwoFactorCode(code, { pending: true })) {
+      await recordFailure(throttleKey, "account");
+      return res.status(401).json({
+        success: false,
+        error: "Invalid two-factor code",
+      });
+    }
+
+    user.enableTwoFactor();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+    await clearFailures(throttleKey);
+
+    return sendTokenResponse(user, 200, res, { recoveryCodes });
+  }
+
+  const isValid = code
+    ? user.verifyTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isValid) {
+    await recordFailure(throttleKey, "account");
+    return res.status(401).json({
+      success: false,
+      error: code ? "Invalid two-factor code" : "Invalid recovery code",
+    });
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await clearFailures(throttleKey);
+
+  const extra = recoveryCode
+    ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length }
+    : {};
+
+  return sendTokenResponse(user, 200, res, extra);
+});
+
+// @desc    Start two-factor enrollment (returns secret and otpauth URI)
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      error: "Two-factor authentication is already enabled",
+    });
+  }
+
+  const setup = user.startTwoFactorSetup();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Scan the QR code or enter the secret in your authenticator app, then confirm with a code",
+    data: setup,
+  });
+});
+
+// @desc    Confirm enrollment with a first code and enable two-factor
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = twoFactorCodeValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      error: "Two-factor authentication is already enabled",
+    });
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return res.status(400).json({
+      success: false,
+      error: "Start two-factor setup first",
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid two-factor code",
+    });
+  }
+
+  user.enableTwoFactor();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store these recovery codes somewhere safe; they are only shown once.",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = twoFactorCodeValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  if (req.user.role === "admin") {
+    return res.status(403).json({
+      success: false,
+      error: "Two-factor authentication is mandatory for admins",
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      error: "Two-factor authentication is not enabled",
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid two-factor code",
+    });
+  }
+
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  // Validate request
+  const { error } = twoFactorCodeValidation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      error: "Two-factor authentication is not enabled",
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid two-factor code",
+    });
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "New recovery codes generated. Previous codes no longer work.",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+module.exports = {
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,154 @@
+const asyncHandler = require("express-async-handler");
+const Upload = require("../models/upload.model");
+const {
+  storeImageUpload,
+  getUploadUrls,
+  deleteUploadFiles,
+} = require("../utils/uploadUtils");
+const {
+  getStorage,
+  contentDisposition,
+  verifyDownloadToken,
+} = require("../utils/storageUtils");
+
+// Uploads are visible to their owner and to admins (reviewers)
+const canAccess = (req, upload) =>
+  upload.ownerId.toString() === req.user.id || req.user.role === "admin";
+
+// Handler for uploading a file for `purpose`
+const createUpload = (purpose) =>
+  asyncHandler(async (req, res) => {
+    let fields;
+    try {
+      fields = await storeImageUpload(req.file, {
+        ownerId: req.user.id,
+        purpose,
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const upload = await Upload.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: "File uploaded",
+      data: {
+        ...upload.toJSON(),
+        ...(await getUploadUrls(upload)),
+      },
+    });
+  });
+
+// @desc    Upload proof for a reward claim
+// @route   POST /api/v1/uploads/claim-proof
+// @access  Private
+const uploadClaimProof = createUpload("claim-proof");
+
+// @desc    Upload evidence for an activity
+// @route   POST /api/v1/uploads/activity-evidence
+// @access  Private
+const uploadActivityEvidence = createUpload("activity-evidence");
+
+// @desc    Get an upload with signed download URLs
+// @route   GET /api/v1/uploads/:id
+// @access  Private (owner or admin)
+const getUpload = asyncHandler(async (req, res) => {
+  const upload = await Upload.findById(req.params.id);
+
+  if (!upload || !canAccess(req, upload)) {
+    return res.status(404).json({
+      success: false,
+      error: "Upload not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...upload.toJSON(),
+      ...(await getUploadUrls(upload)),
+    },
+  });
+});
+
+// @desc    Delete an upload that wasn't submitted with anything
+// @route   DELETE /api/v1/uploads/:id
+// @access  Private (owner or admin)
+const deleteUpload = asyncHandler(async (req, res) => {
+  const upload = await Upload.findById(req.params.id);
+
+  if (!upload || !canAccess(req, upload)) {
+    return res.status(404).json({
+      success: false,
+      error: "Upload not found",
+    });
+  }
+
+  // Submitted proof stays for reviewers
+  if (upload.attachedTo && upload.attachedTo.id) {
+    return res.status(400).json({
+      success: false,
+      error: "This file was already submitted and can't be deleted",
+    });
+  }
+
+  await deleteUploadFiles(upload);
+  await upload.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Upload deleted",
+  });
+});
+
+// @desc    Download a file through a signed URL (local storage)
+// @route   GET /api/v1/uploads/files/:token
+// @access  Public (the signed token is the access check)
+const downloadFile = asyncHandler(async (req, res) => {
+  const details = verifyDownloadToken(req.params.token);
+
+  if (!details) {
+    return res.status(403).json({
+      success: false,
+      error: "Download link is invalid or has expired",
+    });
+  }
+
+  let file;
+  try {
+    file = await getStorage().get(details.key);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+
+    return res.status(404).json({
+      success: false,
+      error: "File not found",
+    });
+  }
+
+  res.set({
+    "Content-Type": details.contentType || "application/octet-stream",
+    "Cache-Control": "private, max-age=300",
+    "X-Content-Type-Options": "nosniff",
+    // Let the web app show the image from another origin
+    "Cross-Origin-Resource-Policy": "cross-origin",
+    ...(details.filename && {
+      "Content-Disposition": contentDisposition(details.filename),
+    }),
+  });
+  res.send(file);
+});
+
+module.exports = {
+  uploadClaimProof,
+  uploadActivityEvidence,
+  getUpload,
+  deleteUpload,
+  downloadFile,
+};
@@ -0,0 +1,129 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../models/user.model");
+const Leaderboard = require("../models/leaderboard.model");
+const Session = require("../models/session.model");
+const { verifySvixSignature } = require("../utils/webhookUtils");
+const { getClerkProfile } = require("../utils/clerkUtils");
+
+// Create or update our user from a Clerk user payload
+const upsertClerkUser = async (data) => {
+  const profile = getClerkProfile(data);
+  const user = await User.findOne({ clerkId: profile.clerkId });
+
+  if (user) {
+    user.name = profile.name;
+
+    if (profile.email && profile.email !== user.email) {
+      const emailTaken = await User.exists({
+        email: profile.email,
+        _id: { $ne: user._id },
+      });
+
+      if (emailTaken) {
+        console.warn(
+          `Clerk user ${profile.clerkId} changed email to one used by another account; keeping ${user.email}`
+        );
+      } else {
+        user.email = profile.email;
+      }
+    }
+
+    if (profile.emailVerified) user.isEmailVerified = true;
+
+    await user.save();
+    return "updated";
+  }
+
+  if (!profile.email) {
+    return "skipped";
+  }
+
+  // Never take over an existing email/password account from a webhook
+  if (await User.exists({ email: profile.email })) {
+    console.warn(
+      `Clerk user ${profile.clerkId} shares an email with an existing account; not creating a duplicate`
+    );
+    return "skipped";
+  }
+
+  await User.create({
+    clerkId: profile.clerkId,
+    name: profile.name,
+    email: profile.email,
+    isEmailVerified: profile.emailVerified,
+  });
+
+  return "created";
+};
+
+// Remove our user (and their sessions and leaderboard entry) for a deleted Clerk user
+const deleteClerkUser = async (data) => {
+  const user = await User.findOne({ clerkId: data.id });
+
+  if (!user) {
+    return "skipped";
+  }
+
+  await Session.revokeAllForUser(user._id, "user-revoked");
+  await Leaderboard.deleteOne({ userId: user._id });
+  await User.findByIdAndDelete(user._id);
+
+  return "deleted";
+};
+
+// @desc    Receive Clerk user events (Svix-signed)
+// @route   POST /api/v1/webhooks/clerk
+// @access  Public (signature verified)
+const handleClerkWebhook = asyncHandler(async (req, res) => {
+  const secret = process.env.CLERK_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error("CLERK_WEBHOOK_SECRET is not set");
+    return res.status(500).json({
+      success: false,
+      error: "Webhook is not configured",
+    });
+  }
+
+  const verification = verifySvixSignature({
+    payload: req.rawBody ? req.rawBody.toString("utf8") : "",
+    headers: req.headers,
+    secret,
+  });
+
+  if (!verification.valid) {
+    return res.status(400).json({
+      success: false,
+      error: verification.reason,
+    });
+  }
+
+  const { type, data } = req.body;
+
+  let action = "ignored";
+  switch (type) {
+    case "user.created":
+    case "user.updated":
+      action = await upsertClerkUser(data);
+      break;
+    case "user.deleted":
+      action = await deleteClerkUser(data);
+      break;
+    default:
+      break;
+  }
+
+  console.log(`Clerk webhook ${type} (${req.headers["svix-id"]}): ${action}`);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      type,
+      action,
+    },
+  });
+});
+
+module.exports = {
+  handleClerkWebhook,
+};
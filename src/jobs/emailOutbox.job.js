@@ -0,0 +1,41 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const EmailOutbox = require("../models/emailoutbox.model");
+
+// Retry queued emails whose next attempt is due. Run it from a scheduler
+// (e.g. every minute): `npm run jobs:email-outbox`
+const processEmailOutbox = async () => {
+  const results = await EmailOutbox.processPending(
+    parseInt(process.env.EMAIL_OUTBOX_BATCH, 10) || 100
+  );
+
+  console.log(
+    `📬 Processed ${results.processed} emails: ${results.sent} sent, ${results.pending} to retry, ${results.failed} failed`
+  );
+
+  return results;
+};
+
+// Run the job
+const runJob = async () => {
+  try {
+    if (!mongoose.connection.readyState) {
+      await mongoose.connect(process.env.MONGO_URI);
+    }
+
+    await processEmailOutbox();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error processing email outbox:", error);
+    process.exit(1);
+  }
+};
+
+// Export for use in other files or run directly
+if (require.main === module) {
+  runJob();
+}
+
+module.exports = processEmailOutbox;
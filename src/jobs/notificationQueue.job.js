@@ -0,0 +1,43 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const { processNotificationJobs } = require("../utils/notificationUtils");
+
+// Run queued notification jobs (claim receipts, rank changes, featured reward
+// announcements) whose next attempt is due, including ones whose first run was
+// cut short. Run it from a scheduler (e.g. every minute):
+// `npm run jobs:notifications`
+const processNotificationQueue = async () => {
+  const results = await processNotificationJobs(
+    parseInt(process.env.NOTIFICATION_JOB_BATCH, 10) || 50
+  );
+
+  console.log(
+    `🔔 Processed ${results.processed} notification jobs: ${results.done} done, ${results.pending} to retry, ${results.failed} failed`
+  );
+
+  return results;
+};
+
+// Run the job
+const runJob = async () => {
+  try {
+    if (!mongoose.connection.readyState) {
+      await mongoose.connect(process.env.MONGO_URI);
+    }
+
+    await processNotificationQueue();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error processing notification jobs:", error);
+    process.exit(1);
+  }
+};
+
+// Export for use in other files or run directly
+if (require.main === module) {
+  runJob();
+}
+
+module.exports = processNotificationQueue;
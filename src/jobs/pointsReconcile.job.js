@@ -0,0 +1,149 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const PointsTransaction = require("../models/pointstransaction.model");
+
+// Users listed in the drift report
+const REPORT_LIMIT = 50;
+
+// Ledger totals per user: { balance, entries }
+const getLedgerBalances = async () => {
+  const rows = await PointsTransaction.aggregate([
+    {
+      $group: {
+        _id: "$userId",
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$type", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+        entries: { $sum: 1 },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  return new Map(rows.map((row) => [row._id.toString(), row]));
+};
+
+// Recompute every user's balance from the points ledger and report users
+// whose User.points has drifted from it. Options:
+//   openingBalances  give users without any ledger entry an opening balance
+//                    entry for their current points (first run after the
+//                    ledger was introduced)
+//   fix              set drifted User.points back to the ledger balance
+// Run it with `npm run jobs:points-reconcile -- [--opening-balances] [--fix]`.
+const reconcilePoints = async ({
+  openingBalances = false,
+  fix = false,
+} = {}) => {
+  const results = {
+    users: 0,
+    inSync: 0,
+    drifted: 0,
+    totalDrift: 0,
+    openingBalances: 0,
+    fixed: 0,
+    report: [],
+  };
+
+  const balances = await getLedgerBalances();
+  const users = User.find().select("name email points ecoLevel").cursor();
+
+  for await (const user of users) {
+    results.users += 1;
+    let ledger = balances.get(user._id.toString());
+
+    if (!ledger && openingBalances && user.points > 0) {
+      await PointsTransaction.create({
+        userId: user._id,
+        type: "credit",
+        amount: user.points,
+        balanceAfter: user.points,
+        sourceType: "opening_balance",
+        description: "Points balance before the ledger",
+      });
+      results.openingBalances += 1;
+      ledger = { balance: user.points, entries: 1 };
+    }
+
+    const ledgerBalance = ledger ? ledger.balance : 0;
+    const drift = user.points - ledgerBalance;
+
+    if (drift === 0) {
+      results.inSync += 1;
+      continue;
+    }
+
+    results.drifted += 1;
+    results.totalDrift += drift;
+
+    if (results.report.length < REPORT_LIMIT) {
+      results.report.push({
+        userId: user._id.toString(),
+        email: user.email,
+        points: user.points,
+        ledger: ledgerBalance,
+        drift,
+        entries: ledger ? ledger.entries : 0,
+      });
+    }
+
+    if (fix) {
+      // Only if the balance didn't change while we were looking
+      user.points = ledgerBalance;
+      user.updateEcoLevel();
+      const result = await User.updateOne(
+        { _id: user._id, points: ledgerBalance + drift },
+        { $set: { points: ledgerBalance, ecoLevel: user.ecoLevel } }
+      );
+      results.fixed += result.modifiedCount;
+    }
+  }
+
+  console.log(
+    `🧮 Checked ${results.users} users: ${results.inSync} in sync, ${results.drifted} drifted (total drift ${results.totalDrift} points)`
+  );
+  if (openingBalances) {
+    console.log(`📒 Wrote ${results.openingBalances} opening balances`);
+  }
+  if (results.report.length > 0) {
+    console.table(results.report);
+  }
+  if (fix) {
+    console.log(`🔧 Fixed ${results.fixed} balances`);
+  }
+
+  return results;
+};
+
+// Run the job
+const runJob = async () => {
+  try {
+    if (!mongoose.connection.readyState) {
+      await mongoose.connect(process.env.MONGO_URI);
+    }
+
+    const args = process.argv.slice(2);
+    await reconcilePoints({
+      openingBalances: args.includes("--opening-balances"),
+      fix: args.includes("--fix"),
+    });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error reconciling points:", error);
+    process.exit(1);
+  }
+};
+
+// Export for use in other files or run directly
+if (require.main === module) {
+  runJob();
+}
+
+module.exports = reconcilePoints;
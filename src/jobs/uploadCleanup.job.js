@@ -0,0 +1,74 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const Upload = require("../models/upload.model");
+const { deleteUploadFiles } = require("../utils/uploadUtils");
+
+// Uploads never attached to a claim or activity are removed after this long
+const MAX_AGE_HOURS = parseInt(process.env.UPLOAD_UNATTACHED_HOURS, 10) || 24;
+
+// Delete uploads (and their files) that were never attached to a claim or
+// activity. Each one is removed from the database first, so one that is
+// being attached at the same time is left alone. Run it from a scheduler
+// (e.g. hourly): `npm run jobs:upload-cleanup`
+const cleanupUnattachedUploads = async ({
+  maxAgeHours = MAX_AGE_HOURS,
+  limit = parseInt(process.env.UPLOAD_CLEANUP_BATCH, 10) || 500,
+} = {}) => {
+  const results = { removed: 0, failed: 0 };
+  const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+
+  const stale = await Upload.find({
+    "attachedTo.id": null,
+    createdAt: { $lt: cutoff },
+  })
+    .select("_id")
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  for (const { _id } of stale) {
+    const upload = await Upload.findOneAndDelete({
+      _id,
+      "attachedTo.id": null,
+    });
+    if (!upload) continue;
+
+    try {
+      await deleteUploadFiles(upload);
+      results.removed += 1;
+    } catch (error) {
+      // The record is gone; the file is only orphaned storage now
+      console.error(`Could not delete files of upload ${_id}:`, error.message);
+      results.failed += 1;
+    }
+  }
+
+  console.log(
+    `🧹 Removed ${results.removed} unattached uploads (${results.failed} with files left in storage)`
+  );
+
+  return results;
+};
+
+// Run the job
+const runJob = async () => {
+  try {
+    if (!mongoose.connection.readyState) {
+      await mongoose.connect(process.env.MONGO_URI);
+    }
+
+    await cleanupUnattachedUploads();
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error cleaning up uploads:", error);
+    process.exit(1);
+  }
+};
+
+// Export for use in other files or run directly
+if (require.main === module) {
+  runJob();
+}
+
+module.exports = cleanupUnattachedUploads;
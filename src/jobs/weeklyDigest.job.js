@@ -0,0 +1,169 @@
+require("dotenv").config();
+
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const DigestLog = require("../models/digestlog.model");
+const { sendTemplatedEmail } = require("../utils/emailUtils");
+const { renderEmail } = require("../utils/templateUtils");
+const {
+  getDigestWeek,
+  buildWeeklyDigest,
+  getDigestUnsubscribeUrl,
+} = require("../utils/digestUtils");
+
+// Short summary stored in the digest log
+const summarize = (digest) => ({
+  pointsEarned: digest.pointsEarned,
+  activitiesCount: digest.activitiesCount,
+  rewardsClaimed: digest.rewardsClaimed.length,
+  rank: digest.rank,
+  rankMovement: digest.rankMovement,
+  newRewards: digest.newRewards.length,
+});
+
+// Write a rendered digest to <outputDir>/<week>/<userId>.{html,txt,json}
+const writeDigest = async (outputDir, week, user, data) => {
+  const { subject, html, text } = renderEmail(
+    "weekly-digest",
+    { user: { name: user.name, email: user.email }, ...data },
+    user.locale
+  );
+  const directory = path.join(outputDir, week.start.toISOString().slice(0, 10));
+  const base = path.join(directory, user._id.toString());
+
+  await fs.mkdir(directory, { recursive: true });
+  await Promise.all([
+    fs.writeFile(`${base}.html`, html),
+    fs.writeFile(
+      `${base}.txt`,
+      `Subject: ${subject}\nTo: ${user.email}\n\n${text}`
+    ),
+    fs.writeFile(`${base}.json`, JSON.stringify(data, null, 2)),
+  ]);
+};
+
+// Email the weekly impact digest to every opted-in user. Each user gets at
+// most one digest per week, however often the job runs. Run it from a
+// scheduler once a week (e.g. Monday morning): `npm run jobs:weekly-digest`.
+// With `dryRun` nothing is sent or recorded; digests are written to disk.
+const sendWeeklyDigests = async ({
+  week = getDigestWeek(),
+  dryRun = false,
+  outputDir = process.env.DIGEST_OUTPUT_DIR ||
+    path.join(process.cwd(), ".digests"),
+} = {}) => {
+  const results = { users: 0, sent: 0, skipped: 0, alreadySent: 0, failed: 0 };
+
+  const users = User.find({
+    "notificationPreferences.digest": true,
+    isEmailVerified: true,
+  })
+    .select("name email locale points ecoLevel")
+    .cursor();
+
+  for await (const user of users) {
+    results.users += 1;
+
+    if (dryRun) {
+      const digest = await buildWeeklyDigest(user, week);
+
+      if (digest.isEmpty) {
+        results.skipped += 1;
+      } else {
+        await writeDigest(outputDir, week, user, {
+          ...digest,
+          unsubscribeUrl: getDigestUnsubscribeUrl(user),
+        });
+        results.sent += 1;
+      }
+      continue;
+    }
+
+    const log = await DigestLog.claim(user._id, week.start);
+    if (!log) {
+      results.alreadySent += 1;
+      continue;
+    }
+
+    try {
+      const digest = await buildWeeklyDigest(user, week);
+      log.summary = summarize(digest);
+
+      if (digest.isEmpty) {
+        // Nothing to report: don't send an empty email
+        log.status = "skipped";
+        results.skipped += 1;
+      } else {
+        const email = await sendTemplatedEmail(user, "weekly-digest", {
+          ...digest,
+          unsubscribeUrl: getDigestUnsubscribeUrl(user),
+        });
+
+        log.status = "sent";
+        log.emailId = email._id;
+        log.sentAt = new Date();
+        results.sent += 1;
+      }
+
+      log.lastError = undefined;
+    } catch (error) {
+      console.error(`Error sending weekly digest to ${user.email}:`, error);
+      log.status = "failed";
+      log.lastError = error.message;
+      results.failed += 1;
+    }
+
+    log.lockedUntil = undefined;
+    await log.save();
+  }
+
+  console.log(
+    `📰 Weekly digest for ${week.start.toISOString().slice(0, 10)}${
+      dryRun ? ` (dry run, written to ${outputDir})` : ""
+    }: ${results.users} users, ${results.sent} sent, ${
+      results.skipped
+    } skipped, ${results.alreadySent} already sent, ${results.failed} failed`
+  );
+
+  return results;
+};
+
+// Run the job. Options: --dry-run (or DIGEST_DRY_RUN=true) and
+// --week=YYYY-MM-DD to send the digest for the week before that date.
+const runJob = async () => {
+  try {
+    const args = process.argv.slice(2);
+    const weekArg = args.find((arg) => arg.startsWith("--week="));
+    const week = weekArg
+      ? getDigestWeek(new Date(weekArg.split("=")[1]))
+      : getDigestWeek();
+
+    if (isNaN(week.start.getTime())) {
+      throw new Error(`Invalid date in ${weekArg}`);
+    }
+
+    if (!mongoose.connection.readyState) {
+      await mongoose.connect(process.env.MONGO_URI);
+    }
+
+    await sendWeeklyDigests({
+      week,
+      dryRun:
+        args.includes("--dry-run") || process.env.DIGEST_DRY_RUN === "true",
+    });
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error sending weekly digests:", error);
+    process.exit(1);
+  }
+};
+
+// Export for use in other files or run directly
+if (require.main === module) {
+  runJob();
+}
+
+module.exports = sendWeeklyDigests;
@@ -1,20 +1,103 @@
 const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const User = require("../models/user.model");
+const Partner = require("../models/partner.model");
+const Session = require("../models/session.model");
+const {
+  isClerkToken,
+  verifyClerkSessionToken,
+  resolveClerkUser,
+} = require("../utils/clerkUtils");
+
+// Load the session a token was issued for; tokens issued before sessions
+// existed carry no session id and are accepted until they expire
+const findActiveSession = async (decoded) => {
+  // Purpose-bound tokens (e.g. two-factor challenges) are not access tokens
+  if (decoded.purpose) return { valid: false, session: null };
+
+  if (!decoded.sid) return { valid: true, session: null };
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    userId: decoded.id,
+  });
+
+  if (!session || !session.isActive) return { valid: false, session: null };
+  return { valid: true, session };
+};
 
-const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
-  // Check for token in headers or cookies
+// Get the token from the Authorization header, our cookie or Clerk's
+// session cookie
+const getRequestToken = (req) => {
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
   ) {
-    token = req.headers.authorization.split(" ")[1];
-  } else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
+    return req.headers.authorization.split(" ")[1];
+  }
+
+  if (req.cookies && req.cookies.token) return req.cookies.token;
+  if (req.cookies && req.cookies.__session) return req.cookies.__session;
+
+  return null;
+};
+
+// Authenticate one of our own access tokens
+const authenticateJwt = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return { error: "User not found" };
   }
 
+  const { valid, session } = await findActiveSession(decoded);
+
+  // Tokens issued before a password change are no longer valid
+  if (user.changedPasswordAfter(decoded.iat, session)) {
+    return { error: "Password was changed. Please log in again" };
+  }
+
+  // Tokens of signed-out sessions are no longer valid
+  if (!valid) {
+    return { error: "Session has been signed out. Please log in again" };
+  }
+
+  return { user, session };
+};
+
+// Authenticate a Clerk session token and resolve (or create) our user
+const authenticateClerk = async (token) => {
+  const claims = await verifyClerkSessionToken(token);
+  const { user, status, error, linkRequired } = await resolveClerkUser(
+    claims.sub
+  );
+
+  if (!user) {
+    return { status, error, linkRequired };
+  }
+
+  // Our two-factor requirement can't be checked through Clerk
+  if (user.requiresTwoFactor()) {
+    return {
+      status: 403,
+      error: "This account requires two-factor sign-in with email and password",
+    };
+  }
+
+  return {
+    user,
+    clerkAuth: { userId: claims.sub, sessionId: claims.sid, claims },
+  };
+};
+
+// Authenticate the request with either kind of token
+const authenticate = (token) =>
+  isClerkToken(token) ? authenticateClerk(token) : authenticateJwt(token);
+
+const protect = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
+
   if (!token) {
     return res.status(401).json({
       success: false,
@@ -22,25 +105,38 @@ const protect = asyncHandler(async (req, res, next) => {
     });
   }
 
+  let result;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    req.user = await User.findById(decoded.id);
-
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: "User not found",
-      });
-    }
-
-    next();
+    result = await authenticate(token);
   } catch (error) {
     return res.status(401).json({
       success: false,
       error: "Not authorized to access this route",
     });
   }
+
+  if (!result.user) {
+    return res.status(result.status || 401).json({
+      success: false,
+      error: result.error,
+      // Tells the client to start the account linking flow
+      ...(result.linkRequired && { linkRequired: true }),
+    });
+  }
+
+  req.user = result.user;
+
+  if (result.session) {
+    req.authSession = result.session;
+    await result.session.touch(req.ip);
+  }
+
+  // Same shape Clerk's own middleware uses, for the Clerk controllers
+  if (result.clerkAuth) {
+    req.auth = result.clerkAuth;
+  }
+
+  next();
 });
 
 // Grant access to specific roles
@@ -64,28 +160,62 @@ const authorize = (...roles) => {
   };
 };
 
-// Optional authentication middleware - doesn't fail if no token
-const optionalAuth = asyncHandler(async (req, res, next) => {
-  let token;
+// Resolve the partner a point-of-sale request acts for (req.partner): partner
+// staff always act for their own partner, admins name one with partnerId in
+// the body or query. Use after authorize("partner_staff", "admin").
+const partnerScope = asyncHandler(async (req, res, next) => {
+  const partnerId =
+    req.user.role === "partner_staff"
+      ? req.user.partnerId
+      : req.body?.partnerId || req.query.partnerId;
+
+  if (!partnerId) {
+    return res.status(req.user.role === "partner_staff" ? 403 : 400).json({
+      success: false,
+      error:
+        req.user.role === "partner_staff"
+          ? "Your account is not linked to a partner"
+          : "Partner ID is required",
+    });
+  }
 
-  // Check for token in headers or cookies
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    token = req.headers.authorization.split(" ")[1];
-  } else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
+  const partner = await Partner.findById(partnerId).catch(() => null);
+  if (!partner) {
+    return res.status(404).json({
+      success: false,
+      error: "Partner not found",
+    });
+  }
+
+  if (!partner.isEligibleForRewards()) {
+    return res.status(403).json({
+      success: false,
+      error: "Partner is not verified and active",
+    });
   }
 
+  req.partner = partner;
+  next();
+});
+
+// Optional authentication middleware - doesn't fail if no token
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
+
   // If no token, continue without setting req.user
   if (!token) {
     return next();
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
+    // Ignore tokens issued before a password change or for revoked sessions
+    const result = await authenticate(token);
+
+    if (result.user) {
+      req.user = result.user;
+      if (result.session) req.authSession = result.session;
+      if (result.clerkAuth) req.auth = result.clerkAuth;
+    }
 
     // Continue regardless of whether user was found
     next();
@@ -95,4 +225,10 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   }
 });
 
-module.exports = { protect, authorize, optionalAuth };
+module.exports = {
+  protect,
+  authorize,
+  partnerScope,
+  optionalAuth,
+  getRequestToken,
+};
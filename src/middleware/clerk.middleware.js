@@ -1,6 +1,11 @@
 const { ClerkExpressRequireAuth } = require("@clerk/clerk-sdk-node");
-const User = require("../models/user.model");
 const asyncHandler = require("express-async-handler");
+const {
+  isClerkToken,
+  verifyClerkSessionToken,
+  resolveClerkUser,
+} = require("../utils/clerkUtils");
+const { getRequestToken } = require("./auth.middleware");
 
 // Clerk authentication middleware
 const requireAuth = ClerkExpressRequireAuth();
@@ -12,23 +17,16 @@ const syncUser = asyncHandler(async (req, res, next) => {
     return next();
   }
 
-  const { userId, sessionId } = req.auth;
+  const { userId } = req.auth;
 
-  // Find user in our database
-  let user = await User.findOne({ clerkId: userId });
+  // Find (or link/create) the user in our database
+  const { user, status, error, linkRequired } = await resolveClerkUser(userId);
 
-  // If user doesn't exist, create a new one
   if (!user) {
-    user = await User.create({
-      clerkId: userId,
-      name: req.auth.name || "New User",
-      email: req.auth.email || "unknown@example.com",
-      password:
-        Math.random().toString(36).substring(2) + Date.now().toString(36),
-      // Default values
-      role: "user",
-      points: 0,
-      ecoLevel: "beginner",
+    return res.status(status).json({
+      success: false,
+      error,
+      ...(linkRequired && { linkRequired: true }),
     });
   }
 
@@ -37,4 +35,29 @@ const syncUser = asyncHandler(async (req, res, next) => {
   next();
 });
 
-module.exports = { requireAuth, syncUser };
+// Require a valid Clerk session without resolving our user (used by the
+// account linking flow, where there is no user to resolve yet)
+const requireClerkSession = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
+
+  if (!token || !isClerkToken(token)) {
+    return res.status(401).json({
+      success: false,
+      error: "A Clerk session is required",
+    });
+  }
+
+  try {
+    const claims = await verifyClerkSessionToken(token);
+    req.auth = { userId: claims.sub, sessionId: claims.sid, claims };
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: "Not authorized to access this route",
+    });
+  }
+
+  next();
+});
+
+module.exports = { requireAuth, syncUser, requireClerkSession };
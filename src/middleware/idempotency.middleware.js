@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const asyncHandler = require("express-async-handler");
+const IdempotencyKey = require("../models/idempotencykey.model");
+
+// Responses that are worth replaying. Server errors and rate limits are not
+// stored, so the client can retry them with the same key.
+const isReplayable = (statusCode) => statusCode < 500 && statusCode !== 429;
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(JSON.stringify(req.body || {}))
+    .digest("hex");
+
+// Make a route safe to retry: requests with an "Idempotency-Key" header run
+// once per user and key; retries get the original response back (with an
+// "Idempotency-Replayed: true" header). Requests without the header run as
+// usual unless `required` is set. Use after `protect`.
+const idempotent = ({ required = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+
+    if (!key) {
+      if (!required) return next();
+
+      return res.status(400).json({
+        success: false,
+        error: "Idempotency-Key header is required",
+      });
+    }
+
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Idempotency-Key must be 1 to 255 printable characters without spaces",
+      });
+    }
+
+    const requestHash = hashRequest(req);
+    const { record, existing } = await IdempotencyKey.begin({
+      key,
+      userId: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+    });
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: "Idempotency-Key was already used for a different request",
+        });
+      }
+
+      if (existing.status === "processing") {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          success: false,
+          error: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      res.set("Idempotency-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before it is sent, so a retry that arrives right
+    // after it sees the result
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const saved = isReplayable(res.statusCode)
+        ? record.complete(
+            res.statusCode,
+            JSON.parse(JSON.stringify(body ?? null))
+          )
+        : record.deleteOne();
+
+      saved
+        .catch((error) =>
+          console.error(`Error saving Idempotency-Key ${key}:`, error)
+        )
+        .then(() => json(body));
+
+      return res;
+    };
+
+    next();
+  });
+
+module.exports = { idempotent };
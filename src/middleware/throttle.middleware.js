@@ -0,0 +1,35 @@
+const asyncHandler = require("express-async-handler");
+const {
+  checkThrottle,
+  recordFailure,
+  sendThrottledResponse,
+} = require("../utils/throttleUtils");
+
+// Limit requests that send email to an address (e.g. resend verification).
+// Every request counts, per target email and per IP.
+const limitEmailRequests = (action) =>
+  asyncHandler(async (req, res, next) => {
+    const email = req.body?.email;
+    const entries = [[`${action}:ip:${req.ip}`, "emailIp"]];
+
+    if (typeof email === "string" && email.trim()) {
+      entries.push([`${action}:email:${email.trim().toLowerCase()}`, "email"]);
+    }
+
+    const status = await checkThrottle(entries);
+    if (!status.allowed) {
+      return sendThrottledResponse(
+        res,
+        status,
+        `Too many requests. Please try again in ${status.retryAfter} seconds`
+      );
+    }
+
+    await Promise.all(
+      entries.map(([key, policyName]) => recordFailure(key, policyName))
+    );
+
+    next();
+  });
+
+module.exports = { limitEmailRequests };
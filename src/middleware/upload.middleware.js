@@ -0,0 +1,45 @@
+const multer = require("multer");
+const { MAX_UPLOAD_BYTES } = require("../utils/uploadUtils");
+
+// Files are kept in memory: they are checked and re-encoded before anything
+// is written to storage
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1,
+    fields: 10,
+  },
+});
+
+// Parse a multipart request with one file in `field` (req.file). Upload
+// errors become 400/413 responses.
+const uploadSingle = (field = "file") => {
+  const handler = parser.single(field);
+
+  return (req, res, next) =>
+    handler(req, res, (error) => {
+      if (!error) return next();
+
+      if (!(error instanceof multer.MulterError)) return next(error);
+
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          success: false,
+          error: `File is too large (max ${
+            Math.round((MAX_UPLOAD_BYTES / (1024 * 1024)) * 10) / 10
+          } MB)`,
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        error:
+          error.code === "LIMIT_UNEXPECTED_FILE"
+            ? `Send one file in the "${field}" field`
+            : error.message,
+      });
+    });
+};
+
+module.exports = { uploadSingle };
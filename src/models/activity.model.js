@@ -57,6 +57,14 @@ const ActivitySchema = new mongoose.Schema(
     metadata: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // Photos the user uploaded as evidence (POST /api/v1/uploads/activity-evidence)
+    evidenceUploadIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Upload" }],
+      validate: {
+        validator: (ids) => ids.length <= 5,
+        message: "An activity can have at most 5 evidence files",
+      },
+    },
     status: {
       type: String,
       enum: ["pending", "completed", "verified"],
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// How long a worker holds a digest it is sending before others may retry it
+const LEASE_MS = 10 * 60 * 1000;
+
+// One entry per user and digest week, so a rerun of the job never sends the
+// same week twice
+const DigestLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Monday 00:00 UTC of the week the digest covers
+    weekStart: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sending", "sent", "skipped", "failed"],
+      default: "sending",
+    },
+    lockedUntil: Date,
+    emailId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailOutbox",
+    },
+    // What was in the digest
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DigestLogSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+
+// Claim the digest for a user and week. Returns the log to fill in, or null
+// when it was already sent, skipped, or is being sent by another worker.
+DigestLogSchema.statics.claim = async function (userId, weekStart) {
+  const lockedUntil = new Date(Date.now() + LEASE_MS);
+
+  try {
+    return await this.create({ userId, weekStart, lockedUntil });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Retry failed sends and sends abandoned by a crashed worker
+  return this.findOneAndUpdate(
+    {
+      userId,
+      weekStart,
+      $or: [
+        { status: "failed" },
+        { status: "sending", lockedUntil: { $lte: new Date() } },
+      ],
+    },
+    { $set: { status: "sending", lockedUntil } },
+    { new: true }
+  );
+};
+
+module.exports =
+  mongoose.models.DigestLog || mongoose.model("DigestLog", DigestLogSchema);
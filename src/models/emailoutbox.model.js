@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+const { getTransport } = require("../utils/mailTransportUtils");
+
+// Minutes to wait before each retry; after the last one the email is failed
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+
+// How long a worker holds an email it is sending before others may retry it
+const LEASE_MS = 5 * 60 * 1000;
+
+// Every outgoing email is stored here first, so a send that fails (e.g. SMTP
+// unreachable) is retried instead of lost
+const EmailOutboxSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: String,
+    html: String,
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+    messageId: String,
+    transport: String,
+    sentAt: Date,
+    // Old entries are removed by MongoDB
+    expiresAt: {
+      type: Date,
+      default: () => Date.now() + 7 * 24 * 60 * 60 * 1000,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailOutboxSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Try to send the email once and record the outcome
+EmailOutboxSchema.methods.attemptDelivery = async function () {
+  const transport = getTransport();
+  this.attempts += 1;
+
+  try {
+    const info = await transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: this.subject,
+      text: this.text,
+      html: this.html,
+    });
+
+    this.status = "sent";
+    this.sentAt = new Date();
+    this.messageId = info.messageId;
+    this.transport = transport.name || "smtp";
+    this.lastError = undefined;
+
+    // Sent emails may contain sign-in links; only keep bodies outside production
+    if (process.env.NODE_ENV === "production") {
+      this.text = undefined;
+      this.html = undefined;
+    }
+  } catch (error) {
+    this.lastError = error.message;
+
+    const delay = RETRY_DELAYS_MINUTES[this.attempts - 1];
+    if (delay === undefined) {
+      this.status = "failed";
+    } else {
+      this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    }
+  }
+
+  await this.save();
+  return this;
+};
+
+// Store an email and try to send it right away. A failed attempt is left
+// pending for processPending to retry.
+EmailOutboxSchema.statics.queue = async function (mailOptions, type) {
+  const email = await this.create({
+    type,
+    from: mailOptions.from,
+    to: mailOptions.to,
+    subject: mailOptions.subject,
+    text: mailOptions.text,
+    html: mailOptions.html,
+    // Keep the retry worker away while we send
+    nextAttemptAt: new Date(Date.now() + LEASE_MS),
+  });
+
+  return email.attemptDelivery();
+};
+
+// Retry pending emails that are due. Each one is leased first so concurrent
+// workers don't send it twice. Returns counts per outcome.
+EmailOutboxSchema.statics.processPending = async function (limit = 50) {
+  const results = { processed: 0, sent: 0, failed: 0, pending: 0 };
+
+  while (results.processed < limit) {
+    const now = new Date();
+    const email = await this.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!email) break;
+
+    await email.attemptDelivery();
+    results.processed += 1;
+    results[email.status] += 1;
+  }
+
+  return results;
+};
+
+module.exports =
+  mongoose.models.EmailOutbox ||
+  mongoose.model("EmailOutbox", EmailOutboxSchema);
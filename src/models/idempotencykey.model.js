@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+// How long a request holds its key before a retry may run it again
+const LEASE_MS = 60 * 1000;
+
+// Responses are replayed for retries made within this window
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// A request made with an Idempotency-Key header and, once it finished, the
+// response it got. Retries with the same key get that response again.
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: String,
+    path: String,
+    // Hash of the request, so a key can't be reused for a different one
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    lockedUntil: {
+      type: Date,
+      default: () => Date.now() + LEASE_MS,
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    completedAt: Date,
+    // Old keys are removed by MongoDB
+    expiresAt: {
+      type: Date,
+      default: () => Date.now() + RETENTION_MS,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a request with a key. Returns { record } when this request should
+// run, or { existing } when the key was already used.
+IdempotencyKeySchema.statics.begin = async function ({
+  key,
+  userId,
+  method,
+  path,
+  requestHash,
+}) {
+  try {
+    const record = await this.create({
+      key,
+      userId,
+      method,
+      path,
+      requestHash,
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Take over a request whose worker died before finishing
+  const record = await this.findOneAndUpdate(
+    {
+      userId,
+      key,
+      requestHash,
+      status: "processing",
+      lockedUntil: { $lte: new Date() },
+    },
+    { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } },
+    { new: true }
+  );
+  if (record) return { record };
+
+  return { existing: await this.findOne({ userId, key }) };
+};
+
+// Store the response so retries get it back
+IdempotencyKeySchema.methods.complete = function (statusCode, body) {
+  this.status = "completed";
+  this.responseStatus = statusCode;
+  this.responseBody = body;
+  this.completedAt = new Date();
+  this.lockedUntil = undefined;
+  return this.save();
+};
+
+module.exports =
+  mongoose.models.IdempotencyKey ||
+  mongoose.model("IdempotencyKey", IdempotencyKeySchema);
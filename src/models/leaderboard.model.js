@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const { queueNotification } = require("../utils/notificationUtils");
+
+// Ranks move on every points update; tell each user at most once a day
+const RANK_NOTIFICATION_INTERVAL_MS = 24 * 60 * 60 * 1000;
 
 const LeaderboardSchema = new mongoose.Schema(
   {
@@ -38,6 +42,11 @@ const LeaderboardSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Last time the user was notified about a rank change
+    rankNotifiedAt: {
+      type: Date,
+      default: null,
+    },
     // Track recent activities for points
     recentActivities: [
       {
@@ -91,28 +100,59 @@ LeaderboardSchema.statics.updateAllRankings = async function () {
     // Get all leaderboard entries sorted by points (descending)
     const entries = await this.find({}).sort({ totalPoints: -1 });
 
+    const now = Date.now();
+    const rankChanges = [];
+
     // Update rankings
-    const bulkOps = entries.map((entry, index) => ({
-      updateOne: {
-        filter: { _id: entry._id },
-        update: {
+    const bulkOps = entries.map((entry, index) => {
+      const update = {
+        previousRank: entry.currentRank,
+        currentRank: index + 1,
+        rankMovement: entry.currentRank
+          ? index + 1 < entry.currentRank
+            ? "up"
+            : index + 1 > entry.currentRank
+            ? "down"
+            : "none"
+          : "new",
+      };
+
+      // Collect rank changes for users not notified recently
+      const notifiedRecently =
+        entry.rankNotifiedAt &&
+        now - entry.rankNotifiedAt.getTime() < RANK_NOTIFICATION_INTERVAL_MS;
+
+      if (
+        entry.currentRank &&
+        entry.currentRank !== index + 1 &&
+        !notifiedRecently
+      ) {
+        update.rankNotifiedAt = new Date(now);
+        rankChanges.push({
+          userId: entry.userId,
           previousRank: entry.currentRank,
           currentRank: index + 1,
-          rankMovement: entry.currentRank
-            ? index + 1 < entry.currentRank
-              ? "up"
-              : index + 1 > entry.currentRank
-              ? "down"
-              : "none"
-            : "new",
+        });
+      }
+
+      return {
+        updateOne: {
+          filter: { _id: entry._id },
+          update,
         },
-      },
-    }));
+      };
+    });
 
     if (bulkOps.length > 0) {
       await this.bulkWrite(bulkOps);
     }
 
+    // Sent by a queued job: there may be many users to notify, and this runs
+    // inside requests (activity scans, Clerk sync). Never throws.
+    if (rankChanges.length > 0) {
+      await queueNotification("rank-changes", { changes: rankChanges });
+    }
+
     return { success: true, updatedCount: bulkOps.length };
   } catch (error) {
     throw new Error(`Failed to update rankings: ${error.message}`);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Failed-attempt counters for login throttling. Keys look like
+// "account:jane@example.com" or "ip:203.0.113.7".
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+      min: [0, "Failures cannot be negative"],
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove counters once the window has passed
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports =
+  mongoose.models.LoginAttempt ||
+  mongoose.model("LoginAttempt", LoginAttemptSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// In-app notifications (the user's inbox). Title and message are rendered in
+// the user's language when the notification is created.
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    type: {
+      type: String,
+      enum: [
+        "claim-receipt",
+        "claim-reversed",
+        "claim-verified",
+        "claim-rejected",
+        "eco-level-changed",
+        "rank-changed",
+        "featured-reward",
+        "voucher-issued",
+        "voucher-cancelled",
+      ],
+      required: [true, "Notification type is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      maxlength: [200, "Title cannot be more than 200 characters"],
+    },
+    message: {
+      type: String,
+      required: [true, "Message is required"],
+      maxlength: [1000, "Message cannot be more than 1000 characters"],
+    },
+    // Ids and values the client needs to link to the subject
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Channels the notification went out on (besides in-app)
+    channels: {
+      type: [String],
+      default: [],
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Inbox listing and unread counts
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+// Virtual for read state
+NotificationSchema.virtual("isRead").get(function () {
+  return Boolean(this.readAt);
+});
+
+NotificationSchema.set("toJSON", { virtuals: true });
+
+// Static method to count a user's unread notifications
+NotificationSchema.statics.getUnreadCount = function (userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+module.exports =
+  mongoose.models.Notification ||
+  mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+// Minutes to wait before each retry; after the last one the job is failed
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+// How long a worker holds a job it is running before others may retry it
+const LEASE_MS = 10 * 60 * 1000;
+
+// Notifications sent after the request that triggered them (claim receipts,
+// rank changes, featured reward announcements). They are stored first, so one that is cut
+// short (e.g. a serverless function frozen after the response) or fails is
+// retried by `npm run jobs:notifications` instead of lost. The handler for
+// each type lives in notificationUtils.
+const NotificationJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["claim-receipt", "rank-changes", "featured-reward"],
+      required: [true, "Job type is required"],
+    },
+    // Ids the handler loads its data from
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "done", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+    completedAt: Date,
+    // Old entries are removed by MongoDB
+    expiresAt: {
+      type: Date,
+      default: () => Date.now() + 7 * 24 * 60 * 60 * 1000,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Run the job once with its handler from `handlers` (keyed by type) and
+// record the outcome. A failing handler may narrow the payload to what is
+// left to send; the change is kept for the retry.
+NotificationJobSchema.methods.attempt = async function (handlers) {
+  this.attempts += 1;
+
+  try {
+    await handlers[this.type](this.payload);
+
+    this.status = "done";
+    this.completedAt = new Date();
+    this.lastError = undefined;
+  } catch (error) {
+    this.lastError = error.message;
+
+    const delay = RETRY_DELAYS_MINUTES[this.attempts - 1];
+    if (delay === undefined) {
+      this.status = "failed";
+    } else {
+      this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    }
+  }
+
+  this.markModified("payload");
+  await this.save();
+  return this;
+};
+
+// Store a job for the caller to run right away. It is leased to the caller,
+// so processPending only picks it up if that run doesn't finish.
+NotificationJobSchema.statics.enqueue = function (type, payload) {
+  return this.create({
+    type,
+    payload,
+    nextAttemptAt: new Date(Date.now() + LEASE_MS),
+  });
+};
+
+// Run pending jobs that are due. Each one is leased first so concurrent
+// workers don't send it twice. Returns counts per outcome.
+NotificationJobSchema.statics.processPending = async function (
+  handlers,
+  limit = 50
+) {
+  const results = { processed: 0, done: 0, failed: 0, pending: 0 };
+
+  while (results.processed < limit) {
+    const now = new Date();
+    const job = await this.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!job) break;
+
+    await job.attempt(handlers);
+    results.processed += 1;
+    results[job.status] += 1;
+  }
+
+  return results;
+};
+
+module.exports =
+  mongoose.models.NotificationJob ||
+  mongoose.model("NotificationJob", NotificationJobSchema);
@@ -0,0 +1,215 @@
+const mongoose = require("mongoose");
+
+// What moved the points
+const SOURCE_TYPES = [
+  "reward_claim",
+  "claim_reversal",
+  "qr_scan",
+  "activity",
+  "manual_adjustment",
+  "account_merge",
+  "opening_balance",
+  "redemption",
+  "redemption_refund",
+];
+
+// Append-only ledger of every change to a user's points. User.points is the
+// running balance of this ledger and only changes through `record`.
+const PointsTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    type: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+    // Always positive; `type` gives the direction
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    sourceType: {
+      type: String,
+      enum: SOURCE_TYPES,
+      required: [true, "Source type is required"],
+    },
+    // The claim, activity, etc. that moved the points
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    // Admin (or other user) who made a manual change
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+PointsTransactionSchema.index({ userId: 1, createdAt: -1 });
+// A source moves a user's points once in each direction
+PointsTransactionSchema.index(
+  { sourceType: 1, sourceId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $exists: true } } }
+);
+
+// Virtual for the signed change (+credit / -debit)
+PointsTransactionSchema.virtual("change").get(function () {
+  return this.type === "credit" ? this.amount : -this.amount;
+});
+
+PointsTransactionSchema.set("toJSON", { virtuals: true });
+
+// Entries are never changed or removed once written
+PointsTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Points transactions cannot be modified"));
+  }
+  next();
+});
+
+PointsTransactionSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function (next) {
+    next(new Error("Points transactions are append-only"));
+  }
+);
+
+// Move a user's points and write the ledger entry, in one transaction (the
+// caller's, when `session` is given). `amount` is signed; a debit never takes
+// the balance below zero, and the entry records what was actually taken.
+// With `requireBalance`, a debit larger than the balance fails instead (400,
+// with `details.balance`), e.g. when the user is spending points.
+// Returns { transaction, user } with the user's updated points and eco level.
+PointsTransactionSchema.statics.record = async function (
+  {
+    userId,
+    amount,
+    sourceType,
+    sourceId,
+    description,
+    createdBy,
+    requireBalance = false,
+  },
+  { session } = {}
+) {
+  if (!session) {
+    const ownSession = await mongoose.startSession();
+    let result;
+
+    try {
+      await ownSession.withTransaction(async () => {
+        result = await this.record(
+          {
+            userId,
+            amount,
+            sourceType,
+            sourceId,
+            description,
+            createdBy,
+            requireBalance,
+          },
+          { session: ownSession }
+        );
+      });
+    } finally {
+      await ownSession.endSession();
+    }
+
+    result.user.$session(null);
+    await result.user.notifyEcoLevelChange();
+    return result;
+  }
+
+  const User = mongoose.model("User");
+
+  const filter = { _id: userId };
+  if (requireBalance && amount < 0) {
+    filter.points = { $gte: -amount };
+  }
+
+  // Update the balance atomically, clamped at zero, and get the old one
+  const user = await User.findOneAndUpdate(
+    filter,
+    [{ $set: { points: { $max: [0, { $add: ["$points", amount] }] } } }],
+    { session }
+  );
+
+  if (!user) {
+    const existing =
+      filter.points &&
+      (await User.findById(userId).select("points").session(session));
+
+    const error = new Error(existing ? "Not enough points" : "User not found");
+    error.statusCode = existing ? 400 : 404;
+    if (existing) {
+      error.details = { balance: existing.points, required: -amount };
+    }
+    throw error;
+  }
+
+  const balanceBefore = user.points;
+  const balanceAfter = Math.max(0, balanceBefore + amount);
+  const change = balanceAfter - balanceBefore;
+
+  const [transaction] = await this.create(
+    [
+      {
+        userId,
+        type: amount >= 0 ? "credit" : "debit",
+        amount: Math.abs(change),
+        balanceAfter,
+        sourceType,
+        sourceId,
+        description,
+        createdBy,
+      },
+    ],
+    { session }
+  );
+
+  // Keep the eco level in step; the caller sends the level change
+  // notification (user.notifyEcoLevelChange()) once committed
+  user.points = balanceAfter;
+  const previousLevel = user.ecoLevel;
+  user.updateEcoLevel();
+  if (user.ecoLevel !== previousLevel) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { ecoLevel: user.ecoLevel } },
+      { session }
+    );
+  }
+
+  return { transaction, user };
+};
+
+PointsTransactionSchema.statics.SOURCE_TYPES = SOURCE_TYPES;
+
+module.exports =
+  mongoose.models.PointsTransaction ||
+  mongoose.model("PointsTransaction", PointsTransactionSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// A browser's Web Push subscription (from PushManager.subscribe())
+const PushSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // Push service URL; unique per browser and application server key
+    endpoint: {
+      type: String,
+      required: [true, "Endpoint is required"],
+      unique: true,
+    },
+    // Client keys used to encrypt payloads (base64url)
+    keys: {
+      p256dh: {
+        type: String,
+        required: [true, "p256dh key is required"],
+      },
+      auth: {
+        type: String,
+        required: [true, "auth secret is required"],
+      },
+    },
+    expirationTime: {
+      type: Date,
+      default: null,
+    },
+    userAgent: String,
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    // Consecutive failed sends; reset by a successful one
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PushSubscriptionSchema.index({ userId: 1 });
+
+// Hide the encryption keys from API responses
+PushSubscriptionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.keys;
+    return ret;
+  },
+});
+
+module.exports =
+  mongoose.models.PushSubscription ||
+  mongoose.model("PushSubscription", PushSubscriptionSchema);
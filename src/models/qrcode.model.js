@@ -1,5 +1,19 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
+const {
+  defaultPayloadExpiry,
+  signQRPayload,
+} = require("../utils/qrSigningUtils");
+const {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep,
+} = require("../utils/totpUtils");
+
+// Codes shown by rotating (dynamic) QR displays
+const DYNAMIC_CODE_DIGITS = 8;
 
 const QRCodeSchema = new mongoose.Schema(
   {
@@ -45,6 +59,38 @@ const QRCodeSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // When the code's signed payload stops being accepted. Codes created
+    // before payloads were signed expire QR_PAYLOAD_TTL_DAYS after creation.
+    expiresAt: {
+      type: Date,
+    },
+    // Rotating mode for check-in rewards: a display shows the QR code with a
+    // code that changes every `step` seconds, so a photo of it soon stops
+    // working
+    dynamic: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      step: {
+        type: Number,
+        default: 30,
+        min: [10, "Rotation interval must be at least 10 seconds"],
+        max: [300, "Rotation interval cannot be more than 300 seconds"],
+      },
+      // Codes this many steps old (or new) are still accepted, for slow
+      // scans and clock skew
+      window: {
+        type: Number,
+        default: 1,
+        min: [0, "Tolerance window cannot be negative"],
+        max: [4, "Tolerance window cannot be more than 4 steps"],
+      },
+    },
     location: {
       name: {
         type: String,
@@ -68,6 +114,18 @@ const QRCodeSchema = new mongoose.Schema(
           max: [180, "Longitude must be between -180 and 180"],
         },
       },
+      // GeoJSON copy of `coordinates` for nearby searches, kept in step by
+      // the pre-validate hook ([longitude, latitude])
+      point: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
     },
     lastScannedAt: {
       type: Date,
@@ -93,7 +151,24 @@ QRCodeSchema.index({ rewardId: 1, isActive: 1 });
 QRCodeSchema.index({ scanCount: -1 });
 QRCodeSchema.index({ lastScannedAt: -1 });
 // For geospatial queries
-QRCodeSchema.index({ "location.coordinates": "2dsphere" });
+QRCodeSchema.index({ "location.point": "2dsphere" });
+
+// GeoJSON point for a { latitude, longitude } pair (undefined if incomplete)
+const toGeoPoint = (coordinates) => {
+  const { latitude, longitude } = coordinates || {};
+  if (typeof latitude !== "number" || typeof longitude !== "number") {
+    return undefined;
+  }
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+// Keep the GeoJSON point in step with the latitude/longitude the API takes
+QRCodeSchema.pre("validate", function (next) {
+  if (this.isModified("location")) {
+    this.set("location.point", toGeoPoint(this.location?.coordinates));
+  }
+  next();
+});
 
 // Virtual for calculating conversion rate (successful claims / scans)
 QRCodeSchema.virtual("conversionRate").get(function () {
@@ -112,9 +187,106 @@ QRCodeSchema.virtual("scanUrl").get(function () {
     baseUrl = process.env.FRONTEND_URL || "http://localhost:3000";
   }
 
-  return `${baseUrl}/scan/${this.qrCode}`;
+  return `${baseUrl}/scan/${this.signedPayload}`;
 });
 
+// Virtual for the signed payload encoded in the QR code (see qrVerifyUtils)
+QRCodeSchema.virtual("signedPayload").get(function () {
+  return signQRPayload({
+    qrCode: this.qrCode,
+    partnerId: String(this.partnerId?._id || this.partnerId),
+    expiresAt: this.payloadExpiresAt,
+  });
+});
+
+QRCodeSchema.virtual("payloadExpiresAt").get(function () {
+  return this.expiresAt || defaultPayloadExpiry(this.createdAt || new Date());
+});
+
+// Virtual for a short code printed under the QR code, so people can tell
+// labels apart (first 8 hex digits of the id, e.g. "3F1C-2A9E")
+QRCodeSchema.virtual("shortCode").get(function () {
+  const hex = (this.qrCode || "").replace(/^qr_/, "").replace(/-/g, "");
+  return `${hex.slice(0, 4)}-${hex.slice(4, 8)}`.toUpperCase();
+});
+
+// Virtual for the API URL of the QR code's image (see GET /qr/:qrId/image)
+QRCodeSchema.virtual("imageUrl").get(function () {
+  const baseUrl = process.env.API_URL || "http://localhost:5000";
+  return `${baseUrl}/api/v1/qr/${this.qrCode}/image`;
+});
+
+// Turn rotating mode on or off. A secret is created when it's first turned
+// on; `rotateSecret` replaces it, which also invalidates display links.
+// Needs the document loaded with "+dynamic.secret".
+QRCodeSchema.methods.configureDynamic = function ({
+  enabled,
+  step,
+  window,
+  rotateSecret = false,
+}) {
+  this.dynamic.enabled = enabled;
+  if (step !== undefined) this.dynamic.step = step;
+  if (window !== undefined) this.dynamic.window = window;
+  if (rotateSecret || (enabled && !this.dynamic.secret)) {
+    this.dynamic.secret = generateSecret();
+  }
+  return this;
+};
+
+// The code a rotating display shows at `time`, with when it changes
+QRCodeSchema.methods.getDynamicCode = function (time = Date.now()) {
+  const { secret, step } = this.dynamic;
+  const counter = getTimeStep(time, step);
+
+  return {
+    code: generateTOTP(secret, { time, step, digits: DYNAMIC_CODE_DIGITS }),
+    issuedAt: new Date(counter * step * 1000),
+    expiresAt: new Date((counter + 1) * step * 1000),
+  };
+};
+
+// Check a code from a rotating display, within the tolerance window.
+// Returns the matched time step, or null if it is wrong or too old.
+QRCodeSchema.methods.verifyDynamicCode = function (code, time = Date.now()) {
+  const { secret, step, window } = this.dynamic;
+  if (!secret) return null;
+
+  return verifyTOTP(code, secret, {
+    time,
+    step,
+    window,
+    digits: DYNAMIC_CODE_DIGITS,
+  });
+};
+
+// Key in display links; changes when the secret is rotated
+QRCodeSchema.methods.getDisplayKey = function () {
+  return crypto
+    .createHmac("sha256", this.dynamic.secret)
+    .update("qr-display")
+    .digest("base64url");
+};
+
+QRCodeSchema.methods.isDisplayKey = function (key) {
+  if (!this.dynamic.secret || typeof key !== "string") return false;
+
+  const expected = Buffer.from(this.getDisplayKey());
+  const actual = Buffer.from(key);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Page a partner opens on the screen at the venue
+QRCodeSchema.methods.getDisplayUrl = function () {
+  const baseUrl = process.env.API_URL || "http://localhost:5000";
+  return `${baseUrl}/api/v1/qr/display/${
+    this.qrCode
+  }?key=${this.getDisplayKey()}`;
+};
+
 // Instance method to record a scan
 QRCodeSchema.methods.recordScan = async function (userId = null) {
   this.scanCount += 1;
@@ -150,9 +322,15 @@ QRCodeSchema.methods.recordSuccessfulClaim = async function () {
   return await this.save();
 };
 
-// Instance method to check if QR code is valid for scanning
-QRCodeSchema.methods.isValidForScanning = async function () {
+// Instance method to check if QR code is valid for scanning. The payload
+// expiry only applies when its signed payload was scanned (`signed`); codes
+// printed with a plain id before signing existed keep working while active.
+QRCodeSchema.methods.isValidForScanning = async function ({
+  signed = false,
+} = {}) {
   if (!this.isActive) return { valid: false, reason: "QR code is inactive" };
+  if (signed && this.payloadExpiresAt < new Date())
+    return { valid: false, reason: "QR code has expired" };
 
   // Check if associated reward is still available
   const Reward = mongoose.model("Reward");
@@ -180,7 +358,8 @@ QRCodeSchema.statics.generateBulkQRCodes = async function (
   partnerId,
   rewardId,
   quantity,
-  batchId = null
+  batchId = null,
+  expiresAt = null
 ) {
   if (!batchId) {
     const timestamp = new Date().toISOString().split("T")[0].replace(/-/g, "_");
@@ -194,6 +373,7 @@ QRCodeSchema.statics.generateBulkQRCodes = async function (
       rewardId,
       batchId,
       qrCode: `qr_${uuidv4()}`,
+      expiresAt: expiresAt || defaultPayloadExpiry(),
     });
   }
 
@@ -217,6 +397,8 @@ QRCodeSchema.statics.getTopPerformingQRCodes = function (limit = 10) {
     .limit(limit);
 };
 
+QRCodeSchema.statics.toGeoPoint = toGeoPoint;
+
 // Static method to find QR codes by location
 QRCodeSchema.statics.findByLocation = function (
   latitude,
@@ -225,7 +407,7 @@ QRCodeSchema.statics.findByLocation = function (
 ) {
   return this.find({
     isActive: true,
-    "location.coordinates": {
+    "location.point": {
       $near: {
         $geometry: {
           type: "Point",
@@ -239,5 +421,139 @@ QRCodeSchema.statics.findByLocation = function (
     .populate("rewardId", "title points category");
 };
 
+// Active rewards near a point, grouped by partner and nearest first. Only
+// claimable rewards of eligible partners are listed, once per place (not
+// per QR code), and QR code ids are left out so they can't be claimed from
+// the list.
+QRCodeSchema.statics.findNearbyRewards = function ({
+  latitude,
+  longitude,
+  radiusInKm = 10,
+  category,
+  limit = 20,
+}) {
+  const now = new Date();
+  const Reward = mongoose.model("Reward");
+  const Partner = mongoose.model("Partner");
+
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [longitude, latitude] },
+        key: "location.point",
+        distanceField: "distance",
+        maxDistance: radiusInKm * 1000,
+        spherical: true,
+        query: {
+          isActive: true,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: Reward.collection.name,
+        localField: "rewardId",
+        foreignField: "_id",
+        as: "reward",
+      },
+    },
+    { $unwind: "$reward" },
+    {
+      $match: {
+        "reward.isActive": true,
+        ...(category && { "reward.category": category }),
+        $and: [
+          {
+            $or: [
+              { "reward.expiryDate": null },
+              { "reward.expiryDate": { $gt: now } },
+            ],
+          },
+          {
+            $or: [
+              { "reward.totalMaxClaims": null },
+              {
+                $expr: {
+                  $lt: ["$reward.currentClaims", "$reward.totalMaxClaims"],
+                },
+              },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: Partner.collection.name,
+        localField: "partnerId",
+        foreignField: "_id",
+        as: "partner",
+      },
+    },
+    { $unwind: "$partner" },
+    {
+      $match: {
+        "partner.verificationStatus": "verified",
+        "partner.isActive": true,
+      },
+    },
+    // One entry per reward and place, however many codes are posted there
+    {
+      $group: {
+        _id: {
+          partner: "$partnerId",
+          reward: "$rewardId",
+          point: "$location.point.coordinates",
+        },
+        distance: { $min: "$distance" },
+        partner: { $first: "$partner" },
+        reward: { $first: "$reward" },
+        location: { $first: "$location" },
+      },
+    },
+    { $sort: { distance: 1 } },
+    {
+      $group: {
+        _id: "$_id.partner",
+        partner: { $first: "$partner" },
+        distance: { $min: "$distance" },
+        locations: {
+          $push: {
+            name: "$location.name",
+            address: "$location.address",
+            coordinates: "$location.coordinates",
+            distanceKm: { $round: [{ $divide: ["$distance", 1000] }, 2] },
+            reward: {
+              id: "$reward._id",
+              title: "$reward.title",
+              description: "$reward.description",
+              points: "$reward.points",
+              category: "$reward.category",
+              actionType: "$reward.actionType",
+            },
+          },
+        },
+      },
+    },
+    { $sort: { distance: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        partner: {
+          id: "$partner._id",
+          name: "$partner.name",
+          logo: "$partner.logo",
+          category: "$partner.category",
+          website: "$partner.website",
+        },
+        distanceKm: { $round: [{ $divide: ["$distance", 1000] }, 2] },
+        locations: 1,
+      },
+    },
+  ]);
+};
+
 module.exports =
   mongoose.models.QRCode || mongoose.model("QRCode", QRCodeSchema);
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+// An item in the redemption catalogue: something a partner offers in
+// exchange for points. Redeeming one issues a Voucher.
+const RedemptionItemSchema = new mongoose.Schema(
+  {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: [true, "Partner ID is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Please add a title"],
+      trim: true,
+      maxlength: [100, "Title cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [1000, "Description cannot be more than 1000 characters"],
+      trim: true,
+    },
+    pointsCost: {
+      type: Number,
+      required: [true, "Please add a points cost"],
+      min: [1, "Points cost must be at least 1"],
+    },
+    // Vouchers that can be issued in total; null for unlimited
+    stock: {
+      type: Number,
+      default: null,
+      min: [0, "Stock cannot be negative"],
+    },
+    // Vouchers currently taken from the stock (cancelled ones are returned)
+    issuedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxPerUser: {
+      type: Number,
+      default: null,
+      min: [1, "Max per user must be at least 1"],
+    },
+    // How long a voucher can be used at the partner after it is issued
+    voucherValidDays: {
+      type: Number,
+      default: 30,
+      min: [1, "Vouchers must be valid for at least 1 day"],
+      max: [365, "Vouchers cannot be valid for more than 365 days"],
+    },
+    terms: {
+      type: String,
+      maxlength: [500, "Terms cannot be more than 500 characters"],
+      trim: true,
+    },
+    imageUrl: {
+      type: String,
+      match: [
+        /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i,
+        "Please provide a valid image URL",
+      ],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RedemptionItemSchema.index({ isActive: 1, pointsCost: 1 });
+RedemptionItemSchema.index({ partnerId: 1, isActive: 1 });
+
+// Virtual for the vouchers left; null when the stock is unlimited
+RedemptionItemSchema.virtual("remainingStock").get(function () {
+  if (this.stock === null || this.stock === undefined) return null;
+  return Math.max(0, this.stock - this.issuedCount);
+});
+
+// Virtual for whether a voucher can be issued right now
+RedemptionItemSchema.virtual("isAvailable").get(function () {
+  return this.isActive && this.remainingStock !== 0;
+});
+
+RedemptionItemSchema.set("toJSON", { virtuals: true });
+
+// Take one voucher from the stock, if the item is active and any are left.
+// Returns whether one was taken.
+RedemptionItemSchema.statics.takeStock = async function (itemId, { session }) {
+  const result = await this.updateOne(
+    {
+      _id: itemId,
+      isActive: true,
+      $expr: {
+        $lt: ["$issuedCount", { $ifNull: ["$stock", Number.MAX_SAFE_INTEGER] }],
+      },
+    },
+    { $inc: { issuedCount: 1 } },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Put a voucher back in the stock (when it is cancelled)
+RedemptionItemSchema.statics.returnStock = function (itemId, { session }) {
+  return this.updateOne(
+    { _id: itemId, issuedCount: { $gt: 0 } },
+    { $inc: { issuedCount: -1 } },
+    { session }
+  );
+};
+
+module.exports =
+  mongoose.models.RedemptionItem ||
+  mongoose.model("RedemptionItem", RedemptionItemSchema);
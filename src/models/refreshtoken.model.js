@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // Only the SHA-256 hash of the token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token rotated from the same login shares a session
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: [true, "Session ID is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "user-revoked",
+        "signed-out-everywhere",
+        "reuse-detected",
+        "password-reset",
+      ],
+    },
+    replacedByHash: {
+      type: String,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: [500, "User agent cannot be more than 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+RefreshTokenSchema.index({ sessionId: 1, revokedAt: 1 });
+// Let MongoDB remove tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw refresh token
+RefreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Static method to revoke every active token of one or more sessions
+RefreshTokenSchema.statics.revokeSession = function (sessionIds, reason) {
+  return this.updateMany(
+    { sessionId: { $in: [].concat(sessionIds) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports =
+  mongoose.models.RefreshToken ||
+  mongoose.model("RefreshToken", RefreshTokenSchema);
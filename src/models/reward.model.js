@@ -38,6 +38,11 @@ const mongoose = require("mongoose");
  *           type: string
  *           enum: [purchase, recycle, participate, survey, check-in, photo-proof, other]
  *           description: Specific type of action required
+ *         proofType:
+ *           type: string
+ *           enum: [none, photo, receipt, survey]
+ *           default: none
+ *           description: Proof users must submit; claims then wait for admin review
  *         maxClaimsPerUser:
  *           type: number
  *           default: 1
@@ -48,7 +53,7 @@ const mongoose = require("mongoose");
  *         currentClaims:
  *           type: number
  *           default: 0
- *           description: Current number of times this reward has been claimed
+ *           description: Claims taken so far, including pending claims awaiting review or confirmation
  *         expiryDate:
  *           type: string
  *           format: date-time
@@ -148,6 +153,13 @@ const RewardSchema = new mongoose.Schema(
         "other",
       ],
     },
+    // Proof users must submit with a claim ("photo-proof" rewards always need
+    // a photo)
+    proofType: {
+      type: String,
+      enum: ["none", "photo", "receipt", "survey"],
+      default: "none",
+    },
     maxClaimsPerUser: {
       type: Number,
       default: 1,
@@ -236,6 +248,28 @@ RewardSchema.virtual("isAvailable").get(function () {
   return this.isActive && !this.isExpired && !this.isMaxedOut;
 });
 
+// Virtual for checking if reward is featured and can be claimed
+RewardSchema.virtual("isFeatured").get(function () {
+  return this.priority === "featured" && this.isAvailable;
+});
+
+// Virtual for the proof a claim needs ("none" when it needs none)
+RewardSchema.virtual("requiredProof").get(function () {
+  if (this.proofType && this.proofType !== "none") return this.proofType;
+  return this.actionType === "photo-proof" ? "photo" : "none";
+});
+
+// Virtual for rewards whose claims wait for an admin to review the proof
+RewardSchema.virtual("requiresProof").get(function () {
+  return this.requiredProof !== "none";
+});
+
+// Virtual for rewards that partner staff have to confirm in store: the
+// shopper's scan only starts a pending claim
+RewardSchema.virtual("requiresStaffConfirmation").get(function () {
+  return ["purchase", "check-in"].includes(this.actionType);
+});
+
 // Instance method to check if user can claim this reward
 RewardSchema.methods.canUserClaim = function (userClaimCount = 0) {
   if (!this.isAvailable) return false;
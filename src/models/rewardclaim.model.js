@@ -1,4 +1,22 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const PointsTransaction = require("./pointstransaction.model");
+const Upload = require("./upload.model");
+const { notify } = require("../utils/notificationUtils");
+
+// Claims that partner staff confirm in store get a short code the shopper
+// shows at the till. It is only valid for a few minutes, so a photo of a
+// poster's QR code isn't enough to claim.
+const CONFIRMATION_CODE_DIGITS = 6;
+const CONFIRMATION_CODE_TTL_MS = 10 * 60 * 1000;
+
+// Error for a claim that isn't allowed; `details` are added to the response
+const claimError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
 
 /**
  * @swagger
@@ -38,7 +56,7 @@ const mongoose = require("mongoose");
  *           description: Status of the reward claim
  *         claimMethod:
  *           type: string
- *           enum: [qr-scan, manual, bulk-import, referral]
+ *           enum: [qr-scan, dynamic-qr, manual, bulk-import, referral]
  *           default: qr-scan
  *           description: How the reward was claimed
  *         metadata:
@@ -77,13 +95,33 @@ const mongoose = require("mongoose");
  *               enum: [photo, receipt, survey, none]
  *             proofUrl:
  *               type: string
- *               description: URL to uploaded proof file
+ *               description: URL to uploaded proof file (older claims)
+ *             proofUploadId:
+ *               type: string
+ *               description: Reference to the uploaded proof file
  *             verifiedBy:
  *               type: string
- *               description: Admin user who verified the claim
+ *               description: Admin or partner staff user who verified the claim
  *             verifiedAt:
  *               type: string
  *               format: date-time
+ *             rejectedBy:
+ *               type: string
+ *               description: Admin user who rejected the proof
+ *             rejectedAt:
+ *               type: string
+ *               format: date-time
+ *             rejectionReason:
+ *               type: string
+ *         confirmation:
+ *           type: object
+ *           description: Code partner staff confirm a pending in-store claim with
+ *           properties:
+ *             code:
+ *               type: string
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
  *         claimedAt:
  *           type: string
  *           format: date-time
@@ -149,7 +187,7 @@ const RewardClaimSchema = new mongoose.Schema(
     },
     claimMethod: {
       type: String,
-      enum: ["qr-scan", "manual", "bulk-import", "referral"],
+      enum: ["qr-scan", "dynamic-qr", "manual", "bulk-import", "referral"],
       default: "qr-scan",
     },
     metadata: {
@@ -205,6 +243,11 @@ const RewardClaimSchema = new mongoose.Schema(
         type: String,
         match: [/^https?:\/\/.+/, "Please provide a valid URL for proof"],
       },
+      // Uploaded proof (see POST /api/v1/uploads/claim-proof)
+      proofUploadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Upload",
+      },
       verifiedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
@@ -212,6 +255,28 @@ const RewardClaimSchema = new mongoose.Schema(
       verifiedAt: {
         type: Date,
       },
+      rejectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rejectedAt: {
+        type: Date,
+      },
+      rejectionReason: {
+        type: String,
+        maxlength: [500, "Rejection reason cannot be more than 500 characters"],
+      },
+    },
+    // Pending claims hold one of the reward's totalMaxClaims from the
+    // moment they are made, so they can't complete past the cap
+    capacityReserved: {
+      type: Boolean,
+      default: false,
+    },
+    // Code for partner staff to confirm a pending claim with
+    confirmation: {
+      code: String,
+      expiresAt: Date,
     },
     claimedAt: {
       type: Date,
@@ -234,11 +299,29 @@ const RewardClaimSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 RewardClaimSchema.index({ userId: 1, rewardId: 1 }); // For checking user's previous claims
-RewardClaimSchema.index({ userId: 1, qrCodeId: 1 }, { unique: true }); // Prevent duplicate claims
+// Prevent duplicate claims. Rejected (failed) and reversed claims don't
+// count, so the user can claim again, e.g. with better proof.
+RewardClaimSchema.index(
+  { userId: 1, qrCodeId: 1 },
+  {
+    unique: true,
+    name: "userId_1_qrCodeId_1_active",
+    partialFilterExpression: { status: { $in: ["pending", "completed"] } },
+  }
+);
 RewardClaimSchema.index({ partnerId: 1, claimedAt: -1 }); // For partner analytics
 RewardClaimSchema.index({ status: 1, claimedAt: -1 }); // For admin monitoring
 RewardClaimSchema.index({ claimedAt: -1 }); // For recent claims
 RewardClaimSchema.index({ rewardId: 1, claimedAt: -1 }); // For reward analytics
+RewardClaimSchema.index({
+  "verificationData.requiresProof": 1,
+  status: 1,
+  claimedAt: 1,
+}); // For the proof review queue
+RewardClaimSchema.index(
+  { partnerId: 1, "confirmation.code": 1 },
+  { partialFilterExpression: { status: "pending" } }
+); // For staff confirming claims in store
 
 // Virtual for calculating time since claim
 RewardClaimSchema.virtual("timeSinceClaim").get(function () {
@@ -254,46 +337,561 @@ RewardClaimSchema.virtual("timeSinceClaim").get(function () {
   return "Less than an hour ago";
 });
 
-// Instance method to mark claim as verified
+// Take one of the reward's claims, failing when none are left. Runs in the
+// caller's transaction.
+const takeRewardClaim = async (reward, { session }) => {
+  const Reward = mongoose.model("Reward");
+
+  const taken = await Reward.updateOne(
+    {
+      _id: reward._id,
+      isActive: true,
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }],
+      $expr: {
+        $lt: [
+          "$currentClaims",
+          { $ifNull: ["$totalMaxClaims", Number.MAX_SAFE_INTEGER] },
+        ],
+      },
+    },
+    { $inc: { currentClaims: 1 } },
+    { session }
+  );
+  if (taken.modifiedCount === 0) {
+    throw claimError(400, "Reward has reached maximum claims");
+  }
+};
+
+// Give back the reward's claim a pending claim reserved
+const releaseRewardClaim = (claim, { session }) =>
+  mongoose
+    .model("Reward")
+    .updateOne(
+      { _id: claim.rewardId },
+      { $inc: { currentClaims: -1 } },
+      { session }
+    );
+
+// Move the points and counters for a claim that just completed: takes one
+// of the reward's claims unless the claim reserved it when it was made,
+// counts the QR code scan, credits the points through the ledger and adds
+// the reward to the user's claimed rewards. Runs in the caller's
+// transaction; returns the user.
+const applyCompletion = async (claim, reward, { session }) => {
+  const User = mongoose.model("User");
+  const QRCode = mongoose.model("QRCode");
+
+  if (!claim.capacityReserved) {
+    await takeRewardClaim(reward, { session });
+  }
+
+  await QRCode.updateOne(
+    { _id: claim.qrCodeId },
+    { $inc: { successfulClaims: 1 } },
+    { session }
+  );
+
+  // Credit the points through the ledger
+  const { user } = await PointsTransaction.record(
+    {
+      userId: claim.userId,
+      amount: claim.pointsAwarded,
+      sourceType: "reward_claim",
+      sourceId: claim._id,
+      description: `Claimed "${reward.title}"`,
+    },
+    { session }
+  );
+
+  await User.updateOne(
+    { _id: claim.userId },
+    {
+      $push: {
+        claimedRewards: {
+          rewardId: reward._id,
+          qrCodeId: claim.qrCodeId,
+          pointsAwarded: claim.pointsAwarded,
+          claimedAt: claim.claimedAt,
+        },
+      },
+    },
+    { session }
+  );
+
+  return user;
+};
+
+// A confirmation code not in use by another pending claim at the partner
+const generateConfirmationCode = async (RewardClaim, partnerId, session) => {
+  for (;;) {
+    const code = crypto
+      .randomInt(10 ** CONFIRMATION_CODE_DIGITS)
+      .toString()
+      .padStart(CONFIRMATION_CODE_DIGITS, "0");
+
+    const inUse = await RewardClaim.exists({
+      partnerId,
+      status: "pending",
+      "confirmation.code": code,
+      "confirmation.expiresAt": { $gt: new Date() },
+    }).session(session || null);
+
+    if (!inUse) {
+      return {
+        code,
+        expiresAt: new Date(Date.now() + CONFIRMATION_CODE_TTL_MS),
+      };
+    }
+  }
+};
+
+// Instance method to complete a pending claim: the claim, the user's points
+// and the claim counters are updated in one transaction, and only one
+// completion of a claim can succeed. `verifiedBy` is the admin or partner
+// staff member who confirmed it. Throws errors with a statusCode when the
+// claim can't be completed. Returns { claim, user }.
+RewardClaimSchema.methods.complete = async function ({
+  verifiedBy,
+  notes = null,
+} = {}) {
+  const Reward = mongoose.model("Reward");
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const claim = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: "pending" },
+        {
+          $set: {
+            status: "completed",
+            "verificationData.verifiedBy": verifiedBy,
+            "verificationData.verifiedAt": new Date(),
+            processedAt: new Date(),
+            ...(notes && { notes }),
+          },
+          $unset: { confirmation: "" },
+        },
+        { new: true, session }
+      );
+      if (!claim) {
+        throw claimError(400, "Only pending claims can be completed");
+      }
+
+      const reward = await Reward.findById(claim.rewardId).session(session);
+      if (!reward) {
+        throw claimError(404, "Associated reward not found");
+      }
+
+      const user = await applyCompletion(claim, reward, { session });
+      result = { claim, user };
+    });
+  } catch (error) {
+    // A concurrent claim of the same code got in first
+    if (error.code === 11000 && error.keyPattern?.qrCodeId) {
+      throw claimError(400, "You have already claimed this reward");
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  result.claim.$session(null);
+  result.user.$session(null);
+  await result.user.notifyEcoLevelChange();
+
+  return result;
+};
+
+// Instance method to give a pending claim a new confirmation code (when the
+// last one expired before the shopper got to the till)
+RewardClaimSchema.methods.refreshConfirmationCode = async function () {
+  const confirmation = await generateConfirmationCode(
+    this.constructor,
+    this.partnerId
+  );
+
+  const claim = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: "pending",
+      "verificationData.requiresProof": { $ne: true },
+    },
+    { $set: { confirmation } },
+    { new: true }
+  );
+  if (!claim) {
+    throw claimError(
+      400,
+      "Only pending in-store claims can get a confirmation code"
+    );
+  }
+
+  return claim;
+};
+
+// Instance method to mark claim as verified (completes a pending claim)
 RewardClaimSchema.methods.markAsVerified = async function (
   verifiedByUserId,
   notes = null
 ) {
-  this.verificationData.verifiedBy = verifiedByUserId;
-  this.verificationData.verifiedAt = new Date();
-  this.status = "completed";
-  if (notes) this.notes = notes;
+  const { claim, user } = await this.complete({
+    verifiedBy: verifiedByUserId,
+    notes,
+  });
+
+  // Let the user know their claim went through
+  const reward = await mongoose
+    .model("Reward")
+    .findById(claim.rewardId)
+    .select("title");
+
+  await notify(user, "claim-verified", {
+    params: {
+      reward: reward ? reward.title : "",
+      points: claim.pointsAwarded,
+    },
+    data: {
+      claimId: claim._id,
+      reward: reward ? reward.title : undefined,
+      points: claim.pointsAwarded,
+    },
+  });
+
+  return claim;
+};
+
+// Instance method to reject a pending claim (e.g. its proof doesn't hold
+// up). No points were awarded for it, so none move; the reward's claim it
+// reserved is given back, and the user is told why.
+RewardClaimSchema.methods.markAsRejected = async function (
+  rejectedByUserId,
+  reason
+) {
+  const session = await mongoose.startSession();
+  let claim;
+
+  try {
+    await session.withTransaction(async () => {
+      claim = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: "pending" },
+        {
+          $set: {
+            status: "failed",
+            "verificationData.rejectedBy": rejectedByUserId,
+            "verificationData.rejectedAt": new Date(),
+            "verificationData.rejectionReason": reason,
+            processedAt: new Date(),
+          },
+          $unset: { confirmation: "" },
+        },
+        { new: true, session }
+      );
+      if (!claim) {
+        throw claimError(400, "Only pending claims can be rejected");
+      }
+
+      if (claim.capacityReserved) {
+        await releaseRewardClaim(claim, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  claim.$session(null);
+
+  const [user, reward] = await Promise.all([
+    mongoose.model("User").findById(claim.userId),
+    mongoose.model("Reward").findById(claim.rewardId).select("title"),
+  ]);
+
+  if (user) {
+    await notify(user, "claim-rejected", {
+      params: {
+        reward: reward ? reward.title : "",
+        reason,
+      },
+      data: {
+        claimId: claim._id,
+        reward: reward ? reward.title : undefined,
+        reason,
+      },
+    });
+  }
 
-  return await this.save();
+  return claim;
 };
 
-// Instance method to reverse a claim
+// Instance method to reverse a claim. The claim and the counters it moved
+// are updated in one transaction; only one reversal of a claim can succeed.
 RewardClaimSchema.methods.reverseClaim = async function (reason = null) {
+  const User = mongoose.model("User");
+  const QRCode = mongoose.model("QRCode");
+  const Reward = mongoose.model("Reward");
+  const notes = reason ? `Reversed: ${reason}` : this.notes;
+
+  const session = await mongoose.startSession();
+  let user = null;
+
+  try {
+    await session.withTransaction(async () => {
+      user = null;
+
+      const previous = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: { $ne: "reversed" } },
+        { $set: { status: "reversed", notes } },
+        { session }
+      );
+
+      if (!previous) {
+        throw claimError(400, "Claim is already reversed");
+      }
+
+      // Failed claims never moved any counters, and pending ones only
+      // reserved one of the reward's claims
+      if (previous.status === "pending" && previous.capacityReserved) {
+        await releaseRewardClaim(previous, { session });
+      }
+      if (previous.status !== "completed") return;
+
+      // Deduct points from user through the ledger
+      if (await User.exists({ _id: this.userId }).session(session)) {
+        ({ user } = await PointsTransaction.record(
+          {
+            userId: this.userId,
+            amount: -this.pointsAwarded,
+            sourceType: "claim_reversal",
+            sourceId: this._id,
+            description: notes,
+          },
+          { session }
+        ));
+      }
+
+      await QRCode.updateOne(
+        { _id: this.qrCodeId },
+        { $inc: { successfulClaims: -1 } },
+        { session }
+      );
+      await Reward.updateOne(
+        { _id: this.rewardId },
+        { $inc: { currentClaims: -1 } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
   this.status = "reversed";
-  if (reason) this.notes = `Reversed: ${reason}`;
+  this.notes = notes;
 
-  // Deduct points from user
-  const User = mongoose.model("User");
-  const user = await User.findById(this.userId);
   if (user) {
-    user.points = Math.max(0, user.points - this.pointsAwarded);
-    user.updateEcoLevel();
-    await user.save();
+    user.$session(null);
+    await user.notifyEcoLevelChange();
   }
 
-  // Update QR code successful claims count
-  const QRCode = mongoose.model("QRCode");
-  await QRCode.findByIdAndUpdate(this.qrCodeId, {
-    $inc: { successfulClaims: -1 },
-  });
+  return this;
+};
 
-  // Update reward current claims count
+// Static method to claim a QR code's reward for a user. The claim, the
+// user's points and the QR code's and reward's claim counters are written in
+// one transaction, so each moves exactly once or not at all. The reward's
+// totalMaxClaims is enforced by a conditional update, so concurrent claims
+// can't oversell it. Rewards that need proof, or that partner staff confirm
+// in store, only get a pending claim, which holds one of the reward's claims
+// until it is completed or rejected; see `complete`. Throws errors with a
+// statusCode when the claim isn't allowed. Returns { claim, user } (user is
+// null for a pending claim).
+RewardClaimSchema.statics.claimQRCode = async function ({
+  userId,
+  qrCode,
+  metadata = {},
+  verificationData = {},
+  claimMethod = "qr-scan",
+}) {
   const Reward = mongoose.model("Reward");
-  await Reward.findByIdAndUpdate(this.rewardId, {
-    $inc: { currentClaims: -1 },
-  });
+  const rewardId = qrCode.rewardId._id || qrCode.rewardId;
+  const partnerId = qrCode.partnerId._id || qrCode.partnerId;
+
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    // Retried from the top if it conflicts with a concurrent claim
+    await session.withTransaction(async () => {
+      const existingClaim = await this.hasUserClaimedQR(
+        userId,
+        qrCode._id
+      ).session(session);
+      if (existingClaim) {
+        throw claimError(400, "You have already claimed this reward", {
+          existingClaim: {
+            id: existingClaim._id,
+            status: existingClaim.status,
+            claimedAt: existingClaim.claimedAt,
+            pointsAwarded: existingClaim.pointsAwarded,
+          },
+        });
+      }
+
+      const reward = await Reward.findById(rewardId).session(session);
+      if (!reward) {
+        throw claimError(404, "Associated reward not found");
+      }
+
+      const userClaimCount = await this.getUserClaimCount(
+        userId,
+        rewardId
+      ).session(session);
+      if (userClaimCount >= reward.maxClaimsPerUser) {
+        throw claimError(
+          400,
+          `You have reached the maximum number of claims (${reward.maxClaimsPerUser}) for this reward`,
+          { userClaimCount, maxAllowed: reward.maxClaimsPerUser }
+        );
+      }
+
+      // The reward decides what proof is needed; only the uploaded proof
+      // comes from the client
+      const proof = {
+        requiresProof: reward.requiresProof,
+        proofType: reward.requiredProof,
+        ...(reward.requiresProof && {
+          proofUploadId: verificationData.proofUploadId,
+        }),
+      };
+      if (
+        proof.requiresProof &&
+        !mongoose.isValidObjectId(proof.proofUploadId)
+      ) {
+        throw claimError(
+          400,
+          `This reward needs a ${proof.proofType} as proof. Upload it and send its id as verificationData.proofUploadId`,
+          { proofType: proof.proofType }
+        );
+      }
+
+      // Claims with proof wait for an admin to review it, and in-store
+      // rewards for partner staff to confirm them; their points and counters
+      // move then. A code from a rotating display already shows the user
+      // was there.
+      const needsStaff =
+        reward.requiresStaffConfirmation && claimMethod !== "dynamic-qr";
+
+      if (reward.requiresProof || needsStaff) {
+        if (!reward.isAvailable) {
+          throw claimError(400, "Reward is no longer available");
+        }
+        await takeRewardClaim(reward, { session });
+
+        const [claim] = await this.create(
+          [
+            {
+              userId,
+              qrCodeId: qrCode._id,
+              partnerId,
+              rewardId,
+              pointsAwarded: reward.points,
+              status: "pending",
+              claimMethod,
+              metadata,
+              verificationData: proof,
+              capacityReserved: true,
+              ...(!reward.requiresProof && {
+                confirmation: await generateConfirmationCode(
+                  this,
+                  partnerId,
+                  session
+                ),
+              }),
+              claimedAt: new Date(),
+              processedAt: null,
+            },
+          ],
+          { session }
+        );
+
+        if (proof.requiresProof) {
+          await Upload.attach(
+            [proof.proofUploadId],
+            { ownerId: userId, purpose: "claim-proof", id: claim._id },
+            { session }
+          );
+        }
+
+        result = { claim, user: null };
+        return;
+      }
+
+      const [claim] = await this.create(
+        [
+          {
+            userId,
+            qrCodeId: qrCode._id,
+            partnerId,
+            rewardId,
+            pointsAwarded: reward.points,
+            status: "completed",
+            claimMethod,
+            metadata,
+            verificationData: proof,
+            claimedAt: new Date(),
+            processedAt: new Date(),
+          },
+        ],
+        { session }
+      );
+
+      const user = await applyCompletion(claim, reward, { session });
+      result = { claim, user };
+    });
+  } catch (error) {
+    // A concurrent claim of the same code got in first
+    if (error.code === 11000 && error.keyPattern?.qrCodeId) {
+      throw claimError(400, "You have already claimed this reward");
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  result.claim.$session(null);
+  if (result.user) {
+    result.user.$session(null);
+    await result.user.notifyEcoLevelChange();
+  }
 
-  return await this.save();
+  return result;
+};
+
+// Static method to find the pending claim a shopper's confirmation code is
+// for at a partner. Throws errors with a statusCode when there is none.
+RewardClaimSchema.statics.findByConfirmationCode = async function (
+  partnerId,
+  code
+) {
+  const claims = await this.find({
+    partnerId,
+    status: "pending",
+    "confirmation.code": String(code).trim(),
+    "confirmation.expiresAt": { $gt: new Date() },
+  }).limit(2);
+
+  if (claims.length === 0) {
+    throw claimError(404, "Confirmation code not found or expired");
+  }
+
+  // Two shoppers were given the same code at once
+  if (claims.length > 1) {
+    throw claimError(
+      409,
+      "This code is ambiguous. Ask the customer to refresh their code"
+    );
+  }
+
+  return claims[0];
 };
 
 // Static method to get user's claim count for a specific reward
@@ -418,40 +1016,6 @@ RewardClaimSchema.statics.getTopUsersByPoints = function (
   ]);
 };
 
-// Pre-save middleware to update related models
-RewardClaimSchema.pre("save", async function (next) {
-  if (this.isNew && this.status === "completed") {
-    // Update user points and eco level
-    const User = mongoose.model("User");
-    const user = await User.findById(this.userId);
-    if (user) {
-      user.points += this.pointsAwarded;
-      user.claimedRewards.push({
-        rewardId: this.rewardId,
-        qrCodeId: this.qrCodeId,
-        pointsAwarded: this.pointsAwarded,
-        claimedAt: this.claimedAt,
-      });
-      user.updateEcoLevel();
-      await user.save();
-    }
-
-    // Update QR code successful claims
-    const QRCode = mongoose.model("QRCode");
-    await QRCode.findByIdAndUpdate(this.qrCodeId, {
-      $inc: { successfulClaims: 1 },
-    });
-
-    // Update reward current claims
-    const Reward = mongoose.model("Reward");
-    await Reward.findByIdAndUpdate(this.rewardId, {
-      $inc: { currentClaims: 1 },
-    });
-  }
-
-  next();
-});
-
 module.exports =
   mongoose.models.RewardClaim ||
   mongoose.model("RewardClaim", RewardClaimSchema);
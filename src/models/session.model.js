@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+// One session is created per login; refresh tokens rotate within it
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    device: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device cannot be more than 100 characters"],
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: [500, "User agent cannot be more than 500 characters"],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user-revoked",
+        "signed-out-everywhere",
+        "reuse-detected",
+        "password-reset",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+SessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Let MongoDB remove sessions once their last refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to record activity, throttled to one write per minute
+SessionSchema.methods.touch = async function (ipAddress) {
+  if (Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return this;
+  }
+
+  this.lastUsedAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+
+  return await this.save();
+};
+
+// Instance method to revoke the session and all of its refresh tokens
+SessionSchema.methods.revoke = async function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+
+  const RefreshToken = mongoose.model("RefreshToken");
+  await RefreshToken.revokeSession(this._id, reason);
+
+  return await this.save();
+};
+
+// Static method to get a user's active sessions, most recently used first
+SessionSchema.statics.getActiveSessions = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+SessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await this.find(query).select("_id");
+  const sessionIds = sessions.map((session) => session._id);
+
+  if (sessionIds.length > 0) {
+    await this.updateMany(
+      { _id: { $in: sessionIds } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    const RefreshToken = mongoose.model("RefreshToken");
+    await RefreshToken.revokeSession(sessionIds, reason);
+  }
+
+  return sessionIds.length;
+};
+
+module.exports =
+  mongoose.models.Session || mongoose.model("Session", SessionSchema);
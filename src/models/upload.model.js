@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+// What a file was uploaded for
+const PURPOSES = ["claim-proof", "activity-evidence"];
+
+// What each purpose's files get attached to
+const ATTACHABLE_MODELS = {
+  "claim-proof": "RewardClaim",
+  "activity-evidence": "Activity",
+};
+
+// A file a user uploaded (claim proof, activity evidence). The file itself
+// lives in the storage backend under `key`; it is only served through
+// signed, expiring URLs.
+const UploadSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner ID is required"],
+    },
+    purpose: {
+      type: String,
+      enum: PURPOSES,
+      required: [true, "Purpose is required"],
+    },
+    // Storage backend the file was written to ("local", "s3")
+    storage: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: String,
+    // Sniffed from the file's contents, not the client's Content-Type
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    originalName: {
+      type: String,
+      maxlength: [255, "File name cannot be more than 255 characters"],
+    },
+    sha256: String,
+    // The claim or activity the file was submitted with; null until then
+    attachedTo: {
+      model: {
+        type: String,
+        enum: Object.values(ATTACHABLE_MODELS),
+      },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+    attachedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+UploadSchema.index({ ownerId: 1, createdAt: -1 });
+UploadSchema.index({ "attachedTo.id": 1 });
+
+// Keep storage details out of API responses
+UploadSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.storage;
+    delete ret.key;
+    delete ret.thumbnailKey;
+    return ret;
+  },
+});
+
+// Attach a user's unattached uploads to the claim or activity they were
+// submitted with, in the caller's transaction. Throws (400) if any of them
+// isn't the user's, is for another purpose or is already attached.
+UploadSchema.statics.attach = async function (
+  uploadIds,
+  { ownerId, purpose, id },
+  { session } = {}
+) {
+  const ids = [...new Set(uploadIds.map(String))];
+  if (ids.length === 0) return 0;
+
+  const result = await this.updateMany(
+    {
+      _id: { $in: ids },
+      ownerId,
+      purpose,
+      "attachedTo.id": null,
+    },
+    {
+      $set: {
+        attachedTo: { model: ATTACHABLE_MODELS[purpose], id },
+        attachedAt: new Date(),
+      },
+    },
+    { session }
+  );
+
+  if (result.modifiedCount !== ids.length) {
+    const error = new Error(
+      "Uploads must be your own, unused and uploaded as " + purpose
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return result.modifiedCount;
+};
+
+UploadSchema.statics.PURPOSES = PURPOSES;
+
+module.exports =
+  mongoose.models.Upload || mongoose.model("Upload", UploadSchema);
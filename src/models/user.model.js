@@ -2,6 +2,27 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+} = require("../utils/totpUtils");
+const { notify } = require("../utils/notificationUtils");
+const { translate, resolveLocale } = require("../utils/templateUtils");
+
+// Wrong guesses allowed before an email one-time code is invalidated
+const EMAIL_OTP_MAX_ATTEMPTS = 5;
+
+// Hash an email one-time code (bound to what it was issued for)
+const hashEmailOtp = (code, purpose) =>
+  crypto.createHash("sha256").update(`${purpose}:${code}`).digest("hex");
+
+// Hash a two-factor recovery code for storage/comparison
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
 
 const UserSchema = new mongoose.Schema(
   {
@@ -34,9 +55,22 @@ const UserSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ["user", "partner_staff", "admin"],
       default: "user",
     },
+    // Partner a partner_staff user works for
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      default: null,
+    },
+    // Language for emails (falls back to English when unsupported)
+    locale: {
+      type: String,
+      default: "en",
+      trim: true,
+      maxlength: [10, "Locale cannot be more than 10 characters"],
+    },
     // EMAIL VERIFICATION FIELDS
     isEmailVerified: {
       type: Boolean,
@@ -45,6 +79,8 @@ const UserSchema = new mongoose.Schema(
     emailVerificationToken: String,
     emailVerificationExpire: Date,
     // END EMAIL VERIFICATION FIELDS
+    // Balance of the user's points ledger; only PointsTransaction.record
+    // changes it
     points: {
       type: Number,
       default: 0,
@@ -54,6 +90,26 @@ const UserSchema = new mongoose.Schema(
       enum: ["beginner", "intermediate", "advanced", "expert", "leader"],
       default: "beginner",
     },
+    // Channels the user wants notifications on
+    notificationPreferences: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      push: {
+        type: Boolean,
+        default: true,
+      },
+      // Weekly impact digest email (opt-in)
+      digest: {
+        type: Boolean,
+        default: false,
+      },
+    },
     claimedRewards: [
       {
         rewardId: {
@@ -84,6 +140,54 @@ const UserSchema = new mongoose.Schema(
     },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    passwordChangedAt: Date,
+    accountUnlockToken: String,
+    accountUnlockExpire: Date,
+    magicLinkToken: String,
+    magicLinkExpire: Date,
+    // TWO-FACTOR AUTHENTICATION FIELDS
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret awaiting confirmation with a first valid code
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code can't be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // END TWO-FACTOR AUTHENTICATION FIELDS
+    // EMAIL ONE-TIME CODE FIELDS (account linking, passwordless sign-in)
+    emailOtp: {
+      type: String,
+      select: false,
+    },
+    emailOtpPurpose: {
+      type: String,
+      select: false,
+    },
+    emailOtpExpire: {
+      type: Date,
+      select: false,
+    },
+    emailOtpAttempts: {
+      type: Number,
+      select: false,
+    },
+    // END EMAIL ONE-TIME CODE FIELDS
   },
   {
     timestamps: true,
@@ -92,6 +196,8 @@ const UserSchema = new mongoose.Schema(
 
 // Add index for claimed rewards for better query performance
 UserSchema.index({ "claimedRewards.rewardId": 1 });
+// For listing a partner's staff
+UserSchema.index({ partnerId: 1 }, { sparse: true });
 
 // Encrypt password only if it exists
 UserSchema.pre("save", async function (next) {
@@ -101,9 +207,48 @@ UserSchema.pre("save", async function (next) {
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Record password changes so tokens issued before them can be rejected
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+  }
+
   next();
 });
 
+// Notify the user when updateEcoLevel changed their level. Saves inside a
+// transaction leave it to the caller, once the transaction has committed.
+UserSchema.post("save", async function (doc) {
+  if (doc.$session()?.inTransaction()) return;
+
+  await doc.notifyEcoLevelChange();
+});
+
+// Send the eco level change remembered by updateEcoLevel, if any
+UserSchema.methods.notifyEcoLevelChange = async function () {
+  const previousLevel = this.$locals.previousEcoLevel;
+  if (!previousLevel || previousLevel === this.ecoLevel) return;
+
+  this.$locals.previousEcoLevel = undefined;
+
+  const locale = resolveLocale(this.locale);
+  const levelName = (level) =>
+    translate(locale, `notifications.levels.${level}`);
+
+  await notify(this, "eco-level-changed", {
+    params: {
+      level: levelName(this.ecoLevel),
+      previousLevel: levelName(previousLevel),
+      points: this.points,
+    },
+    data: {
+      ecoLevel: this.ecoLevel,
+      previousEcoLevel: previousLevel,
+      points: this.points,
+    },
+  });
+};
+
 // Sign JWT and return
 UserSchema.methods.getSignedJwtToken = function () {
   return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
@@ -133,9 +278,216 @@ UserSchema.methods.getEmailVerificationToken = function () {
   return verificationToken;
 };
 
+// Generate and hash password reset token
+UserSchema.methods.getResetPasswordToken = function () {
+  // Generate token
+  const resetToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash token and set to resetPasswordToken field
+  this.resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+
+  // Set expire time (10 minutes)
+  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate and hash account unlock token (sent when the account gets locked)
+UserSchema.methods.getAccountUnlockToken = function () {
+  // Generate token
+  const unlockToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash token and set to accountUnlockToken field
+  this.accountUnlockToken = crypto
+    .createHash("sha256")
+    .update(unlockToken)
+    .digest("hex");
+
+  // Set expire time (24 hours)
+  this.accountUnlockExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return unlockToken;
+};
+
+// Generate and hash passwordless sign-in (magic link) token
+UserSchema.methods.getMagicLinkToken = function () {
+  // Generate token
+  const magicToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash token and set to magicLinkToken field
+  this.magicLinkToken = crypto
+    .createHash("sha256")
+    .update(magicToken)
+    .digest("hex");
+
+  // Set expire time (15 minutes)
+  this.magicLinkExpire = Date.now() + 15 * 60 * 1000;
+
+  return magicToken;
+};
+
+// Generate a 6-digit email one-time code for a purpose (e.g. "account-link")
+UserSchema.methods.getEmailOtp = function (purpose) {
+  // Generate code
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+  // Hash code and remember what it may be used for
+  this.emailOtp = hashEmailOtp(code, purpose);
+  this.emailOtpPurpose = purpose;
+  this.emailOtpAttempts = 0;
+
+  // Set expire time (10 minutes)
+  this.emailOtpExpire = Date.now() + 10 * 60 * 1000;
+
+  return code;
+};
+
+// Consume an email one-time code. Codes are single use and are invalidated
+// after too many wrong guesses. Requires the emailOtp* fields selected.
+UserSchema.methods.verifyEmailOtp = function (code, purpose) {
+  if (
+    !this.emailOtp ||
+    this.emailOtpPurpose !== purpose ||
+    !this.emailOtpExpire ||
+    this.emailOtpExpire.getTime() < Date.now()
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.emailOtp);
+  const received = Buffer.from(hashEmailOtp(String(code || ""), purpose));
+
+  if (crypto.timingSafeEqual(received, expected)) {
+    this.clearEmailOtp();
+    return true;
+  }
+
+  this.emailOtpAttempts = (this.emailOtpAttempts || 0) + 1;
+  if (this.emailOtpAttempts >= EMAIL_OTP_MAX_ATTEMPTS) {
+    this.clearEmailOtp();
+  }
+
+  return false;
+};
+
+// Forget the current email one-time code
+UserSchema.methods.clearEmailOtp = function () {
+  this.emailOtp = undefined;
+  this.emailOtpPurpose = undefined;
+  this.emailOtpExpire = undefined;
+  this.emailOtpAttempts = undefined;
+};
+
+// Check if password was changed after the given JWT "iat" (in seconds).
+// "iat" has no fraction, so a token from the second of the change only
+// counts as newer when its session started after the change.
+UserSchema.methods.changedPasswordAfter = function (
+  jwtTimestamp,
+  session = null
+) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+
+  const changedAt = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  if (changedAt === jwtTimestamp) {
+    return !session || session.createdAt < this.passwordChangedAt;
+  }
+
+  return changedAt > jwtTimestamp;
+};
+
+// Two-factor authentication is mandatory for admins, optional for others
+UserSchema.methods.requiresTwoFactor = function () {
+  return this.role === "admin" || this.twoFactorEnabled;
+};
+
+// Start two-factor enrollment with a new pending secret
+UserSchema.methods.startTwoFactorSetup = function () {
+  const secret = generateSecret();
+  this.twoFactorPendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({
+      secret,
+      accountName: this.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || "EcoRewards",
+    }),
+  };
+};
+
+// Verify a TOTP code against the active (or pending) secret.
+// Requires twoFactorSecret/twoFactorPendingSecret/twoFactorLastUsedStep selected.
+UserSchema.methods.verifyTwoFactorCode = function (
+  code,
+  { pending = false } = {}
+) {
+  const secret = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  if (!secret) return false;
+
+  const matchedStep = verifyTOTP(code, secret);
+  if (matchedStep === null) return false;
+
+  // Reject codes at or before the last accepted step (replays)
+  if (
+    this.twoFactorLastUsedStep !== undefined &&
+    this.twoFactorLastUsedStep !== null &&
+    matchedStep <= this.twoFactorLastUsedStep
+  ) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = matchedStep;
+  return true;
+};
+
+// Promote the pending secret once the user proved they can generate codes
+UserSchema.methods.enableTwoFactor = function () {
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorEnabled = true;
+};
+
+// Turn two-factor authentication off and forget the secrets
+UserSchema.methods.disableTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+};
+
+// Generate new recovery codes (replacing old ones) and return them in plain text
+UserSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+
+  return codes;
+};
+
+// Consume a recovery code. Requires twoFactorRecoveryCodes selected.
+UserSchema.methods.useRecoveryCode = function (code) {
+  const hashed = hashRecoveryCode(String(code || ""));
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
 // Update eco level based on points
 UserSchema.methods.updateEcoLevel = function () {
   const points = this.points;
+  const previousLevel = this.ecoLevel;
 
   if (points >= 1000) {
     this.ecoLevel = "leader";
@@ -149,6 +501,11 @@ UserSchema.methods.updateEcoLevel = function () {
     this.ecoLevel = "beginner";
   }
 
+  // Remembered until the next save, which notifies the user
+  if (this.ecoLevel !== previousLevel && !this.isNew) {
+    this.$locals.previousEcoLevel ??= previousLevel;
+  }
+
   return this.ecoLevel;
 };
 
@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const PointsTransaction = require("./pointstransaction.model");
+
+// Voucher codes look like ECO-7KQ2-M9XD. No 0/O or 1/I, so they can be read
+// out at a till.
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_LENGTH = 8;
+
+// New codes to try when one is already taken
+const CODE_ATTEMPTS = 3;
+
+// Error for a voucher action that isn't allowed; `details` are added to the
+// response
+const voucherError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const generateCode = () => {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `ECO-${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+// Accept codes typed in lower case, with spaces or without dashes
+const normalizeCode = (input) => {
+  const chars = String(input || "")
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "")
+    .replace(/^ECO/, "");
+  if (chars.length !== CODE_LENGTH) return null;
+  return `ECO-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// A voucher issued for points. It can be used once at the item's partner
+// until it expires; cancelling it refunds the points.
+const VoucherSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RedemptionItem",
+      required: [true, "Item ID is required"],
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: [true, "Partner ID is required"],
+    },
+    // What the user paid, kept in case the item's cost changes
+    pointsCost: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["issued", "redeemed", "expired", "cancelled"],
+      default: "issued",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    redeemedAt: Date,
+    // Who accepted the voucher at the partner
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelReason: {
+      type: String,
+      maxlength: [500, "Reason cannot be more than 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+VoucherSchema.index({ userId: 1, createdAt: -1 });
+VoucherSchema.index({ userId: 1, itemId: 1, status: 1 });
+VoucherSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for an issued voucher whose time ran out but isn't marked yet
+VoucherSchema.virtual("isExpired").get(function () {
+  return (
+    this.status === "expired" ||
+    (this.status === "issued" && this.expiresAt <= new Date())
+  );
+});
+
+VoucherSchema.set("toJSON", { virtuals: true });
+
+// Mark issued vouchers past their expiry date as expired (optionally only a
+// user's). Points for expired vouchers are not refunded.
+VoucherSchema.statics.expireOverdue = function (filter = {}) {
+  return this.updateMany(
+    { ...filter, status: "issued", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } }
+  );
+};
+
+const issueVoucher = async (Voucher, { userId, itemId }) => {
+  const RedemptionItem = mongoose.model("RedemptionItem");
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const item = await RedemptionItem.findById(itemId)
+        .populate("partnerId", "name isActive verificationStatus")
+        .session(session);
+      if (!item || !item.isActive) {
+        throw voucherError(404, "Catalogue item not found");
+      }
+      if (!item.partnerId || !item.partnerId.isEligibleForRewards()) {
+        throw voucherError(400, "This partner is not accepting vouchers");
+      }
+
+      if (item.maxPerUser) {
+        const userCount = await Voucher.countDocuments({
+          userId,
+          itemId,
+          status: { $ne: "cancelled" },
+        }).session(session);
+        if (userCount >= item.maxPerUser) {
+          throw voucherError(
+            400,
+            `You have reached the maximum number of vouchers (${item.maxPerUser}) for this item`,
+            { userCount, maxAllowed: item.maxPerUser }
+          );
+        }
+      }
+
+      if (!(await RedemptionItem.takeStock(itemId, { session }))) {
+        throw voucherError(400, "This item is out of stock");
+      }
+
+      const [voucher] = await Voucher.create(
+        [
+          {
+            code: generateCode(),
+            userId,
+            itemId,
+            partnerId: item.partnerId._id,
+            pointsCost: item.pointsCost,
+            expiresAt: new Date(
+              Date.now() + item.voucherValidDays * 24 * 60 * 60 * 1000
+            ),
+          },
+        ],
+        { session }
+      );
+
+      // Spend the points through the ledger; fails if there aren't enough
+      const { user } = await PointsTransaction.record(
+        {
+          userId,
+          amount: -item.pointsCost,
+          sourceType: "redemption",
+          sourceId: voucher._id,
+          description: `Redeemed "${item.title}" at ${item.partnerId.name}`,
+          requireBalance: true,
+        },
+        { session }
+      );
+
+      result = { voucher, item, user };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+// Spend a user's points on a catalogue item: takes one from the stock, debits
+// the points and issues a voucher with a unique code, in one transaction.
+// Throws with `statusCode` (and `details`) when it isn't allowed.
+// Returns { voucher, item, user }.
+VoucherSchema.statics.issue = async function ({ userId, itemId }) {
+  let result;
+
+  for (let attempt = 1; !result; attempt++) {
+    try {
+      result = await issueVoucher(this, { userId, itemId });
+    } catch (error) {
+      // Start again with a new code if this one is taken
+      const codeTaken = error.code === 11000 && error.keyPattern?.code;
+      if (!codeTaken || attempt >= CODE_ATTEMPTS) throw error;
+    }
+  }
+
+  result.voucher.$session(null);
+  result.item.$session(null);
+  result.user.$session(null);
+  await result.user.notifyEcoLevelChange();
+
+  return result;
+};
+
+// Find a voucher by the code a customer shows at a partner, and check it can
+// be accepted there. Throws with `statusCode` when it can't.
+VoucherSchema.statics.findValidForPartner = async function (code, partnerId) {
+  const normalized = normalizeCode(code);
+  const voucher = normalized && (await this.findOne({ code: normalized }));
+
+  // Other partners' vouchers look the same as unknown codes
+  if (!voucher || voucher.partnerId.toString() !== partnerId.toString()) {
+    throw voucherError(404, "Voucher not found");
+  }
+
+  if (voucher.isExpired) {
+    if (voucher.status === "issued") {
+      voucher.status = "expired";
+      await voucher.save();
+    }
+    throw voucherError(400, "Voucher has expired", {
+      expiresAt: voucher.expiresAt,
+    });
+  }
+
+  if (voucher.status === "redeemed") {
+    throw voucherError(400, "Voucher was already used", {
+      redeemedAt: voucher.redeemedAt,
+    });
+  }
+
+  if (voucher.status === "cancelled") {
+    throw voucherError(400, "Voucher was cancelled");
+  }
+
+  return voucher;
+};
+
+// Accept a voucher at its partner. Only one request can use it.
+VoucherSchema.statics.redeemAtPartner = async function ({
+  code,
+  partnerId,
+  redeemedBy,
+}) {
+  const voucher = await this.findValidForPartner(code, partnerId);
+
+  const redeemed = await this.findOneAndUpdate(
+    {
+      _id: voucher._id,
+      status: "issued",
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { status: "redeemed", redeemedAt: new Date(), redeemedBy } },
+    { new: true }
+  );
+
+  // Used or cancelled since we looked: report what happened to it
+  if (!redeemed) {
+    return this.findValidForPartner(code, partnerId);
+  }
+
+  return redeemed;
+};
+
+// Cancel an issued voucher: the points are refunded and the voucher goes
+// back into the item's stock. Returns { voucher, user }.
+VoucherSchema.methods.cancel = async function ({
+  cancelledBy,
+  reason = null,
+} = {}) {
+  const Voucher = this.constructor;
+  const RedemptionItem = mongoose.model("RedemptionItem");
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const voucher = await Voucher.findOneAndUpdate(
+        {
+          _id: this._id,
+          status: "issued",
+          expiresAt: { $gt: new Date() },
+        },
+        {
+          $set: {
+            status: "cancelled",
+            cancelledAt: new Date(),
+            cancelledBy,
+            cancelReason: reason,
+          },
+        },
+        { new: true, session }
+      );
+      if (!voucher) {
+        throw voucherError(
+          400,
+          "Only unused, unexpired vouchers can be cancelled"
+        );
+      }
+
+      await RedemptionItem.returnStock(voucher.itemId, { session });
+
+      const { user } = await PointsTransaction.record(
+        {
+          userId: voucher.userId,
+          amount: voucher.pointsCost,
+          sourceType: "redemption_refund",
+          sourceId: voucher._id,
+          description: `Refund for cancelled voucher ${voucher.code}`,
+          createdBy: cancelledBy,
+        },
+        { session }
+      );
+
+      result = { voucher, user };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  result.voucher.$session(null);
+  result.user.$session(null);
+  await result.user.notifyEcoLevelChange();
+
+  return result;
+};
+
+VoucherSchema.statics.normalizeCode = normalizeCode;
+
+module.exports =
+  mongoose.models.Voucher || mongoose.model("Voucher", VoucherSchema);
@@ -4,11 +4,33 @@ const {
   verifyEmail,
   resendVerification,
   login,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  adminUnlockAccount,
   getMe,
+  updateLocale,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
 } = require("../controllers/auth.controller");
-const { protect } = require("../middleware/auth.middleware");
+const {
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twofactor.controller");
+const {
+  requestMagicLink,
+  checkMagicLink,
+  consumeMagicLink,
+  verifyEmailOtpLogin,
+} = require("../controllers/passwordless.controller");
+const { protect, authorize } = require("../middleware/auth.middleware");
+const { limitEmailRequests } = require("../middleware/throttle.middleware");
 
 const router = express.Router();
 
@@ -19,18 +41,82 @@ router.post("/register", register);
 router.get("/verify-email/:token", verifyEmail);
 
 // @route   POST /api/v1/auth/resend-verification
-router.post("/resend-verification", resendVerification);
+router.post(
+  "/resend-verification",
+  limitEmailRequests("resend-verification"),
+  resendVerification
+);
 
 // @route   POST /api/v1/auth/login
 router.post("/login", login);
 
+// @route   POST /api/v1/auth/magic-link
+router.post("/magic-link", limitEmailRequests("magic-link"), requestMagicLink);
+
+// @route   POST /api/v1/auth/magic-link/verify
+router.post("/magic-link/verify", verifyEmailOtpLogin);
+
+// @route   GET /api/v1/auth/magic-link/:token
+// @route   POST /api/v1/auth/magic-link/:token
+router.route("/magic-link/:token").get(checkMagicLink).post(consumeMagicLink);
+
+// @route   POST /api/v1/auth/2fa/login
+router.post("/2fa/login", verifyTwoFactorLogin);
+
+// @route   POST /api/v1/auth/2fa/setup
+router.post("/2fa/setup", protect, setupTwoFactor);
+
+// @route   POST /api/v1/auth/2fa/enable
+router.post("/2fa/enable", protect, enableTwoFactor);
+
+// @route   POST /api/v1/auth/2fa/disable
+router.post("/2fa/disable", protect, disableTwoFactor);
+
+// @route   POST /api/v1/auth/2fa/recovery-codes
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
+// @route   POST /api/v1/auth/forgot-password
+router.post(
+  "/forgot-password",
+  limitEmailRequests("forgot-password"),
+  forgotPassword
+);
+
+// @route   PUT /api/v1/auth/reset-password/:token
+router.put("/reset-password/:token", resetPassword);
+
+// @route   GET /api/v1/auth/unlock/:token
+router.get("/unlock/:token", unlockAccount);
+
+// @route   PUT /api/v1/auth/users/:id/unlock
+router.put(
+  "/users/:id/unlock",
+  protect,
+  authorize("admin"),
+  adminUnlockAccount
+);
+
 // @route   GET /api/v1/auth/me
 router.get("/me", protect, getMe);
 
+// @route   PUT /api/v1/auth/me/locale
+router.put("/me/locale", protect, updateLocale);
+
 // @route   POST /api/v1/auth/refresh-token
 router.post("/refresh-token", refreshToken);
 
 // @route   GET /api/v1/auth/logout
+// @route   POST /api/v1/auth/logout
 router.get("/logout", protect, logout);
+router.post("/logout", protect, logout);
+
+// @route   GET /api/v1/auth/sessions
+router.get("/sessions", protect, getSessions);
+
+// @route   DELETE /api/v1/auth/sessions
+router.delete("/sessions", protect, revokeAllSessions);
+
+// @route   DELETE /api/v1/auth/sessions/:id
+router.delete("/sessions/:id", protect, revokeSession);
 
 module.exports = router;
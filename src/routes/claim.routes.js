@@ -5,11 +5,16 @@ const {
   getUserPointsSummary,
   getAllClaims,
   reverseClaim,
+  getReviewQueue,
+  approveClaim,
+  rejectClaim,
+  refreshConfirmationCode,
   getLeaderboard,
 } = require("../controllers/claim.controller");
 
 // Import middleware
 const { protect, authorize } = require("../middleware/auth.middleware");
+const { idempotent } = require("../middleware/idempotency.middleware");
 
 const router = express.Router();
 
@@ -17,12 +22,20 @@ const router = express.Router();
 router.get("/leaderboard", getLeaderboard);
 
 // Protected routes (Authenticated users only)
-router.post("/reward", protect, claimReward);
+// Clients should send an Idempotency-Key so retries don't claim twice
+router.post("/reward", protect, idempotent(), claimReward);
 router.get("/history", protect, getUserClaimHistory);
 router.get("/points-summary", protect, getUserPointsSummary);
+// In-store claims: a new code when the last one expired
+router.post("/:id/confirmation-code", protect, refreshConfirmationCode);
 
 // Admin only routes
 router.get("/all", protect, authorize("admin"), getAllClaims);
 router.put("/:id/reverse", protect, authorize("admin"), reverseClaim);
 
+// Proof review (Admin only)
+router.get("/review", protect, authorize("admin"), getReviewQueue);
+router.put("/:id/approve", protect, authorize("admin"), approveClaim);
+router.put("/:id/reject", protect, authorize("admin"), rejectClaim);
+
 module.exports = router;
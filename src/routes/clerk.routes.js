@@ -1,6 +1,15 @@
 const express = require("express");
-const { syncUserData, getMe } = require("../controllers/clerk.controller");
-const { requireAuth, syncUser } = require("../middleware/clerk.middleware");
+const {
+  syncUserData,
+  getMe,
+  getLinkStatus,
+  sendLinkCode,
+  linkAccount,
+  unlinkAccount,
+} = require("../controllers/clerk.controller");
+const { protect } = require("../middleware/auth.middleware");
+const { requireClerkSession } = require("../middleware/clerk.middleware");
+const { limitEmailRequests } = require("../middleware/throttle.middleware");
 
 const router = express.Router();
 
@@ -22,9 +31,94 @@ const router = express.Router();
  *       description: Clerk JWT token for authentication
  */
 
-// All routes use Clerk authentication
-router.use(requireAuth);
-router.use(syncUser);
+/**
+ * @swagger
+ * /api/v1/auth/clerk/link:
+ *   get:
+ *     summary: Check for an existing account to link
+ *     description: Finds the email/password account registered with the Clerk user's verified email and the ways to prove ownership of it
+ *     tags: [ClerkAuth]
+ *     security:
+ *       - clerkAuth: []
+ *     responses:
+ *       200:
+ *         description: An account can be linked
+ *       400:
+ *         description: Clerk email address is not verified
+ *       404:
+ *         description: No account to link
+ *       409:
+ *         description: Account is already linked to another Clerk user
+ *   post:
+ *     summary: Link the Clerk user to an existing account
+ *     description: Proves ownership of the existing account with its password or an emailed code, then links it. A user already created for the Clerk identity is merged in (points, claimed rewards, leaderboard entry).
+ *     tags: [ClerkAuth]
+ *     security:
+ *       - clerkAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Account linked
+ *       401:
+ *         description: Invalid password or code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.get("/link", requireClerkSession, getLinkStatus);
+router.post("/link", requireClerkSession, linkAccount);
+
+/**
+ * @swagger
+ * /api/v1/auth/clerk/link/code:
+ *   post:
+ *     summary: Email a linking code
+ *     description: Sends a 6-digit code (valid for 10 minutes) to the account being linked
+ *     tags: [ClerkAuth]
+ *     security:
+ *       - clerkAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+  "/link/code",
+  requireClerkSession,
+  limitEmailRequests("account-link"),
+  sendLinkCode
+);
+
+// All other routes accept a Clerk session token (or one of our own tokens)
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/auth/clerk/link:
+ *   delete:
+ *     summary: Unlink Clerk from the account
+ *     description: Removes the Clerk identity from the account. Only allowed when the account has a password to sign in with.
+ *     tags: [ClerkAuth]
+ *     security:
+ *       - clerkAuth: []
+ *     responses:
+ *       200:
+ *         description: Clerk unlinked
+ *       400:
+ *         description: Account is not linked or has no password
+ */
+router.delete("/link", unlinkAccount);
 
 /**
  * @swagger
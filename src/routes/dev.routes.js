@@ -0,0 +1,25 @@
+const express = require("express");
+const {
+  getOutbox,
+  getOutboxEmail,
+  processOutbox,
+  clearOutbox,
+} = require("../controllers/dev.controller");
+
+// Development helpers; only mounted with ENABLE_DEV_OUTBOX=true outside
+// production
+const router = express.Router();
+
+// @route   GET /api/v1/dev/outbox
+router.get("/outbox", getOutbox);
+
+// @route   DELETE /api/v1/dev/outbox
+router.delete("/outbox", clearOutbox);
+
+// @route   POST /api/v1/dev/outbox/process
+router.post("/outbox/process", processOutbox);
+
+// @route   GET /api/v1/dev/outbox/:id
+router.get("/outbox/:id", getOutboxEmail);
+
+module.exports = router;
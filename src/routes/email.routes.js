@@ -0,0 +1,19 @@
+const express = require("express");
+const {
+  getEmailTemplates,
+  previewEmailTemplate,
+} = require("../controllers/email.controller");
+const { protect, authorize } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, authorize("admin"));
+
+// @route   GET /api/v1/emails/templates
+router.get("/templates", getEmailTemplates);
+
+// @route   GET /api/v1/emails/templates/:name/preview
+router.get("/templates/:name/preview", previewEmailTemplate);
+
+module.exports = router;
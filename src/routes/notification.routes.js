@@ -0,0 +1,38 @@
+const express = require("express");
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+} = require("../controllers/notification.controller");
+const { protect } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// @route   POST /api/v1/notifications/unsubscribe/:token
+// Public: the signed token from the email identifies the user
+router.post("/unsubscribe/:token", unsubscribe);
+
+// All other routes require authentication
+router.use(protect);
+
+// @route   GET /api/v1/notifications
+router.get("/", getNotifications);
+
+// @route   GET /api/v1/notifications/unread-count
+router.get("/unread-count", getUnreadCount);
+
+// @route   GET /api/v1/notifications/preferences
+// @route   PUT /api/v1/notifications/preferences
+router.route("/preferences").get(getPreferences).put(updatePreferences);
+
+// @route   PUT /api/v1/notifications/read-all
+router.put("/read-all", markAllAsRead);
+
+// @route   PUT /api/v1/notifications/:id/read
+router.put("/:id/read", markAsRead);
+
+module.exports = router;
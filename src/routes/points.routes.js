@@ -0,0 +1,13 @@
+const express = require("express");
+const { getLedger } = require("../controllers/points.controller");
+const { protect } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/v1/points/ledger
+router.get("/ledger", getLedger);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require("express");
+const {
+  confirmClaim,
+  getStaff,
+  assignStaff,
+  removeStaff,
+} = require("../controllers/pos.controller");
+const {
+  protect,
+  authorize,
+  partnerScope,
+} = require("../middleware/auth.middleware");
+const { idempotent } = require("../middleware/idempotency.middleware");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Point of sale (partner staff act for their own partner)
+// @route   POST /api/v1/partner-pos/confirm
+router.post(
+  "/confirm",
+  authorize("partner_staff", "admin"),
+  partnerScope,
+  idempotent(),
+  confirmClaim
+);
+
+// Staff management (Admin only)
+// @route   GET /api/v1/partner-pos/staff
+router.get("/staff", authorize("admin"), getStaff);
+// @route   PUT /api/v1/partner-pos/staff/:userId
+router.put("/staff/:userId", authorize("admin"), assignStaff);
+// @route   DELETE /api/v1/partner-pos/staff/:userId
+router.delete("/staff/:userId", authorize("admin"), removeStaff);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+const {
+  getVapidPublicKey,
+  subscribe,
+  getSubscriptions,
+  unsubscribe,
+  sendTestPush,
+} = require("../controllers/push.controller");
+const { protect } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// @route   GET /api/v1/push/vapid-public-key
+router.get("/vapid-public-key", getVapidPublicKey);
+
+// All other routes require authentication
+router.use(protect);
+
+// @route   GET /api/v1/push/subscriptions
+// @route   POST /api/v1/push/subscriptions
+// @route   DELETE /api/v1/push/subscriptions
+router
+  .route("/subscriptions")
+  .get(getSubscriptions)
+  .post(subscribe)
+  .delete(unsubscribe);
+
+// @route   POST /api/v1/push/test
+router.post("/test", sendTestPush);
+
+module.exports = router;
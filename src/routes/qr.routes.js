@@ -5,9 +5,17 @@ const {
   generateBulkQRCodes,
   getQRCodeDetails,
   getQRCodesByBatch,
+  exportQRCodeBatch,
+  getQRCodeImage,
   toggleQRCodeStatus,
   deleteQRCode,
   getTopPerformingQRCodes,
+  getNearbyRewards,
+  getQRPublicKeys,
+  getQRVerifierScript,
+  configureDynamicQRCode,
+  getQRDisplayPage,
+  getQRDisplayFeed,
 } = require("../controllers/qr.controller");
 
 // Import middleware
@@ -24,6 +32,12 @@ router.post("/generate", protect, authorize("admin"), generateQRCode);
 router.post("/bulk-generate", protect, authorize("admin"), generateBulkQRCodes);
 router.get("/details/:qrId", protect, authorize("admin"), getQRCodeDetails);
 router.get("/batch/:batchId", protect, authorize("admin"), getQRCodesByBatch);
+router.get(
+  "/batch/:batchId/export",
+  protect,
+  authorize("partner_staff", "admin"),
+  exportQRCodeBatch
+);
 router.get(
   "/analytics/top-performing",
   protect,
@@ -31,9 +45,35 @@ router.get(
   getTopPerformingQRCodes
 );
 
+// Rewards near the user (public, for the map)
+router.get("/nearby", getNearbyRewards);
+
 // SPECIFIC SCANNING ROUTE
 router.get("/scan/:qrId", optionalAuth, scanQRCode);
 
+// Offline verification of signed QR payloads (kiosk apps)
+router.get("/keys", getQRPublicKeys);
+router.get("/verifier.js", getQRVerifierScript);
+
+// Rotating QR displays (the display key in the link is the credential)
+router.get("/display/:qrId", getQRDisplayPage);
+router.get("/display/:qrId/feed", getQRDisplayFeed);
+
+// QR code image (partner staff can print their own partner's codes)
+router.get(
+  "/:qrId/image",
+  protect,
+  authorize("partner_staff", "admin"),
+  getQRCodeImage
+);
+
+router.put(
+  "/:qrId/dynamic",
+  protect,
+  authorize("partner_staff", "admin"),
+  configureDynamicQRCode
+);
+
 // QR code management (Admin only) - specific action routes
 router.put(
   "/:qrId/toggle-status",
@@ -49,4 +89,4 @@ router.delete("/:qrId", protect, authorize("admin"), deleteQRCode);
 // If you need a generic route for QR codes, be more specific:
 // router.get("/code/:qrId", optionalAuth, scanQRCode);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require("express");
+const {
+  getCatalogue,
+  getCatalogueItem,
+  createCatalogueItem,
+  updateCatalogueItem,
+  redeemPoints,
+  getMyVouchers,
+  getVoucher,
+  cancelVoucher,
+  validateVoucher,
+  redeemVoucher,
+} = require("../controllers/redemption.controller");
+const {
+  protect,
+  authorize,
+  partnerScope,
+  optionalAuth,
+} = require("../middleware/auth.middleware");
+const { idempotent } = require("../middleware/idempotency.middleware");
+
+const router = express.Router();
+
+// Public routes
+// @route   GET /api/v1/redemptions/catalogue
+router.get("/catalogue", getCatalogue);
+// @route   GET /api/v1/redemptions/catalogue/:id
+router.get("/catalogue/:id", optionalAuth, getCatalogueItem);
+
+// All routes below require authentication
+router.use(protect);
+
+// Partner staff manage their own partner's items
+// @route   POST /api/v1/redemptions/catalogue
+router.post(
+  "/catalogue",
+  authorize("partner_staff", "admin"),
+  partnerScope,
+  createCatalogueItem
+);
+// @route   PUT /api/v1/redemptions/catalogue/:id
+router.put(
+  "/catalogue/:id",
+  authorize("partner_staff", "admin"),
+  updateCatalogueItem
+);
+
+// @route   POST /api/v1/redemptions
+router.post("/", idempotent(), redeemPoints);
+
+// Partner-side checks - before /vouchers/:id
+// @route   POST /api/v1/redemptions/vouchers/validate
+router.post(
+  "/vouchers/validate",
+  authorize("partner_staff", "admin"),
+  partnerScope,
+  validateVoucher
+);
+// @route   POST /api/v1/redemptions/vouchers/redeem
+router.post(
+  "/vouchers/redeem",
+  authorize("partner_staff", "admin"),
+  partnerScope,
+  redeemVoucher
+);
+
+// @route   GET /api/v1/redemptions/vouchers
+router.get("/vouchers", getMyVouchers);
+// @route   GET /api/v1/redemptions/vouchers/:id
+router.get("/vouchers/:id", getVoucher);
+// @route   PUT /api/v1/redemptions/vouchers/:id/cancel
+router.put("/vouchers/:id/cancel", cancelVoucher);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const {
+  uploadClaimProof,
+  uploadActivityEvidence,
+  getUpload,
+  deleteUpload,
+  downloadFile,
+} = require("../controllers/upload.controller");
+const { protect } = require("../middleware/auth.middleware");
+const { uploadSingle } = require("../middleware/upload.middleware");
+
+const router = express.Router();
+
+// Public routes (signed URLs)
+// @route   GET /api/v1/uploads/files/:token
+router.get("/files/:token", downloadFile);
+
+// All routes below require authentication
+router.use(protect);
+
+// Multipart uploads with the image in the "file" field
+// @route   POST /api/v1/uploads/claim-proof
+router.post("/claim-proof", uploadSingle("file"), uploadClaimProof);
+// @route   POST /api/v1/uploads/activity-evidence
+router.post("/activity-evidence", uploadSingle("file"), uploadActivityEvidence);
+
+// @route   GET /api/v1/uploads/:id
+router.get("/:id", getUpload);
+// @route   DELETE /api/v1/uploads/:id
+router.delete("/:id", deleteUpload);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const { handleClerkWebhook } = require("../controllers/webhook.controller");
+
+const router = express.Router();
+
+// @route   POST /api/v1/webhooks/clerk
+router.post("/clerk", handleClerkWebhook);
+
+module.exports = router;
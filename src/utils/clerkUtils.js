@@ -0,0 +1,136 @@
+const jwt = require("jsonwebtoken");
+const { clerkClient } = require("@clerk/clerk-sdk-node");
+const User = require("../models/user.model");
+
+// Normalize a Clerk user into the fields we keep on our User model.
+// Accepts both webhook payloads (snake_case) and SDK users (camelCase).
+const getClerkProfile = (clerkUser) => {
+  const emailAddresses =
+    clerkUser.email_addresses || clerkUser.emailAddresses || [];
+  const primaryEmailId =
+    clerkUser.primary_email_address_id || clerkUser.primaryEmailAddressId;
+
+  const primaryEmail =
+    emailAddresses.find((email) => email.id === primaryEmailId) ||
+    emailAddresses[0];
+
+  const firstName = clerkUser.first_name || clerkUser.firstName || "";
+  const lastName = clerkUser.last_name || clerkUser.lastName || "";
+  const name =
+    `${firstName} ${lastName}`.trim() || clerkUser.username || "New User";
+
+  return {
+    clerkId: clerkUser.id,
+    // Our model caps names at 50 characters
+    name: name.substring(0, 50),
+    email: primaryEmail
+      ? primaryEmail.email_address || primaryEmail.emailAddress
+      : null,
+    emailVerified: primaryEmail?.verification?.status === "verified",
+  };
+};
+
+// Clerk session tokens are RS256-signed and their subject is a Clerk user id;
+// our own access tokens are HS256-signed with JWT_SECRET
+const isClerkToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  return Boolean(
+    decoded &&
+      decoded.header.alg === "RS256" &&
+      typeof decoded.payload.sub === "string" &&
+      decoded.payload.sub.startsWith("user_")
+  );
+};
+
+// Verify a Clerk session token (networkless when CLERK_JWT_KEY is set,
+// otherwise against the instance JWKS) and return its claims
+const verifyClerkSessionToken = (token) => {
+  const authorizedParties = process.env.CLERK_AUTHORIZED_PARTIES
+    ? process.env.CLERK_AUTHORIZED_PARTIES.split(",").map((party) =>
+        party.trim()
+      )
+    : undefined;
+
+  return clerkClient.verifyToken(token, {
+    jwtKey: process.env.CLERK_JWT_KEY,
+    authorizedParties,
+  });
+};
+
+// Find the user for a Clerk user id, creating it from the Clerk profile if
+// the webhook hasn't yet. An existing account with the same email is never
+// taken over here: the user has to prove they own it through the linking flow.
+// Returns { user } or { status, error, linkRequired }.
+const resolveClerkUser = async (clerkUserId) => {
+  const user = await User.findOne({ clerkId: clerkUserId });
+  if (user) return { user };
+
+  const profile = getClerkProfile(await clerkClient.users.getUser(clerkUserId));
+
+  if (!profile.email) {
+    return { status: 400, error: "Clerk account has no email address" };
+  }
+
+  const existingUser = await User.findOne({ email: profile.email });
+
+  if (existingUser) {
+    const linkable = profile.emailVerified && !existingUser.clerkId;
+
+    return {
+      status: 409,
+      error: linkable
+        ? "An account with this email already exists. Link it to continue"
+        : "An account with this email already exists",
+      linkRequired: linkable,
+    };
+  }
+
+  const newUser = await User.create({
+    clerkId: clerkUserId,
+    name: profile.name,
+    email: profile.email,
+    isEmailVerified: profile.emailVerified,
+  });
+
+  return { user: newUser };
+};
+
+// Find the existing account a Clerk user may link to: one registered with the
+// Clerk user's verified email and not linked to another Clerk user.
+// Returns { target, profile } or { status, error }.
+const findClerkLinkTarget = async (clerkUserId) => {
+  const profile = getClerkProfile(await clerkClient.users.getUser(clerkUserId));
+
+  if (!profile.email || !profile.emailVerified) {
+    return {
+      status: 400,
+      error: "Verify your email address with Clerk before linking accounts",
+    };
+  }
+
+  const target = await User.findOne({ email: profile.email }).select(
+    "+password"
+  );
+
+  if (!target || target.clerkId === clerkUserId) {
+    return { status: 404, error: "No account to link for this email" };
+  }
+
+  if (target.clerkId) {
+    return {
+      status: 409,
+      error: "This account is already linked to another Clerk user",
+    };
+  }
+
+  return { target, profile };
+};
+
+module.exports = {
+  getClerkProfile,
+  isClerkToken,
+  verifyClerkSessionToken,
+  resolveClerkUser,
+  findClerkLinkTarget,
+};
@@ -0,0 +1,38 @@
+// Rough browser/OS detection, good enough to label a session for the user
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+const matchFirst = (list, userAgent) => {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+// Describe a device from its user agent, e.g. "Chrome on Android"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = matchFirst(BROWSERS, userAgent);
+  const os = matchFirst(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+module.exports = {
+  describeDevice,
+};
@@ -0,0 +1,133 @@
+const Activity = require("../models/activity.model");
+const RewardClaim = require("../models/rewardclaim.model");
+const Leaderboard = require("../models/leaderboard.model");
+const Partner = require("../models/partner.model");
+const Reward = require("../models/reward.model");
+const { createUnsubscribeToken } = require("./notificationUtils");
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// New rewards listed in a digest
+const NEW_REWARDS_LIMIT = 5;
+
+// The last full week (Monday 00:00 UTC to the next Monday) before `date`
+const getDigestWeek = (date = new Date()) => {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+  const end = new Date(day.getTime() - daysSinceMonday * 24 * 60 * 60 * 1000);
+
+  return { start: new Date(end.getTime() - WEEK_MS), end };
+};
+
+// Cities of the partners a user has claimed rewards or logged activities at
+const getUserCities = async (userId) => {
+  const [claimPartners, activityPartners] = await Promise.all([
+    RewardClaim.distinct("partnerId", { userId }),
+    Activity.distinct("partnerId", { userId, partnerId: { $ne: null } }),
+  ]);
+
+  const cities = await Partner.distinct("address.city", {
+    _id: { $in: [...claimPartners, ...activityPartners] },
+  });
+
+  return cities.filter(Boolean);
+};
+
+// Rewards added during the week by partners in the user's cities
+const getNewRewardsNearUser = async (userId, { start, end }) => {
+  const cities = await getUserCities(userId);
+  if (cities.length === 0) return [];
+
+  const partners = await Partner.find({
+    "address.city": { $in: cities },
+    isActive: true,
+    verificationStatus: "verified",
+  }).select("_id");
+
+  const rewards = await Reward.find({
+    partnerId: { $in: partners.map((partner) => partner._id) },
+    isActive: true,
+    createdAt: { $gte: start, $lt: end },
+    $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }],
+  })
+    .populate("partnerId", "name address.city")
+    .sort({ createdAt: -1 })
+    .limit(NEW_REWARDS_LIMIT);
+
+  return rewards.map((reward) => ({
+    title: reward.title,
+    points: reward.points,
+    partner: reward.partnerId.name,
+    city: reward.partnerId.address?.city,
+  }));
+};
+
+// Summarize a user's week: points earned, rewards claimed, rank movement and
+// new rewards near them. `isEmpty` is true when there is nothing to report.
+const buildWeeklyDigest = async (user, week = getDigestWeek()) => {
+  const { start, end } = week;
+
+  const [activities, claims, leaderboardEntry, newRewards] = await Promise.all([
+    Activity.find({
+      userId: user._id,
+      status: { $in: ["completed", "verified"] },
+      createdAt: { $gte: start, $lt: end },
+    }).select("activityType pointsEarned"),
+    RewardClaim.find({
+      userId: user._id,
+      status: "completed",
+      claimedAt: { $gte: start, $lt: end },
+    })
+      .populate("rewardId", "title")
+      .populate("partnerId", "name")
+      .sort({ claimedAt: -1 }),
+    Leaderboard.findOne({ userId: user._id }).select(
+      "currentRank previousRank rankMovement"
+    ),
+    getNewRewardsNearUser(user._id, week),
+  ]);
+
+  const activityPoints = activities.reduce(
+    (sum, activity) => sum + activity.pointsEarned,
+    0
+  );
+  const claimPoints = claims.reduce(
+    (sum, claim) => sum + claim.pointsAwarded,
+    0
+  );
+
+  return {
+    weekStart: start,
+    weekEnd: new Date(end.getTime() - 1),
+    pointsEarned: activityPoints + claimPoints,
+    totalPoints: user.points,
+    ecoLevel: user.ecoLevel,
+    activitiesCount: activities.length,
+    rewardsClaimed: claims.map((claim) => ({
+      reward: claim.rewardId?.title,
+      partner: claim.partnerId?.name,
+      points: claim.pointsAwarded,
+    })),
+    rank: leaderboardEntry?.currentRank ?? null,
+    previousRank: leaderboardEntry?.previousRank ?? null,
+    rankMovement: leaderboardEntry?.rankMovement || "new",
+    newRewards,
+    isEmpty:
+      activities.length === 0 && claims.length === 0 && newRewards.length === 0,
+  };
+};
+
+// Link that turns the weekly digest off
+const getDigestUnsubscribeUrl = (user) =>
+  `${process.env.CLIENT_URL}/unsubscribe/${createUnsubscribeToken(
+    user._id,
+    "digest"
+  )}`;
+
+module.exports = {
+  getDigestWeek,
+  buildWeeklyDigest,
+  getDigestUnsubscribeUrl,
+};
@@ -0,0 +1,126 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// SMTP: a generic server when SMTP_HOST is set, otherwise SendGrid in
+// production and Gmail in development
+const createSmtpTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    // Production configuration (example with SendGrid)
+    return nodemailer.createTransport({
+      service: "SendGrid",
+      auth: {
+        user: process.env.SENDGRID_USERNAME,
+        pass: process.env.SENDGRID_API_KEY,
+      },
+    });
+  }
+
+  // Development configuration (example with Gmail)
+  return nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_FROM,
+      pass: process.env.EMAIL_PASSWORD, // Use App Password for Gmail
+    },
+  });
+};
+
+// File outbox: every message is written as JSON to EMAIL_OUTBOX_DIR
+const createFileTransport = (
+  directory = process.env.EMAIL_OUTBOX_DIR ||
+    path.join(process.cwd(), ".outbox")
+) => {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: "file",
+    directory,
+
+    async sendMail(mailOptions) {
+      const info = await jsonTransport.sendMail(mailOptions);
+      const fileName = `${Date.now()}-${info.messageId.replace(
+        /[^\w.-]/g,
+        ""
+      )}.json`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, fileName), info.message);
+
+      return { ...info, path: path.join(directory, fileName) };
+    },
+  };
+};
+
+// In-memory outbox for tests: messages are kept in `messages`
+const createMemoryTransport = () => {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+  const messages = [];
+
+  return {
+    name: "memory",
+    messages,
+
+    async sendMail(mailOptions) {
+      const info = await jsonTransport.sendMail(mailOptions);
+      messages.push({
+        messageId: info.messageId,
+        ...JSON.parse(info.message),
+        sentAt: new Date(),
+      });
+      return info;
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+};
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let transport = null;
+
+// Transport selected by EMAIL_TRANSPORT (smtp, file or memory; default smtp)
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || "smtp";
+    const createTransport = TRANSPORTS[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+    }
+
+    transport = createTransport();
+  }
+
+  return transport;
+};
+
+// Swap the transport (e.g. a memory transport in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  getTransport,
+  setTransport,
+};
@@ -0,0 +1,392 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const NotificationJob = require("../models/notificationjob.model");
+const { sendTemplatedEmail } = require("./emailUtils");
+const { sendPushToUser } = require("./pushUtils");
+const { translate, resolveLocale } = require("./templateUtils");
+
+// Email template per notification type (the rest use the generic one)
+const EMAIL_TEMPLATES = {
+  "claim-receipt": "claim-receipt",
+};
+
+// Delivery channels other than the in-app inbox, keyed like
+// User.notificationPreferences. Each one receives the rendered notification.
+const CHANNELS = {
+  email: (user, notification) =>
+    sendTemplatedEmail(
+      user,
+      EMAIL_TEMPLATES[notification.type] || "notification",
+      {
+        title: notification.title,
+        message: notification.message,
+        ...notification.data,
+      }
+    ),
+  push: (user, notification) =>
+    sendPushToUser(user._id, {
+      type: notification.type,
+      title: notification.title,
+      body: notification.message,
+      data: notification.data,
+    }),
+};
+
+// Whether the user wants notifications on a channel (on unless turned off)
+const wantsChannel = (user, channel) =>
+  user.notificationPreferences?.[channel] !== false;
+
+// Error for a notification that some channels couldn't deliver. `channels`
+// lists them, so a retry can skip the ones that went out.
+const deliveryError = (type, failures) => {
+  const error = new Error(
+    `Could not send ${type} notification by ${failures
+      .map((failure) => failure.channel)
+      .join(", ")}: ${failures[0].error.message}`
+  );
+  error.channels = failures.map((failure) => failure.channel);
+  return error;
+};
+
+// Notify a user on every channel they have enabled. Titles and messages come
+// from the "notifications.<type>" keys of the locale bundles; `params` fill
+// their placeholders and `data` is stored with the notification. `channels`
+// limits delivery to some channels (e.g. ["inApp", "push"]).
+// Failures are logged and, unless `throwOnFailure` is set, not thrown:
+// inline notifications must not break the action that triggered them, while
+// queued ones (see JOB_HANDLERS) need to know what to retry. Every channel is
+// tried either way. Returns the in-app notification, if one was created.
+const notify = async (
+  user,
+  type,
+  {
+    params = {},
+    data = {},
+    channels = ["inApp", ...Object.keys(CHANNELS)],
+    throwOnFailure = false,
+  } = {}
+) => {
+  const locale = resolveLocale(user.locale);
+  const wants = (channel) =>
+    channels.includes(channel) && wantsChannel(user, channel);
+  const notification = {
+    userId: user._id,
+    type,
+    title: translate(locale, `notifications.${type}.title`, params),
+    message: translate(locale, `notifications.${type}.message`, params),
+    data,
+    channels: Object.keys(CHANNELS).filter(wants),
+  };
+
+  let inAppNotification = null;
+  const failures = [];
+
+  if (wants("inApp")) {
+    try {
+      inAppNotification = await Notification.create(notification);
+    } catch (error) {
+      console.error(`Error creating ${type} notification:`, error);
+      failures.push({ channel: "inApp", error });
+    }
+  }
+
+  for (const channel of notification.channels) {
+    try {
+      await CHANNELS[channel](user, notification);
+    } catch (error) {
+      console.error(`Error sending ${type} notification by ${channel}:`, error);
+      failures.push({ channel, error });
+    }
+  }
+
+  if (throwOnFailure && failures.length > 0) {
+    throw deliveryError(type, failures);
+  }
+
+  return inAppNotification;
+};
+
+// Send the receipt for a completed claim (in-app and by email). The claim's
+// partnerId and rewardId must be populated; `user` has the updated points.
+// `options` are passed on to notify (channels, throwOnFailure).
+const notifyClaimReceipt = (user, claim, options = {}) =>
+  notify(user, "claim-receipt", {
+    ...options,
+    params: {
+      reward: claim.rewardId.title,
+      partner: claim.partnerId.name,
+      points: claim.pointsAwarded,
+      totalPoints: user.points,
+    },
+    data: {
+      claimId: claim._id,
+      reward: claim.rewardId.title,
+      partner: claim.partnerId.name,
+      points: claim.pointsAwarded,
+      totalPoints: user.points,
+      ecoLevel: user.ecoLevel,
+      claimedAt: claim.claimedAt,
+    },
+  });
+
+// Error for a fan-out where some users' notifications failed. `remaining`
+// lists their entries (with a userId) and the channels that failed.
+const fanOutError = (type, remaining, total) => {
+  const error = new Error(
+    `Could not send ${type} notification to ${remaining.length} of ${total} users`
+  );
+  error.remaining = remaining;
+  return error;
+};
+
+// Notify users whose leaderboard rank moved.
+// `changes` is a list of { userId, previousRank, currentRank }, optionally
+// with the `channels` to use (e.g. the ones that failed last time). With
+// `throwOnFailure`, failed deliveries are thrown as a fanOutError once every
+// user has been tried. Leaderboard recalculations queue this as a
+// "rank-changes" job rather than calling it inline.
+const notifyRankChanges = async (changes, { throwOnFailure = false } = {}) => {
+  if (changes.length === 0) return;
+
+  const User = mongoose.model("User");
+  const users = await User.find({
+    _id: { $in: changes.map((change) => change.userId) },
+  });
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  const failed = [];
+
+  for (const change of changes) {
+    const user = usersById.get(change.userId.toString());
+    if (!user) continue;
+
+    const direction = change.currentRank < change.previousRank ? "up" : "down";
+
+    try {
+      await notify(user, "rank-changed", {
+        params: {
+          rank: change.currentRank,
+          previousRank: change.previousRank,
+          direction: translate(
+            resolveLocale(user.locale),
+            `notifications.rank-changed.${direction}`
+          ),
+        },
+        data: {
+          rank: change.currentRank,
+          previousRank: change.previousRank,
+          movement: direction,
+        },
+        channels: change.channels,
+        throwOnFailure,
+      });
+    } catch (error) {
+      failed.push({ ...change, channels: error.channels });
+    }
+  }
+
+  if (failed.length > 0) {
+    throw fanOutError("rank-changed", failed, changes.length);
+  }
+};
+
+// Tell users near a partner about a featured reward it published (in-app and
+// push only). Users are near a partner when they have claimed rewards or
+// logged activities at a partner in the same city. `recipients` (a list of
+// { userId, channels }) limits it to those users and channels, e.g. the ones
+// that failed last time. With `throwOnFailure`, failed deliveries are thrown
+// as a fanOutError once every user has been tried.
+const notifyFeaturedReward = async (
+  reward,
+  { recipients, throwOnFailure = false } = {}
+) => {
+  const Partner = mongoose.model("Partner");
+  const partner = await Partner.findById(reward.partnerId).select(
+    "name address.city"
+  );
+  const city = partner?.address?.city;
+  if (!city) return;
+
+  let userIds;
+  if (recipients) {
+    userIds = recipients.map((recipient) => recipient.userId);
+  } else {
+    const nearbyPartners = await Partner.find({
+      "address.city": city,
+    }).distinct("_id");
+    const [claimUsers, activityUsers] = await Promise.all([
+      mongoose
+        .model("RewardClaim")
+        .distinct("userId", { partnerId: { $in: nearbyPartners } }),
+      mongoose
+        .model("Activity")
+        .distinct("userId", { partnerId: { $in: nearbyPartners } }),
+    ]);
+    userIds = [...claimUsers, ...activityUsers];
+  }
+
+  const channelsByUser = new Map(
+    (recipients || []).map((recipient) => [
+      recipient.userId.toString(),
+      recipient.channels,
+    ])
+  );
+  const users = await mongoose.model("User").find({ _id: { $in: userIds } });
+  const failed = [];
+
+  for (const user of users) {
+    try {
+      await notify(user, "featured-reward", {
+        params: {
+          reward: reward.title,
+          partner: partner.name,
+          points: reward.points,
+          city,
+        },
+        data: {
+          rewardId: reward._id,
+          partnerId: partner._id,
+          reward: reward.title,
+          partner: partner.name,
+          points: reward.points,
+        },
+        channels: channelsByUser.get(user._id.toString()) || ["inApp", "push"],
+        throwOnFailure,
+      });
+    } catch (error) {
+      failed.push({ userId: user._id, channels: error.channels });
+    }
+  }
+
+  if (failed.length > 0) {
+    throw fanOutError("featured-reward", failed, users.length);
+  }
+};
+
+// Handlers for queued notification jobs, keyed by NotificationJob type. They
+// load what they send from the ids in the payload and throw when it's missing
+// or a delivery fails, so the job is retried. Before throwing they narrow the
+// payload to what failed, so a retry doesn't send the rest again.
+const JOB_HANDLERS = {
+  "claim-receipt": async (payload) => {
+    const claim = await mongoose
+      .model("RewardClaim")
+      .findById(payload.claimId)
+      .populate([
+        { path: "partnerId", select: "name logo category" },
+        { path: "rewardId", select: "title description points category" },
+      ]);
+    if (!claim) throw new Error(`Claim ${payload.claimId} not found`);
+
+    const user = await mongoose.model("User").findById(claim.userId);
+    if (!user) throw new Error(`User ${claim.userId} not found`);
+
+    try {
+      await notifyClaimReceipt(user, claim, {
+        channels: payload.channels,
+        throwOnFailure: true,
+      });
+    } catch (error) {
+      if (error.channels) payload.channels = error.channels;
+      throw error;
+    }
+  },
+  "rank-changes": async (payload) => {
+    try {
+      await notifyRankChanges(payload.changes, { throwOnFailure: true });
+    } catch (error) {
+      if (error.remaining) payload.changes = error.remaining;
+      throw error;
+    }
+  },
+  "featured-reward": async (payload) => {
+    const reward = await mongoose.model("Reward").findById(payload.rewardId);
+    if (!reward) throw new Error(`Reward ${payload.rewardId} not found`);
+
+    try {
+      await notifyFeaturedReward(reward, {
+        recipients: payload.recipients,
+        throwOnFailure: true,
+      });
+    } catch (error) {
+      if (error.remaining) payload.recipients = error.remaining;
+      throw error;
+    }
+  },
+};
+
+// Queue a notification job and start it without waiting for delivery. The job
+// is stored first, so `npm run jobs:notifications` retries it if this run
+// fails or is cut short. Errors are logged, never thrown.
+const queueNotification = async (type, payload) => {
+  try {
+    const job = await NotificationJob.enqueue(type, payload);
+
+    job.attempt(JOB_HANDLERS).catch((error) => {
+      console.error(`Error running ${type} notification job:`, error);
+    });
+
+    return job;
+  } catch (error) {
+    console.error(`Error queueing ${type} notification:`, error);
+    return null;
+  }
+};
+
+// Run queued notification jobs that are due. Returns counts per outcome.
+const processNotificationJobs = (limit) =>
+  NotificationJob.processPending(JOB_HANDLERS, limit);
+
+// Email lists a user can leave from a link, keyed by preference
+const UNSUBSCRIBE_LISTS = ["digest", "email"];
+
+const signUnsubscribe = (userId, list) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET
+    )
+    .update(`unsubscribe:${userId}:${list}`)
+    .digest("base64url");
+
+// Token for the unsubscribe link in an email: "<userId>.<list>.<signature>".
+// It does not expire, so links in old emails keep working.
+const createUnsubscribeToken = (userId, list = "digest") =>
+  `${userId}.${list}.${signUnsubscribe(userId, list)}`;
+
+// Check an unsubscribe token. Returns { userId, list } or null.
+const verifyUnsubscribeToken = (token) => {
+  const [userId, list, signature] = String(token).split(".");
+
+  if (
+    !mongoose.isValidObjectId(userId) ||
+    !UNSUBSCRIBE_LISTS.includes(list) ||
+    !signature
+  ) {
+    return null;
+  }
+
+  const expected = Buffer.from(signUnsubscribe(userId, list));
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  return { userId, list };
+};
+
+module.exports = {
+  CHANNELS,
+  notify,
+  notifyClaimReceipt,
+  notifyRankChanges,
+  notifyFeaturedReward,
+  queueNotification,
+  processNotificationJobs,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+};
@@ -0,0 +1,201 @@
+const webpush = require("web-push");
+const PushSubscription = require("../models/pushsubscription.model");
+
+// How long push services keep a message for an offline browser (seconds)
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// Give up on a push service that doesn't answer
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+// Drop a subscription after this many failed sends in a row
+const MAX_FAILURES = 5;
+
+// Hosts of the browser push services. Endpoints come from the browser, so
+// anything else is refused rather than POSTed to.
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "*.push.services.mozilla.com",
+  "*.notify.windows.com",
+  "web.push.apple.com",
+];
+
+let vapidKeys = null;
+
+// Extra push service hosts from PUSH_ENDPOINT_HOSTS (comma-separated, e.g.
+// "127.0.0.1:4010" for the local stub). Outside production these may use
+// plain HTTP.
+const getExtraPushHosts = () =>
+  (process.env.PUSH_ENDPOINT_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+const matchesHost = (pattern, url) =>
+  pattern.startsWith("*.")
+    ? url.hostname.endsWith(pattern.slice(1))
+    : pattern === url.hostname || pattern === url.host;
+
+// Whether `endpoint` is on a known push service
+const isAllowedPushEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.username || url.password) return false;
+
+  if (
+    url.protocol === "https:" &&
+    PUSH_SERVICE_HOSTS.some((pattern) => matchesHost(pattern, url))
+  ) {
+    return true;
+  }
+
+  const extraHosts = getExtraPushHosts();
+  const protocols =
+    process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+
+  return (
+    protocols.includes(url.protocol) &&
+    extraHosts.some((pattern) => matchesHost(pattern, url))
+  );
+};
+
+// VAPID keys from VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (create a pair with
+// `npm run push:vapid-keys`). Outside production a throwaway pair is
+// generated when they are missing; browsers then have to subscribe again
+// after every restart.
+const getVapidKeys = () => {
+  if (vapidKeys) return vapidKeys;
+
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    vapidKeys = {
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+    };
+  } else if (process.env.NODE_ENV === "production") {
+    throw new Error("VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set");
+  } else {
+    console.warn(
+      "⚠️ VAPID keys not configured, using a temporary key pair for this process"
+    );
+    vapidKeys = webpush.generateVAPIDKeys();
+  }
+
+  return vapidKeys;
+};
+
+// Contact for push services, sent in the VAPID token (RFC 8292)
+const getVapidSubject = () =>
+  process.env.VAPID_SUBJECT ||
+  `mailto:${process.env.SUPPORT_EMAIL || "support@ecorewards.com"}`;
+
+// Send one push message. The payload is encrypted for the subscription
+// (RFC 8291, aes128gcm) and the request is signed with our VAPID key.
+// Rejects with `statusCode` set when the push service refuses it.
+const sendPush = async (
+  subscription,
+  payload,
+  { ttl = DEFAULT_TTL, urgency = "normal" } = {}
+) => {
+  if (!isAllowedPushEndpoint(subscription.endpoint)) {
+    const error = new Error(
+      `Push endpoint is not on a known push service: ${subscription.endpoint}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { publicKey, privateKey } = getVapidKeys();
+  const request = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    JSON.stringify(payload),
+    {
+      vapidDetails: { subject: getVapidSubject(), publicKey, privateKey },
+      TTL: ttl,
+      urgency,
+      contentEncoding: "aes128gcm",
+    }
+  );
+
+  // fetch sets Content-Length itself
+  const headers = { ...request.headers };
+  delete headers["Content-Length"];
+
+  const response = await fetch(request.endpoint, {
+    method: request.method,
+    headers,
+    body: request.body,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const error = new Error(
+      `Push service responded with ${response.status}: ${await response.text()}`
+    );
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return response.status;
+};
+
+// Send a push message to every browser a user subscribed. Subscriptions the
+// push service no longer knows (404/410) or that keep failing are removed.
+// Returns { sent, failed, removed }.
+const sendPushToUser = async (userId, payload, options) => {
+  const subscriptions = await PushSubscription.find({ userId });
+  const results = { sent: 0, failed: 0, removed: 0 };
+
+  for (const subscription of subscriptions) {
+    // Expired, or saved before endpoints were limited to push services
+    if (
+      (subscription.expirationTime &&
+        subscription.expirationTime < new Date()) ||
+      !isAllowedPushEndpoint(subscription.endpoint)
+    ) {
+      await subscription.deleteOne();
+      results.removed += 1;
+      continue;
+    }
+
+    try {
+      await sendPush(subscription, payload, options);
+
+      subscription.lastSuccessAt = new Date();
+      subscription.failureCount = 0;
+      await subscription.save();
+      results.sent += 1;
+    } catch (error) {
+      results.failed += 1;
+
+      if (
+        [404, 410].includes(error.statusCode) ||
+        subscription.failureCount + 1 >= MAX_FAILURES
+      ) {
+        await subscription.deleteOne();
+        results.removed += 1;
+        continue;
+      }
+
+      console.error(
+        `Error sending push to ${subscription.endpoint}:`,
+        error.message
+      );
+      subscription.lastFailureAt = new Date();
+      subscription.failureCount += 1;
+      await subscription.save();
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  isAllowedPushEndpoint,
+  getVapidKeys,
+  sendPush,
+  sendPushToUser,
+};
@@ -0,0 +1,275 @@
+const archiver = require("archiver");
+const PDFDocument = require("pdfkit");
+const QRCodeEncoder = require("qrcode");
+const { renderQRImage } = require("./qrImageUtils");
+
+// Label sheets are laid out in PDF points (1/72 inch)
+const PAPER_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+};
+
+const LABEL_PADDING = 6;
+// Room under each code for the reward title, location name and short code
+const LABEL_TEXT_HEIGHT = 34;
+// Smaller codes don't scan reliably once printed (about 2 cm)
+const MIN_QR_POINTS = 56;
+// Blank modules around each printed code
+const QUIET_ZONE = 2;
+
+const MANIFEST_COLUMNS = [
+  "qrCode",
+  "shortCode",
+  "scanUrl",
+  "imageUrl",
+  "partner",
+  "reward",
+  "points",
+  "locationName",
+  "locationAddress",
+  "isActive",
+  "scanCount",
+  "successfulClaims",
+  "createdAt",
+];
+
+const exportError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Wait for `event` on `emitter`, or until the client went away
+const waitFor = (res, emitter, event) =>
+  new Promise((resolve) => {
+    if (res.destroyed) return resolve();
+
+    const done = () => {
+      emitter.off(event, done);
+      res.off("close", done);
+      resolve();
+    };
+    emitter.on(event, done);
+    res.on("close", done);
+  });
+
+// Wait until `res` wants more data
+const waitForDrain = (res) =>
+  res.writableNeedDrain ? waitFor(res, res, "drain") : Promise.resolve();
+
+// One CSV line. Values that a spreadsheet would run as a formula are
+// prefixed with a quote.
+const csvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+
+const manifestRow = (qrCode) =>
+  csvRow([
+    qrCode.qrCode,
+    qrCode.shortCode,
+    qrCode.scanUrl,
+    qrCode.imageUrl,
+    qrCode.partnerId?.name,
+    qrCode.rewardId?.title,
+    qrCode.rewardId?.points,
+    qrCode.location?.name,
+    qrCode.location?.address,
+    qrCode.isActive,
+    qrCode.scanCount,
+    qrCode.successfulClaims,
+    qrCode.createdAt,
+  ]);
+
+// Where labels go on a page. Throws (400) if they would be too small.
+const getLabelLayout = ({ paper, columns, rows, pageMargin }) => {
+  const [pageWidth, pageHeight] = PAPER_SIZES[paper];
+  const cellWidth = (pageWidth - pageMargin * 2) / columns;
+  const cellHeight = (pageHeight - pageMargin * 2) / rows;
+  const qrSize = Math.min(
+    cellWidth - LABEL_PADDING * 2,
+    cellHeight - LABEL_PADDING * 2 - LABEL_TEXT_HEIGHT
+  );
+
+  if (qrSize < MIN_QR_POINTS) {
+    throw exportError(
+      400,
+      "Labels are too small for a readable QR code. Use fewer columns or rows, or a smaller page margin."
+    );
+  }
+
+  return { pageMargin, columns, rows, cellWidth, cellHeight, qrSize };
+};
+
+// Draw a QR code as vector squares (sharp at any print size)
+const drawQRCode = (doc, text, { x, y, size, ecc }) => {
+  const { modules } = QRCodeEncoder.create(text, {
+    errorCorrectionLevel: ecc,
+  });
+  const unit = size / (modules.size + QUIET_ZONE * 2);
+
+  // One rectangle per run of dark modules in a row
+  for (let row = 0; row < modules.size; row++) {
+    let col = 0;
+    while (col < modules.size) {
+      if (!modules.get(row, col)) {
+        col++;
+        continue;
+      }
+
+      let end = col;
+      while (end < modules.size && modules.get(row, end)) end++;
+
+      doc.rect(
+        x + (QUIET_ZONE + col) * unit,
+        y + (QUIET_ZONE + row) * unit,
+        (end - col) * unit,
+        unit
+      );
+      col = end;
+    }
+  }
+
+  doc.fillColor("#000000").fill();
+};
+
+const drawLabel = (doc, qrCode, layout, { x, y, ecc }) => {
+  const { cellWidth, qrSize } = layout;
+  const textWidth = cellWidth - LABEL_PADDING * 2;
+  const textX = x + LABEL_PADDING;
+  let textY = y + LABEL_PADDING + qrSize + 2;
+
+  drawQRCode(doc, qrCode.scanUrl, {
+    x: x + (cellWidth - qrSize) / 2,
+    y: y + LABEL_PADDING,
+    size: qrSize,
+    ecc,
+  });
+
+  const line = (font, size, color, text) => {
+    if (text) {
+      doc
+        .font(font)
+        .fontSize(size)
+        .fillColor(color)
+        .text(text, textX, textY, {
+          width: textWidth,
+          height: size + 2,
+          align: "center",
+          ellipsis: true,
+          lineBreak: false,
+        });
+    }
+    textY += size + 3;
+  };
+
+  line("Helvetica-Bold", 8, "#000000", qrCode.rewardId?.title);
+  line("Helvetica", 7, "#444444", qrCode.location?.name);
+  line("Courier-Bold", 9, "#000000", qrCode.shortCode);
+};
+
+// Stream a batch as label sheets. `qrCodes` is an async iterable (cursor).
+const writeBatchPdf = async (
+  qrCodes,
+  res,
+  { batchId, paper, columns, rows, pageMargin, ecc }
+) => {
+  const layout = getLabelLayout({ paper, columns, rows, pageMargin });
+  const perPage = columns * rows;
+
+  const doc = new PDFDocument({
+    size: PAPER_SIZES[paper],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `QR codes - ${batchId}` },
+  });
+  doc.pipe(res);
+
+  let index = 0;
+  for await (const qrCode of qrCodes) {
+    if (res.destroyed) break;
+
+    const slot = index % perPage;
+    if (slot === 0) doc.addPage();
+
+    const column = slot % columns;
+    const row = Math.floor(slot / columns);
+    drawLabel(doc, qrCode, layout, {
+      x: pageMargin + column * layout.cellWidth,
+      y: pageMargin + row * layout.cellHeight,
+      ecc,
+    });
+
+    index++;
+    await waitForDrain(res);
+  }
+
+  // The client went away; nothing left to send
+  if (res.destroyed) return;
+
+  doc.end();
+};
+
+// Stream a batch as a ZIP of PNGs plus a manifest.csv
+const writeBatchZip = async (qrCodes, res, { size, margin, ecc, logo }) => {
+  // PNGs are already compressed
+  const archive = archiver("zip", { store: true });
+  archive.on("warning", (error) => console.error("QR export:", error));
+  archive.on("error", (error) => res.destroy(error));
+  archive.pipe(res);
+
+  const manifest = [csvRow(MANIFEST_COLUMNS)];
+
+  for await (const qrCode of qrCodes) {
+    const { buffer } = await renderQRImage(qrCode.scanUrl, {
+      format: "png",
+      size,
+      margin,
+      ecc,
+      logoUrl: (logo && qrCode.partnerId?.logo) || null,
+    });
+    if (res.destroyed) break;
+
+    // One image at a time, so only one is held in memory
+    const added = waitFor(res, archive, "entry");
+    archive.append(buffer, { name: `${qrCode.qrCode}.png` });
+    await added;
+
+    manifest.push(manifestRow(qrCode));
+    await waitForDrain(res);
+  }
+
+  if (res.destroyed) return archive.abort();
+
+  archive.append(manifest.join(""), { name: "manifest.csv" });
+  await archive.finalize();
+};
+
+// Stream a batch's manifest as CSV
+const writeBatchCsv = async (qrCodes, res) => {
+  res.write(csvRow(MANIFEST_COLUMNS));
+
+  for await (const qrCode of qrCodes) {
+    if (res.destroyed) break;
+
+    res.write(manifestRow(qrCode));
+    await waitForDrain(res);
+  }
+
+  res.end();
+};
+
+module.exports = {
+  PAPER_SIZES,
+  getLabelLayout,
+  writeBatchPdf,
+  writeBatchZip,
+  writeBatchCsv,
+};
@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const QRCodeEncoder = require("qrcode");
+const sharp = require("sharp");
+
+// Bump when the rendering changes so cached images are replaced
+const RENDER_VERSION = 1;
+
+const IMAGE_DEFAULTS = {
+  format: "png",
+  size: 512,
+  margin: 4,
+  ecc: "M",
+};
+
+// The logo hides the middle of the code, so it needs a high error
+// correction level and can only cover a small part of it
+const LOGO_ECC_LEVELS = ["Q", "H"];
+const LOGO_SCALE = 0.22;
+
+// Partner logos are fetched once and kept in memory
+const LOGO_TIMEOUT_MS = 5000;
+const LOGO_MAX_BYTES = 1024 * 1024;
+const LOGO_CACHE_TTL_MS = 60 * 60 * 1000;
+const LOGO_CACHE_SIZE = 100;
+const LOGO_SOURCE_SIZE = 512;
+
+const logoCache = new Map();
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  svg: "image/svg+xml",
+};
+
+// Download a partner logo and turn it into a square PNG on a white
+// background. Returns null if it can't be loaded.
+const fetchLogo = async (url) => {
+  try {
+    const response = await fetch(url, {
+      redirect: "follow",
+      signal: AbortSignal.timeout(LOGO_TIMEOUT_MS),
+    });
+    if (!response.ok) return null;
+
+    const length = parseInt(response.headers.get("content-length"), 10);
+    if (length > LOGO_MAX_BYTES) return null;
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > LOGO_MAX_BYTES) return null;
+
+    return await sharp(buffer, { limitInputPixels: 25 * 1000 * 1000 })
+      .resize(LOGO_SOURCE_SIZE, LOGO_SOURCE_SIZE, {
+        fit: "contain",
+        background: "#ffffff",
+      })
+      .flatten({ background: "#ffffff" })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.error(`Could not load logo ${url}:`, error.message);
+    return null;
+  }
+};
+
+// A partner's logo, prepared for overlaying (cached). Failed downloads are
+// cached too, so a broken logo URL isn't fetched on every request.
+const getLogo = async (url) => {
+  const cached = logoCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) return cached.logo;
+
+  const logo = await fetchLogo(url);
+
+  if (logoCache.size >= LOGO_CACHE_SIZE) {
+    logoCache.delete(logoCache.keys().next().value);
+  }
+  logoCache.set(url, { logo, expiresAt: Date.now() + LOGO_CACHE_TTL_MS });
+
+  return logo;
+};
+
+// ETag of a rendered image; changes whenever its contents would
+const imageETag = (text, { format, size, margin, ecc }, logo) => {
+  const hash = crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([RENDER_VERSION, text, format, size, margin, ecc]) +
+        (logo
+          ? crypto.createHash("sha256").update(logo).digest("hex")
+          : "no-logo")
+    )
+    .digest("base64url")
+    .slice(0, 27);
+
+  return `"${hash}"`;
+};
+
+// Error correction level to use: logos need Q or H
+const effectiveEcc = (ecc, logo) =>
+  logo && !LOGO_ECC_LEVELS.includes(ecc) ? "H" : ecc;
+
+const renderPng = async (text, { size, margin, ecc }, logo) => {
+  const image = await QRCodeEncoder.toBuffer(text, {
+    type: "png",
+    width: size,
+    margin,
+    errorCorrectionLevel: ecc,
+  });
+
+  if (!logo) return image;
+
+  // The encoder rounds the width to whole modules
+  const { width } = await sharp(image).metadata();
+  const logoSize = Math.round(width * LOGO_SCALE);
+  const padding = Math.max(2, Math.round(logoSize * 0.08));
+
+  const badge = await sharp(logo)
+    .resize(logoSize - padding * 2, logoSize - padding * 2)
+    .extend({
+      top: padding,
+      bottom: padding,
+      left: padding,
+      right: padding,
+      background: "#ffffff",
+    })
+    .png()
+    .toBuffer();
+
+  return sharp(image)
+    .composite([{ input: badge, gravity: "center" }])
+    .png()
+    .toBuffer();
+};
+
+const renderSvg = async (text, { size, margin, ecc }, logo) => {
+  const svg = await QRCodeEncoder.toString(text, {
+    type: "svg",
+    width: size,
+    margin,
+    errorCorrectionLevel: ecc,
+  });
+
+  if (!logo) return Buffer.from(svg);
+
+  // Place the logo in the middle, in the SVG's own (module) units
+  const [, , viewSize] = svg
+    .match(/viewBox="([^"]+)"/)[1]
+    .split(" ")
+    .map(Number);
+  const logoSize = viewSize * LOGO_SCALE;
+  const offset = (viewSize - logoSize) / 2;
+  const padding = logoSize * 0.08;
+
+  const dataUri = `data:image/png;base64,${(
+    await sharp(logo).resize(256, 256).png().toBuffer()
+  ).toString("base64")}`;
+
+  const overlay =
+    `<rect x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" fill="#ffffff"/>` +
+    `<image x="${offset + padding}" y="${offset + padding}" ` +
+    `width="${logoSize - padding * 2}" height="${logoSize - padding * 2}" ` +
+    `href="${dataUri}"/>`;
+
+  return Buffer.from(svg.replace("</svg>", `${overlay}</svg>`));
+};
+
+// Render `text` as a QR code image. Options: format ("png" | "svg"), size
+// (pixels), margin (modules), ecc ("L" | "M" | "Q" | "H"), logoUrl.
+// Returns { buffer, contentType, etag } or, with `etagOnly`, just { etag }
+// so a cached copy can be confirmed without rendering.
+const renderQRImage = async (text, options = {}, { etagOnly = false } = {}) => {
+  const logo = options.logoUrl ? await getLogo(options.logoUrl) : null;
+  const settings = {
+    ...IMAGE_DEFAULTS,
+    ...options,
+    ecc: effectiveEcc(options.ecc || IMAGE_DEFAULTS.ecc, logo),
+  };
+
+  const etag = imageETag(text, settings, logo);
+  if (etagOnly) return { etag };
+
+  const buffer =
+    settings.format === "svg"
+      ? await renderSvg(text, settings, logo)
+      : await renderPng(text, settings, logo);
+
+  return {
+    buffer,
+    contentType: CONTENT_TYPES[settings.format],
+    etag,
+  };
+};
+
+module.exports = {
+  IMAGE_DEFAULTS,
+  renderQRImage,
+};
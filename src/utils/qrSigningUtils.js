@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const {
+  PREFIX,
+  PAYLOAD_VERSION,
+  PAYLOAD_BYTES,
+  createQRVerifier,
+} = require("./qrVerifyUtils");
+
+// How long signed payloads of new QR codes stay valid by default
+const PAYLOAD_TTL_DAYS = parseInt(process.env.QR_PAYLOAD_TTL_DAYS, 10) || 365;
+
+// Ed25519 private keys in PKCS#8 DER are this prefix plus the 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b657004220420",
+  "hex"
+);
+
+const qrError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const REASON_MESSAGES = {
+  malformed: "Invalid QR code",
+  "unknown-key":
+    "This QR code is no longer valid. Please scan an up-to-date code",
+  "bad-signature": "Invalid QR code",
+  expired: "This QR code has expired",
+};
+
+const canSign = (jwk) => (jwk.kty === "OKP" ? Boolean(jwk.d) : Boolean(jwk.k));
+
+// Signing keys, as a JSON array of JWKs in QR_SIGNING_KEYS:
+//   { kid, kty: "OKP", crv: "Ed25519", x, d }   Ed25519 (verifiable offline)
+//   { kid, kty: "OKP", crv: "Ed25519", x }      retired Ed25519, verify only
+//   { kid, kty: "oct", k }                      HMAC-SHA256 (server only)
+// New payloads are signed with QR_SIGNING_KID (default: the first key with
+// a private part). To rotate, add a new key, point QR_SIGNING_KID at it and
+// keep the old one (without `d`) until its codes are reprinted.
+// `npm run qr:signing-key` prints a new Ed25519 key.
+const loadKeys = () => {
+  if (process.env.QR_SIGNING_KEYS) {
+    const keys = JSON.parse(process.env.QR_SIGNING_KEYS);
+
+    for (const key of keys) {
+      if (!key.kid || !/^[A-Za-z0-9_-]+$/.test(key.kid)) {
+        throw new Error(
+          "QR signing keys need a kid of letters, digits, - and _"
+        );
+      }
+      if (!["OKP", "oct"].includes(key.kty)) {
+        throw new Error(
+          `QR signing key ${key.kid}: unsupported kty ${key.kty}`
+        );
+      }
+    }
+
+    return keys;
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("QR_SIGNING_KEYS must be set");
+  }
+
+  // Derived from JWT_SECRET so printed codes survive restarts in development
+  console.warn(
+    "⚠️ QR signing keys not configured, using a development key derived from JWT_SECRET"
+  );
+  const seed = crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "development")
+    .update("qr-signing-key")
+    .digest();
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: "der",
+    type: "pkcs8",
+  });
+
+  return [{ ...privateKey.export({ format: "jwk" }), kid: "dev" }];
+};
+
+let keyring = null;
+
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = loadKeys();
+  const activeKid =
+    process.env.QR_SIGNING_KID || keys.find((key) => canSign(key))?.kid;
+  const active = keys.find((key) => key.kid === activeKid);
+
+  if (!active || !canSign(active)) {
+    throw new Error(
+      `QR signing key ${activeKid} not found or has no private key`
+    );
+  }
+
+  keyring = {
+    keys,
+    active,
+    signingKey:
+      active.kty === "OKP"
+        ? crypto.createPrivateKey({ key: active, format: "jwk" })
+        : Buffer.from(active.k, "base64url"),
+    verifier: createQRVerifier({ keys }),
+  };
+
+  return keyring;
+};
+
+// Load and check the keyring now. Called at startup so a missing or broken
+// QR_SIGNING_KEYS stops the server instead of failing the first request
+// that renders a QR code.
+const checkSigningKeys = () => {
+  getKeyring();
+};
+
+// Expiry for a QR code created at `from` that has no explicit expiry
+const defaultPayloadExpiry = (from = new Date()) =>
+  new Date(from.getTime() + PAYLOAD_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Signed payload for a QR code (see qrVerifyUtils for the format)
+const signQRPayload = ({ qrCode, partnerId, expiresAt }) => {
+  const { active, signingKey } = getKeyring();
+
+  const uuid = String(qrCode).replace(/^qr_/, "").replace(/-/g, "");
+  if (!/^[0-9a-f]{32}$/i.test(uuid) || !/^[0-9a-f]{24}$/i.test(partnerId)) {
+    throw new Error(`Cannot sign QR code ${qrCode}`);
+  }
+
+  const payload = Buffer.alloc(PAYLOAD_BYTES);
+  payload[0] = PAYLOAD_VERSION;
+  Buffer.from(uuid, "hex").copy(payload, 1);
+  Buffer.from(String(partnerId), "hex").copy(payload, 17);
+  payload.writeUInt32BE(Math.floor(expiresAt.getTime() / 1000), 29);
+
+  const signedPart = `${PREFIX}${active.kid}.${payload.toString("base64url")}`;
+  const signature =
+    active.kty === "OKP"
+      ? crypto.sign(null, Buffer.from(signedPart), signingKey)
+      : crypto.createHmac("sha256", signingKey).update(signedPart).digest();
+
+  return `${signedPart}.${signature.toString("base64url")}`;
+};
+
+// Public keys for offline verification (JWKS). HMAC keys are never listed.
+const getPublicKeys = () =>
+  getKeyring()
+    .keys.filter((key) => key.kty === "OKP")
+    .map(({ kid, kty, crv, x }) => ({
+      kid,
+      kty,
+      crv,
+      x,
+      alg: "EdDSA",
+      use: "sig",
+    }));
+
+// The QR code a scanned value refers to. Signed payloads are checked
+// (known key, signature, expiry) before anything is looked up; plain
+// "qr_..." ids are refused when QR_REQUIRE_SIGNED=true. Returns
+// { qrCode, partnerId, signed }; throws errors with a statusCode.
+const resolveScannedQRCode = async (value) => {
+  if (typeof value !== "string" || !value) {
+    throw qrError(400, "QR code ID is required");
+  }
+
+  if (value.startsWith(PREFIX)) {
+    const result = await getKeyring().verifier.verify(value);
+    if (!result.valid) {
+      throw qrError(400, REASON_MESSAGES[result.reason]);
+    }
+
+    return {
+      qrCode: result.qrCode,
+      partnerId: result.partnerId,
+      signed: true,
+    };
+  }
+
+  if (process.env.QR_REQUIRE_SIGNED === "true") {
+    throw qrError(400, REASON_MESSAGES["unknown-key"]);
+  }
+
+  return { qrCode: value, partnerId: null, signed: false };
+};
+
+// A new Ed25519 signing key (JWK) with a date-based kid
+const generateSigningKey = () => {
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  const kid = `qr-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}`;
+
+  return { ...privateKey.export({ format: "jwk" }), kid };
+};
+
+// `npm run qr:signing-key` prints a key to add to QR_SIGNING_KEYS
+if (require.main === module) {
+  console.log(JSON.stringify(generateSigningKey()));
+}
+
+module.exports = {
+  checkSigningKeys,
+  defaultPayloadExpiry,
+  signQRPayload,
+  getPublicKeys,
+  resolveScannedQRCode,
+  generateSigningKey,
+};
@@ -0,0 +1,160 @@
+// Verifies signed QR payloads ("sq_<kid>.<payload>.<signature>").
+//
+// Kept free of dependencies so partners can embed it in kiosk apps and check
+// codes offline: it runs in Node 20+ and in browsers with Web Crypto Ed25519
+// support. The API serves this file at GET /api/v1/qr/verifier.js and the
+// public keys at GET /api/v1/qr/keys.
+//
+//   const { createQRVerifier } = require("./qrVerifyUtils"); // or window.EcoRewardsQR
+//   const verifier = createQRVerifier({ keys }); // `data.keys` from /qr/keys
+//   const result = await verifier.verify(scannedText);
+//   // { valid: true, qrCode, partnerId, expiresAt, kid }
+//   // { valid: false, reason: "malformed" | "unknown-key" | "bad-signature" | "expired" }
+//
+// Payload (base64url, 33 bytes): version (1), QR code UUID (16), partner
+// ObjectId (12), expiry in Unix seconds (uint32, big-endian). The signature
+// covers "sq_<kid>.<payload>" with the key `kid` names: Ed25519 ("OKP" keys)
+// or HMAC-SHA256 ("oct" keys, server side only).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.EcoRewardsQR = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const PREFIX = "sq_";
+  const PAYLOAD_VERSION = 1;
+  const PAYLOAD_BYTES = 33;
+
+  const ALGORITHMS = {
+    OKP: { name: "Ed25519" },
+    oct: { name: "HMAC", hash: "SHA-256" },
+  };
+
+  // The token in a scanned value: a whole scan URL (".../scan/sq_...") or
+  // the token itself
+  const TOKEN_PATTERN =
+    /(?:^|\/)(sq_[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+)(?:[?#].*)?$/;
+
+  const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  };
+
+  const toHex = (bytes) =>
+    Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+  // Read a token without checking its signature. Returns null if it isn't
+  // one.
+  const parseQRPayload = (text) => {
+    const match = TOKEN_PATTERN.exec(String(text).trim());
+    if (!match) return null;
+
+    const [head, payload, signature] = match[1].split(".");
+
+    let bytes;
+    let signatureBytes;
+    try {
+      bytes = fromBase64Url(payload);
+      signatureBytes = fromBase64Url(signature);
+    } catch (error) {
+      return null;
+    }
+
+    if (bytes.length !== PAYLOAD_BYTES || bytes[0] !== PAYLOAD_VERSION) {
+      return null;
+    }
+
+    const uuid = toHex(bytes.subarray(1, 17));
+    const expiresAt = new DataView(
+      bytes.buffer,
+      bytes.byteOffset + 29,
+      4
+    ).getUint32(0);
+
+    return {
+      kid: head.slice(PREFIX.length),
+      qrCode: `qr_${uuid.slice(0, 8)}-${uuid.slice(8, 12)}-${uuid.slice(
+        12,
+        16
+      )}-${uuid.slice(16, 20)}-${uuid.slice(20)}`,
+      partnerId: toHex(bytes.subarray(17, 29)),
+      expiresAt: new Date(expiresAt * 1000),
+      signedPart: `${head}.${payload}`,
+      signature: signatureBytes,
+    };
+  };
+
+  // `keys` are JWKs: { kid, kty: "OKP", crv: "Ed25519", x } public keys, or
+  // { kid, kty: "oct", k } HMAC secrets. `clockTolerance` (seconds) allows
+  // for kiosk clocks running ahead.
+  const createQRVerifier = ({
+    keys = [],
+    clockTolerance = 0,
+    subtle = globalThis.crypto && globalThis.crypto.subtle,
+  } = {}) => {
+    if (!subtle) {
+      throw new Error("Web Crypto is not available");
+    }
+
+    const imported = new Map();
+
+    const importKey = (jwk) => {
+      if (!imported.has(jwk.kid)) {
+        const keyData =
+          jwk.kty === "OKP"
+            ? { kty: "OKP", crv: jwk.crv, x: jwk.x }
+            : { kty: "oct", k: jwk.k };
+        imported.set(
+          jwk.kid,
+          subtle.importKey("jwk", keyData, ALGORITHMS[jwk.kty], false, [
+            "verify",
+          ])
+        );
+      }
+      return imported.get(jwk.kid);
+    };
+
+    const verify = async (text, { now = Date.now() } = {}) => {
+      const parsed = parseQRPayload(text);
+      if (!parsed) return { valid: false, reason: "malformed" };
+
+      const jwk = keys.find(
+        (key) => key.kid === parsed.kid && ALGORITHMS[key.kty]
+      );
+      if (!jwk) return { valid: false, reason: "unknown-key" };
+
+      const signatureValid = await subtle.verify(
+        ALGORITHMS[jwk.kty],
+        await importKey(jwk),
+        parsed.signature,
+        new TextEncoder().encode(parsed.signedPart)
+      );
+      if (!signatureValid) return { valid: false, reason: "bad-signature" };
+
+      if (parsed.expiresAt.getTime() + clockTolerance * 1000 < now) {
+        return { valid: false, reason: "expired" };
+      }
+
+      return {
+        valid: true,
+        qrCode: parsed.qrCode,
+        partnerId: parsed.partnerId,
+        expiresAt: parsed.expiresAt,
+        kid: parsed.kid,
+      };
+    };
+
+    return { verify };
+  };
+
+  return {
+    PREFIX,
+    PAYLOAD_VERSION,
+    PAYLOAD_BYTES,
+    parseQRPayload,
+    createQRVerifier,
+  };
+});
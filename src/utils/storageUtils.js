@@ -0,0 +1,222 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// How long signed download URLs work (seconds)
+const DEFAULT_URL_TTL = 15 * 60;
+
+// Storage backends for uploaded files. Each one has:
+//   put(key, buffer, contentType)   store a file
+//   get(key)                        read it back as a Buffer
+//   delete(key)                     remove it (missing files are fine)
+//   getSignedUrl(key, { expiresIn, contentType, filename })
+//                                   a URL anyone holding it can download
+//                                   the file from until it expires
+
+// Files under UPLOAD_DIR (default .uploads). For development and tests;
+// downloads go through GET /api/v1/uploads/files/:token.
+const createLocalStorage = ({
+  dir = process.env.UPLOAD_DIR || path.join(process.cwd(), ".uploads"),
+} = {}) => {
+  const filePath = (key) => {
+    const resolved = path.resolve(dir, key);
+    if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+    },
+
+    get(key) {
+      return fs.readFile(filePath(key));
+    },
+
+    async delete(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+
+    async getSignedUrl(
+      key,
+      { expiresIn = DEFAULT_URL_TTL, contentType, filename } = {}
+    ) {
+      const token = createDownloadToken({
+        key,
+        contentType,
+        filename,
+        expiresAt: Date.now() + expiresIn * 1000,
+      });
+      const baseUrl = process.env.API_URL || "http://localhost:5000";
+      return `${baseUrl}/api/v1/uploads/files/${token}`;
+    },
+  };
+};
+
+// Any S3-compatible service (AWS S3, MinIO, R2...). Configured with
+// S3_BUCKET, S3_REGION, S3_ENDPOINT (not for AWS), S3_ACCESS_KEY_ID,
+// S3_SECRET_ACCESS_KEY and S3_FORCE_PATH_STYLE=true (MinIO).
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+} = {}) => {
+  // Loaded here so the SDK is only required when S3 is used
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+  const { getSignedUrl: presign } = require("@aws-sdk/s3-request-presigner");
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set to use S3 storage");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId &&
+      secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async get(key) {
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getSignedUrl(
+      key,
+      { expiresIn = DEFAULT_URL_TTL, contentType, filename } = {}
+    ) {
+      return presign(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentType: contentType,
+          ...(filename && {
+            ResponseContentDisposition: contentDisposition(filename),
+          }),
+        }),
+        { expiresIn }
+      );
+    },
+  };
+};
+
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage = null;
+
+// The storage backend picked by STORAGE_DRIVER ("local" by default outside
+// production). Production has to name one: serverless hosts can't write to
+// the local disk.
+const getStorage = () => {
+  if (storage) return storage;
+
+  if (!process.env.STORAGE_DRIVER && process.env.NODE_ENV === "production") {
+    throw new Error(
+      'STORAGE_DRIVER must be set in production ("s3", or "local" with a writable UPLOAD_DIR)'
+    );
+  }
+
+  const driver = process.env.STORAGE_DRIVER || "local";
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  storage = DRIVERS[driver]();
+  return storage;
+};
+
+// Use another backend (e.g. a local one in a temp directory for tests)
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+const contentDisposition = (filename) =>
+  `inline; filename*=UTF-8''${encodeURIComponent(filename)}`;
+
+const signDownload = (payload) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.UPLOAD_URL_SECRET || process.env.JWT_SECRET
+    )
+    .update(`download:${payload}`)
+    .digest("base64url");
+
+// Token for a local download URL: "<base64url JSON>.<signature>"
+const createDownloadToken = (details) => {
+  const payload = Buffer.from(JSON.stringify(details)).toString("base64url");
+  return `${payload}.${signDownload(payload)}`;
+};
+
+// Check a local download token. Returns { key, contentType, filename } or
+// null when it is invalid or expired.
+const verifyDownloadToken = (token) => {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signDownload(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const details = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!details.expiresAt || details.expiresAt < Date.now()) return null;
+    return details;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_URL_TTL,
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  setStorage,
+  contentDisposition,
+  verifyDownloadToken,
+};
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+
+// Email templates live in src/emails:
+//   layouts/<name>.html.hbs, layouts/<name>.text.hbs   page chrome
+//   partials/<name>.html.hbs, partials/<name>.text.hbs reusable blocks
+//   templates/<template>/html.hbs, text.hbs            one folder per email
+//   templates/<template>/sample.json                   preview data
+//   locales/<locale>.json                              copy, keyed by template
+// A new email is added by dropping in a template folder and its locale keys.
+const EMAILS_DIR = path.join(__dirname, "..", "emails");
+const DEFAULT_LOCALE = "en";
+
+let registry = null;
+
+// Look up a dotted key ("verification.subject") in a locale bundle
+const lookup = (bundle, key) =>
+  key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      bundle
+    );
+
+// Translate a key for a locale, falling back to the default locale and then
+// to the key itself. "{name}" placeholders are filled from `params`; HTML
+// output escapes both the copy and the values.
+const translate = (locale, key, params = {}, { escape = false } = {}) => {
+  const { locales } = loadTemplates();
+  const message =
+    lookup(locales[locale], key) ?? lookup(locales[DEFAULT_LOCALE], key) ?? key;
+  const format = (value) =>
+    escape ? Handlebars.escapeExpression(value) : String(value ?? "");
+
+  return format(message).replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? format(params[name]) : match
+  );
+};
+
+// One Handlebars environment for HTML (escaped) and one for plain text
+const createEnvironment = (format) => {
+  const env = Handlebars.create();
+  const escape = format === "html";
+
+  // {{t "verification.greeting" name=user.name}}
+  env.registerHelper("t", function (key, options) {
+    const text = translate(options.data.root.locale, key, options.hash, {
+      escape,
+    });
+    return escape ? new env.SafeString(text) : text;
+  });
+
+  // {{date lockedUntil}} in the recipient's locale (UTC);
+  // {{date weekStart time=false}} leaves out the time
+  env.registerHelper("date", function (value, options) {
+    if (!value) return "";
+
+    return new Date(value).toLocaleString(options.data.root.locale, {
+      dateStyle: "medium",
+      timeStyle: options.hash.time === false ? undefined : "long",
+      timeZone: "UTC",
+    });
+  });
+
+  // {{concat clientUrl "/claims"}}
+  env.registerHelper("concat", (...args) => args.slice(0, -1).join(""));
+
+  // Build lists for partials: {{> details rows=(array (row "Label" value))}}
+  env.registerHelper("array", (...args) => args.slice(0, -1));
+  env.registerHelper("row", (label, value) => ({ label, value }));
+
+  return env;
+};
+
+// Register every "<name>.<format>.hbs" file in a folder as a partial
+const registerPartials = (env, folder, format, prefix = "") => {
+  const directory = path.join(EMAILS_DIR, folder);
+  if (!fs.existsSync(directory)) return;
+
+  for (const file of fs.readdirSync(directory)) {
+    const match = file.match(/^(.+)\.(html|text)\.hbs$/);
+    if (!match || match[2] !== format) continue;
+
+    env.registerPartial(
+      `${prefix}${match[1]}`,
+      fs.readFileSync(path.join(directory, file), "utf8")
+    );
+  }
+};
+
+// Read and compile all layouts, partials, templates and locale bundles
+const loadTemplates = ({ reload = false } = {}) => {
+  if (registry && !reload) return registry;
+
+  const environments = {
+    html: createEnvironment("html"),
+    text: createEnvironment("text"),
+  };
+
+  for (const [format, env] of Object.entries(environments)) {
+    registerPartials(env, "layouts", format, "layouts/");
+    registerPartials(env, "partials", format);
+  }
+
+  const templates = {};
+  const templatesDir = path.join(EMAILS_DIR, "templates");
+
+  for (const name of fs.readdirSync(templatesDir)) {
+    const directory = path.join(templatesDir, name);
+    if (!fs.statSync(directory).isDirectory()) continue;
+
+    const read = (file) => fs.readFileSync(path.join(directory, file), "utf8");
+    const samplePath = path.join(directory, "sample.json");
+
+    templates[name] = {
+      html: environments.html.compile(read("html.hbs")),
+      text: environments.text.compile(read("text.hbs"), { noEscape: true }),
+      sample: fs.existsSync(samplePath) ? JSON.parse(read("sample.json")) : {},
+    };
+  }
+
+  const locales = {};
+  const localesDir = path.join(EMAILS_DIR, "locales");
+
+  for (const file of fs.readdirSync(localesDir)) {
+    if (!file.endsWith(".json")) continue;
+
+    locales[path.basename(file, ".json")] = JSON.parse(
+      fs.readFileSync(path.join(localesDir, file), "utf8")
+    );
+  }
+
+  registry = { templates, locales };
+  return registry;
+};
+
+// Locales we have a bundle for
+const getSupportedLocales = () => Object.keys(loadTemplates().locales);
+
+// Pick the best supported locale ("fr-CA" falls back to "fr", then "en")
+const resolveLocale = (locale) => {
+  const locales = loadTemplates().locales;
+  if (!locale) return DEFAULT_LOCALE;
+  if (locales[locale]) return locale;
+
+  const language = String(locale).split(/[-_]/)[0].toLowerCase();
+  return locales[language] ? language : DEFAULT_LOCALE;
+};
+
+// Render an email. Returns { subject, html, text, locale }.
+const renderEmail = (name, data = {}, locale) => {
+  const template = loadTemplates().templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  const context = {
+    appName: "EcoRewards",
+    supportEmail: process.env.SUPPORT_EMAIL || "support@ecorewards.com",
+    clientUrl: process.env.CLIENT_URL,
+    year: new Date().getFullYear(),
+    ...data,
+    locale: resolvedLocale,
+  };
+
+  return {
+    subject: translate(resolvedLocale, `${name}.subject`, {
+      ...context,
+      name: data.user?.name,
+    }),
+    html: template.html(context),
+    text: template
+      .text(context)
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    locale: resolvedLocale,
+  };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  loadTemplates,
+  getSupportedLocales,
+  resolveLocale,
+  translate,
+  renderEmail,
+};
@@ -0,0 +1,256 @@
+const LoginAttempt = require("../models/loginattempt.model");
+
+// Throttling policies. Once `delayAfter` failures are reached every further
+// attempt has to wait an exponentially growing delay; at `lockAfter` the key
+// is locked out for `lockMs`. Counters are forgotten `windowMs` after the
+// last failure.
+const POLICIES = {
+  account: {
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockAfter: parseInt(process.env.LOGIN_LOCK_AFTER, 10) || 10,
+    lockMs: (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 30) * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  ip: {
+    delayAfter: 10,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockAfter: 50,
+    lockMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  // Outgoing emails (e.g. resend verification): every request counts
+  email: {
+    delayAfter: 1,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 10 * 60 * 1000,
+    lockAfter: 5,
+    lockMs: 60 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  // Same, per IP address
+  emailIp: {
+    delayAfter: 5,
+    baseDelayMs: 10 * 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockAfter: 20,
+    lockMs: 60 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+};
+
+// Counters stored in MongoDB so every serverless instance sees the same state
+const mongoStore = {
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } });
+  },
+
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    // Drop a stale counter the TTL monitor hasn't removed yet
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const update = () =>
+      LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now },
+          $max: { expiresAt: new Date(now.getTime() + windowMs) },
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+    try {
+      return await update();
+    } catch (error) {
+      // Two requests upserted the same new key at once and this one lost the
+      // insert; the counter exists now, so the retry updates it
+      if (error.code !== 11000) throw error;
+      return update();
+    }
+  },
+
+  async lock(key, lockedUntil) {
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $set: { lockedUntil }, $max: { expiresAt: lockedUntil } },
+      { new: true }
+    );
+  },
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+};
+
+// In-process store for tests and local development
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const get = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async get(key) {
+      return get(key);
+    },
+
+    async increment(key, windowMs) {
+      const now = new Date();
+      const record = get(key) || {
+        key,
+        failures: 0,
+        lockedUntil: null,
+        expiresAt: now,
+      };
+
+      record.failures += 1;
+      record.lastFailureAt = now;
+      record.expiresAt = new Date(
+        Math.max(record.expiresAt.getTime(), now.getTime() + windowMs)
+      );
+      records.set(key, record);
+
+      return { ...record };
+    },
+
+    async lock(key, lockedUntil) {
+      const record = get(key);
+      if (!record) return null;
+
+      record.lockedUntil = lockedUntil;
+      record.expiresAt = new Date(
+        Math.max(record.expiresAt.getTime(), lockedUntil.getTime())
+      );
+
+      return { ...record };
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
+
+let store =
+  process.env.LOGIN_THROTTLE_STORE === "memory"
+    ? createMemoryStore()
+    : mongoStore;
+
+// Swap the counter store (e.g. a memory store in tests, Redis in
+// production). Returns the store it replaced.
+const setThrottleStore = (newStore) => {
+  const previous = store;
+  store = newStore;
+  return previous;
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Work out whether a key may attempt again right now
+const evaluate = (record, policy, now = Date.now()) => {
+  if (!record) return { allowed: true, locked: false, retryAfter: 0 };
+
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      locked: true,
+      retryAfter: Math.ceil((record.lockedUntil.getTime() - now) / 1000),
+    };
+  }
+
+  if (record.failures >= policy.delayAfter && record.lastFailureAt) {
+    const delayMs = Math.min(
+      policy.baseDelayMs * 2 ** (record.failures - policy.delayAfter),
+      policy.maxDelayMs
+    );
+    const retryAt = record.lastFailureAt.getTime() + delayMs;
+
+    if (retryAt > now) {
+      return {
+        allowed: false,
+        locked: false,
+        retryAfter: Math.ceil((retryAt - now) / 1000),
+      };
+    }
+  }
+
+  return { allowed: true, locked: false, retryAfter: 0 };
+};
+
+// Check several keys at once, e.g. [[accountKey(email), "account"], [ipKey(ip), "ip"]].
+// Returns the most restrictive result along with the key that caused it.
+const checkThrottle = async (entries) => {
+  let result = { allowed: true, locked: false, retryAfter: 0, key: null };
+
+  for (const [key, policyName] of entries) {
+    const status = evaluate(await store.get(key), POLICIES[policyName]);
+
+    if (!status.allowed && status.retryAfter > result.retryAfter) {
+      result = { ...status, key };
+    }
+  }
+
+  return result;
+};
+
+// Record a failed attempt. Returns whether this failure triggered a lockout.
+const recordFailure = async (key, policyName) => {
+  const policy = POLICIES[policyName];
+  const record = await store.increment(key, policy.windowMs);
+
+  if (record.failures >= policy.lockAfter) {
+    const alreadyLocked =
+      record.lockedUntil && record.lockedUntil.getTime() > Date.now();
+
+    if (!alreadyLocked) {
+      const lockedUntil = new Date(Date.now() + policy.lockMs);
+      await store.lock(key, lockedUntil);
+      return { failures: record.failures, lockedUntil, justLocked: true };
+    }
+  }
+
+  return {
+    failures: record.failures,
+    lockedUntil: record.lockedUntil,
+    justLocked: false,
+  };
+};
+
+// Forget failures for a key (successful login, unlock)
+const clearFailures = (key) => store.reset(key);
+
+// Send a 429 with a Retry-After header for a throttled request
+const sendThrottledResponse = (res, status, message) => {
+  res.set("Retry-After", String(status.retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    error: message,
+    retryAfter: status.retryAfter,
+    locked: status.locked,
+  });
+};
+
+module.exports = {
+  POLICIES,
+  createMemoryStore,
+  setThrottleStore,
+  accountKey,
+  ipKey,
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  sendThrottledResponse,
+};
@@ -1,28 +1,119 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const RefreshToken = require("../models/refreshtoken.model");
+const Session = require("../models/session.model");
+const { describeDevice } = require("./deviceUtils");
 
-// Create token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
+// Create token (carries the session id so revoked sessions can be rejected)
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE,
   });
 };
 
 // Create refresh token with longer expiry
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
+const generateRefreshToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || "30d",
+    jwtid: uuidv4(),
   });
 };
 
-// Helper to send tokens in response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create tokens
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+// The token a stored refresh token is rotated into. It is derived from the
+// rotated token and the time it was rotated, so every refresh of the same
+// token (a second tab, a retry after a lost response) gets the very same
+// successor rather than forking a new chain.
+const generateSuccessorRefreshToken = (stored) => {
+  const jwtid = crypto
+    .createHmac("sha256", process.env.JWT_REFRESH_SECRET)
+    .update(`successor:${stored.tokenHash}`)
+    .digest("base64url");
 
+  return jwt.sign(
+    {
+      id: stored.userId.toString(),
+      sid: stored.sessionId.toString(),
+      iat: Math.floor(stored.revokedAt.getTime() / 1000),
+    },
+    process.env.JWT_REFRESH_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || "30d",
+      jwtid,
+    }
+  );
+};
+
+// Create a short-lived token proving the password step of a two-factor login
+const generateTwoFactorChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: "2fa-challenge" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
+  });
+};
+
+// Verify a two-factor challenge token and return its payload
+const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== "2fa-challenge") {
+    throw new Error("Not a two-factor challenge token");
+  }
+
+  return decoded;
+};
+
+// Build a session record for a new login. It is saved by issueRefreshToken
+// once the refresh token (and so the session expiry) exists.
+const buildSession = (user, req) => {
+  const userAgent = req?.get("User-Agent");
+
+  return new Session({
+    userId: user._id,
+    device: describeDevice(userAgent),
+    ipAddress: req?.ip,
+    userAgent,
+  });
+};
+
+// Create a refresh token (or store the given one, e.g. a rotation's
+// successor) and persist its hash so it can be rotated/revoked. Storing a
+// token that is already stored is a no-op. The session expiry follows the
+// newest refresh token.
+const issueRefreshToken = async (
+  user,
+  session,
+  req,
+  refreshToken = generateRefreshToken(user._id, session._id)
+) => {
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  try {
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: RefreshToken.hashToken(refreshToken),
+      sessionId: session._id,
+      expiresAt,
+      createdByIp: req?.ip,
+      userAgent: req?.get("User-Agent"),
+    });
+  } catch (error) {
+    // A concurrent refresh of the same token stored its successor first
+    if (error.code !== 11000) throw error;
+  }
+
+  session.expiresAt = expiresAt;
+  session.lastUsedAt = new Date();
+  if (req?.ip) session.ipAddress = req.ip;
+  await session.save();
+
+  return refreshToken;
+};
+
+// Set auth cookies
+const setAuthCookies = (res, token, refreshToken) => {
   // Set cookie options
   const cookieOptions = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), 
+    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
     httpOnly: true,
     secure: process.env.NODE_ENV === "production",
   };
@@ -30,6 +121,16 @@ const sendTokenResponse = (user, statusCode, res) => {
   // Send cookies
   res.cookie("token", token, cookieOptions);
   res.cookie("refreshToken", refreshToken, cookieOptions);
+};
+
+// Helper to send tokens in response (extra fields are merged into the body)
+const sendTokenResponse = async (user, statusCode, res, extra = {}) => {
+  // Create tokens (each login starts a new session)
+  const session = buildSession(user, res.req);
+  const token = generateToken(user._id, session._id);
+  const refreshToken = await issueRefreshToken(user, session, res.req);
+
+  setAuthCookies(res, token, refreshToken);
 
   // Standardize user data response
   const userData = {
@@ -46,12 +147,44 @@ const sendTokenResponse = (user, statusCode, res) => {
     success: true,
     token,
     refreshToken,
+    sessionId: session._id,
     user: userData,
+    ...extra,
   });
 };
 
+// Finish a login. Users who need two-factor authentication get a short-lived
+// challenge token instead of real tokens; admins who haven't enrolled yet also
+// get a pending secret to confirm in the second step.
+const sendLoginResponse = async (user, statusCode, res) => {
+  if (!user.requiresTwoFactor()) {
+    return sendTokenResponse(user, statusCode, res);
+  }
+
+  const response = {
+    success: true,
+    requiresTwoFactor: true,
+    challengeToken: generateTwoFactorChallengeToken(user._id),
+  };
+
+  if (!user.twoFactorEnabled) {
+    response.twoFactorSetupRequired = true;
+    response.setup = user.startTwoFactorSetup();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  return res.status(200).json(response);
+};
+
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateSuccessorRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  buildSession,
+  issueRefreshToken,
+  setAuthCookies,
   sendTokenResponse,
+  sendLoginResponse,
 };
@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+
+// RFC 4648 base32 alphabet (what authenticator apps expect for secrets)
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Encode a buffer as unpadded base32
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string (case-insensitive, padding and spaces ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Secrets may be passed as a base32 string or a raw buffer
+const toKey = (secret) =>
+  Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+
+// Generate a random base32 secret (20 bytes = 160 bits, as RFC 4226 advises)
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+// HOTP (RFC 4226)
+const generateHOTP = (
+  secret,
+  counter,
+  { digits = 6, algorithm = "sha1" } = {}
+) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(algorithm, toKey(secret))
+    .update(buffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(code % 10 ** digits).padStart(digits, "0");
+};
+
+// Time step counter for a moment in time
+const getTimeStep = (time = Date.now(), step = 30, t0 = 0) =>
+  Math.floor((time / 1000 - t0) / step);
+
+// TOTP (RFC 6238)
+const generateTOTP = (
+  secret,
+  { time = Date.now(), step = 30, t0 = 0, digits = 6, algorithm = "sha1" } = {}
+) => generateHOTP(secret, getTimeStep(time, step, t0), { digits, algorithm });
+
+// Verify a TOTP code, allowing `window` steps of clock drift either way.
+// Returns the matched time step, or null if the code is invalid.
+const verifyTOTP = (
+  token,
+  secret,
+  {
+    time = Date.now(),
+    step = 30,
+    t0 = 0,
+    window = 1,
+    digits = 6,
+    algorithm = "sha1",
+  } = {}
+) => {
+  const code = String(token || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const currentStep = getTimeStep(time, step, t0);
+  const expected = Buffer.from(code);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(
+      generateHOTP(secret, currentStep + offset, { digits, algorithm })
+    );
+
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI used by authenticator apps / QR codes
+const buildOtpauthUri = ({
+  secret,
+  accountName,
+  issuer,
+  digits = 6,
+  step = 30,
+  algorithm = "sha1",
+}) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(step),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  getTimeStep,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+};
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { DEFAULT_URL_TTL, getStorage } = require("./storageUtils");
+
+// Largest file accepted (bytes); UPLOAD_MAX_BYTES overrides it
+const MAX_UPLOAD_BYTES =
+  parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Refuse images that would take too much memory to decode
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Longest side of stored images and thumbnails
+const MAX_IMAGE_SIZE = 2560;
+const THUMBNAIL_SIZE = 320;
+
+// Image types we accept, by their leading bytes
+const SIGNATURES = [
+  {
+    mimeType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer.length > 3 &&
+      buffer[0] === 0xff &&
+      buffer[1] === 0xd8 &&
+      buffer[2] === 0xff,
+  },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    matches: (buffer) =>
+      buffer.length > 8 &&
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.length > 12 &&
+      buffer.toString("ascii", 0, 4) === "RIFF" &&
+      buffer.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+// What a file really is, from its contents (the client's Content-Type and
+// file name are not trusted). Returns { mimeType, extension } or null.
+const sniffImageType = (buffer) => {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature
+    ? { mimeType: signature.mimeType, extension: signature.extension }
+    : null;
+};
+
+const uploadError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Re-encode an uploaded image: applies the EXIF orientation, then drops all
+// metadata (EXIF, GPS, ICC comments...) and caps its size. Returns the image
+// and a WebP thumbnail.
+const processImage = async (buffer, type) => {
+  let image;
+  let thumbnail;
+
+  try {
+    const input = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(MAX_IMAGE_SIZE, MAX_IMAGE_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+
+    image = await input
+      .clone()
+      .toFormat(type.extension === "jpg" ? "jpeg" : type.extension)
+      .toBuffer({ resolveWithObject: true });
+    thumbnail = await input
+      .clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside" })
+      .webp({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    throw uploadError(400, "The file is not a readable image");
+  }
+
+  return { image, thumbnail };
+};
+
+// Check, clean and store an uploaded image. Returns the fields for an
+// Upload document. Throws errors with a statusCode for unusable files.
+const storeImageUpload = async (file, { ownerId, purpose }) => {
+  if (!file || !file.buffer || file.size === 0) {
+    throw uploadError(400, "Please attach a file");
+  }
+
+  const type = sniffImageType(file.buffer);
+  if (!type) {
+    throw uploadError(415, "Only JPEG, PNG and WebP images are accepted");
+  }
+
+  const { image, thumbnail } = await processImage(file.buffer, type);
+
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const key = `${purpose}/${ownerId}/${id}.${type.extension}`;
+  const thumbnailKey = `${purpose}/${ownerId}/${id}.thumb.webp`;
+
+  await storage.put(key, image.data, type.mimeType);
+  await storage.put(thumbnailKey, thumbnail, "image/webp");
+
+  return {
+    ownerId,
+    purpose,
+    storage: storage.name,
+    key,
+    thumbnailKey,
+    mimeType: type.mimeType,
+    size: image.info.size,
+    width: image.info.width,
+    height: image.info.height,
+    originalName: file.originalname
+      ? file.originalname.slice(0, 255)
+      : undefined,
+    sha256: crypto.createHash("sha256").update(image.data).digest("hex"),
+  };
+};
+
+// Signed, expiring URLs for an upload and its thumbnail
+const getUploadUrls = async (
+  upload,
+  { expiresIn: ttl = DEFAULT_URL_TTL } = {}
+) => {
+  const storage = getStorage();
+
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.getSignedUrl(upload.key, {
+      expiresIn: ttl,
+      contentType: upload.mimeType,
+      filename: upload.originalName,
+    }),
+    upload.thumbnailKey
+      ? storage.getSignedUrl(upload.thumbnailKey, {
+          expiresIn: ttl,
+          contentType: "image/webp",
+        })
+      : null,
+  ]);
+
+  return {
+    url,
+    thumbnailUrl,
+    expiresAt: new Date(Date.now() + ttl * 1000),
+  };
+};
+
+// Remove an upload's files from storage
+const deleteUploadFiles = async (upload) => {
+  const storage = getStorage();
+  await storage.delete(upload.key);
+  if (upload.thumbnailKey) await storage.delete(upload.thumbnailKey);
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  sniffImageType,
+  storeImageUpload,
+  getUploadUrls,
+  deleteUploadFiles,
+};
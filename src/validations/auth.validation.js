@@ -6,6 +6,7 @@ const registerValidation = (data) => {
     name: Joi.string().min(3).max(50).required(),
     email: Joi.string().min(6).max(255).required().email(),
     password: Joi.string().min(6).max(1024).required(),
+    locale: Joi.string().max(10),
   });
 
   return schema.validate(data);
@@ -21,7 +22,108 @@ const loginValidation = (data) => {
   return schema.validate(data);
 };
 
+// Forgot password validation
+const forgotPasswordValidation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().min(6).max(255).required().email(),
+  });
+
+  return schema.validate(data);
+};
+
+// Reset password validation
+const resetPasswordValidation = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().min(6).max(1024).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Two-factor code validation (setup confirmation, disable, new recovery codes)
+const twoFactorCodeValidation = (data) => {
+  const schema = Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Code must be 6 digits",
+      }),
+  });
+
+  return schema.validate(data);
+};
+
+// Two-factor login validation (second login step)
+const twoFactorLoginValidation = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        "string.pattern.base": "Code must be 6 digits",
+      }),
+    recoveryCode: Joi.string().max(20),
+  }).xor("code", "recoveryCode");
+
+  return schema.validate(data);
+};
+
+// Passwordless sign-in request validation
+const magicLinkValidation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().min(6).max(255).required().email(),
+  });
+
+  return schema.validate(data);
+};
+
+// Passwordless sign-in with the emailed code
+const emailOtpLoginValidation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().min(6).max(255).required().email(),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        "string.pattern.base": "Code must be 6 digits",
+      }),
+  });
+
+  return schema.validate(data);
+};
+
+// Email language validation
+const localeValidation = (data) => {
+  const schema = Joi.object({
+    locale: Joi.string().max(10).required(),
+  });
+
+  return schema.validate(data);
+};
+
+const accountLinkValidation = (data) => {
+  const schema = Joi.object({
+    password: Joi.string(),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        "string.pattern.base": "Code must be 6 digits",
+      }),
+  }).xor("password", "code");
+
+  return schema.validate(data);
+};
+
 module.exports = {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  magicLinkValidation,
+  emailOtpLoginValidation,
+  localeValidation,
+  accountLinkValidation,
 };
@@ -4,12 +4,20 @@ const Joi = require("joi");
 const claimRewardValidation = (data) => {
   const schema = Joi.object({
     qrCodeId: Joi.string()
-      .pattern(/^qr_[a-zA-Z0-9\-]{36}$/)
+      .pattern(/^(qr_[a-zA-Z0-9\-]{36}|sq_[\w-]+\.[\w-]+\.[\w-]+)$/)
       .required()
       .messages({
         "string.empty": "QR code ID is required",
         "string.pattern.base":
-          "Invalid QR code format. Must be in format: qr_xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
+          "Invalid QR code format. Must be a signed code (sq_...) or in format: qr_xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
+      }),
+
+    // Code shown next to a rotating QR code (dynamic mode)
+    dynamicCode: Joi.string()
+      .pattern(/^\d{8}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "Dynamic code must be 8 digits",
       }),
 
     metadata: Joi.object({
@@ -53,6 +61,14 @@ const claimRewardValidation = (data) => {
       proofUrl: Joi.string().uri().optional().messages({
         "string.uri": "Proof URL must be a valid URL",
       }),
+
+      proofUploadId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .optional()
+        .messages({
+          "string.pattern.base":
+            "Proof upload ID must be a valid MongoDB ObjectId",
+        }),
     }).optional(),
   });
 
@@ -197,6 +213,31 @@ const reverseClaimValidation = (data) => {
   return schema.validate(data);
 };
 
+// Approve claim validation
+const approveClaimValidation = (data) => {
+  const schema = Joi.object({
+    notes: Joi.string().max(1000).optional().allow("").messages({
+      "string.max": "Notes cannot exceed 1000 characters",
+    }),
+  });
+
+  return schema.validate(data);
+};
+
+// Reject claim validation (the reason is shown to the user)
+const rejectClaimValidation = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string().min(10).max(500).required().messages({
+      "string.empty": "Reason for rejection is required",
+      "string.min": "Reason must be at least 10 characters long",
+      "string.max": "Reason cannot exceed 500 characters",
+      "any.required": "Reason for rejection is required",
+    }),
+  });
+
+  return schema.validate(data);
+};
+
 // Leaderboard query validation
 const getLeaderboardValidation = (data) => {
   const schema = Joi.object({
@@ -271,6 +312,8 @@ module.exports = {
   getUserClaimHistoryValidation,
   getAllClaimsValidation,
   reverseClaimValidation,
+  approveClaimValidation,
+  rejectClaimValidation,
   getLeaderboardValidation,
   claimIdParamValidation,
   pointsSummaryValidation,
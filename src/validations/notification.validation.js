@@ -0,0 +1,29 @@
+const Joi = require("joi");
+
+// Notification preferences validation
+const notificationPreferencesValidation = (data) => {
+  const schema = Joi.object({
+    inApp: Joi.boolean().messages({
+      "boolean.base": "inApp must be true or false",
+    }),
+    email: Joi.boolean().messages({
+      "boolean.base": "email must be true or false",
+    }),
+    push: Joi.boolean().messages({
+      "boolean.base": "push must be true or false",
+    }),
+    digest: Joi.boolean().messages({
+      "boolean.base": "digest must be true or false",
+    }),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one preference must be provided",
+    });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  notificationPreferencesValidation,
+};
@@ -0,0 +1,54 @@
+const Joi = require("joi");
+const { SOURCE_TYPES } = require("../models/pointstransaction.model");
+
+// Points ledger query validation
+const getLedgerValidation = (data) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1).messages({
+      "number.base": "Page must be a number",
+      "number.integer": "Page must be a whole number",
+      "number.min": "Page must be at least 1",
+    }),
+
+    limit: Joi.number().integer().min(1).max(100).default(20).messages({
+      "number.base": "Limit must be a number",
+      "number.integer": "Limit must be a whole number",
+      "number.min": "Limit must be at least 1",
+      "number.max": "Limit cannot exceed 100",
+    }),
+
+    type: Joi.string().valid("credit", "debit").optional().messages({
+      "any.only": "Type must be credit or debit",
+    }),
+
+    sourceType: Joi.string()
+      .valid(...SOURCE_TYPES)
+      .optional()
+      .messages({
+        "any.only": `Source type must be one of: ${SOURCE_TYPES.join(", ")}`,
+      }),
+
+    startDate: Joi.date().optional().messages({
+      "date.base": "Start date must be a valid date",
+    }),
+
+    endDate: Joi.date().min(Joi.ref("startDate")).optional().messages({
+      "date.base": "End date must be a valid date",
+      "date.min": "End date cannot be before start date",
+    }),
+
+    // Admins only; ignored for everyone else
+    userId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "User ID must be a valid MongoDB ObjectId",
+      }),
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  getLedgerValidation,
+};
@@ -0,0 +1,44 @@
+const Joi = require("joi");
+
+// Confirm an in-store claim with the shopper's code
+const confirmClaimValidation = (data) => {
+  const schema = Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        "string.empty": "Confirmation code is required",
+        "string.pattern.base": "Confirmation code must be 6 digits",
+      }),
+    // Admins only; partner staff always confirm for their own partner
+    partnerId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "Partner ID must be a valid MongoDB ObjectId",
+      }),
+  });
+
+  return schema.validate(data);
+};
+
+// Make a user partner staff
+const assignStaffValidation = (data) => {
+  const schema = Joi.object({
+    partnerId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        "string.empty": "Partner ID is required",
+        "string.pattern.base": "Partner ID must be a valid MongoDB ObjectId",
+      }),
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  confirmClaimValidation,
+  assignStaffValidation,
+};
@@ -0,0 +1,59 @@
+const Joi = require("joi");
+const { isAllowedPushEndpoint } = require("../utils/pushUtils");
+
+// Only endpoints on known push services are accepted (see pushUtils);
+// PUSH_ENDPOINT_HOSTS adds hosts such as the local stub
+const endpointSchema = () =>
+  Joi.string()
+    .uri({ scheme: ["https", "http"] })
+    .max(2048)
+    .custom((value, helpers) =>
+      isAllowedPushEndpoint(value) ? value : helpers.error("string.pushHost")
+    )
+    .required()
+    .messages({
+      "string.empty": "Endpoint is required",
+      "string.uri": "Endpoint must be a valid push service URL",
+      "string.uriCustomScheme": "Endpoint must be a valid push service URL",
+      "string.pushHost": "Endpoint must be on a supported push service",
+    });
+
+// Push subscription validation (PushSubscription.toJSON() from the browser)
+const pushSubscriptionValidation = (data) => {
+  const schema = Joi.object({
+    endpoint: endpointSchema(),
+    expirationTime: Joi.number().allow(null),
+    keys: Joi.object({
+      // Uncompressed P-256 public key (65 bytes)
+      p256dh: Joi.string()
+        .pattern(/^[A-Za-z0-9_-]{86,88}={0,2}$/)
+        .required()
+        .messages({
+          "string.pattern.base": "p256dh must be a base64url P-256 public key",
+        }),
+      // 16-byte authentication secret
+      auth: Joi.string()
+        .pattern(/^[A-Za-z0-9_-]{22,24}={0,2}$/)
+        .required()
+        .messages({
+          "string.pattern.base": "auth must be a base64url 16-byte secret",
+        }),
+    }).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Push unsubscribe validation
+const pushUnsubscribeValidation = (data) => {
+  const schema = Joi.object({
+    endpoint: endpointSchema(),
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  pushSubscriptionValidation,
+  pushUnsubscribeValidation,
+};
@@ -44,6 +44,11 @@ const generateQRCodeValidation = (data) => {
     notes: Joi.string().max(1000).optional().messages({
       "string.max": "Notes cannot exceed 1000 characters",
     }),
+
+    expiresAt: Joi.date().greater("now").optional().messages({
+      "date.base": "Expiry date must be a valid date",
+      "date.greater": "Expiry date must be in the future",
+    }),
   });
 
   return schema.validate(data);
@@ -80,6 +85,11 @@ const generateBulkQRCodesValidation = (data) => {
       "string.max": "Batch ID cannot exceed 100 characters",
     }),
 
+    expiresAt: Joi.date().greater("now").optional().messages({
+      "date.base": "Expiry date must be a valid date",
+      "date.greater": "Expiry date must be in the future",
+    }),
+
     locations: Joi.array()
       .items(
         Joi.object({
@@ -136,29 +146,46 @@ const getQRCodesQueryValidation = (data) => {
   return schema.validate(data);
 };
 
-// Location-based QR search validation
+// Nearby rewards query validation (GET /qr/nearby)
 const locationSearchValidation = (data) => {
   const schema = Joi.object({
-    latitude: Joi.number().min(-90).max(90).required().messages({
+    lat: Joi.number().min(-90).max(90).required().messages({
       "number.base": "Latitude must be a number",
       "number.min": "Latitude must be between -90 and 90",
       "number.max": "Latitude must be between -90 and 90",
-      "any.required": "Latitude is required for location search",
+      "any.required": "Latitude (lat) is required for location search",
     }),
 
-    longitude: Joi.number().min(-180).max(180).required().messages({
+    lng: Joi.number().min(-180).max(180).required().messages({
       "number.base": "Longitude must be a number",
       "number.min": "Longitude must be between -180 and 180",
       "number.max": "Longitude must be between -180 and 180",
-      "any.required": "Longitude is required for location search",
+      "any.required": "Longitude (lng) is required for location search",
     }),
 
-    radiusInKm: Joi.number().min(0.1).max(100).default(10).messages({
+    radiusKm: Joi.number().min(0.1).max(100).default(10).messages({
       "number.base": "Radius must be a number",
       "number.min": "Radius must be at least 0.1 km",
       "number.max": "Radius cannot exceed 100 km",
     }),
 
+    category: Joi.string()
+      .valid(
+        "recycling",
+        "energy-saving",
+        "waste-reduction",
+        "sustainable-transport",
+        "water-conservation",
+        "carbon-offset",
+        "eco-purchase",
+        "other"
+      )
+      .optional()
+      .messages({
+        "any.only":
+          "Category must be one of: recycling, energy-saving, waste-reduction, sustainable-transport, water-conservation, carbon-offset, eco-purchase, other",
+      }),
+
     limit: Joi.number().integer().min(1).max(50).default(20),
   });
 
@@ -169,12 +196,12 @@ const locationSearchValidation = (data) => {
 const qrCodeParamValidation = (data) => {
   const schema = Joi.object({
     qrId: Joi.string()
-      .pattern(/^qr_[a-zA-Z0-9\-]{36}$/)
+      .pattern(/^(qr_[a-zA-Z0-9\-]{36}|sq_[\w-]+\.[\w-]+\.[\w-]+)$/)
       .required()
       .messages({
         "string.empty": "QR code ID is required",
         "string.pattern.base":
-          "Invalid QR code format. Must be in format: qr_xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
+          "Invalid QR code format. Must be a signed code (sq_...) or in format: qr_xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
       }),
   });
 
@@ -221,6 +248,141 @@ const topPerformingQueryValidation = (data) => {
   return schema.validate(data);
 };
 
+// QR code image query validation
+const qrImageQueryValidation = (data) => {
+  const schema = Joi.object({
+    format: Joi.string().valid("png", "svg").default("png").messages({
+      "any.only": "Format must be one of: png, svg",
+    }),
+
+    size: Joi.number().integer().min(64).max(2048).default(512).messages({
+      "number.base": "Size must be a number",
+      "number.integer": "Size must be a whole number of pixels",
+      "number.min": "Size must be at least 64 pixels",
+      "number.max": "Size cannot exceed 2048 pixels",
+    }),
+
+    margin: Joi.number().integer().min(0).max(16).default(4).messages({
+      "number.base": "Margin must be a number",
+      "number.integer": "Margin must be a whole number of modules",
+      "number.min": "Margin cannot be negative",
+      "number.max": "Margin cannot exceed 16 modules",
+    }),
+
+    ecc: Joi.string()
+      .uppercase()
+      .valid("L", "M", "Q", "H")
+      .default("M")
+      .messages({
+        "any.only": "Error correction level must be one of: L, M, Q, H",
+      }),
+
+    logo: Joi.boolean().default(false).messages({
+      "boolean.base": "Logo must be true or false",
+    }),
+  });
+
+  return schema.validate(data);
+};
+
+// QR batch export query validation
+const qrBatchExportQueryValidation = (data) => {
+  const schema = Joi.object({
+    format: Joi.string().valid("pdf", "zip", "csv").default("pdf").messages({
+      "any.only": "Format must be one of: pdf, zip, csv",
+    }),
+
+    // PDF label sheets
+    paper: Joi.string()
+      .lowercase()
+      .valid("a4", "letter")
+      .default("a4")
+      .messages({
+        "any.only": "Paper must be one of: a4, letter",
+      }),
+
+    columns: Joi.number().integer().min(1).max(8).default(3).messages({
+      "number.base": "Columns must be a number",
+      "number.integer": "Columns must be a whole number",
+      "number.min": "Columns must be at least 1",
+      "number.max": "Columns cannot exceed 8",
+    }),
+
+    rows: Joi.number().integer().min(1).max(12).default(6).messages({
+      "number.base": "Rows must be a number",
+      "number.integer": "Rows must be a whole number",
+      "number.min": "Rows must be at least 1",
+      "number.max": "Rows cannot exceed 12",
+    }),
+
+    pageMargin: Joi.number().min(0).max(72).default(36).messages({
+      "number.base": "Page margin must be a number of points",
+      "number.min": "Page margin cannot be negative",
+      "number.max": "Page margin cannot exceed 72 points",
+    }),
+
+    // ZIP images
+    size: Joi.number().integer().min(64).max(2048).default(512).messages({
+      "number.base": "Size must be a number",
+      "number.integer": "Size must be a whole number of pixels",
+      "number.min": "Size must be at least 64 pixels",
+      "number.max": "Size cannot exceed 2048 pixels",
+    }),
+
+    margin: Joi.number().integer().min(0).max(16).default(4).messages({
+      "number.base": "Margin must be a number",
+      "number.integer": "Margin must be a whole number of modules",
+      "number.min": "Margin cannot be negative",
+      "number.max": "Margin cannot exceed 16 modules",
+    }),
+
+    logo: Joi.boolean().default(false).messages({
+      "boolean.base": "Logo must be true or false",
+    }),
+
+    ecc: Joi.string()
+      .uppercase()
+      .valid("L", "M", "Q", "H")
+      .default("M")
+      .messages({
+        "any.only": "Error correction level must be one of: L, M, Q, H",
+      }),
+  });
+
+  return schema.validate(data);
+};
+
+// Rotating (dynamic) QR code settings validation
+const dynamicQRValidation = (data) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean().required().messages({
+      "boolean.base": "Enabled must be true or false",
+      "any.required": "Enabled is required",
+    }),
+
+    step: Joi.number().integer().min(10).max(300).optional().messages({
+      "number.base": "Rotation interval must be a number of seconds",
+      "number.integer": "Rotation interval must be a whole number of seconds",
+      "number.min": "Rotation interval must be at least 10 seconds",
+      "number.max": "Rotation interval cannot exceed 300 seconds",
+    }),
+
+    window: Joi.number().integer().min(0).max(4).optional().messages({
+      "number.base": "Tolerance window must be a number of steps",
+      "number.integer": "Tolerance window must be a whole number of steps",
+      "number.min": "Tolerance window cannot be negative",
+      "number.max": "Tolerance window cannot exceed 4 steps",
+    }),
+
+    // New secret: codes and display links issued so far stop working
+    rotateSecret: Joi.boolean().optional().messages({
+      "boolean.base": "rotateSecret must be true or false",
+    }),
+  });
+
+  return schema.validate(data);
+};
+
 module.exports = {
   generateQRCodeValidation,
   generateBulkQRCodesValidation,
@@ -229,4 +391,7 @@ module.exports = {
   qrCodeParamValidation,
   batchIdParamValidation,
   topPerformingQueryValidation,
+  qrImageQueryValidation,
+  qrBatchExportQueryValidation,
+  dynamicQRValidation,
 };
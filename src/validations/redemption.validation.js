@@ -0,0 +1,142 @@
+const Joi = require("joi");
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.empty": `${label} is required`,
+      "string.pattern.base": `${label} must be a valid MongoDB ObjectId`,
+    });
+
+// Catalogue item fields; `required` for the ones needed on create
+const itemFields = (required) => {
+  const need = (schema) => (required ? schema.required() : schema.optional());
+
+  return {
+    // Admins only (required for them on create, see partnerScope); partner
+    // staff always act for their own partner
+    partnerId: objectId("Partner ID").optional(),
+
+    title: need(Joi.string().trim().min(3).max(100)).messages({
+      "string.empty": "Title is required",
+      "string.min": "Title must be at least 3 characters long",
+      "string.max": "Title cannot exceed 100 characters",
+    }),
+
+    description: Joi.string().max(1000).optional().allow("").messages({
+      "string.max": "Description cannot exceed 1000 characters",
+    }),
+
+    pointsCost: need(Joi.number().integer().min(1).max(100000)).messages({
+      "number.base": "Points cost must be a number",
+      "number.integer": "Points cost must be a whole number",
+      "number.min": "Points cost must be at least 1",
+      "number.max": "Points cost cannot exceed 100000",
+      "any.required": "Points cost is required",
+    }),
+
+    stock: Joi.number().integer().min(0).optional().allow(null).messages({
+      "number.base": "Stock must be a number",
+      "number.integer": "Stock must be a whole number",
+      "number.min": "Stock cannot be negative",
+    }),
+
+    maxPerUser: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .optional()
+      .allow(null)
+      .messages({
+        "number.base": "Max per user must be a number",
+        "number.integer": "Max per user must be a whole number",
+        "number.min": "Max per user must be at least 1",
+        "number.max": "Max per user cannot exceed 100",
+      }),
+
+    voucherValidDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .optional()
+      .messages({
+        "number.base": "Voucher validity must be a number of days",
+        "number.integer": "Voucher validity must be a whole number of days",
+        "number.min": "Vouchers must be valid for at least 1 day",
+        "number.max": "Vouchers cannot be valid for more than 365 days",
+      }),
+
+    terms: Joi.string().max(500).optional().allow("").messages({
+      "string.max": "Terms cannot exceed 500 characters",
+    }),
+
+    imageUrl: Joi.string()
+      .uri()
+      .pattern(/\.(jpg|jpeg|png|gif|webp)$/i)
+      .optional()
+      .messages({
+        "string.uri": "Image URL must be a valid URL",
+        "string.pattern.base":
+          "Image must be a valid image URL (jpg, jpeg, png, gif, webp)",
+      }),
+
+    isActive: Joi.boolean().optional().messages({
+      "boolean.base": "isActive must be true or false",
+    }),
+  };
+};
+
+// Create catalogue item validation
+const createRedemptionItemValidation = (data) =>
+  Joi.object(itemFields(true)).validate(data);
+
+// Update catalogue item validation
+const updateRedemptionItemValidation = (data) =>
+  Joi.object(itemFields(false))
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided",
+    })
+    .validate(data);
+
+// Redeem points for a catalogue item
+const redeemValidation = (data) => {
+  const schema = Joi.object({
+    itemId: objectId("Item ID").required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Cancel a voucher
+const cancelVoucherValidation = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string().trim().max(500).optional().allow("").messages({
+      "string.max": "Reason cannot exceed 500 characters",
+    }),
+  });
+
+  return schema.validate(data);
+};
+
+// Check or accept a voucher at a partner
+const partnerVoucherValidation = (data) => {
+  const schema = Joi.object({
+    code: Joi.string().trim().max(20).required().messages({
+      "string.empty": "Voucher code is required",
+      "string.max": "Voucher code is too long",
+    }),
+    // Admins only; partner staff always act for their own partner
+    partnerId: objectId("Partner ID").optional(),
+  });
+
+  return schema.validate(data);
+};
+
+module.exports = {
+  createRedemptionItemValidation,
+  updateRedemptionItemValidation,
+  redeemValidation,
+  cancelVoucherValidation,
+  partnerVoucherValidation,
+};
@@ -70,6 +70,13 @@ const createRewardValidation = (data) => {
         "string.empty": "Action type is required",
       }),
 
+    proofType: Joi.string()
+      .valid("none", "photo", "receipt", "survey")
+      .default("none")
+      .messages({
+        "any.only": "Proof type must be one of: none, photo, receipt, survey",
+      }),
+
     maxClaimsPerUser: Joi.number()
       .integer()
       .min(1)
@@ -191,6 +198,13 @@ const updateRewardValidation = (data) => {
           "Action type must be one of: purchase, recycle, participate, survey, check-in, photo-proof, other",
       }),
 
+    proofType: Joi.string()
+      .valid("none", "photo", "receipt", "survey")
+      .optional()
+      .messages({
+        "any.only": "Proof type must be one of: none, photo, receipt, survey",
+      }),
+
     maxClaimsPerUser: Joi.number()
       .integer()
       .min(1)
@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const RewardClaim = require("../src/models/rewardclaim.model");
+const Reward = require("../src/models/reward.model");
+const QRCode = require("../src/models/qrcode.model");
+const User = require("../src/models/user.model");
+const PointsTransaction = require("../src/models/pointstransaction.model");
+const Notification = require("../src/models/notification.model");
+const {
+  approveClaim,
+  rejectClaim,
+} = require("../src/controllers/claim.controller");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("proof review", () => {
+  const adminId = new mongoose.Types.ObjectId();
+  let claim;
+  let user;
+  let reward;
+  let ledger;
+  let notifications;
+  let userUpdates;
+  let rewardUpdates;
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      points: 90,
+      ecoLevel: "beginner",
+      notificationPreferences: { inApp: true, email: false, push: false },
+    });
+    reward = Reward.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: "Refill station",
+      points: 25,
+      currentClaims: 3,
+      totalMaxClaims: 10,
+      isActive: true,
+      requiresProof: true,
+      requiredProof: "photo",
+    });
+    claim = RewardClaim.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      userId: user._id,
+      qrCodeId: new mongoose.Types.ObjectId(),
+      partnerId: new mongoose.Types.ObjectId(),
+      rewardId: reward._id,
+      pointsAwarded: 25,
+      status: "pending",
+      verificationData: {
+        requiresProof: true,
+        proofType: "photo",
+        proofUploadId: new mongoose.Types.ObjectId(),
+      },
+      claimedAt: new Date(),
+    });
+
+    ledger = [];
+    notifications = [];
+    userUpdates = [];
+    rewardUpdates = [];
+
+    stubTransactions();
+    stub(RewardClaim, "findById", () => query(claim));
+    stub(Reward, "findById", () => query(reward));
+    stub(Reward, "updateOne", async (filter, update) => {
+      rewardUpdates.push({ filter, update });
+      return { modifiedCount: 1 };
+    });
+    stub(QRCode, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(User, "findById", () => query(user));
+    // The ledger's balance update returns the user before the change
+    stub(User, "findOneAndUpdate", async () => User.hydrate(user.toObject()));
+    stub(User, "updateOne", async (filter, update) => {
+      userUpdates.push(update);
+      return { modifiedCount: 1 };
+    });
+    stub(PointsTransaction, "create", async (entries) =>
+      entries.map((entry) => {
+        ledger.push(entry);
+        return new PointsTransaction(entry);
+      })
+    );
+    stub(Notification, "create", async (notification) => {
+      notifications.push(notification);
+      return notification;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  // The claim as the conditional update leaves it, or null when the filter
+  // (status "pending") doesn't match
+  const stubClaimUpdate = () => {
+    const calls = [];
+    stub(RewardClaim, "findOneAndUpdate", async (filter, update) => {
+      calls.push({ filter, update });
+      if (claim.status !== filter.status) return null;
+      const updated = RewardClaim.hydrate(claim.toObject());
+      updated.set(update.$set);
+      return updated;
+    });
+    return calls;
+  };
+
+  describe("PUT /api/v1/claim/:id/approve", () => {
+    it("completes the claim and credits its points through the ledger", async () => {
+      const updates = stubClaimUpdate();
+
+      const res = await callHandler(approveClaim, {
+        params: { id: claim._id.toString() },
+        body: { notes: "Photo shows the refill" },
+        user: { id: adminId.toString() },
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.data).to.include({
+        status: "completed",
+        pointsAwarded: 25,
+      });
+
+      expect(updates[0].filter).to.deep.equal({
+        _id: claim._id,
+        status: "pending",
+      });
+      expect(updates[0].update.$set).to.include({
+        status: "completed",
+        "verificationData.verifiedBy": adminId.toString(),
+        notes: "Photo shows the refill",
+      });
+
+      expect(ledger).to.have.length(1);
+      expect(ledger[0]).to.include({
+        type: "credit",
+        amount: 25,
+        balanceAfter: 115,
+        sourceType: "reward_claim",
+      });
+      expect(ledger[0].sourceId.toString()).to.equal(claim._id.toString());
+      expect(ledger[0].userId.toString()).to.equal(user._id.toString());
+
+      // One of the reward's claims is taken, and the level moved up
+      expect(rewardUpdates[0].update).to.deep.equal({
+        $inc: { currentClaims: 1 },
+      });
+      expect(userUpdates).to.deep.include({
+        $set: { ecoLevel: "intermediate" },
+      });
+      expect(notifications.map((n) => n.type)).to.include.members([
+        "claim-verified",
+        "eco-level-changed",
+      ]);
+    });
+
+    it("refuses a claim that is no longer pending", async () => {
+      claim.status = "failed";
+      stubClaimUpdate();
+
+      const res = await callHandler(approveClaim, {
+        params: { id: claim._id.toString() },
+        body: {},
+        user: { id: adminId.toString() },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Only pending claims can be completed");
+      expect(ledger).to.have.length(0);
+    });
+
+    it("returns 404 for an unknown claim", async () => {
+      stub(RewardClaim, "findById", () => query(null));
+
+      const res = await callHandler(approveClaim, {
+        params: { id: claim._id.toString() },
+        body: {},
+        user: { id: adminId.toString() },
+      });
+
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+
+  describe("PUT /api/v1/claim/:id/reject", () => {
+    it("fails the claim without moving any points and tells the user why", async () => {
+      const updates = stubClaimUpdate();
+      const reason = "The photo doesn't show the refill station";
+
+      const res = await callHandler(rejectClaim, {
+        params: { id: claim._id.toString() },
+        body: { reason },
+        user: { id: adminId.toString() },
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.data).to.include({ status: "failed", reason });
+      expect(updates[0].update.$set).to.include({
+        status: "failed",
+        "verificationData.rejectedBy": adminId.toString(),
+        "verificationData.rejectionReason": reason,
+      });
+
+      expect(ledger).to.have.length(0);
+      expect(rewardUpdates).to.have.length(0);
+      expect(notifications).to.have.length(1);
+      expect(notifications[0].type).to.equal("claim-rejected");
+      expect(notifications[0].message).to.include(reason);
+    });
+
+    it("requires a reason", async () => {
+      const updates = stubClaimUpdate();
+
+      const res = await callHandler(rejectClaim, {
+        params: { id: claim._id.toString() },
+        body: { reason: "no" },
+        user: { id: adminId.toString() },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal(
+        "Reason must be at least 10 characters long"
+      );
+      expect(updates).to.have.length(0);
+    });
+
+    it("refuses a claim that was already completed", async () => {
+      claim.status = "completed";
+      stubClaimUpdate();
+
+      const res = await callHandler(rejectClaim, {
+        params: { id: claim._id.toString() },
+        body: { reason: "The photo is from another shop" },
+        user: { id: adminId.toString() },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Only pending claims can be rejected");
+    });
+  });
+});
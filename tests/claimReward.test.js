@@ -0,0 +1,405 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const RewardClaim = require("../src/models/rewardclaim.model");
+const Reward = require("../src/models/reward.model");
+const Partner = require("../src/models/partner.model");
+const QRCode = require("../src/models/qrcode.model");
+const User = require("../src/models/user.model");
+const Upload = require("../src/models/upload.model");
+const PointsTransaction = require("../src/models/pointstransaction.model");
+const NotificationJob = require("../src/models/notificationjob.model");
+const IdempotencyKey = require("../src/models/idempotencykey.model");
+const { claimReward } = require("../src/controllers/claim.controller");
+const { idempotent } = require("../src/middleware/idempotency.middleware");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+  stubPersistence,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("reward claims", () => {
+  let user;
+  let partner;
+  let reward;
+  let qrCode;
+  let claims;
+  let ledger;
+  let rewardUpdates;
+  let queued;
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      points: 10,
+      ecoLevel: "beginner",
+      notificationPreferences: { inApp: true, email: false, push: false },
+    });
+    partner = Partner.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Green Grocer",
+      category: "grocery",
+    });
+    reward = Reward.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: "Bring your own bag",
+      description: "Shop without a plastic bag",
+      points: 15,
+      category: "shopping",
+      currentClaims: 9,
+      totalMaxClaims: 10,
+      maxClaimsPerUser: 1,
+      isActive: true,
+    });
+    qrCode = QRCode.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      qrCode: "qr_0b8f5c3e-8d7a-4f55-9a53-2c1f4e6a7b90",
+      partnerId: partner._id,
+      rewardId: reward._id,
+      isActive: true,
+    });
+    qrCode.isValidForScanning = async () => ({ valid: true });
+
+    claims = [];
+    ledger = [];
+    rewardUpdates = [];
+    queued = [];
+
+    stubTransactions();
+    stub(QRCode, "findOne", () => query(qrCode));
+    stub(QRCode, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(Reward, "findById", () => query(reward));
+    // Takes one of the reward's claims only while some are left
+    stub(Reward, "updateOne", async (filter, update) => {
+      rewardUpdates.push({ filter, update });
+      const { currentClaims } = update.$inc;
+      if (currentClaims > 0 && reward.currentClaims >= reward.totalMaxClaims) {
+        return { modifiedCount: 0 };
+      }
+      reward.currentClaims += currentClaims;
+      return { modifiedCount: 1 };
+    });
+    stub(RewardClaim, "findOne", () => query(null));
+    stub(RewardClaim, "countDocuments", () => query(0));
+    stub(RewardClaim, "exists", () => query(null));
+    stub(RewardClaim, "create", async ([fields]) => {
+      const claim = new RewardClaim(fields);
+      claims.push(claim);
+      return [claim];
+    });
+    stub(RewardClaim.prototype, "populate", async function () {
+      this.partnerId = partner;
+      this.rewardId = reward;
+      return this;
+    });
+    stub(Upload, "attach", async () => 1);
+    stub(User, "findOneAndUpdate", async () => User.hydrate(user.toObject()));
+    stub(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(PointsTransaction, "create", async (entries) =>
+      entries.map((entry) => {
+        ledger.push(entry);
+        return new PointsTransaction(entry);
+      })
+    );
+    stub(NotificationJob, "enqueue", async (type, payload) => {
+      queued.push({ type, payload });
+      return { attempt: async () => {} };
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  const claim = (body) =>
+    callHandler(claimReward, {
+      body,
+      user: { id: user._id.toString() },
+      ip: "203.0.113.10",
+      get: () => "Mocha",
+    });
+
+  describe("POST /api/v1/claim/reward", () => {
+    it("credits an instant claim through the ledger", async () => {
+      const res = await claim({ qrCodeId: qrCode.qrCode });
+
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.data.claim).to.include({
+        status: "completed",
+        pointsAwarded: 15,
+      });
+      expect(res.body.data.user.totalPoints).to.equal(25);
+
+      expect(claims).to.have.length(1);
+      expect(reward.currentClaims).to.equal(10);
+      expect(ledger).to.have.length(1);
+      expect(ledger[0]).to.include({
+        type: "credit",
+        amount: 15,
+        balanceAfter: 25,
+        sourceType: "reward_claim",
+      });
+      expect(ledger[0].sourceId).to.equal(claims[0]._id);
+      expect(queued).to.deep.equal([
+        { type: "claim-receipt", payload: { claimId: claims[0]._id } },
+      ]);
+    });
+
+    it("refuses the claim when the reward has no claims left", async () => {
+      reward.currentClaims = 10;
+
+      const res = await claim({ qrCodeId: qrCode.qrCode });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Reward has reached maximum claims");
+      expect(ledger).to.have.length(0);
+    });
+
+    it("rejects a malformed body before looking up the code", async () => {
+      const lookups = [];
+      stub(QRCode, "findOne", (filter) => {
+        lookups.push(filter);
+        return query(qrCode);
+      });
+
+      for (const body of [
+        {},
+        { qrCodeId: "not-a-code" },
+        { qrCodeId: qrCode.qrCode, dynamicCode: "12ab" },
+        { qrCodeId: qrCode.qrCode, metadata: { location: { latitude: 91 } } },
+        { qrCodeId: qrCode.qrCode, verificationData: { proofUploadId: "x" } },
+      ]) {
+        const res = await claim(body);
+        expect(res.statusCode, JSON.stringify(body)).to.equal(400);
+      }
+      expect(lookups).to.have.length(0);
+    });
+  });
+
+  describe("pending claims", () => {
+    const proofUploadId = new mongoose.Types.ObjectId().toString();
+
+    beforeEach(() => {
+      reward.proofType = "photo";
+    });
+
+    it("reserve one of the reward's claims when they are made", async () => {
+      const res = await claim({
+        qrCodeId: qrCode.qrCode,
+        verificationData: { proofUploadId },
+      });
+
+      expect(res.statusCode).to.equal(202);
+      expect(claims[0].status).to.equal("pending");
+      expect(claims[0].capacityReserved).to.equal(true);
+      expect(reward.currentClaims).to.equal(10);
+      expect(ledger).to.have.length(0);
+    });
+
+    it("can't be made once the reward's claims are all reserved", async () => {
+      await claim({
+        qrCodeId: qrCode.qrCode,
+        verificationData: { proofUploadId },
+      });
+      // A concurrent claim read the reward before that one reserved
+      stub(Reward, "findById", () =>
+        query(Reward.hydrate({ ...reward.toObject(), currentClaims: 9 }))
+      );
+
+      const res = await claim({
+        qrCodeId: qrCode.qrCode,
+        verificationData: { proofUploadId },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Reward has reached maximum claims");
+      expect(claims).to.have.length(1);
+    });
+
+    it("complete on the claim they reserved, even with the reward full", async () => {
+      await claim({
+        qrCodeId: qrCode.qrCode,
+        verificationData: { proofUploadId },
+      });
+      const pending = claims[0];
+      stub(RewardClaim, "findOneAndUpdate", async (filter, update) => {
+        pending.set(update.$set);
+        return pending;
+      });
+      stub(User, "findById", () => query(user));
+      stub(mongoose.model("Notification"), "create", async (n) => n);
+      rewardUpdates = [];
+
+      const { user: credited } = await pending.complete({
+        verifiedBy: new mongoose.Types.ObjectId(),
+      });
+
+      expect(credited.points).to.equal(25);
+      expect(reward.currentClaims).to.equal(10);
+      expect(rewardUpdates).to.have.length(0);
+      expect(ledger).to.have.length(1);
+    });
+
+    it("give the reserved claim back when they are rejected", async () => {
+      await claim({
+        qrCodeId: qrCode.qrCode,
+        verificationData: { proofUploadId },
+      });
+      const pending = claims[0];
+      stub(RewardClaim, "findOneAndUpdate", async (filter, update) => {
+        pending.set(update.$set);
+        return pending;
+      });
+      stub(User, "findById", () => query(null));
+
+      await pending.markAsRejected(
+        new mongoose.Types.ObjectId(),
+        "The photo is from another shop"
+      );
+
+      expect(pending.status).to.equal("failed");
+      expect(reward.currentClaims).to.equal(9);
+    });
+
+    it("give the reserved claim back when they are reversed", async () => {
+      await claim({
+        qrCodeId: qrCode.qrCode,
+        verificationData: { proofUploadId },
+      });
+      const pending = claims[0];
+      stub(RewardClaim, "findOneAndUpdate", async () =>
+        RewardClaim.hydrate(pending.toObject())
+      );
+
+      await pending.reverseClaim("Duplicate submission");
+
+      expect(pending.status).to.equal("reversed");
+      expect(reward.currentClaims).to.equal(9);
+      expect(ledger).to.have.length(0);
+    });
+  });
+
+  describe("rotating codes", () => {
+    beforeEach(() => {
+      reward.actionType = "check-in";
+      qrCode.configureDynamic({ enabled: true });
+    });
+
+    it("need the code the display shows", async () => {
+      const { code } = qrCode.getDynamicCode(Date.now() - 5 * 60 * 1000);
+
+      for (const body of [
+        { qrCodeId: qrCode.qrCode },
+        { qrCodeId: qrCode.qrCode, dynamicCode: code },
+      ]) {
+        const res = await claim(body);
+
+        expect(res.statusCode).to.equal(400);
+        expect(res.body).to.include({
+          error: "This code has changed. Scan the code on the display again",
+          dynamicCodeRequired: true,
+        });
+      }
+      expect(claims).to.have.length(0);
+    });
+
+    it("complete without staff when the current code comes along", async () => {
+      const { code } = qrCode.getDynamicCode();
+
+      const res = await claim({ qrCodeId: qrCode.qrCode, dynamicCode: code });
+
+      // Check-ins usually wait for staff; the display shows the user was there
+      expect(res.statusCode).to.equal(201);
+      expect(claims[0]).to.include({
+        status: "completed",
+        claimMethod: "dynamic-qr",
+      });
+      expect(ledger).to.have.length(1);
+    });
+  });
+
+  describe("with an Idempotency-Key", () => {
+    let keys;
+
+    beforeEach(() => {
+      keys = [];
+      stub(IdempotencyKey, "create", async (fields) => {
+        if (
+          keys.some(
+            (record) =>
+              record.key === fields.key && record.userId.equals(fields.userId)
+          )
+        ) {
+          throw Object.assign(new Error("E11000 duplicate key error"), {
+            code: 11000,
+          });
+        }
+        const record = stubPersistence(new IdempotencyKey(fields));
+        keys.push(record);
+        return record;
+      });
+      stub(IdempotencyKey, "findOneAndUpdate", async () => null);
+      stub(IdempotencyKey, "findOne", async ({ userId, key }) =>
+        keys.find(
+          (record) => record.key === key && record.userId.equals(userId)
+        )
+      );
+    });
+
+    const app = () => {
+      const server = express();
+      server.use(express.json());
+      server.post(
+        "/api/v1/claim/reward",
+        (req, res, next) => {
+          req.user = { id: user._id.toString() };
+          next();
+        },
+        idempotent(),
+        claimReward
+      );
+      return server;
+    };
+
+    it("replays the original response to a retry without claiming again", async () => {
+      const server = app();
+      const send = () =>
+        request(server)
+          .post("/api/v1/claim/reward")
+          .set("Idempotency-Key", "claim-7f3a")
+          .send({ qrCodeId: qrCode.qrCode });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(first.status).to.equal(201);
+      expect(retry.status).to.equal(201);
+      expect(retry.headers["idempotency-replayed"]).to.equal("true");
+      expect(retry.body).to.deep.equal(first.body);
+
+      expect(claims).to.have.length(1);
+      expect(ledger).to.have.length(1);
+      expect(reward.currentClaims).to.equal(10);
+    });
+
+    it("refuses the key for a different request", async () => {
+      const server = app();
+      await request(server)
+        .post("/api/v1/claim/reward")
+        .set("Idempotency-Key", "claim-7f3a")
+        .send({ qrCodeId: qrCode.qrCode });
+
+      const res = await request(server)
+        .post("/api/v1/claim/reward")
+        .set("Idempotency-Key", "claim-7f3a")
+        .send({ qrCodeId: qrCode.qrCode, dynamicCode: "12345678" });
+
+      expect(res.status).to.equal(422);
+      expect(claims).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { clerkClient } = require("@clerk/clerk-sdk-node");
+const User = require("../src/models/user.model");
+const { protect } = require("../src/middleware/auth.middleware");
+const { stub, restoreStubs, query, callHandler } = require("./helpers/stubs");
+
+describe("protect with Clerk session tokens", () => {
+  const clerkUserId = "user_2abcClerk";
+  // Clerk's instance key, so tokens are verified without the network
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  let previousJwtKey;
+  let users;
+  let created;
+  let clerkUser;
+
+  before(() => {
+    previousJwtKey = process.env.CLERK_JWT_KEY;
+    process.env.CLERK_JWT_KEY = publicKey.export({
+      type: "spki",
+      format: "pem",
+    });
+  });
+
+  after(() => {
+    if (previousJwtKey === undefined) {
+      delete process.env.CLERK_JWT_KEY;
+    } else {
+      process.env.CLERK_JWT_KEY = previousJwtKey;
+    }
+  });
+
+  beforeEach(() => {
+    users = [];
+    created = [];
+    clerkUser = {
+      id: clerkUserId,
+      first_name: "Ada",
+      last_name: "Lovelace",
+      primary_email_address_id: "idn_1",
+      email_addresses: [
+        {
+          id: "idn_1",
+          email_address: "ada@example.com",
+          verification: { status: "verified" },
+        },
+      ],
+    };
+
+    // clerkClient.users is a new object on every access
+    stub(
+      Object.getPrototypeOf(clerkClient.users),
+      "getUser",
+      async () => clerkUser
+    );
+    stub(User, "findOne", (filter) =>
+      query(
+        users.find((user) =>
+          Object.entries(filter).every(
+            ([field, value]) => user[field] === value
+          )
+        ) || null
+      )
+    );
+    stub(User, "create", async (fields) => {
+      const user = User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        ...fields,
+      });
+      created.push(user);
+      return user;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  const clerkToken = (claims = {}, key = privateKey) =>
+    jwt.sign(
+      {
+        sub: clerkUserId,
+        sid: "sess_2abc",
+        iss: "https://clerk.example.com",
+        ...claims,
+      },
+      key,
+      { algorithm: "RS256", expiresIn: 60 }
+    );
+
+  const authenticate = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    let passed = false;
+    const res = await callHandler(
+      (request, response, next) =>
+        protect(request, response, (error) => {
+          passed = !error;
+          next(error);
+        }),
+      req
+    );
+    return { passed, req, res };
+  };
+
+  it("lets a linked Clerk user through as our user", async () => {
+    const user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      clerkId: clerkUserId,
+    });
+    users.push(user);
+
+    const { passed, req } = await authenticate(clerkToken());
+
+    expect(passed).to.equal(true);
+    expect(req.user).to.equal(user);
+    expect(req.auth).to.include({
+      userId: clerkUserId,
+      sessionId: "sess_2abc",
+    });
+    expect(req.authSession).to.equal(undefined);
+  });
+
+  it("creates the user from the Clerk profile on first use", async () => {
+    const { passed, req } = await authenticate(clerkToken());
+
+    expect(passed).to.equal(true);
+    expect(created).to.have.length(1);
+    expect(req.user).to.equal(created[0]);
+    expect(created[0]).to.include({
+      clerkId: clerkUserId,
+      name: "Ada Lovelace",
+      email: "ada@example.com",
+      isEmailVerified: true,
+    });
+  });
+
+  it("asks to link when an account already has the verified email", async () => {
+    users.push(
+      User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+      })
+    );
+
+    const { passed, res } = await authenticate(clerkToken());
+
+    expect(passed).to.equal(false);
+    expect(res.statusCode).to.equal(409);
+    expect(res.body).to.include({
+      error: "An account with this email already exists. Link it to continue",
+      linkRequired: true,
+    });
+    expect(created).to.have.length(0);
+  });
+
+  it("doesn't offer linking for an unverified Clerk email", async () => {
+    clerkUser.email_addresses[0].verification.status = "unverified";
+    users.push(
+      User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+      })
+    );
+
+    const { res } = await authenticate(clerkToken());
+
+    expect(res.statusCode).to.equal(409);
+    expect(res.body.linkRequired).to.equal(undefined);
+  });
+
+  it("refuses accounts that require two-factor sign-in", async () => {
+    users.push(
+      User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+        clerkId: clerkUserId,
+        role: "admin",
+      })
+    );
+
+    const { passed, res } = await authenticate(clerkToken());
+
+    expect(passed).to.equal(false);
+    expect(res.statusCode).to.equal(403);
+  });
+
+  it("refuses tokens not signed by the Clerk instance", async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+
+    const { passed, res } = await authenticate(clerkToken({}, otherKey));
+
+    expect(passed).to.equal(false);
+    expect(res.statusCode).to.equal(401);
+    expect(res.body.error).to.equal("Not authorized to access this route");
+  });
+});
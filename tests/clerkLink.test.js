@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const { clerkClient } = require("@clerk/clerk-sdk-node");
+const User = require("../src/models/user.model");
+const Leaderboard = require("../src/models/leaderboard.model");
+const RewardClaim = require("../src/models/rewardclaim.model");
+const Activity = require("../src/models/activity.model");
+const Session = require("../src/models/session.model");
+const PointsTransaction = require("../src/models/pointstransaction.model");
+const Voucher = require("../src/models/voucher.model");
+const Notification = require("../src/models/notification.model");
+const PushSubscription = require("../src/models/pushsubscription.model");
+const Upload = require("../src/models/upload.model");
+const { linkAccount } = require("../src/controllers/clerk.controller");
+const {
+  createMemoryStore,
+  setThrottleStore,
+} = require("../src/utils/throttleUtils");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+  stubPersistence,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("POST /api/v1/auth/clerk/link", () => {
+  const clerkUserId = "user_2abcClerk";
+  let previousStore;
+  let target;
+  let duplicate;
+  let ledger;
+  let moved;
+  let deleted;
+  let revokedSessions;
+
+  beforeEach(() => {
+    previousStore = setThrottleStore(createMemoryStore());
+
+    target = stubPersistence(
+      User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+        password: "hashed",
+        points: 100,
+        ecoLevel: "intermediate",
+        claimedRewards: [],
+        notificationPreferences: { inApp: true, email: false, push: false },
+      })
+    );
+    target.matchPassword = async (password) => password === "correct horse";
+    duplicate = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada+clerk@example.com",
+      clerkId: clerkUserId,
+      points: 40,
+      claimedRewards: [],
+    });
+
+    ledger = [];
+    moved = [];
+    deleted = [];
+    revokedSessions = [];
+
+    // The Clerk user behind the session, with a verified email
+    stub(Object.getPrototypeOf(clerkClient.users), "getUser", async (id) => ({
+      id,
+      first_name: "Ada",
+      primary_email_address_id: "idn_1",
+      email_addresses: [
+        {
+          id: "idn_1",
+          email_address: "ada@example.com",
+          verification: { status: "verified" },
+        },
+      ],
+    }));
+
+    stub(User, "findOne", (filter) =>
+      query(
+        filter.email === target.email
+          ? target
+          : filter.clerkId === clerkUserId
+          ? duplicate
+          : null
+      )
+    );
+    stub(User, "findById", () => query(target));
+
+    stubTransactions();
+    stub(RewardClaim, "distinct", () => query([]));
+    for (const Model of [
+      RewardClaim,
+      Activity,
+      Voucher,
+      Notification,
+      PushSubscription,
+      Upload,
+    ]) {
+      stub(Model, "updateMany", async (filter, update) => {
+        moved.push({ model: Model.modelName, filter, update });
+        return { modifiedCount: 1 };
+      });
+    }
+    stub(RewardClaim, "deleteMany", async () => ({ deletedCount: 0 }));
+    stub(PointsTransaction.collection, "updateMany", async () => {
+      throw new Error("Ledger entries must not be rewritten");
+    });
+
+    // Balances as the ledger's atomic update finds them
+    const balances = new Map([
+      [target._id.toString(), target.points],
+      [duplicate._id.toString(), duplicate.points],
+    ]);
+    stub(User, "findOneAndUpdate", async (filter) => {
+      const id = filter._id.toString();
+      const before = User.hydrate({
+        _id: filter._id,
+        name: "Ada",
+        email: "ada@example.com",
+        points: balances.get(id),
+      });
+      return before;
+    });
+    stub(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(PointsTransaction, "create", async (entries) =>
+      entries.map((entry) => {
+        ledger.push(entry);
+        return new PointsTransaction(entry);
+      })
+    );
+
+    stub(Leaderboard, "findOne", () => query(null));
+    stub(Leaderboard, "updateAllRankings", async () => ({ success: true }));
+    stub(User, "deleteOne", async (filter) => {
+      deleted.push(filter._id);
+      return { deletedCount: 1 };
+    });
+    stub(Session, "revokeAllForUser", async (userId) => {
+      revokedSessions.push(userId);
+      return 1;
+    });
+    stub(Notification, "create", async (notification) => notification);
+  });
+
+  afterEach(() => {
+    setThrottleStore(previousStore);
+    restoreStubs();
+  });
+
+  const link = (body) =>
+    callHandler(linkAccount, { body, auth: { userId: clerkUserId } });
+
+  it("links the Clerk identity to the account", async () => {
+    duplicate = null;
+
+    const res = await link({ password: "correct horse" });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.message).to.equal("Account linked successfully");
+    expect(target.clerkId).to.equal(clerkUserId);
+    expect(target.isEmailVerified).to.equal(true);
+    expect(target.saved).to.equal(1);
+    expect(ledger).to.have.length(0);
+  });
+
+  it("refuses a wrong password without linking", async () => {
+    const res = await link({ password: "wrong" });
+
+    expect(res.statusCode).to.equal(401);
+    expect(res.body.error).to.equal("Invalid password");
+    expect(target.clerkId).to.equal(undefined);
+    expect(moved).to.have.length(0);
+  });
+
+  it("merges a duplicate account, moving its points through the ledger", async () => {
+    const res = await link({ password: "correct horse" });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.message).to.equal(
+      "Accounts linked and merged successfully"
+    );
+
+    // A debit on the duplicate and a credit on the account, nothing rewritten
+    expect(ledger).to.have.length(2);
+    expect(ledger[0]).to.include({
+      type: "debit",
+      amount: 40,
+      balanceAfter: 0,
+      sourceType: "account_merge",
+    });
+    expect(ledger[0].userId).to.equal(duplicate._id);
+    expect(ledger[1]).to.include({
+      type: "credit",
+      amount: 40,
+      balanceAfter: 140,
+      sourceType: "account_merge",
+    });
+    expect(ledger[1].userId).to.equal(target._id);
+    expect(ledger[0].sourceId).to.equal(duplicate._id);
+    expect(ledger[1].sourceId).to.equal(duplicate._id);
+
+    expect(target.points).to.equal(140);
+    expect(target.clerkId).to.equal(clerkUserId);
+
+    // Everything else the duplicate owned moves to the account
+    const movedModels = moved.map((move) => move.model);
+    expect(movedModels).to.include.members([
+      "RewardClaim",
+      "Activity",
+      "Voucher",
+      "Notification",
+      "PushSubscription",
+      "Upload",
+    ]);
+    const voucherMove = moved.find((move) => move.model === "Voucher");
+    expect(voucherMove.filter).to.deep.equal({ userId: duplicate._id });
+    expect(voucherMove.update).to.deep.equal({
+      $set: { userId: target._id },
+    });
+
+    expect(deleted).to.deep.equal([duplicate._id]);
+    expect(revokedSessions).to.deep.equal([duplicate._id]);
+  });
+
+  it("writes no ledger entries for a duplicate without points", async () => {
+    duplicate.points = 0;
+
+    const res = await link({ password: "correct horse" });
+
+    expect(res.statusCode).to.equal(200);
+    expect(ledger).to.have.length(0);
+    expect(target.points).to.equal(100);
+    expect(deleted).to.deep.equal([duplicate._id]);
+  });
+});
@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const QRCode = require("../src/models/qrcode.model");
+const Partner = require("../src/models/partner.model");
+const Reward = require("../src/models/reward.model");
+const {
+  configureDynamicQRCode,
+  getQRDisplayFeed,
+} = require("../src/controllers/qr.controller");
+const { stub, restoreStubs, query } = require("./helpers/stubs");
+
+describe("rotating QR codes", () => {
+  const admin = { id: new mongoose.Types.ObjectId().toString(), role: "admin" };
+  // The start of a 30 second step
+  const now = Date.UTC(2026, 9, 1, 12, 0, 0);
+  let partner;
+  let reward;
+  let qrCode;
+  let saves;
+
+  beforeEach(() => {
+    partner = Partner.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Green Beans",
+      logo: "https://cdn.example.com/logos/green-beans.png",
+    });
+    reward = Reward.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: "Cycle to the market",
+      points: 20,
+      actionType: "check-in",
+    });
+    qrCode = QRCode.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      qrCode: "qr_0b8f5c3e-8d7a-4f55-9a53-2c1f4e6a7b90",
+      partnerId: partner._id,
+      rewardId: reward,
+      isActive: true,
+      createdAt: new Date("2026-10-01T00:00:00Z"),
+    });
+    saves = 0;
+
+    stub(QRCode, "findOne", ({ qrCode: id }) =>
+      query(id === qrCode.qrCode ? qrCode : null)
+    );
+    stub(qrCode, "save", async () => {
+      saves += 1;
+      return qrCode;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  describe("codes", () => {
+    beforeEach(() => {
+      qrCode.configureDynamic({ enabled: true });
+    });
+
+    it("creates a secret when rotating mode is first turned on", () => {
+      const { secret } = qrCode.dynamic;
+
+      qrCode.configureDynamic({ enabled: false });
+      qrCode.configureDynamic({ enabled: true, step: 60 });
+
+      expect(secret).to.be.a("string").that.is.not.empty;
+      expect(qrCode.dynamic.secret).to.equal(secret);
+      expect(qrCode.dynamic.step).to.equal(60);
+    });
+
+    it("changes the code every step", () => {
+      const first = qrCode.getDynamicCode(now);
+      const later = qrCode.getDynamicCode(now + 29 * 1000);
+      const next = qrCode.getDynamicCode(now + 30 * 1000);
+
+      expect(first.code).to.match(/^\d{8}$/);
+      expect(first.issuedAt).to.deep.equal(new Date(now));
+      expect(first.expiresAt).to.deep.equal(new Date(now + 30 * 1000));
+      expect(later.code).to.equal(first.code);
+      expect(next.code).not.to.equal(first.code);
+      expect(next.issuedAt).to.deep.equal(first.expiresAt);
+    });
+
+    it("accepts codes within the tolerance window and no older", () => {
+      const { code } = qrCode.getDynamicCode(now);
+      const step = Math.floor(now / 1000 / 30);
+
+      expect(qrCode.verifyDynamicCode(code, now)).to.equal(step);
+      // A scan just after the display moved on, or a display a step ahead
+      expect(qrCode.verifyDynamicCode(code, now + 30 * 1000)).to.equal(step);
+      expect(qrCode.verifyDynamicCode(code, now - 30 * 1000)).to.equal(step);
+      expect(qrCode.verifyDynamicCode(code, now + 60 * 1000)).to.equal(null);
+      expect(qrCode.verifyDynamicCode("12345678", now)).to.equal(null);
+      expect(qrCode.verifyDynamicCode(undefined, now)).to.equal(null);
+
+      qrCode.configureDynamic({ enabled: true, window: 0 });
+      expect(qrCode.verifyDynamicCode(code, now + 30 * 1000)).to.equal(null);
+    });
+
+    it("invalidates codes and display links when the secret is rotated", () => {
+      const { code } = qrCode.getDynamicCode(now);
+      const key = qrCode.getDisplayKey();
+
+      qrCode.configureDynamic({ enabled: true, rotateSecret: true });
+
+      expect(qrCode.isDisplayKey(key)).to.equal(false);
+      expect(qrCode.isDisplayKey(qrCode.getDisplayKey())).to.equal(true);
+      expect(qrCode.verifyDynamicCode(code, now)).to.equal(null);
+    });
+  });
+
+  describe("PUT /api/v1/qr/:qrId/dynamic", () => {
+    const configure = (body, user = admin) => {
+      const server = express();
+      server.use(express.json());
+      server.put(
+        "/api/v1/qr/:qrId/dynamic",
+        (req, res, next) => {
+          req.user = user;
+          next();
+        },
+        configureDynamicQRCode
+      );
+      return request(server)
+        .put(`/api/v1/qr/${qrCode.qrCode}/dynamic`)
+        .send(body);
+    };
+
+    it("turns rotating mode on and returns the display link", async () => {
+      const res = await configure({ enabled: true, step: 20 });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data.dynamic).to.deep.equal({
+        enabled: true,
+        step: 20,
+        window: 1,
+      });
+      expect(res.body.data.displayUrl).to.equal(qrCode.getDisplayUrl());
+      // The secret itself is never sent
+      expect(JSON.stringify(res.body)).not.to.include(qrCode.dynamic.secret);
+      expect(saves).to.equal(1);
+    });
+
+    it("only rotates codes for check-in rewards", async () => {
+      reward.actionType = "purchase";
+
+      const res = await configure({ enabled: true });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal(
+        "Only QR codes for check-in rewards can rotate"
+      );
+      expect(saves).to.equal(0);
+    });
+
+    it("rejects rotation intervals out of range", async () => {
+      const res = await configure({ enabled: true, step: 5 });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal(
+        "Rotation interval must be at least 10 seconds"
+      );
+    });
+
+    it("only lets partner staff change their own codes", async () => {
+      const ownStaff = { role: "partner_staff", partnerId: partner._id };
+      const otherStaff = {
+        role: "partner_staff",
+        partnerId: new mongoose.Types.ObjectId(),
+      };
+
+      expect((await configure({ enabled: true }, otherStaff)).status).to.equal(
+        404
+      );
+      expect((await configure({ enabled: true }, ownStaff)).status).to.equal(
+        200
+      );
+    });
+  });
+
+  describe("GET /api/v1/qr/display/:qrId/feed", () => {
+    beforeEach(() => {
+      qrCode.configureDynamic({ enabled: true });
+      qrCode.partnerId = partner;
+      qrCode.isValidForScanning = async () => ({ valid: true });
+    });
+
+    const feed = (key = qrCode.getDisplayKey()) => {
+      const server = express();
+      server.get("/api/v1/qr/display/:qrId/feed", getQRDisplayFeed);
+      return request(server)
+        .get(`/api/v1/qr/display/${qrCode.qrCode}/feed`)
+        .query({ key });
+    };
+
+    it("sends the current code and its scan URL", async () => {
+      const res = await feed();
+
+      const { code, issuedAt, expiresAt } = qrCode.getDynamicCode(
+        Date.parse(res.body.data.serverTime)
+      );
+      expect(res.status).to.equal(200);
+      expect(res.headers["cache-control"]).to.equal("no-store");
+      expect(res.body.data).to.include({
+        code,
+        scanUrl: `${qrCode.scanUrl}?code=${code}`,
+        step: 30,
+        issuedAt: issuedAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+      });
+      expect(res.body.data.svg).to.match(/^<svg/);
+      expect(res.body.data.partner.name).to.equal("Green Beans");
+    });
+
+    it("needs the display key", async () => {
+      const res = await feed("not-the-key");
+
+      expect(res.status).to.equal(404);
+      expect(res.body.error).to.equal("Display not found");
+    });
+
+    it("stops once rotating mode is turned off", async () => {
+      const key = qrCode.getDisplayKey();
+      qrCode.configureDynamic({ enabled: false });
+
+      const res = await feed(key);
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal("Rotating mode is off for this QR code");
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const {
+  loadTemplates,
+  getSupportedLocales,
+  resolveLocale,
+  translate,
+  renderEmail,
+} = require("../src/utils/templateUtils");
+const { sendVerificationEmail } = require("../src/utils/emailUtils");
+const { updateLocale } = require("../src/controllers/auth.controller");
+const {
+  stub,
+  restoreStubs,
+  captureEmails,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("localized email templates", () => {
+  afterEach(restoreStubs);
+
+  // Every message key of a locale file, e.g. "verification.subject"
+  const keysOf = (messages, prefix = "") =>
+    Object.entries(messages).flatMap(([key, value]) =>
+      typeof value === "object"
+        ? keysOf(value, `${prefix}${key}.`)
+        : [`${prefix}${key}`]
+    );
+
+  it("translates every message into every locale", () => {
+    const { locales } = loadTemplates();
+    const expected = keysOf(locales.en);
+
+    for (const locale of getSupportedLocales()) {
+      expect(keysOf(locales[locale]), locale).to.have.members(expected);
+    }
+  });
+
+  it("renders every template's sample in every locale", () => {
+    const { templates } = loadTemplates();
+
+    for (const [name, template] of Object.entries(templates)) {
+      for (const locale of getSupportedLocales()) {
+        const email = renderEmail(name, template.sample, locale);
+        const label = `${name} (${locale})`;
+
+        expect(email.locale, label).to.equal(locale);
+        expect(email.subject, label).to.be.a("string").and.not.empty;
+        // No placeholder or message key was left untranslated
+        expect(email.text, label).not.to.match(/\{\w+\}/);
+        expect(email.text, label).not.to.match(new RegExp(`${name}\\.\\w`));
+      }
+    }
+  });
+
+  it("renders the user's language", () => {
+    const data = {
+      user: { name: "Ada", email: "ada@example.com" },
+      verificationUrl: "https://app.example.com/verify-email/abc",
+    };
+
+    const english = renderEmail("verification", data, "en");
+    const french = renderEmail("verification", data, "fr");
+
+    expect(english.subject).to.equal(translate("en", "verification.subject"));
+    expect(french.subject).to.equal(translate("fr", "verification.subject"));
+    expect(french.subject).not.to.equal(english.subject);
+    expect(french.html).to.include("https://app.example.com/verify-email/abc");
+  });
+
+  it("escapes user data in HTML but not in plain text", () => {
+    const email = renderEmail(
+      "verification",
+      { user: { name: "Ada <b>Lovelace</b>" }, verificationUrl: "#" },
+      "en"
+    );
+
+    expect(email.html).not.to.include("<b>Lovelace</b>");
+    expect(email.html).to.include("&lt;b&gt;Lovelace&lt;/b&gt;");
+    expect(email.text).to.include("Ada <b>Lovelace</b>");
+  });
+
+  it("refuses unknown templates", () => {
+    expect(() => renderEmail("newsletter", {}, "en")).to.throw(
+      'Unknown email template "newsletter"'
+    );
+  });
+
+  describe("resolveLocale", () => {
+    it("falls back to the language, then to English", () => {
+      expect(resolveLocale("fr")).to.equal("fr");
+      expect(resolveLocale("fr-CA")).to.equal("fr");
+      expect(resolveLocale("FR_ca")).to.equal("fr");
+      expect(resolveLocale("de-DE")).to.equal("en");
+      expect(resolveLocale(undefined)).to.equal("en");
+    });
+  });
+
+  it("sends templated emails in the user's locale", async () => {
+    const outbox = captureEmails();
+    const user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      locale: "fr",
+    });
+
+    await sendVerificationEmail(user, "abc");
+
+    expect(outbox.messages).to.have.length(1);
+    expect(outbox.messages[0].subject).to.equal(
+      translate("fr", "verification.subject")
+    );
+  });
+
+  describe("PUT /api/v1/auth/me/locale", () => {
+    let updates;
+
+    beforeEach(() => {
+      updates = [];
+      stub(User, "findByIdAndUpdate", async (id, update) => {
+        updates.push(update);
+        return User.hydrate({ _id: id, ...update });
+      });
+    });
+
+    const setLocale = (locale) =>
+      callHandler(updateLocale, {
+        body: { locale },
+        user: { id: new mongoose.Types.ObjectId().toString() },
+      });
+
+    it("stores a supported locale", async () => {
+      const res = await setLocale("fr");
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.message).to.equal("Language updated");
+      expect(updates).to.deep.equal([{ locale: "fr" }]);
+    });
+
+    it("stores the closest supported locale and says so", async () => {
+      const res = await setLocale("de-DE");
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.message).to.equal(
+        'Language "de-DE" is not available, using "en"'
+      );
+      expect(updates).to.deep.equal([{ locale: "en" }]);
+    });
+
+    it("rejects a missing locale", async () => {
+      const res = await callHandler(updateLocale, {
+        body: {},
+        user: { id: new mongoose.Types.ObjectId().toString() },
+      });
+
+      expect(res.statusCode).to.equal(400);
+      expect(updates).to.have.length(0);
+    });
+  });
+});
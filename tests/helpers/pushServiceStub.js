@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const http = require("http");
+
+// A local push service for tests and development. It hands out browser-like
+// subscriptions, accepts pushes for them over plain HTTP, checks the VAPID
+// signature and decrypts the payload (RFC 8291), so tests can assert on what
+// a browser would receive:
+//
+//   const stub = await startPushServiceStub();
+//   const subscription = stub.createSubscription(); // save it for a user
+//   ... send a notification ...
+//   stub.messages[0].json; // { title, body, ... }
+//   stub.expire(subscription); // later pushes get 410 Gone
+//   await stub.close();
+
+const decodeBase64Url = (value) => Buffer.from(value, "base64url");
+
+// Check the "vapid t=<jwt>, k=<public key>" header (RFC 8292)
+const verifyVapid = (authorization = "", expectedAudience) => {
+  const match = authorization.match(/^vapid t=([^,\s]+),\s*k=([^,\s]+)$/);
+  if (!match) return { valid: false };
+
+  const [token, publicKey] = match.slice(1);
+  const [header, claims, signature] = token.split(".");
+
+  try {
+    const point = decodeBase64Url(publicKey);
+    const key = crypto.createPublicKey({
+      key: {
+        kty: "EC",
+        crv: "P-256",
+        x: point.subarray(1, 33).toString("base64url"),
+        y: point.subarray(33, 65).toString("base64url"),
+      },
+      format: "jwk",
+    });
+    const signatureValid = crypto.verify(
+      "sha256",
+      Buffer.from(`${header}.${claims}`),
+      { key, dsaEncoding: "ieee-p1363" },
+      decodeBase64Url(signature)
+    );
+    const { aud, sub, exp } = JSON.parse(decodeBase64Url(claims));
+
+    return {
+      valid:
+        signatureValid && aud === expectedAudience && exp * 1000 > Date.now(),
+      audience: aud,
+      subject: sub,
+      expiresAt: new Date(exp * 1000),
+      publicKey,
+    };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+};
+
+// Decrypt an aes128gcm body (RFC 8188) with the subscription's keys (RFC 8291)
+const decryptPayload = (body, { ecdh, publicKey, authSecret }) => {
+  const salt = body.subarray(0, 16);
+  const keyIdLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyIdLength);
+  const record = body.subarray(21 + keyIdLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const ikm = crypto.hkdfSync(
+    "sha256",
+    sharedSecret,
+    authSecret,
+    Buffer.concat([Buffer.from("WebPush: info\0"), publicKey, serverPublicKey]),
+    32
+  );
+  const contentKey = crypto.hkdfSync(
+    "sha256",
+    ikm,
+    salt,
+    Buffer.from("Content-Encoding: aes128gcm\0"),
+    16
+  );
+  const nonce = crypto.hkdfSync(
+    "sha256",
+    ikm,
+    salt,
+    Buffer.from("Content-Encoding: nonce\0"),
+    12
+  );
+
+  const decipher = crypto.createDecipheriv(
+    "aes-128-gcm",
+    Buffer.from(contentKey),
+    Buffer.from(nonce)
+  );
+  decipher.setAuthTag(record.subarray(-16));
+  const padded = Buffer.concat([
+    decipher.update(record.subarray(0, -16)),
+    decipher.final(),
+  ]);
+
+  // The last record ends with a 0x02 delimiter followed by zero padding
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end -= 1;
+
+  return padded.subarray(0, end).toString("utf8");
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+// Start the stub on `port` (0 picks a free one). `onMessage` is called with
+// every message received.
+const startPushServiceStub = ({
+  port = 0,
+  host = "127.0.0.1",
+  onMessage,
+} = {}) => {
+  const subscriptions = new Map();
+  const messages = [];
+
+  const server = http.createServer(async (req, res) => {
+    const id = req.url.match(/^\/push\/([\w-]+)$/)?.[1];
+    const subscription = id && subscriptions.get(id);
+
+    if (req.method !== "POST" || !subscription) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (subscription.expired) {
+      res.writeHead(410).end("Subscription has expired");
+      return;
+    }
+
+    const body = await readBody(req);
+    const vapid = verifyVapid(req.headers.authorization, stub.url);
+
+    if (!vapid.valid) {
+      res.writeHead(403).end("Invalid VAPID authorization");
+      return;
+    }
+
+    const message = {
+      endpoint: subscription.endpoint,
+      ttl: parseInt(req.headers.ttl, 10),
+      urgency: req.headers.urgency,
+      topic: req.headers.topic,
+      vapid,
+      receivedAt: new Date(),
+    };
+
+    if (body.length > 0) {
+      if (req.headers["content-encoding"] !== "aes128gcm") {
+        res.writeHead(415).end("Only aes128gcm payloads are supported");
+        return;
+      }
+
+      try {
+        message.payload = decryptPayload(body, subscription);
+      } catch (error) {
+        res.writeHead(400).end(`Could not decrypt payload: ${error.message}`);
+        return;
+      }
+
+      try {
+        message.json = JSON.parse(message.payload);
+      } catch (error) {
+        message.json = null;
+      }
+    }
+
+    messages.push(message);
+    if (onMessage) onMessage(message);
+    res.writeHead(201, { Location: `/messages/${messages.length}` }).end();
+  });
+
+  const stub = {
+    url: null,
+    messages,
+
+    // A subscription as PushSubscription.toJSON() returns it in a browser
+    createSubscription() {
+      const id = crypto.randomUUID();
+      const ecdh = crypto.createECDH("prime256v1");
+      const publicKey = ecdh.generateKeys();
+      const authSecret = crypto.randomBytes(16);
+      const endpoint = `${stub.url}/push/${id}`;
+
+      subscriptions.set(id, {
+        endpoint,
+        ecdh,
+        publicKey,
+        authSecret,
+        expired: false,
+      });
+
+      return {
+        endpoint,
+        expirationTime: null,
+        keys: {
+          p256dh: publicKey.toString("base64url"),
+          auth: authSecret.toString("base64url"),
+        },
+      };
+    },
+
+    // Make the push service forget a subscription (answers 410 Gone)
+    expire(subscription) {
+      const id = subscription.endpoint.split("/").pop();
+      if (subscriptions.has(id)) subscriptions.get(id).expired = true;
+    },
+
+    // Messages received for one subscription
+    messagesFor(subscription) {
+      return messages.filter(
+        (message) => message.endpoint === subscription.endpoint
+      );
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      stub.url = `http://${host}:${server.address().port}`;
+      resolve(stub);
+    });
+  });
+};
+
+// `npm run push:stub` prints a subscription to register through the API and
+// logs every message pushed to it
+if (require.main === module) {
+  startPushServiceStub({
+    port: parseInt(process.env.PUSH_STUB_PORT, 10) || 4010,
+    onMessage: (message) =>
+      console.log("📨 Push received:", message.json || message.payload),
+  }).then((stub) => {
+    console.log(`🔔 Push service stub listening on ${stub.url}`);
+    console.log(JSON.stringify(stub.createSubscription(), null, 2));
+  });
+}
+
+module.exports = {
+  startPushServiceStub,
+};
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+
+// Test doubles for code that talks to MongoDB. There is no database in the
+// test run: model statics and methods are replaced for one test with `stub`
+// and put back with `restoreStubs` (call it from afterEach).
+
+const replaced = [];
+
+// Replace `target[name]` with `implementation` until restoreStubs
+const stub = (target, name, implementation) => {
+  replaced.push({
+    target,
+    name,
+    own: Object.prototype.hasOwnProperty.call(target, name),
+    original: target[name],
+  });
+  target[name] = implementation;
+  return implementation;
+};
+
+const restoreStubs = () => {
+  while (replaced.length > 0) {
+    const { target, name, own, original, restore } = replaced.pop();
+    if (restore) {
+      restore();
+    } else if (own) {
+      target[name] = original;
+    } else {
+      delete target[name];
+    }
+  }
+};
+
+// A query that resolves to `result`. Chained calls (session, select,
+// populate, sort, ...) are ignored, so stubs can stand in for Model.find etc.
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of [
+    "session",
+    "select",
+    "populate",
+    "sort",
+    "skip",
+    "limit",
+    "lean",
+    "cursor",
+    "distinct",
+  ]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// Make mongoose.startSession hand out a session whose transactions just run
+// their callback. Returns the list of sessions started.
+const stubTransactions = () => {
+  const sessions = [];
+
+  stub(mongoose, "startSession", async () => {
+    const session = {
+      ended: false,
+      committed: 0,
+      inTransaction: () => false,
+      withTransaction: async (callback) => {
+        await callback(session);
+        session.committed += 1;
+      },
+      endSession: async () => {
+        session.ended = true;
+      },
+    };
+    sessions.push(session);
+    return session;
+  });
+
+  return sessions;
+};
+
+// Give a document in-memory save/deleteOne that count their calls
+const stubPersistence = (doc) => {
+  doc.saved = 0;
+  doc.deleted = false;
+  doc.save = async () => {
+    doc.saved += 1;
+    return doc;
+  };
+  doc.deleteOne = async () => {
+    doc.deleted = true;
+  };
+  return doc;
+};
+
+// Send email through an in-memory transport, with the outbox stubbed and
+// its "sent" log lines silenced. Returns the transport; sent messages are in
+// its `messages`.
+const captureEmails = () => {
+  const EmailOutbox = require("../../src/models/emailoutbox.model");
+  const {
+    createMemoryTransport,
+    setTransport,
+  } = require("../../src/utils/mailTransportUtils");
+
+  const transport = createMemoryTransport();
+  setTransport(transport);
+  replaced.push({ restore: () => setTransport(null) });
+
+  stub(EmailOutbox, "create", async (fields) =>
+    stubPersistence(new EmailOutbox(fields))
+  );
+  stub(console, "log", () => {});
+
+  return transport;
+};
+
+// A minimal Express response that records what the handler sent
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    cookies: {},
+    body: undefined,
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.cookie = (name, value, options) => {
+    res.cookies[name] = { value, options };
+    return res;
+  };
+  res.clearCookie = (name) => {
+    res.cookies[name] = { cleared: true };
+    return res;
+  };
+  return res;
+};
+
+// Call an asyncHandler-wrapped controller; rejects with what it passed to next
+const callHandler = (handler, req, res = mockResponse()) =>
+  new Promise((resolve, reject) => {
+    Promise.resolve(
+      handler(req, res, (error) => (error ? reject(error) : resolve(res)))
+    ).then(() => resolve(res), reject);
+  });
+
+module.exports = {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+  stubPersistence,
+  captureEmails,
+  mockResponse,
+  callHandler,
+};
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const Session = require("../src/models/session.model");
+const RefreshToken = require("../src/models/refreshtoken.model");
+const {
+  requestMagicLink,
+  checkMagicLink,
+  consumeMagicLink,
+  verifyEmailOtpLogin,
+} = require("../src/controllers/passwordless.controller");
+const {
+  createMemoryStore,
+  setThrottleStore,
+} = require("../src/utils/throttleUtils");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubPersistence,
+  captureEmails,
+  mockResponse,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("passwordless sign-in", () => {
+  let user;
+  let outbox;
+  let previousStore;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret";
+    process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || "15m";
+    process.env.JWT_REFRESH_SECRET =
+      process.env.JWT_REFRESH_SECRET || "test-refresh-secret";
+  });
+
+  beforeEach(() => {
+    previousStore = setThrottleStore(createMemoryStore());
+    user = stubPersistence(
+      User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+        isEmailVerified: false,
+      })
+    );
+
+    outbox = captureEmails();
+    // Lookups by email, or by the hashed link while it is unexpired
+    stub(User, "findOne", (filter) => {
+      const found = filter.magicLinkToken
+        ? user.magicLinkToken === filter.magicLinkToken &&
+          user.magicLinkExpire > filter.magicLinkExpire.$gt
+        : user.email === filter.email;
+      return query(found ? user : null);
+    });
+    stub(RefreshToken, "create", async (fields) => new RefreshToken(fields));
+    stub(Session.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    setThrottleStore(previousStore);
+    restoreStubs();
+  });
+
+  // Call a handler; the response knows its request, as sendTokenResponse
+  // expects
+  const call = (handler, fields) => {
+    const req = { ip: "203.0.113.10", get: () => "Mocha", ...fields };
+    const res = mockResponse();
+    res.req = req;
+    return callHandler(handler, req, res);
+  };
+
+  // Ask for a link and read the link token and code from the email
+  const emailedLogin = async () => {
+    await call(requestMagicLink, { body: { email: "ada@example.com" } });
+
+    const [message] = outbox.messages;
+    return {
+      token: message.text.match(/\/magic-link\/([0-9a-f]{40})/)[1],
+      code: message.text.match(/\b(\d{6})\b/)[1],
+    };
+  };
+
+  it("emails a sign-in link and a code", async () => {
+    const { token, code } = await emailedLogin();
+
+    expect(outbox.messages).to.have.length(1);
+    expect(outbox.messages[0].to[0].address).to.equal("ada@example.com");
+    // Only hashes are stored
+    expect(user.magicLinkToken).to.be.a("string").and.not.equal(token);
+    expect(user.emailOtp).to.be.a("string").and.not.include(code);
+  });
+
+  it("answers the same for an unknown email without sending anything", async () => {
+    const res = await call(requestMagicLink, {
+      body: { email: "nobody@example.com" },
+    });
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.message).to.equal(
+      "If an account exists for that email, a sign-in link and code have been sent"
+    );
+    expect(outbox.messages).to.have.length(0);
+  });
+
+  describe("the link", () => {
+    it("can be checked without using it up", async () => {
+      const { token } = await emailedLogin();
+
+      const first = await call(checkMagicLink, { params: { token } });
+      const second = await call(checkMagicLink, { params: { token } });
+
+      expect(first.statusCode).to.equal(200);
+      expect(first.body.data.email).to.equal("ada@example.com");
+      expect(second.statusCode).to.equal(200);
+      expect(user.magicLinkToken).to.be.a("string");
+    });
+
+    it("signs in once when confirmed, and uses up the code with it", async () => {
+      const { token, code } = await emailedLogin();
+
+      const res = await call(consumeMagicLink, { params: { token } });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.token).to.be.a("string");
+      expect(res.body.refreshToken).to.be.a("string");
+      expect(user.isEmailVerified).to.equal(true);
+
+      const again = await call(consumeMagicLink, { params: { token } });
+      expect(again.statusCode).to.equal(400);
+
+      const withCode = await call(verifyEmailOtpLogin, {
+        body: { email: "ada@example.com", code },
+      });
+      expect(withCode.statusCode).to.equal(401);
+    });
+
+    it("is refused once expired", async () => {
+      const { token } = await emailedLogin();
+      user.magicLinkExpire = new Date(Date.now() - 1000);
+
+      const res = await call(consumeMagicLink, { params: { token } });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Invalid or expired sign-in link");
+    });
+  });
+
+  describe("the code", () => {
+    it("signs in once, and uses up the link with it", async () => {
+      const { token, code } = await emailedLogin();
+
+      const res = await call(verifyEmailOtpLogin, {
+        body: { email: "ada@example.com", code },
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.token).to.be.a("string");
+
+      const byLink = await call(consumeMagicLink, { params: { token } });
+      expect(byLink.statusCode).to.equal(400);
+    });
+
+    it("slows down guessing after a few wrong codes", async () => {
+      const { code } = await emailedLogin();
+      const wrong = code === "000000" ? "111111" : "000000";
+      const guess = (value) =>
+        call(verifyEmailOtpLogin, {
+          body: { email: "ada@example.com", code: value },
+        });
+
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        expect((await guess(wrong)).statusCode).to.equal(401);
+      }
+
+      const throttled = await guess(code);
+      expect(throttled.statusCode).to.equal(429);
+      expect(throttled.headers["retry-after"]).to.be.a("string");
+    });
+
+    it("is dropped after too many wrong guesses", () => {
+      const code = user.getEmailOtp("login");
+      const wrong = code === "000000" ? "111111" : "000000";
+
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        expect(user.verifyEmailOtp(wrong, "login")).to.equal(false);
+      }
+
+      expect(user.emailOtp).to.equal(undefined);
+      expect(user.verifyEmailOtp(code, "login")).to.equal(false);
+    });
+
+    it("only works for sign-in", () => {
+      const code = user.getEmailOtp("account-link");
+
+      expect(user.verifyEmailOtp(code, "login")).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const QRCode = require("../src/models/qrcode.model");
+const { getNearbyRewards } = require("../src/controllers/qr.controller");
+const { stub, restoreStubs } = require("./helpers/stubs");
+
+describe("nearby rewards", () => {
+  let pipelines;
+  let results;
+
+  beforeEach(() => {
+    pipelines = [];
+    results = [];
+    stub(QRCode, "aggregate", async (pipeline) => {
+      pipelines.push(pipeline);
+      return results;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  describe("GeoJSON point", () => {
+    const located = (coordinates) =>
+      new QRCode({
+        qrCode: "qr_0b8f5c3e-8d7a-4f55-9a53-2c1f4e6a7b90",
+        partnerId: new mongoose.Types.ObjectId(),
+        rewardId: new mongoose.Types.ObjectId(),
+        location: { name: "Market stall", coordinates },
+      });
+
+    it("is set from the latitude and longitude, longitude first", async () => {
+      const qrCode = located({ latitude: 48.8566, longitude: 2.3522 });
+
+      await qrCode.validate();
+
+      expect(qrCode.location.point.toObject()).to.deep.equal({
+        type: "Point",
+        coordinates: [2.3522, 48.8566],
+      });
+    });
+
+    it("follows the coordinates when they change", async () => {
+      const qrCode = located({ latitude: 48.8566, longitude: 2.3522 });
+      await qrCode.validate();
+
+      qrCode.location.coordinates.latitude = 51.5072;
+      qrCode.location.coordinates.longitude = -0.1276;
+      await qrCode.validate();
+
+      expect(qrCode.location.point.coordinates).to.deep.equal([
+        -0.1276, 51.5072,
+      ]);
+    });
+
+    it("is left out while the coordinates are incomplete", async () => {
+      const qrCode = located({ latitude: 48.8566 });
+
+      await qrCode.validate();
+
+      // Nothing is stored, so the 2dsphere index skips the code
+      expect(qrCode.toObject().location).not.to.have.property("point");
+    });
+
+    it("carries the geospatial index", () => {
+      const indexes = QRCode.schema.indexes().map(([fields]) => fields);
+
+      expect(indexes).to.deep.include({ "location.point": "2dsphere" });
+      expect(indexes).not.to.deep.include({
+        "location.coordinates": "2dsphere",
+      });
+    });
+  });
+
+  describe("GET /api/v1/qr/nearby", () => {
+    const nearby = (params) => {
+      const server = express();
+      server.get("/api/v1/qr/nearby", getNearbyRewards);
+      return request(server).get("/api/v1/qr/nearby").query(params);
+    };
+
+    it("searches around the point within the radius", async () => {
+      results = [
+        {
+          partner: { id: new mongoose.Types.ObjectId(), name: "Green Beans" },
+          distanceKm: 0.42,
+          locations: [{ name: "Market stall", distanceKm: 0.42 }],
+        },
+      ];
+
+      const res = await nearby({
+        lat: 48.8566,
+        lng: 2.3522,
+        radiusKm: 2,
+        category: "recycling",
+      });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.count).to.equal(1);
+      expect(res.body.data).to.deep.include({
+        center: { latitude: 48.8566, longitude: 2.3522 },
+        radiusKm: 2,
+      });
+      expect(res.body.data.partners[0].distanceKm).to.equal(0.42);
+
+      const [{ $geoNear: geoNear }, ...stages] = pipelines[0];
+      expect(geoNear).to.include({
+        key: "location.point",
+        maxDistance: 2000,
+        spherical: true,
+      });
+      expect(geoNear.near).to.deep.equal({
+        type: "Point",
+        coordinates: [2.3522, 48.8566],
+      });
+      expect(geoNear.query.isActive).to.equal(true);
+      expect(stages).to.deep.include({
+        $match: {
+          "partner.verificationStatus": "verified",
+          "partner.isActive": true,
+        },
+      });
+      expect(stages.find((stage) => stage.$match)?.$match).to.include({
+        "reward.isActive": true,
+        "reward.category": "recycling",
+      });
+    });
+
+    it("uses a 10 km radius and 20 partners by default", async () => {
+      await nearby({ lat: 48.8566, lng: 2.3522 });
+
+      const pipeline = pipelines[0];
+      expect(pipeline[0].$geoNear.maxDistance).to.equal(10000);
+      expect(pipeline).to.deep.include({ $limit: 20 });
+      expect(pipeline.find((stage) => stage.$match).$match).not.to.have.key(
+        "reward.category"
+      );
+    });
+
+    it("doesn't list the QR codes themselves", async () => {
+      await nearby({ lat: 48.8566, lng: 2.3522 });
+
+      const { $project: project } = pipelines[0].at(-1);
+      expect(JSON.stringify(project)).not.to.include("qrCode");
+      expect(project).to.include({ _id: 0 });
+    });
+
+    it("rejects missing or out-of-range searches before querying", async () => {
+      for (const [params, message] of [
+        [{ lng: 2.3522 }, "Latitude (lat) is required for location search"],
+        [{ lat: 91, lng: 2.3522 }, "Latitude must be between -90 and 90"],
+        [
+          { lat: 48.8566, lng: 2.3522, radiusKm: 500 },
+          "Radius cannot exceed 100 km",
+        ],
+        [
+          { lat: 48.8566, lng: 2.3522, category: "gaming" },
+          /^Category must be one of/,
+        ],
+      ]) {
+        const res = await nearby(params);
+
+        expect(res.status).to.equal(400);
+        if (message instanceof RegExp) {
+          expect(res.body.error).to.match(message);
+        } else {
+          expect(res.body.error).to.equal(message);
+        }
+      }
+      expect(pipelines).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const NotificationJob = require("../src/models/notificationjob.model");
+const Notification = require("../src/models/notification.model");
+const RewardClaim = require("../src/models/rewardclaim.model");
+const User = require("../src/models/user.model");
+const Leaderboard = require("../src/models/leaderboard.model");
+const {
+  CHANNELS,
+  notify,
+  queueNotification,
+  processNotificationJobs,
+} = require("../src/utils/notificationUtils");
+const { stub, restoreStubs, query } = require("./helpers/stubs");
+
+describe("NotificationJob", () => {
+  const originalCreate = NotificationJob.create;
+
+  afterEach(() => {
+    NotificationJob.create = originalCreate;
+  });
+
+  // A job whose writes are recorded instead of sent to the database
+  const newJob = (attempts = 0) => {
+    const job = new NotificationJob({
+      type: "claim-receipt",
+      payload: { claimId: "claim_1" },
+      attempts,
+    });
+    job.save = async () => job;
+    return job;
+  };
+
+  describe("#attempt", () => {
+    it("runs the handler for its type with the payload", async () => {
+      const job = newJob();
+      const calls = [];
+
+      await job.attempt({
+        "claim-receipt": async (payload) => calls.push(payload),
+      });
+
+      expect(calls).to.deep.equal([{ claimId: "claim_1" }]);
+      expect(job.status).to.equal("done");
+      expect(job.attempts).to.equal(1);
+      expect(job.completedAt).to.be.an.instanceOf(Date);
+    });
+
+    it("schedules a retry when the handler throws", async () => {
+      const job = newJob();
+
+      await job.attempt({
+        "claim-receipt": async () => {
+          throw new Error("SMTP unreachable");
+        },
+      });
+
+      expect(job.status).to.equal("pending");
+      expect(job.lastError).to.equal("SMTP unreachable");
+      expect(job.nextAttemptAt.getTime()).to.be.above(Date.now());
+    });
+
+    it("fails the job after the last retry", async () => {
+      const job = newJob(4);
+
+      await job.attempt({
+        "claim-receipt": async () => {
+          throw new Error("Claim claim_1 not found");
+        },
+      });
+
+      expect(job.status).to.equal("failed");
+    });
+  });
+
+  describe("queueNotification", () => {
+    it("stores the job leased to the caller", async () => {
+      let created;
+      NotificationJob.create = async (fields) => {
+        created = fields;
+        const job = newJob();
+        job.attempt = async () => job;
+        return job;
+      };
+
+      const job = await queueNotification("claim-receipt", {
+        claimId: "claim_1",
+      });
+
+      expect(job).to.be.an.instanceOf(NotificationJob);
+      expect(created.type).to.equal("claim-receipt");
+      expect(created.payload).to.deep.equal({ claimId: "claim_1" });
+      expect(created.nextAttemptAt.getTime()).to.be.above(Date.now());
+    });
+
+    it("logs instead of throwing when the job can't be stored", async () => {
+      NotificationJob.create = async () => {
+        throw new Error("connection closed");
+      };
+      const originalError = console.error;
+      console.error = () => {};
+
+      try {
+        expect(
+          await queueNotification("claim-receipt", { claimId: "claim_1" })
+        ).to.equal(null);
+      } finally {
+        console.error = originalError;
+      }
+    });
+  });
+
+  describe("delivery failures", () => {
+    let user;
+    let inApp;
+    let emails;
+    let failEmail;
+
+    beforeEach(() => {
+      user = User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+        points: 140,
+        notificationPreferences: { inApp: true, email: true, push: false },
+      });
+      inApp = [];
+      emails = [];
+      failEmail = true;
+
+      stub(Notification, "create", async (notification) => {
+        inApp.push(notification);
+        return notification;
+      });
+      stub(CHANNELS, "email", async (recipient, notification) => {
+        if (failEmail) throw new Error("SMTP unreachable");
+        emails.push(notification);
+      });
+      stub(console, "error", () => {});
+    });
+
+    afterEach(restoreStubs);
+
+    it("are logged, not thrown, for inline notifications", async () => {
+      const notification = await notify(user, "claim-verified", {
+        params: { reward: "Refill", points: 25 },
+      });
+
+      expect(notification.type).to.equal("claim-verified");
+      expect(inApp).to.have.length(1);
+    });
+
+    it("are thrown with the failed channels when asked to", async () => {
+      let error;
+      try {
+        await notify(user, "claim-verified", {
+          params: { reward: "Refill", points: 25 },
+          throwOnFailure: true,
+        });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.message).to.match(/by email: SMTP unreachable/);
+      expect(error.channels).to.deep.equal(["email"]);
+      // The other channels were still tried
+      expect(inApp).to.have.length(1);
+    });
+
+    it("make a claim receipt job retry only the channels that failed", async () => {
+      const claim = {
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        pointsAwarded: 25,
+        claimedAt: new Date(),
+        partnerId: { name: "Green Grocer" },
+        rewardId: { title: "Refill station" },
+      };
+      stub(RewardClaim, "findById", () => query(claim));
+      stub(User, "findById", () => query(user));
+
+      const job = new NotificationJob({
+        type: "claim-receipt",
+        payload: { claimId: claim._id },
+      });
+      job.save = async () => job;
+
+      // The worker leases the job while it is due
+      stub(NotificationJob, "findOneAndUpdate", async () =>
+        job.status === "pending" && job.nextAttemptAt <= new Date() ? job : null
+      );
+
+      let results = await processNotificationJobs(10);
+
+      expect(results).to.deep.equal({
+        processed: 1,
+        done: 0,
+        failed: 0,
+        pending: 1,
+      });
+      expect(job.lastError).to.match(/SMTP unreachable/);
+      expect(job.payload.channels).to.deep.equal(["email"]);
+      expect(inApp).to.have.length(1);
+
+      // The retry is due later; once the mail server is back it only emails
+      failEmail = false;
+      job.nextAttemptAt = new Date(Date.now() - 1000);
+      results = await processNotificationJobs(10);
+
+      expect(results.done).to.equal(1);
+      expect(job.status).to.equal("done");
+      expect(inApp).to.have.length(1);
+      expect(emails).to.have.length(1);
+      expect(emails[0].type).to.equal("claim-receipt");
+    });
+  });
+
+  describe("rank changes", () => {
+    let jobs;
+
+    beforeEach(() => {
+      jobs = [];
+      stub(NotificationJob, "create", async (fields) => {
+        const job = new NotificationJob(fields);
+        job.attempt = async () => job;
+        jobs.push(job);
+        return job;
+      });
+    });
+
+    afterEach(restoreStubs);
+
+    it("are queued as one job instead of sent by the recalculation", async () => {
+      const [first, second, third] = [1, 2, 3].map(
+        () => new mongoose.Types.ObjectId()
+      );
+      const entries = [
+        { userId: first, totalPoints: 300, currentRank: 2 },
+        { userId: second, totalPoints: 200, currentRank: 1 },
+        { userId: third, totalPoints: 100, currentRank: 3 },
+      ].map((entry) => Leaderboard.hydrate(entry));
+      stub(Leaderboard, "find", () => query(entries));
+      stub(Leaderboard, "bulkWrite", async () => ({}));
+      stub(User, "find", () => {
+        throw new Error("Rank changes must not be sent inline");
+      });
+
+      const result = await Leaderboard.updateAllRankings();
+
+      expect(result).to.deep.equal({ success: true, updatedCount: 3 });
+      expect(jobs).to.have.length(1);
+      expect(jobs[0].type).to.equal("rank-changes");
+      expect(jobs[0].payload.changes).to.deep.equal([
+        { userId: first, previousRank: 2, currentRank: 1 },
+        { userId: second, previousRank: 1, currentRank: 2 },
+      ]);
+    });
+
+    it("queue nothing when no rank moved", async () => {
+      const entries = [
+        Leaderboard.hydrate({
+          userId: new mongoose.Types.ObjectId(),
+          totalPoints: 100,
+          currentRank: 1,
+        }),
+      ];
+      stub(Leaderboard, "find", () => query(entries));
+      stub(Leaderboard, "bulkWrite", async () => ({}));
+
+      await Leaderboard.updateAllRankings();
+
+      expect(jobs).to.have.length(0);
+    });
+
+    it("retry only the users whose notification failed", async () => {
+      const users = ["Ada", "Grace"].map((name) =>
+        User.hydrate({
+          _id: new mongoose.Types.ObjectId(),
+          name,
+          email: `${name.toLowerCase()}@example.com`,
+          notificationPreferences: { inApp: true, email: true, push: false },
+        })
+      );
+      const sent = [];
+      stub(User, "find", async () => users);
+      stub(Notification, "create", async (notification) => notification);
+      stub(CHANNELS, "email", async (recipient) => {
+        if (recipient.name === "Grace") throw new Error("Mailbox full");
+        sent.push(recipient.name);
+      });
+      stub(console, "error", () => {});
+
+      const job = new NotificationJob({
+        type: "rank-changes",
+        payload: {
+          changes: users.map((user, index) => ({
+            userId: user._id,
+            previousRank: index + 2,
+            currentRank: index + 1,
+          })),
+        },
+      });
+      job.save = async () => job;
+      stub(NotificationJob, "findOneAndUpdate", async () =>
+        job.status === "pending" ? job : null
+      );
+
+      await processNotificationJobs(1);
+
+      expect(sent).to.deep.equal(["Ada"]);
+      expect(job.status).to.equal("pending");
+      expect(job.lastError).to.equal(
+        "Could not send rank-changed notification to 1 of 2 users"
+      );
+      expect(job.payload.changes).to.deep.equal([
+        {
+          userId: users[1]._id,
+          previousRank: 3,
+          currentRank: 2,
+          channels: ["email"],
+        },
+      ]);
+    });
+  });
+});
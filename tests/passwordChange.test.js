@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const Session = require("../src/models/session.model");
+const { protect } = require("../src/middleware/auth.middleware");
+const { stub, restoreStubs, query, callHandler } = require("./helpers/stubs");
+
+describe("password changes", () => {
+  let user;
+  let sessions;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret";
+  });
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      isEmailVerified: true,
+    });
+    sessions = [];
+
+    stub(User, "findById", () => query(user));
+    stub(Session, "findOne", async ({ _id }) =>
+      sessions.find((session) => session._id.equals(_id))
+    );
+    stub(User.collection, "updateOne", async () => ({
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: 1,
+    }));
+  });
+
+  afterEach(restoreStubs);
+
+  // A time `ms` after the start of the current second (tokens must not
+  // have expired yet)
+  const at = (ms) => new Date(Math.floor(Date.now() / 1000) * 1000 + ms);
+
+  const startSession = (createdAt) => {
+    const session = Session.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      userId: user._id,
+      lastUsedAt: createdAt,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+      createdAt,
+    });
+    session.touch = async () => session;
+    sessions.push(session);
+    return session;
+  };
+
+  const tokenFor = (session, iat) =>
+    jwt.sign({ id: user._id, sid: session._id, iat }, process.env.JWT_SECRET, {
+      expiresIn: "15m",
+    });
+
+  const authenticate = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    let passed = false;
+    const res = await callHandler(
+      (request, response, next) =>
+        protect(request, response, (error) => {
+          passed = !error;
+          next(error);
+        }),
+      req
+    );
+    return { passed, res };
+  };
+
+  // Change the password as of `changedAt`
+  const changePassword = async (changedAt) => {
+    const now = Date.now;
+    Date.now = () => changedAt.getTime();
+    try {
+      user.password = "a brand new password";
+      await user.save({ validateBeforeSave: false });
+    } finally {
+      Date.now = now;
+    }
+  };
+
+  it("stamps the time of the change without backdating it", async () => {
+    const changedAt = at(400);
+
+    await changePassword(changedAt);
+
+    expect(user.passwordChangedAt.getTime()).to.equal(changedAt.getTime());
+  });
+
+  it("rejects tokens issued before the change", async () => {
+    const session = startSession(at(-60 * 60 * 1000));
+    const changedAt = at(400);
+    await changePassword(changedAt);
+
+    const { passed, res } = await authenticate(
+      tokenFor(session, Math.floor(changedAt.getTime() / 1000) - 1)
+    );
+
+    expect(passed).to.equal(false);
+    expect(res.statusCode).to.equal(401);
+    expect(res.body.error).to.equal(
+      "Password was changed. Please log in again"
+    );
+  });
+
+  it("rejects tokens of older sessions issued in the second of the change", async () => {
+    const session = startSession(at(-60 * 60 * 1000));
+    const changedAt = at(400);
+    await changePassword(changedAt);
+
+    const { passed, res } = await authenticate(
+      tokenFor(session, Math.floor(changedAt.getTime() / 1000))
+    );
+
+    expect(passed).to.equal(false);
+    expect(res.body.error).to.equal(
+      "Password was changed. Please log in again"
+    );
+  });
+
+  it("accepts the token of the sign-in right after the change", async () => {
+    const changedAt = at(400);
+    await changePassword(changedAt);
+    const session = startSession(at(450));
+
+    const { passed } = await authenticate(
+      tokenFor(session, Math.floor(changedAt.getTime() / 1000))
+    );
+
+    expect(passed).to.equal(true);
+  });
+});
@@ -0,0 +1,272 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const RewardClaim = require("../src/models/rewardclaim.model");
+const Reward = require("../src/models/reward.model");
+const Partner = require("../src/models/partner.model");
+const QRCode = require("../src/models/qrcode.model");
+const User = require("../src/models/user.model");
+const PointsTransaction = require("../src/models/pointstransaction.model");
+const NotificationJob = require("../src/models/notificationjob.model");
+const { confirmClaim } = require("../src/controllers/pos.controller");
+const {
+  authorize,
+  partnerScope,
+} = require("../src/middleware/auth.middleware");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+} = require("./helpers/stubs");
+
+describe("point-of-sale confirmation", () => {
+  let shopper;
+  let partners;
+  let reward;
+  let claims;
+  let ledger;
+  let queued;
+
+  const staffOf = (partner) =>
+    User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Sam",
+      email: "sam@greenbeans.example.com",
+      role: "partner_staff",
+      partnerId: partner && partner._id,
+    });
+
+  // A shopper's in-store claim, waiting for staff to confirm its code
+  const pendingClaim = (code, fields = {}) => {
+    const claim = RewardClaim.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      userId: shopper._id,
+      qrCodeId: new mongoose.Types.ObjectId(),
+      partnerId: partners[0]._id,
+      rewardId: reward._id,
+      pointsAwarded: 30,
+      status: "pending",
+      capacityReserved: true,
+      confirmation: {
+        code,
+        expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+      },
+      claimedAt: new Date(),
+      ...fields,
+    });
+    claims.push(claim);
+    return claim;
+  };
+
+  beforeEach(() => {
+    shopper = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      points: 50,
+      ecoLevel: "beginner",
+    });
+    partners = ["Green Beans", "Pedal Co"].map((name) =>
+      Partner.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name,
+        category: "cafe",
+        verificationStatus: "verified",
+        isActive: true,
+      })
+    );
+    reward = Reward.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: "Reusable cup discount",
+      points: 30,
+      actionType: "purchase",
+      currentClaims: 1,
+      totalMaxClaims: 10,
+      isActive: true,
+    });
+    claims = [];
+    ledger = [];
+    queued = [];
+
+    stubTransactions();
+    stub(Partner, "findById", async (id) =>
+      partners.find((partner) => partner._id.equals(id))
+    );
+    stub(RewardClaim, "find", (filter) =>
+      query(
+        claims.filter(
+          (claim) =>
+            claim.partnerId.equals(filter.partnerId) &&
+            claim.status === filter.status &&
+            claim.confirmation?.code === filter["confirmation.code"] &&
+            claim.confirmation.expiresAt > filter["confirmation.expiresAt"].$gt
+        )
+      )
+    );
+    // Completes the claim only while it is still pending
+    stub(RewardClaim, "findOneAndUpdate", async (filter, update) => {
+      const claim = claims.find(
+        (candidate) =>
+          candidate._id.equals(filter._id) && candidate.status === filter.status
+      );
+      if (!claim) return null;
+      claim.set(update.$set);
+      claim.confirmation = undefined;
+      return claim;
+    });
+    stub(RewardClaim.prototype, "populate", async function () {
+      this.rewardId = reward;
+      this.partnerId = partners[0];
+      return this;
+    });
+    stub(Reward, "findById", () => query(reward));
+    stub(QRCode, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(User, "findOneAndUpdate", async () =>
+      User.hydrate(shopper.toObject())
+    );
+    stub(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(PointsTransaction, "create", async (entries) =>
+      entries.map((entry) => {
+        ledger.push(entry);
+        return new PointsTransaction(entry);
+      })
+    );
+    stub(NotificationJob, "enqueue", async (type, payload) => {
+      queued.push({ type, payload });
+      return { attempt: async () => {} };
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  // POST /api/v1/partner-pos/confirm as `user` (protect already ran)
+  const confirm = (user, body) => {
+    const server = express();
+    server.use(express.json());
+    server.post(
+      "/api/v1/partner-pos/confirm",
+      (req, res, next) => {
+        req.user = user;
+        next();
+      },
+      authorize("partner_staff", "admin"),
+      partnerScope,
+      confirmClaim
+    );
+    return request(server).post("/api/v1/partner-pos/confirm").send(body);
+  };
+
+  it("completes the claim and credits the shopper", async () => {
+    const staff = staffOf(partners[0]);
+    const claim = pendingClaim("482913");
+
+    const res = await confirm(staff, { code: "482913" });
+
+    expect(res.status).to.equal(200);
+    expect(res.body.message).to.equal("Claim confirmed");
+    expect(res.body.data.customer).to.deep.equal({ name: "Ada" });
+    expect(claim.status).to.equal("completed");
+    expect(claim.verificationData.verifiedBy.equals(staff._id)).to.equal(true);
+    expect(claim.verificationData.verifiedAt).to.be.an.instanceOf(Date);
+    expect(claim.confirmation?.code).to.equal(undefined);
+    expect(ledger).to.have.length(1);
+    expect(ledger[0]).to.include({
+      type: "credit",
+      amount: 30,
+      sourceType: "reward_claim",
+    });
+    // The claim reserved its place when it was made
+    expect(reward.currentClaims).to.equal(1);
+    expect(queued).to.deep.equal([
+      { type: "claim-receipt", payload: { claimId: claim._id } },
+    ]);
+  });
+
+  it("can't use a code twice", async () => {
+    const staff = staffOf(partners[0]);
+    pendingClaim("482913");
+    await confirm(staff, { code: "482913" });
+
+    const res = await confirm(staff, { code: "482913" });
+
+    expect(res.status).to.equal(404);
+    expect(res.body.error).to.equal("Confirmation code not found or expired");
+    expect(ledger).to.have.length(1);
+  });
+
+  it("refuses expired codes", async () => {
+    const claim = pendingClaim("482913");
+    claim.confirmation.expiresAt = new Date(Date.now() - 1000);
+
+    const res = await confirm(staffOf(partners[0]), { code: "482913" });
+
+    expect(res.status).to.equal(404);
+    expect(claim.status).to.equal("pending");
+  });
+
+  it("only finds codes of the staff member's own partner", async () => {
+    const claim = pendingClaim("482913");
+
+    const res = await confirm(staffOf(partners[1]), {
+      code: "482913",
+      // Ignored for staff
+      partnerId: partners[0]._id.toString(),
+    });
+
+    expect(res.status).to.equal(404);
+    expect(claim.status).to.equal("pending");
+  });
+
+  it("asks for a new code when two shoppers share one", async () => {
+    pendingClaim("482913");
+    pendingClaim("482913");
+
+    const res = await confirm(staffOf(partners[0]), { code: "482913" });
+
+    expect(res.status).to.equal(409);
+    expect(ledger).to.have.length(0);
+  });
+
+  it("rejects codes that aren't six digits", async () => {
+    const res = await confirm(staffOf(partners[0]), { code: "48291" });
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("Confirmation code must be 6 digits");
+  });
+
+  it("is only for partner staff and admins", async () => {
+    const claim = pendingClaim("482913");
+
+    const res = await confirm(shopper, { code: "482913" });
+
+    expect(res.status).to.equal(403);
+    expect(claim.status).to.equal("pending");
+  });
+
+  it("refuses staff not linked to a partner", async () => {
+    const res = await confirm(staffOf(null), { code: "482913" });
+
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal("Your account is not linked to a partner");
+  });
+
+  it("lets admins confirm for a partner they name", async () => {
+    const claim = pendingClaim("482913");
+    const admin = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Root",
+      email: "root@example.com",
+      role: "admin",
+    });
+
+    const res = await confirm(admin, {
+      code: "482913",
+      partnerId: partners[0]._id.toString(),
+    });
+
+    expect(res.status).to.equal(200);
+    expect(claim.verificationData.verifiedBy.equals(admin._id)).to.equal(true);
+  });
+});
@@ -0,0 +1,333 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const PointsTransaction = require("../src/models/pointstransaction.model");
+const reconcilePoints = require("../src/jobs/pointsReconcile.job");
+const { getLedger } = require("../src/controllers/points.controller");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("points ledger", () => {
+  let user;
+  let ledger;
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      points: 120,
+      ecoLevel: "intermediate",
+    });
+    ledger = [];
+
+    stubTransactions();
+    stub(User, "findOneAndUpdate", async (filter) => {
+      if (filter.points && user.points < filter.points.$gte) return null;
+      return User.hydrate(user.toObject());
+    });
+    stub(User, "findById", () => query(user));
+    stub(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(PointsTransaction, "create", async (entries) =>
+      [].concat(entries).map((entry) => {
+        ledger.push(entry);
+        return new PointsTransaction(entry);
+      })
+    );
+  });
+
+  afterEach(restoreStubs);
+
+  describe("record", () => {
+    it("writes a credit with the balance after it", async () => {
+      const { transaction, user: updated } = await PointsTransaction.record(
+        {
+          userId: user._id,
+          amount: 30,
+          sourceType: "manual_adjustment",
+          description: "Beach clean-up",
+        },
+        { session: {} }
+      );
+
+      expect(transaction).to.include({
+        type: "credit",
+        amount: 30,
+        balanceAfter: 150,
+      });
+      expect(updated.points).to.equal(150);
+    });
+
+    it("records what a debit actually took when it hits zero", async () => {
+      const { transaction } = await PointsTransaction.record(
+        {
+          userId: user._id,
+          amount: -200,
+          sourceType: "claim_reversal",
+        },
+        { session: {} }
+      );
+
+      expect(transaction).to.include({
+        type: "debit",
+        amount: 120,
+        balanceAfter: 0,
+      });
+    });
+
+    it("refuses a debit larger than the balance with requireBalance", async () => {
+      let error;
+      try {
+        await PointsTransaction.record(
+          {
+            userId: user._id,
+            amount: -200,
+            sourceType: "redemption",
+            requireBalance: true,
+          },
+          { session: {} }
+        );
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal("Not enough points");
+      expect(error.details).to.deep.equal({ balance: 120, required: 200 });
+      expect(ledger).to.have.length(0);
+    });
+  });
+
+  describe("append-only entries", () => {
+    const entry = () =>
+      PointsTransaction.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        type: "credit",
+        amount: 10,
+        balanceAfter: 130,
+        sourceType: "manual_adjustment",
+      });
+
+    const rejection = async (promise) => {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    it("can't be saved again once written", async () => {
+      const written = entry();
+      written.amount = 1000;
+
+      const error = await rejection(written.save());
+
+      expect(error.message).to.equal("Points transactions cannot be modified");
+    });
+
+    it("can't be updated or deleted through queries", async () => {
+      const attempts = [
+        PointsTransaction.updateOne({}, { $set: { amount: 1000 } }),
+        PointsTransaction.updateMany({}, { $set: { userId: user._id } }),
+        PointsTransaction.findOneAndUpdate({}, { $set: { amount: 1 } }),
+        PointsTransaction.deleteOne({}),
+        PointsTransaction.deleteMany({}),
+        PointsTransaction.findOneAndDelete({}),
+      ];
+
+      for (const attempt of attempts) {
+        const error = await rejection(attempt);
+        expect(error.message).to.equal("Points transactions are append-only");
+      }
+    });
+  });
+
+  describe("reconcilePoints", () => {
+    let users;
+    let fixes;
+
+    const withBalances = (rows) =>
+      stub(PointsTransaction, "aggregate", () => ({
+        allowDiskUse: async () => rows,
+      }));
+
+    beforeEach(() => {
+      users = [
+        User.hydrate({
+          _id: new mongoose.Types.ObjectId(),
+          email: "in-sync@example.com",
+          points: 40,
+        }),
+        User.hydrate({
+          _id: new mongoose.Types.ObjectId(),
+          email: "drifted@example.com",
+          points: 75,
+        }),
+        User.hydrate({
+          _id: new mongoose.Types.ObjectId(),
+          email: "before-ledger@example.com",
+          points: 20,
+        }),
+      ];
+      fixes = [];
+
+      stub(User, "find", () => ({ select: () => ({ cursor: () => users }) }));
+      stub(User, "updateOne", async (filter, update) => {
+        fixes.push({ filter, update });
+        return { modifiedCount: 1 };
+      });
+      stub(console, "log", () => {});
+      stub(console, "table", () => {});
+    });
+
+    it("reports users whose points drifted from their ledger", async () => {
+      withBalances([
+        { _id: users[0]._id, balance: 40, entries: 2 },
+        { _id: users[1]._id, balance: 50, entries: 3 },
+      ]);
+
+      const results = await reconcilePoints();
+
+      expect(results).to.include({
+        users: 3,
+        inSync: 1,
+        drifted: 2,
+        totalDrift: 45,
+        fixed: 0,
+      });
+      expect(results.report[0]).to.include({
+        email: "drifted@example.com",
+        points: 75,
+        ledger: 50,
+        drift: 25,
+      });
+      expect(fixes).to.have.length(0);
+    });
+
+    it("writes opening balances for users without ledger entries", async () => {
+      withBalances([
+        { _id: users[0]._id, balance: 40, entries: 2 },
+        { _id: users[1]._id, balance: 75, entries: 3 },
+      ]);
+
+      const results = await reconcilePoints({ openingBalances: true });
+
+      expect(results).to.include({ inSync: 3, openingBalances: 1 });
+      expect(ledger).to.have.length(1);
+      expect(ledger[0]).to.include({
+        type: "credit",
+        amount: 20,
+        balanceAfter: 20,
+        sourceType: "opening_balance",
+      });
+      expect(ledger[0].userId).to.equal(users[2]._id);
+    });
+
+    it("sets drifted balances back to the ledger with fix", async () => {
+      withBalances([
+        { _id: users[0]._id, balance: 40, entries: 2 },
+        { _id: users[1]._id, balance: 50, entries: 3 },
+        { _id: users[2]._id, balance: 20, entries: 1 },
+      ]);
+
+      const results = await reconcilePoints({ fix: true });
+
+      expect(results.fixed).to.equal(1);
+      expect(fixes).to.have.length(1);
+      // Only if the balance is still the one that was checked
+      expect(fixes[0].filter).to.deep.equal({
+        _id: users[1]._id,
+        points: 75,
+      });
+      expect(fixes[0].update.$set.points).to.equal(50);
+    });
+  });
+
+  describe("GET /api/v1/points/ledger", () => {
+    let finds;
+
+    beforeEach(() => {
+      finds = [];
+      stub(PointsTransaction, "find", (filter) => {
+        const call = { filter };
+        finds.push(call);
+        const chain = query([]);
+        chain.skip = (skip) => {
+          call.skip = skip;
+          return chain;
+        };
+        chain.limit = (limit) => {
+          call.limit = limit;
+          return chain;
+        };
+        return chain;
+      });
+      stub(PointsTransaction, "countDocuments", async () => 45);
+    });
+
+    const getPage = (params) =>
+      callHandler(getLedger, {
+        query: params,
+        user: { id: user._id.toString(), role: "user" },
+      });
+
+    it("pages through the user's entries", async () => {
+      const res = await getPage({
+        page: "3",
+        limit: "20",
+        type: "debit",
+        startDate: "2026-01-01",
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.pagination).to.deep.equal({
+        page: 3,
+        limit: 20,
+        pages: 3,
+      });
+      expect(res.body.balance).to.equal(120);
+      expect(finds[0]).to.deep.include({ skip: 40, limit: 20 });
+      expect(finds[0].filter).to.include({
+        userId: user._id.toString(),
+        type: "debit",
+      });
+      expect(finds[0].filter.createdAt.$gte).to.be.an.instanceOf(Date);
+    });
+
+    it("rejects bad paging and dates with 400", async () => {
+      for (const [params, message] of [
+        [{ limit: "100000" }, "Limit cannot exceed 100"],
+        [{ page: "abc" }, "Page must be a number"],
+        [{ page: "0" }, "Page must be at least 1"],
+        [{ startDate: "yesterday-ish" }, "Start date must be a valid date"],
+        [{ sourceType: "gift" }, "Source type must be one of"],
+      ]) {
+        const res = await getPage(params);
+
+        expect(res.statusCode, JSON.stringify(params)).to.equal(400);
+        expect(res.body.error).to.include(message);
+      }
+      expect(finds).to.have.length(0);
+    });
+
+    it("only shows admins another user's ledger", async () => {
+      const otherId = new mongoose.Types.ObjectId().toString();
+
+      await getPage({ userId: otherId });
+      await callHandler(getLedger, {
+        query: { userId: otherId },
+        user: { id: user._id.toString(), role: "admin" },
+      });
+
+      expect(finds[0].filter.userId).to.equal(user._id.toString());
+      expect(finds[1].filter.userId).to.equal(otherId);
+    });
+  });
+});
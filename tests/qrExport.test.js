@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const QRCode = require("../src/models/qrcode.model");
+const Partner = require("../src/models/partner.model");
+const Reward = require("../src/models/reward.model");
+const { exportQRCodeBatch } = require("../src/controllers/qr.controller");
+const { stub, restoreStubs } = require("./helpers/stubs");
+
+describe("QR batch export", () => {
+  const admin = { id: new mongoose.Types.ObjectId().toString(), role: "admin" };
+  let partner;
+  let batch;
+  let finds;
+  let cursorClosed;
+
+  const makeBatch = (count, location = {}) => {
+    const reward = Reward.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: "Bring your own cup",
+      points: 15,
+    });
+    return Array.from({ length: count }, (item, index) =>
+      QRCode.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        qrCode: `qr_${crypto.randomUUID()}`,
+        partnerId: partner,
+        rewardId: reward,
+        batchId: "spring-2026",
+        location: { name: `Till ${index + 1}`, ...location },
+        isActive: true,
+        scanCount: index,
+        successfulClaims: 0,
+        createdAt: new Date("2026-03-01T09:00:00Z"),
+      })
+    );
+  };
+
+  beforeEach(() => {
+    partner = Partner.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Green Beans",
+    });
+    batch = makeBatch(3);
+    finds = [];
+    cursorClosed = false;
+
+    stub(QRCode, "exists", async (filter) => {
+      finds.push(filter);
+      return batch.length > 0 ? { _id: batch[0]._id } : null;
+    });
+    // Hands the batch out one code at a time, as a cursor does
+    stub(QRCode, "find", () => {
+      const chain = {
+        sort: () => chain,
+        populate: () => chain,
+        cursor: () => ({
+          async *[Symbol.asyncIterator]() {
+            yield* batch;
+          },
+          close: async () => {
+            cursorClosed = true;
+          },
+        }),
+      };
+      return chain;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  const exportBatch = (params, user = admin) => {
+    const server = express();
+    server.get(
+      "/api/v1/qr/batch/:batchId/export",
+      (req, res, next) => {
+        req.user = user;
+        next();
+      },
+      exportQRCodeBatch
+    );
+    return request(server)
+      .get("/api/v1/qr/batch/spring-2026/export")
+      .query(params)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+  };
+
+  // File names in a ZIP's central directory
+  const zipEntries = (zip) => {
+    const names = [];
+    for (
+      let offset = zip.indexOf("PK\x01\x02");
+      offset !== -1;
+      offset = zip.indexOf("PK\x01\x02", offset + 46)
+    ) {
+      const nameLength = zip.readUInt16LE(offset + 28);
+      names.push(zip.toString("utf8", offset + 46, offset + 46 + nameLength));
+    }
+    return names;
+  };
+
+  const csvLines = (body) => body.toString().trim().split("\r\n");
+
+  describe("as CSV", () => {
+    it("lists every code with its scan URL and label details", async () => {
+      const res = await exportBatch({ format: "csv" });
+
+      const [header, ...rows] = csvLines(res.body);
+      expect(res.status).to.equal(200);
+      expect(res.headers["content-type"]).to.match(/^text\/csv/);
+      expect(res.headers["content-disposition"]).to.equal(
+        'attachment; filename="spring-2026.csv"'
+      );
+      expect(header.split(",").slice(0, 4)).to.deep.equal([
+        "qrCode",
+        "shortCode",
+        "scanUrl",
+        "imageUrl",
+      ]);
+      expect(rows).to.have.length(3);
+      expect(rows[0].split(",")).to.include.members([
+        batch[0].qrCode,
+        batch[0].shortCode,
+        batch[0].scanUrl,
+        "Green Beans",
+        "Bring your own cup",
+        "Till 1",
+      ]);
+      expect(cursorClosed).to.equal(true);
+    });
+
+    it("keeps spreadsheets from running values as formulas", async () => {
+      batch = makeBatch(1, {
+        name: '=HYPERLINK("http://evil.example")',
+        address: "1 Main St, Springfield",
+      });
+
+      const res = await exportBatch({ format: "csv" });
+
+      const [, row] = csvLines(res.body);
+      expect(row).to.include(`"'=HYPERLINK(""http://evil.example"")"`);
+      expect(row).to.include('"1 Main St, Springfield"');
+    });
+  });
+
+  describe("as PDF", () => {
+    it("lays the labels out in pages of the requested grid", async () => {
+      batch = makeBatch(20);
+
+      const res = await exportBatch({ format: "pdf", columns: 3, rows: 6 });
+
+      const pdf = res.body.toString("latin1");
+      expect(res.status).to.equal(200);
+      expect(res.headers["content-type"]).to.equal("application/pdf");
+      expect(pdf.startsWith("%PDF-")).to.equal(true);
+      expect(pdf.match(/\/Type \/Page\b/g)).to.have.length(2);
+      expect(pdf).to.include("/MediaBox [0 0 595.28 841.89]");
+      expect(cursorClosed).to.equal(true);
+    });
+
+    it("prints on letter paper", async () => {
+      const res = await exportBatch({ format: "pdf", paper: "letter" });
+
+      expect(res.body.toString("latin1")).to.include("/MediaBox [0 0 612 792]");
+    });
+
+    it("refuses grids too dense for scannable codes", async () => {
+      const res = await exportBatch({ format: "pdf", columns: 8, rows: 12 });
+
+      expect(res.status).to.equal(400);
+      expect(JSON.parse(res.body).error).to.match(/^Labels are too small/);
+      expect(finds).to.have.length(0);
+    });
+  });
+
+  describe("as ZIP", () => {
+    it("holds a PNG per code and the manifest", async () => {
+      const res = await exportBatch({ format: "zip", size: 128 });
+
+      expect(res.status).to.equal(200);
+      expect(res.headers["content-type"]).to.equal("application/zip");
+      expect(zipEntries(res.body)).to.deep.equal([
+        ...batch.map((qrCode) => `${qrCode.qrCode}.png`),
+        "manifest.csv",
+      ]);
+      // Stored uncompressed, so the manifest can be read in place
+      expect(res.body.toString()).to.include(batch[2].scanUrl);
+    });
+  });
+
+  it("rejects unknown formats", async () => {
+    const res = await exportBatch({ format: "docx" });
+
+    expect(res.status).to.equal(400);
+    expect(JSON.parse(res.body).error).to.equal(
+      "Format must be one of: pdf, zip, csv"
+    );
+  });
+
+  it("answers 404 for a batch with no codes", async () => {
+    batch = [];
+
+    const res = await exportBatch({ format: "csv" });
+
+    expect(res.status).to.equal(404);
+  });
+
+  it("limits partner staff to their partner's codes", async () => {
+    await exportBatch(
+      { format: "csv" },
+      { role: "partner_staff", partnerId: partner._id }
+    );
+
+    expect(finds[0]).to.deep.equal({
+      batchId: "spring-2026",
+      partnerId: partner._id,
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const QRCodeEncoder = require("qrcode");
+const sharp = require("sharp");
+const mongoose = require("mongoose");
+const QRCode = require("../src/models/qrcode.model");
+const Partner = require("../src/models/partner.model");
+const { getQRCodeImage } = require("../src/controllers/qr.controller");
+const { stub, restoreStubs, query } = require("./helpers/stubs");
+
+describe("QR code images", () => {
+  const admin = { id: new mongoose.Types.ObjectId().toString(), role: "admin" };
+  let partner;
+  let qrCode;
+  let logo;
+  let logoRequests;
+
+  before(async () => {
+    logo = await sharp({
+      create: { width: 40, height: 40, channels: 3, background: "#e63946" },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    partner = Partner.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Green Beans",
+      // A new URL per test: logos are cached by URL
+      logo: `https://cdn.example.com/logos/${new mongoose.Types.ObjectId()}.png`,
+    });
+    qrCode = QRCode.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      qrCode: "qr_0b8f5c3e-8d7a-4f55-9a53-2c1f4e6a7b90",
+      partnerId: partner,
+      rewardId: new mongoose.Types.ObjectId(),
+      // Fixes the signed payload's expiry, and so the scan URL
+      createdAt: new Date("2026-10-01T00:00:00Z"),
+    });
+    logoRequests = [];
+
+    stub(QRCode, "findOne", ({ qrCode: id }) =>
+      query(id === qrCode.qrCode ? qrCode : null)
+    );
+    stub(global, "fetch", async (url) => {
+      logoRequests.push(url);
+      return new Response(logo, { headers: { "Content-Type": "image/png" } });
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  const getImage = (params = {}, user = admin, id = qrCode.qrCode) => {
+    const server = express();
+    server.get(
+      "/api/v1/qr/:qrId/image",
+      (req, res, next) => {
+        req.user = user;
+        next();
+      },
+      getQRCodeImage
+    );
+    return request(server)
+      .get(`/api/v1/qr/${id}/image`)
+      .query(params)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+  };
+
+  const encode = (type, options = {}) => {
+    const settings = {
+      width: 512,
+      margin: 4,
+      errorCorrectionLevel: "M",
+      ...options,
+    };
+    return type === "png"
+      ? QRCodeEncoder.toBuffer(qrCode.scanUrl, { type, ...settings })
+      : QRCodeEncoder.toString(qrCode.scanUrl, { type, ...settings });
+  };
+
+  it("renders the scan URL as a PNG", async () => {
+    const res = await getImage();
+
+    expect(res.status).to.equal(200);
+    expect(res.headers["content-type"]).to.equal("image/png");
+    expect(res.headers["content-disposition"]).to.include(
+      `${qrCode.qrCode}.png`
+    );
+    expect(res.body.equals(await encode("png"))).to.equal(true);
+  });
+
+  it("renders an SVG with the requested size, margin and level", async () => {
+    const res = await getImage({
+      format: "svg",
+      size: 256,
+      margin: 1,
+      ecc: "h",
+    });
+
+    expect(res.status).to.equal(200);
+    expect(res.headers["content-type"]).to.match(/^image\/svg\+xml/);
+    expect(res.body.toString()).to.equal(
+      await encode("svg", { width: 256, margin: 1, errorCorrectionLevel: "H" })
+    );
+  });
+
+  it("lets clients keep their cached copy", async () => {
+    const first = await getImage();
+
+    const again = await getImage().set("If-None-Match", first.headers.etag);
+    const resized = await getImage({ size: 256 });
+
+    expect(first.headers["cache-control"]).to.equal("private, max-age=86400");
+    expect(again.status).to.equal(304);
+    expect(again.body).to.have.length(0);
+    expect(resized.headers.etag).not.to.equal(first.headers.etag);
+  });
+
+  it("puts the partner's logo in the middle at a high error correction level", async () => {
+    const plain = await getImage({ format: "svg" });
+
+    const withLogo = await getImage({ format: "svg", logo: true });
+
+    const svg = withLogo.body.toString();
+    // The code at level H, with the logo added before the end of the SVG
+    const code = await encode("svg", { errorCorrectionLevel: "H" });
+    const [modules] = code.split("</svg>");
+    expect(logoRequests).to.deep.equal([partner.logo]);
+    expect(svg.startsWith(modules)).to.equal(true);
+    expect(svg).to.include('href="data:image/png;base64,');
+    expect(withLogo.headers.etag).not.to.equal(plain.headers.etag);
+  });
+
+  it("overlays the logo on PNGs and fetches it once", async () => {
+    const first = await getImage({ logo: true });
+    const second = await getImage({ logo: true });
+
+    const { width, height } = await sharp(first.body).metadata();
+    expect(width).to.equal(height);
+    expect(first.body.equals(await encode("png"))).to.equal(false);
+    expect(second.body.equals(first.body)).to.equal(true);
+    expect(logoRequests).to.have.length(1);
+  });
+
+  it("renders without the logo when it can't be loaded", async () => {
+    stub(global, "fetch", async () => new Response("gone", { status: 404 }));
+
+    const res = await getImage({ logo: true });
+
+    expect(res.status).to.equal(200);
+    expect(res.body.equals(await encode("png"))).to.equal(true);
+  });
+
+  it("rejects unsupported options", async () => {
+    for (const [params, message] of [
+      [{ format: "gif" }, "Format must be one of: png, svg"],
+      [{ size: 10000 }, "Size cannot exceed 2048 pixels"],
+      [{ ecc: "X" }, "Error correction level must be one of: L, M, Q, H"],
+    ]) {
+      const res = await getImage(params);
+
+      expect(res.status).to.equal(400);
+      expect(JSON.parse(res.body).error).to.equal(message);
+    }
+  });
+
+  it("only renders partner staff's own codes", async () => {
+    const ownStaff = { role: "partner_staff", partnerId: partner._id };
+    const otherStaff = {
+      role: "partner_staff",
+      partnerId: new mongoose.Types.ObjectId(),
+    };
+
+    expect((await getImage({}, ownStaff)).status).to.equal(200);
+    expect((await getImage({}, otherStaff)).status).to.equal(404);
+    expect((await getImage({}, admin, "qr_unknown")).status).to.equal(404);
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const RefreshToken = require("../src/models/refreshtoken.model");
+const Session = require("../src/models/session.model");
+const User = require("../src/models/user.model");
+const { refreshToken } = require("../src/controllers/auth.controller");
+const { generateRefreshToken } = require("../src/utils/tokenUtils");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubPersistence,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("POST /api/v1/auth/refresh-token", () => {
+  let user;
+  let session;
+  let tokens;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret";
+    process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || "15m";
+    process.env.JWT_REFRESH_SECRET =
+      process.env.JWT_REFRESH_SECRET || "test-refresh-secret";
+  });
+
+  // Stored refresh tokens, kept in `tokens` with the unique tokenHash index
+  // and the conditional updates MongoDB would apply
+  const stubTokenStore = () => {
+    const matches = (doc, filter) =>
+      Object.entries(filter).every(([field, condition]) => {
+        if (condition && condition.$gt) return doc[field] > condition.$gt;
+        if (condition && condition.$in) {
+          return condition.$in.some((id) => id.equals(doc[field]));
+        }
+        return condition === null
+          ? doc[field] == null
+          : String(doc[field]) === String(condition);
+      });
+
+    stub(RefreshToken, "create", async (fields) => {
+      if (tokens.some((doc) => doc.tokenHash === fields.tokenHash)) {
+        throw Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+        });
+      }
+      const doc = stubPersistence(new RefreshToken(fields));
+      tokens.push(doc);
+      return doc;
+    });
+    stub(
+      RefreshToken,
+      "findOne",
+      async (filter) => tokens.find((doc) => matches(doc, filter)) || null
+    );
+    stub(RefreshToken, "findOneAndUpdate", async (filter, update) => {
+      const doc = tokens.find((candidate) => matches(candidate, filter));
+      if (!doc) return null;
+      doc.set(update);
+      return doc;
+    });
+    stub(RefreshToken, "updateMany", async (filter, update) => {
+      const docs = tokens.filter((doc) => matches(doc, filter));
+      docs.forEach((doc) => doc.set(update));
+      return { modifiedCount: docs.length };
+    });
+  };
+
+  // Log in: a session with its first refresh token
+  const login = async () => {
+    const token = generateRefreshToken(user._id, session._id);
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: RefreshToken.hashToken(token),
+      sessionId: session._id,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+    });
+    return token;
+  };
+
+  const refresh = (token) =>
+    callHandler(refreshToken, {
+      body: { refreshToken: token },
+      cookies: {},
+      ip: "203.0.113.10",
+      get: () => "Mocha",
+    });
+
+  beforeEach(() => {
+    tokens = [];
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      isEmailVerified: true,
+    });
+    session = stubPersistence(
+      Session.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        revokedAt: null,
+      })
+    );
+
+    stubTokenStore();
+    stub(Session, "findById", async () => session);
+    stub(User, "findById", () => query(user));
+    stub(console, "warn", () => {});
+  });
+
+  afterEach(restoreStubs);
+
+  it("rotates the token within the session", async () => {
+    const token = await login();
+
+    const res = await refresh(token);
+
+    expect(res.statusCode).to.equal(200);
+    expect(res.body.refreshToken).to.be.a("string").and.not.equal(token);
+    expect(jwt.decode(res.body.accessToken).sid).to.equal(
+      session._id.toString()
+    );
+
+    const [rotated, successor] = tokens;
+    expect(rotated.revokedReason).to.equal("rotated");
+    expect(rotated.replacedByHash).to.equal(successor.tokenHash);
+    expect(successor.tokenHash).to.equal(
+      RefreshToken.hashToken(res.body.refreshToken)
+    );
+    expect(successor.revokedAt).to.equal(null);
+  });
+
+  it("gives replays within the grace period the same successor", async () => {
+    const token = await login();
+
+    const first = await refresh(token);
+    const second = await refresh(token);
+    const third = await refresh(token);
+
+    for (const res of [first, second, third]) {
+      expect(res.statusCode).to.equal(200);
+    }
+    expect(second.body.refreshToken).to.equal(first.body.refreshToken);
+    expect(third.body.refreshToken).to.equal(first.body.refreshToken);
+
+    // Only one successor was ever stored, and the session is still active
+    expect(tokens).to.have.length(2);
+    expect(tokens[0].replacedByHash).to.equal(tokens[1].tokenHash);
+    expect(session.isActive).to.equal(true);
+  });
+
+  it("gives concurrent refreshes of one token the same successor", async () => {
+    const token = await login();
+
+    const results = await Promise.all([refresh(token), refresh(token)]);
+
+    expect(results.map((res) => res.statusCode)).to.deep.equal([200, 200]);
+    expect(results[0].body.refreshToken).to.equal(results[1].body.refreshToken);
+    expect(tokens).to.have.length(2);
+  });
+
+  it("revokes the session when a token is replayed after its successor was used", async () => {
+    const token = await login();
+
+    const first = await refresh(token);
+    const next = await refresh(first.body.refreshToken);
+    expect(next.statusCode).to.equal(200);
+
+    const replay = await refresh(token);
+
+    expect(replay.statusCode).to.equal(401);
+    expect(replay.body.error).to.equal("Invalid refresh token");
+    expect(session.revokedReason).to.equal("reuse-detected");
+    expect(tokens.every((doc) => doc.revokedAt)).to.equal(true);
+  });
+
+  it("revokes the session when a token is replayed after the grace period", async () => {
+    const token = await login();
+    await refresh(token);
+    tokens[0].revokedAt = new Date(Date.now() - 60 * 1000);
+
+    const replay = await refresh(token);
+
+    expect(replay.statusCode).to.equal(401);
+    expect(session.revokedReason).to.equal("reuse-detected");
+  });
+
+  it("refuses tokens of a signed-out session", async () => {
+    const token = await login();
+    await session.revoke("logout");
+
+    const res = await refresh(token);
+
+    expect(res.statusCode).to.equal(401);
+  });
+});
@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const Session = require("../src/models/session.model");
+const RefreshToken = require("../src/models/refreshtoken.model");
+const {
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../src/controllers/auth.controller");
+const { protect } = require("../src/middleware/auth.middleware");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubPersistence,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("session management", () => {
+  let user;
+  let sessions;
+  let tokens;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret";
+  });
+
+  // The subset of MongoDB filters the session code uses
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, condition]) => {
+      const value = doc[field];
+      if (condition === null) return value == null;
+      if (condition.$gt) return value > condition.$gt;
+      if (condition.$ne) return !condition.$ne.equals(value);
+      if (condition.$in) return condition.$in.some((id) => id.equals(value));
+      return String(value) === String(condition);
+    });
+
+  const startSession = (owner, fields = {}) => {
+    const session = stubPersistence(
+      Session.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: owner._id,
+        device: "Firefox on Linux",
+        ipAddress: "203.0.113.10",
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        revokedAt: null,
+        createdAt: new Date(Date.now() - 60 * 1000),
+        ...fields,
+      })
+    );
+    sessions.push(session);
+    tokens.push(
+      new RefreshToken({
+        userId: owner._id,
+        sessionId: session._id,
+        tokenHash: RefreshToken.hashToken(`token-${session._id}`),
+        expiresAt: session.expiresAt,
+      })
+    );
+    return session;
+  };
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+    });
+    sessions = [];
+    tokens = [];
+
+    stub(Session, "find", (filter) =>
+      query(sessions.filter((session) => matches(session, filter)))
+    );
+    stub(
+      Session,
+      "findOne",
+      async (filter) =>
+        sessions.find((session) => matches(session, filter)) || null
+    );
+    stub(Session, "updateMany", async (filter, update) => {
+      const matched = sessions.filter((session) => matches(session, filter));
+      matched.forEach((session) => session.set(update));
+      return { modifiedCount: matched.length };
+    });
+    stub(RefreshToken, "updateMany", async (filter, update) => {
+      const matched = tokens.filter((token) => matches(token, filter));
+      matched.forEach((token) => token.set(update));
+      return { modifiedCount: matched.length };
+    });
+    stub(User, "findById", () => query(user));
+  });
+
+  afterEach(restoreStubs);
+
+  const tokensOf = (session) =>
+    tokens.filter((token) => token.sessionId.equals(session._id));
+
+  describe("GET /api/v1/auth/sessions", () => {
+    it("lists the active sessions and marks the current one", async () => {
+      const current = startSession(user);
+      const other = startSession(user, { device: "Safari on iPhone" });
+      startSession(user, { revokedAt: new Date() });
+      startSession(user, { expiresAt: new Date(Date.now() - 1000) });
+      startSession(User.hydrate({ _id: new mongoose.Types.ObjectId() }));
+
+      const res = await callHandler(getSessions, {
+        user,
+        authSession: current,
+      });
+
+      expect(res.body.count).to.equal(2);
+      expect(res.body.data.map((session) => session.id)).to.have.members([
+        current._id,
+        other._id,
+      ]);
+      const listed = res.body.data.find((session) =>
+        session.id.equals(current._id)
+      );
+      expect(listed).to.include({ current: true, device: "Firefox on Linux" });
+    });
+  });
+
+  describe("DELETE /api/v1/auth/sessions/:id", () => {
+    it("signs out the session and revokes its refresh tokens", async () => {
+      const current = startSession(user);
+      const other = startSession(user);
+
+      const res = await callHandler(revokeSession, {
+        params: { id: other._id.toString() },
+        user,
+        authSession: current,
+      });
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.data.current).to.equal(false);
+      expect(other.revokedReason).to.equal("user-revoked");
+      expect(tokensOf(other)[0].revokedAt).to.be.an.instanceOf(Date);
+      expect(current.isActive).to.equal(true);
+      expect(tokensOf(current)[0].revokedAt).to.equal(null);
+      expect(res.cookies).to.deep.equal({});
+    });
+
+    it("clears the cookies when it is the current session", async () => {
+      const current = startSession(user);
+
+      const res = await callHandler(revokeSession, {
+        params: { id: current._id.toString() },
+        user,
+        authSession: current,
+      });
+
+      expect(res.body.data.current).to.equal(true);
+      expect(current.isActive).to.equal(false);
+      expect(res.cookies.token.value).to.equal("none");
+    });
+
+    it("can't sign out another user's session", async () => {
+      const current = startSession(user);
+      const theirs = startSession(
+        User.hydrate({ _id: new mongoose.Types.ObjectId() })
+      );
+
+      const res = await callHandler(revokeSession, {
+        params: { id: theirs._id.toString() },
+        user,
+        authSession: current,
+      });
+
+      expect(res.statusCode).to.equal(404);
+      expect(theirs.isActive).to.equal(true);
+    });
+  });
+
+  describe("DELETE /api/v1/auth/sessions", () => {
+    it("signs out every other session with keepCurrent", async () => {
+      const current = startSession(user);
+      const others = [startSession(user), startSession(user)];
+
+      const res = await callHandler(revokeAllSessions, {
+        query: { keepCurrent: "true" },
+        user,
+        authSession: current,
+      });
+
+      expect(res.body.data.revokedCount).to.equal(2);
+      for (const session of others) {
+        expect(session.revokedReason).to.equal("signed-out-everywhere");
+        expect(tokensOf(session)[0].revokedAt).to.be.an.instanceOf(Date);
+      }
+      expect(current.isActive).to.equal(true);
+      expect(res.cookies).to.deep.equal({});
+    });
+
+    it("signs out everywhere without it", async () => {
+      const current = startSession(user);
+      startSession(user);
+
+      const res = await callHandler(revokeAllSessions, {
+        query: {},
+        user,
+        authSession: current,
+      });
+
+      expect(res.body.data.revokedCount).to.equal(2);
+      expect(sessions.every((session) => !session.isActive)).to.equal(true);
+      expect(res.cookies.token.value).to.equal("none");
+    });
+  });
+
+  it("refuses access tokens of a signed-out session", async () => {
+    const session = startSession(user);
+    const token = jwt.sign(
+      { id: user._id, sid: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn: "15m" }
+    );
+    await session.revoke("user-revoked");
+
+    const res = await callHandler(protect, {
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    expect(res.statusCode).to.equal(401);
+    expect(res.body.error).to.equal(
+      "Session has been signed out. Please log in again"
+    );
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const LoginAttempt = require("../src/models/loginattempt.model");
+const {
+  createMemoryStore,
+  setThrottleStore,
+  recordFailure,
+} = require("../src/utils/throttleUtils");
+const { limitEmailRequests } = require("../src/middleware/throttle.middleware");
+const { getTrustProxy } = require("../src/config/proxy");
+
+describe("throttleUtils", () => {
+  describe("recordFailure with the MongoDB store", () => {
+    const originalDeleteOne = LoginAttempt.deleteOne;
+    const originalFindOneAndUpdate = LoginAttempt.findOneAndUpdate;
+
+    beforeEach(() => {
+      LoginAttempt.deleteOne = async () => ({ deletedCount: 0 });
+    });
+
+    afterEach(() => {
+      LoginAttempt.deleteOne = originalDeleteOne;
+      LoginAttempt.findOneAndUpdate = originalFindOneAndUpdate;
+    });
+
+    const duplicateKeyError = () =>
+      Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+    it("retries once when a concurrent upsert created the key first", async () => {
+      let calls = 0;
+      LoginAttempt.findOneAndUpdate = async () => {
+        calls += 1;
+        if (calls === 1) throw duplicateKeyError();
+        return { failures: 2, lockedUntil: null };
+      };
+
+      const result = await recordFailure("ip:127.0.0.1", "ip");
+
+      expect(calls).to.equal(2);
+      expect(result).to.deep.equal({
+        failures: 2,
+        lockedUntil: null,
+        justLocked: false,
+      });
+    });
+
+    it("gives up after the retry", async () => {
+      let calls = 0;
+      LoginAttempt.findOneAndUpdate = async () => {
+        calls += 1;
+        throw duplicateKeyError();
+      };
+
+      let error;
+      try {
+        await recordFailure("ip:127.0.0.1", "ip");
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(calls).to.equal(2);
+      expect(error.code).to.equal(11000);
+    });
+
+    it("doesn't retry other errors", async () => {
+      let calls = 0;
+      LoginAttempt.findOneAndUpdate = async () => {
+        calls += 1;
+        throw new Error("connection closed");
+      };
+
+      let error;
+      try {
+        await recordFailure("ip:127.0.0.1", "ip");
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(calls).to.equal(1);
+      expect(error.message).to.equal("connection closed");
+    });
+  });
+
+  describe("per-IP throttling behind a proxy", () => {
+    let previousStore;
+
+    beforeEach(() => {
+      previousStore = setThrottleStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+      setThrottleStore(previousStore);
+    });
+
+    // An app like server.js with one email-sending route
+    const createApp = (trustProxy) => {
+      const app = express();
+      app.set("trust proxy", trustProxy);
+      app.use(express.json());
+      app.post("/magic-link", limitEmailRequests("magic-link"), (req, res) =>
+        res.json({ ip: req.ip })
+      );
+      return app;
+    };
+
+    // Requests until the IP is throttled (the emailIp policy delays after 5)
+    const sendFrom = async (app, ip, count) => {
+      const statuses = [];
+      for (let i = 0; i < count; i += 1) {
+        const res = await request(app)
+          .post("/magic-link")
+          .set("X-Forwarded-For", ip)
+          .send({});
+        statuses.push(res.status);
+      }
+      return statuses;
+    };
+
+    it("keeps separate counters for different forwarded client IPs", async () => {
+      const app = createApp(getTrustProxy("1"));
+
+      expect(await sendFrom(app, "203.0.113.10", 6)).to.deep.equal([
+        200, 200, 200, 200, 200, 429,
+      ]);
+      expect(await sendFrom(app, "198.51.100.20", 1)).to.deep.equal([200]);
+
+      const res = await request(app)
+        .post("/magic-link")
+        .set("X-Forwarded-For", "198.51.100.20")
+        .send({});
+      expect(res.body.ip).to.equal("198.51.100.20");
+    });
+
+    it("only uses the address the trusted proxy appended", async () => {
+      const app = createApp(getTrustProxy("1"));
+
+      // A client can't escape its counter by sending its own header
+      const res = await request(app)
+        .post("/magic-link")
+        .set("X-Forwarded-For", "192.0.2.1, 203.0.113.10")
+        .send({});
+      expect(res.body.ip).to.equal("203.0.113.10");
+    });
+
+    it("ignores X-Forwarded-For when no proxy is trusted", async () => {
+      const app = createApp(getTrustProxy("false"));
+
+      await sendFrom(app, "203.0.113.10", 5);
+      expect(await sendFrom(app, "198.51.100.20", 1)).to.deep.equal([429]);
+    });
+  });
+
+  describe("getTrustProxy", () => {
+    const originalVercel = process.env.VERCEL;
+
+    afterEach(() => {
+      if (originalVercel === undefined) {
+        delete process.env.VERCEL;
+      } else {
+        process.env.VERCEL = originalVercel;
+      }
+    });
+
+    it("reads hop counts, booleans and address lists", () => {
+      expect(getTrustProxy("2")).to.equal(2);
+      expect(getTrustProxy("true")).to.equal(true);
+      expect(getTrustProxy("false")).to.equal(false);
+      expect(getTrustProxy("loopback, 10.0.0.0/8")).to.equal(
+        "loopback, 10.0.0.0/8"
+      );
+    });
+
+    it("trusts Vercel's edge by default on Vercel only", () => {
+      delete process.env.VERCEL;
+      expect(getTrustProxy(undefined)).to.equal(false);
+
+      process.env.VERCEL = "1";
+      expect(getTrustProxy(undefined)).to.equal(1);
+      expect(getTrustProxy("")).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const {
+  base32Encode,
+  base32Decode,
+  generateTOTP,
+  verifyTOTP,
+} = require("../src/utils/totpUtils");
+const User = require("../src/models/user.model");
+
+// RFC 6238 appendix B: the seed is the ASCII "1234567890" repeated to the
+// hash's block size, codes are 8 digits with a 30 second step
+const SEEDS = {
+  sha1: Buffer.from("12345678901234567890"),
+  sha256: Buffer.from("12345678901234567890123456789012"),
+  sha512: Buffer.from(
+    "1234567890123456789012345678901234567890123456789012345678901234"
+  ),
+};
+
+const VECTORS = [
+  { time: 59, sha1: "94287082", sha256: "46119246", sha512: "90693936" },
+  {
+    time: 1111111109,
+    sha1: "07081804",
+    sha256: "68084774",
+    sha512: "25091201",
+  },
+  {
+    time: 1111111111,
+    sha1: "14050471",
+    sha256: "67062674",
+    sha512: "99943326",
+  },
+  {
+    time: 1234567890,
+    sha1: "89005924",
+    sha256: "91819424",
+    sha512: "93441116",
+  },
+  {
+    time: 2000000000,
+    sha1: "69279037",
+    sha256: "90698825",
+    sha512: "38618901",
+  },
+  {
+    time: 20000000000,
+    sha1: "65353130",
+    sha256: "77737706",
+    sha512: "47863826",
+  },
+];
+
+describe("totpUtils", () => {
+  describe("RFC 6238 test vectors", () => {
+    for (const algorithm of Object.keys(SEEDS)) {
+      for (const vector of VECTORS) {
+        it(`${algorithm.toUpperCase()} at T=${vector.time}`, () => {
+          const options = {
+            time: vector.time * 1000,
+            digits: 8,
+            algorithm,
+          };
+
+          expect(generateTOTP(SEEDS[algorithm], options)).to.equal(
+            vector[algorithm]
+          );
+          // The same secret given as base32, as authenticator apps store it
+          expect(
+            generateTOTP(base32Encode(SEEDS[algorithm]), options)
+          ).to.equal(vector[algorithm]);
+          expect(
+            verifyTOTP(vector[algorithm], SEEDS[algorithm], {
+              ...options,
+              window: 0,
+            })
+          ).to.equal(Math.floor(vector.time / 30));
+        });
+      }
+    }
+  });
+
+  describe("base32", () => {
+    it("encodes and decodes RFC 4648 test vectors", () => {
+      expect(base32Encode(Buffer.from("foobar"))).to.equal("MZXW6YTBOI");
+      expect(base32Decode("mzxw 6ytb oi======").toString()).to.equal("foobar");
+    });
+
+    it("rejects characters outside the alphabet", () => {
+      expect(() => base32Decode("MZXW1")).to.throw(/Invalid base32/);
+    });
+  });
+
+  describe("verifyTOTP", () => {
+    const secret = SEEDS.sha1;
+    const time = 1111111111 * 1000;
+
+    it("accepts codes within the drift window", () => {
+      const previous = generateTOTP(secret, { time: time - 30 * 1000 });
+      expect(verifyTOTP(previous, secret, { time })).to.not.equal(null);
+      expect(verifyTOTP(previous, secret, { time, window: 0 })).to.equal(null);
+    });
+
+    it("rejects malformed and wrong codes", () => {
+      expect(verifyTOTP("12ab56", secret, { time })).to.equal(null);
+      expect(verifyTOTP("", secret, { time })).to.equal(null);
+
+      const code = generateTOTP(secret, { time });
+      const wrong = String((Number(code) + 1) % 1000000).padStart(6, "0");
+      expect(verifyTOTP(wrong, secret, { time, window: 0 })).to.equal(null);
+    });
+  });
+
+  describe("User#verifyTwoFactorCode", () => {
+    const newUser = () => {
+      const user = new User({ name: "Test", email: "test@example.com" });
+      user.twoFactorSecret = base32Encode(SEEDS.sha1);
+      return user;
+    };
+
+    it("accepts a code once and rejects its replay", () => {
+      const user = newUser();
+      const step = Math.floor(Date.now() / 30000);
+      const code = generateTOTP(user.twoFactorSecret);
+
+      expect(user.verifyTwoFactorCode(code)).to.equal(true);
+      expect(user.twoFactorLastUsedStep).to.be.within(step, step + 1);
+      expect(user.verifyTwoFactorCode(code)).to.equal(false);
+    });
+
+    it("rejects codes from before the last accepted step", () => {
+      const user = newUser();
+      const previous = generateTOTP(user.twoFactorSecret, {
+        time: Date.now() - 30 * 1000,
+      });
+      user.twoFactorLastUsedStep = Math.floor(Date.now() / 30000);
+
+      expect(user.verifyTwoFactorCode(previous)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const express = require("express");
+const request = require("supertest");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const mongoose = require("mongoose");
+const Upload = require("../src/models/upload.model");
+const {
+  uploadClaimProof,
+  getUpload,
+  downloadFile,
+} = require("../src/controllers/upload.controller");
+const { uploadSingle } = require("../src/middleware/upload.middleware");
+const { MAX_UPLOAD_BYTES } = require("../src/utils/uploadUtils");
+const {
+  createLocalStorage,
+  setStorage,
+  verifyDownloadToken,
+} = require("../src/utils/storageUtils");
+const { stub, restoreStubs, stubPersistence } = require("./helpers/stubs");
+
+describe("proof uploads", () => {
+  const ownerId = new mongoose.Types.ObjectId().toString();
+  let dir;
+  let uploads;
+  let photo;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret";
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+    setStorage(createLocalStorage({ dir }));
+
+    // A phone photo: sideways, with camera and GPS metadata
+    photo = await sharp({
+      create: { width: 64, height: 48, channels: 3, background: "#3a7d44" },
+    })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .withExif({
+        IFD0: { Make: "PhoneCo" },
+        IFD3: { GPSLatitudeRef: "N", GPSLatitude: "45/1 45/1 0/1" },
+      })
+      .toBuffer();
+  });
+
+  after(async () => {
+    setStorage(null);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    uploads = [];
+    stub(Upload, "create", async (fields) => {
+      const upload = stubPersistence(
+        new Upload({ _id: new mongoose.Types.ObjectId(), ...fields })
+      );
+      uploads.push(upload);
+      return upload;
+    });
+    stub(Upload, "findById", async (id) =>
+      uploads.find((upload) => upload._id.equals(id))
+    );
+  });
+
+  afterEach(restoreStubs);
+
+  // The upload routes, signed in as `user` (protect already ran)
+  const app = (user = { id: ownerId, role: "user" }) => {
+    const server = express();
+    const signedIn = (req, res, next) => {
+      req.user = user;
+      next();
+    };
+    server.get("/api/v1/uploads/files/:token", downloadFile);
+    server.post(
+      "/api/v1/uploads/claim-proof",
+      signedIn,
+      uploadSingle("file"),
+      uploadClaimProof
+    );
+    server.get("/api/v1/uploads/:id", signedIn, getUpload);
+    return server;
+  };
+
+  const upload = (file, filename = "receipt.jpg", user) =>
+    request(app(user))
+      .post("/api/v1/uploads/claim-proof")
+      .attach("file", file, filename);
+
+  // Fetch a signed URL from the app, as a browser would
+  const download = (url) =>
+    request(app())
+      .get(new URL(url).pathname)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+  it("stores the image without its metadata, with a thumbnail", async () => {
+    const res = await upload(photo);
+
+    expect(res.status).to.equal(201);
+    expect(res.body.data).to.include({
+      purpose: "claim-proof",
+      mimeType: "image/jpeg",
+      originalName: "receipt.jpg",
+      // Turned upright
+      width: 48,
+      height: 64,
+    });
+    // Storage details stay private
+    expect(res.body.data).not.to.have.any.keys(
+      "key",
+      "thumbnailKey",
+      "storage"
+    );
+
+    const stored = await fs.readFile(path.join(dir, uploads[0].key));
+    const metadata = await sharp(stored).metadata();
+    expect(metadata.exif).to.equal(undefined);
+    expect(metadata.orientation).to.equal(undefined);
+
+    const thumbnail = await sharp(
+      await fs.readFile(path.join(dir, uploads[0].thumbnailKey))
+    ).metadata();
+    expect(thumbnail.format).to.equal("webp");
+  });
+
+  it("serves the file through its signed URL", async () => {
+    const { body } = await upload(photo);
+
+    const res = await download(body.data.url);
+
+    expect(res.status).to.equal(200);
+    expect(res.headers["content-type"]).to.equal("image/jpeg");
+    expect(res.headers["x-content-type-options"]).to.equal("nosniff");
+    expect(
+      res.body.equals(await fs.readFile(path.join(dir, uploads[0].key)))
+    ).to.equal(true);
+  });
+
+  it("refuses tampered and expired download links", async () => {
+    const { body } = await upload(photo);
+    const { pathname } = new URL(body.data.url);
+    const [payload, signature] = pathname.split("/").pop().split(".");
+    const forged = Buffer.from(
+      JSON.stringify({
+        key: "claim-proof/someone-else/photo.jpg",
+        expiresAt: Date.now() + 60000,
+      })
+    ).toString("base64url");
+
+    const tampered = await request(app()).get(
+      `/api/v1/uploads/files/${forged}.${signature}`
+    );
+    const expired = await createLocalStorage({ dir }).getSignedUrl(
+      uploads[0].key,
+      { expiresIn: -1 }
+    );
+
+    expect(tampered.status).to.equal(403);
+    expect(verifyDownloadToken(`${payload}.${signature}`)).to.include({
+      key: uploads[0].key,
+    });
+    expect(verifyDownloadToken(expired.split("/").pop())).to.equal(null);
+  });
+
+  it("trusts the file's contents, not its name or type", async () => {
+    const res = await request(app())
+      .post("/api/v1/uploads/claim-proof")
+      .attach("file", Buffer.from("<svg onload=alert(1)>"), {
+        filename: "receipt.png",
+        contentType: "image/png",
+      });
+
+    expect(res.status).to.equal(415);
+    expect(res.body.error).to.equal(
+      "Only JPEG, PNG and WebP images are accepted"
+    );
+    expect(uploads).to.have.length(0);
+  });
+
+  it("refuses images it can't decode", async () => {
+    const broken = Buffer.concat([photo.subarray(0, 4), Buffer.alloc(64, 7)]);
+
+    const res = await upload(broken);
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("The file is not a readable image");
+  });
+
+  it("refuses files over the size limit", async () => {
+    const res = await upload(Buffer.alloc(MAX_UPLOAD_BYTES + 1));
+
+    expect(res.status).to.equal(413);
+    expect(uploads).to.have.length(0);
+  });
+
+  it("asks for a file when none is sent", async () => {
+    const res = await request(app())
+      .post("/api/v1/uploads/claim-proof")
+      .field("note", "forgot the photo");
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("Please attach a file");
+  });
+
+  it("shows uploads only to their owner and admins", async () => {
+    const { body } = await upload(photo);
+    const other = {
+      id: new mongoose.Types.ObjectId().toString(),
+      role: "user",
+    };
+    const admin = {
+      id: new mongoose.Types.ObjectId().toString(),
+      role: "admin",
+    };
+    const get = (user) =>
+      request(app(user)).get(`/api/v1/uploads/${body.data._id}`);
+
+    expect((await get(other)).status).to.equal(404);
+    expect((await get(admin)).status).to.equal(200);
+    expect((await get(admin)).body.data.url).to.be.a("string");
+  });
+
+  it("keeps local storage keys inside its directory", async () => {
+    const storage = createLocalStorage({ dir });
+    let error;
+    try {
+      await storage.put("../outside.jpg", photo);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("Invalid storage key: ../outside.jpg");
+  });
+});
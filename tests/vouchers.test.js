@@ -0,0 +1,371 @@
+const { expect } = require("chai");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const Partner = require("../src/models/partner.model");
+const RedemptionItem = require("../src/models/redemptionitem.model");
+const Voucher = require("../src/models/voucher.model");
+const PointsTransaction = require("../src/models/pointstransaction.model");
+const Notification = require("../src/models/notification.model");
+const {
+  redeemPoints,
+  cancelVoucher,
+  validateVoucher,
+  redeemVoucher,
+} = require("../src/controllers/redemption.controller");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubTransactions,
+  stubPersistence,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("point redemptions", () => {
+  let user;
+  let partner;
+  let item;
+  let vouchers;
+  let ledger;
+  let notifications;
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Ada",
+      email: "ada@example.com",
+      points: 500,
+      ecoLevel: "intermediate",
+      notificationPreferences: { inApp: true, email: false, push: false },
+    });
+    partner = Partner.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: "Green Beans",
+      category: "cafe",
+      verificationStatus: "verified",
+      isActive: true,
+    });
+    item = RedemptionItem.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      partnerId: partner._id,
+      title: "Free Coffee",
+      pointsCost: 200,
+      stock: 2,
+      issuedCount: 0,
+      voucherValidDays: 30,
+      isActive: true,
+    });
+    vouchers = [];
+    ledger = [];
+    notifications = [];
+
+    stubTransactions();
+    stub(RedemptionItem, "findById", () => {
+      const populated = RedemptionItem.hydrate(item.toObject());
+      populated.partnerId = partner;
+      return query(populated);
+    });
+    // takeStock and returnStock
+    stub(RedemptionItem, "updateOne", async (filter, update) => {
+      const { issuedCount } = update.$inc;
+      if (issuedCount > 0 && item.issuedCount >= item.stock) {
+        return { modifiedCount: 0 };
+      }
+      item.issuedCount += issuedCount;
+      return { modifiedCount: 1 };
+    });
+    stub(Voucher, "countDocuments", (filter) =>
+      query(
+        vouchers.filter(
+          (voucher) =>
+            voucher.userId.equals(filter.userId) &&
+            voucher.status !== "cancelled"
+        ).length
+      )
+    );
+    stub(Voucher, "create", async ([fields]) => {
+      const voucher = stubPersistence(
+        new Voucher({ _id: new mongoose.Types.ObjectId(), ...fields })
+      );
+      vouchers.push(voucher);
+      return [voucher];
+    });
+    stub(
+      Voucher,
+      "findOne",
+      async ({ code }) =>
+        vouchers.find((voucher) => voucher.code === code) || null
+    );
+    stub(Voucher, "findById", async (id) =>
+      vouchers.find((voucher) => voucher._id.equals(id))
+    );
+    // Only moves vouchers that are still issued and unexpired
+    stub(Voucher, "findOneAndUpdate", async (filter, update) => {
+      const voucher = vouchers.find(
+        (candidate) =>
+          candidate._id.equals(filter._id) &&
+          candidate.status === filter.status &&
+          candidate.expiresAt > filter.expiresAt.$gt
+      );
+      if (!voucher) return null;
+      voucher.set(update.$set);
+      return voucher;
+    });
+    stub(Voucher.prototype, "populate", async function () {
+      return this;
+    });
+    // Applies the ledger's balance update and returns the user before it
+    stub(User, "findOneAndUpdate", async (filter, [update]) => {
+      if (filter.points && user.points < filter.points.$gte) return null;
+      const before = User.hydrate(user.toObject());
+      const [, amount] = update.$set.points.$max[1].$add;
+      user.points = Math.max(0, user.points + amount);
+      return before;
+    });
+    stub(User, "findById", () => query(user));
+    stub(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    stub(PointsTransaction, "create", async (entries) =>
+      entries.map((entry) => {
+        ledger.push(entry);
+        return new PointsTransaction(entry);
+      })
+    );
+    stub(Notification, "create", async (fields) => {
+      notifications.push(fields);
+      return fields;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  const redeem = (itemId = item._id.toString()) =>
+    callHandler(redeemPoints, {
+      body: { itemId },
+      user: { id: user._id.toString(), role: "user" },
+    });
+
+  // Staff of the voucher's partner, as partnerScope leaves them
+  const atPartner = (handler, code, scope = partner) =>
+    callHandler(handler, {
+      body: { code },
+      user: { id: new mongoose.Types.ObjectId().toString(), role: "admin" },
+      partner: scope,
+    });
+
+  describe("POST /api/v1/redemptions", () => {
+    it("debits the points and issues a voucher", async () => {
+      const res = await redeem();
+
+      expect(res.statusCode).to.equal(201);
+      expect(res.body.data.balance).to.equal(300);
+      expect(vouchers).to.have.length(1);
+      expect(vouchers[0].code).to.match(
+        /^ECO-[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}$/
+      );
+      expect(vouchers[0]).to.include({ status: "issued", pointsCost: 200 });
+      expect(ledger).to.have.length(1);
+      expect(ledger[0]).to.include({
+        type: "debit",
+        amount: 200,
+        balanceAfter: 300,
+        sourceType: "redemption",
+      });
+      expect(ledger[0].sourceId).to.equal(vouchers[0]._id);
+      expect(item.issuedCount).to.equal(1);
+      expect(notifications.map(({ type }) => type)).to.include(
+        "voucher-issued"
+      );
+    });
+
+    it("refuses when there aren't enough points", async () => {
+      user.points = 150;
+
+      const res = await redeem();
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.include({
+        error: "Not enough points",
+        balance: 150,
+        required: 200,
+      });
+      expect(ledger).to.have.length(0);
+      expect(user.points).to.equal(150);
+    });
+
+    it("refuses once the item is out of stock", async () => {
+      item.issuedCount = 2;
+
+      const res = await redeem();
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("This item is out of stock");
+      expect(ledger).to.have.length(0);
+    });
+
+    it("caps the vouchers per user", async () => {
+      item.maxPerUser = 1;
+      await redeem();
+
+      const res = await redeem();
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body).to.include({ userCount: 1, maxAllowed: 1 });
+    });
+
+    it("refuses items of partners that aren't verified", async () => {
+      partner.verificationStatus = "pending";
+
+      const res = await redeem();
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("This partner is not accepting vouchers");
+    });
+
+    it("tries a new code when one is already taken", async () => {
+      const create = Voucher.create;
+      let collisions = 1;
+      stub(Voucher, "create", async (...args) => {
+        if (collisions-- > 0) {
+          throw Object.assign(new Error("E11000 duplicate key"), {
+            code: 11000,
+            keyPattern: { code: 1 },
+          });
+        }
+        return create(...args);
+      });
+
+      const res = await redeem();
+
+      expect(res.statusCode).to.equal(201);
+      expect(vouchers).to.have.length(1);
+    });
+
+    it("rejects an invalid item id", async () => {
+      const res = await redeem("not-an-id");
+
+      expect(res.statusCode).to.equal(400);
+      expect(vouchers).to.have.length(0);
+    });
+  });
+
+  describe("PUT /api/v1/redemptions/vouchers/:id/cancel", () => {
+    const cancel = (voucher, by = user._id.toString()) =>
+      callHandler(cancelVoucher, {
+        params: { id: voucher._id.toString() },
+        body: { reason: "Changed my mind" },
+        user: { id: by, role: "user" },
+      });
+
+    it("refunds the points and returns the stock", async () => {
+      await redeem();
+      const [voucher] = vouchers;
+
+      const res = await cancel(voucher);
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.data.balance).to.equal(500);
+      expect(voucher).to.include({
+        status: "cancelled",
+        cancelReason: "Changed my mind",
+      });
+      expect(ledger[1]).to.include({
+        type: "credit",
+        amount: 200,
+        balanceAfter: 500,
+        sourceType: "redemption_refund",
+      });
+      expect(item.issuedCount).to.equal(0);
+    });
+
+    it("refunds only once", async () => {
+      await redeem();
+      await cancel(vouchers[0]);
+
+      const res = await cancel(vouchers[0]);
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal(
+        "Only unused, unexpired vouchers can be cancelled"
+      );
+      expect(ledger).to.have.length(2);
+      expect(user.points).to.equal(500);
+    });
+
+    it("can't refund a voucher that was used", async () => {
+      await redeem();
+      await atPartner(redeemVoucher, vouchers[0].code);
+
+      const res = await cancel(vouchers[0]);
+
+      expect(res.statusCode).to.equal(400);
+      expect(user.points).to.equal(300);
+    });
+
+    it("hides other users' vouchers", async () => {
+      await redeem();
+
+      const res = await cancel(
+        vouchers[0],
+        new mongoose.Types.ObjectId().toString()
+      );
+
+      expect(res.statusCode).to.equal(404);
+      expect(vouchers[0].status).to.equal("issued");
+    });
+  });
+
+  describe("at the partner", () => {
+    it("checks a code without using it", async () => {
+      await redeem();
+      const typed = vouchers[0].code.toLowerCase().replace(/-/g, " ");
+
+      const res = await atPartner(validateVoucher, typed);
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body.message).to.equal("Voucher is valid");
+      expect(vouchers[0].status).to.equal("issued");
+    });
+
+    it("accepts a voucher once", async () => {
+      await redeem();
+      const { code } = vouchers[0];
+
+      const first = await atPartner(redeemVoucher, code);
+      const second = await atPartner(redeemVoucher, code);
+
+      expect(first.statusCode).to.equal(200);
+      expect(first.body.data.status).to.equal("redeemed");
+      expect(vouchers[0].redeemedAt).to.be.an.instanceOf(Date);
+      expect(second.statusCode).to.equal(400);
+      expect(second.body.error).to.equal("Voucher was already used");
+    });
+
+    it("refuses expired vouchers and marks them expired", async () => {
+      await redeem();
+      vouchers[0].expiresAt = new Date(Date.now() - 1000);
+
+      const res = await atPartner(redeemVoucher, vouchers[0].code);
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error).to.equal("Voucher has expired");
+      expect(vouchers[0].status).to.equal("expired");
+    });
+
+    it("doesn't recognise another partner's vouchers", async () => {
+      await redeem();
+      const otherPartner = Partner.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Pedal Co",
+      });
+
+      const res = await atPartner(
+        redeemVoucher,
+        vouchers[0].code,
+        otherPartner
+      );
+
+      expect(res.statusCode).to.equal(404);
+      expect(vouchers[0].status).to.equal("issued");
+    });
+  });
+});
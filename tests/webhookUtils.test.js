@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const { expect } = require("chai");
+const {
+  verifySvixSignature,
+  signSvixPayload,
+} = require("../src/utils/webhookUtils");
+
+// A local secret in Clerk's format, so nothing is fetched from Svix
+const SECRET = `whsec_${crypto.randomBytes(24).toString("base64")}`;
+const NOW = Date.UTC(2025, 0, 1);
+
+const signedRequest = ({
+  payload = JSON.stringify({ type: "user.created", data: { id: "user_1" } }),
+  id = "msg_test",
+  timestamp = String(Math.floor(NOW / 1000)),
+  secret = SECRET,
+} = {}) => ({
+  payload,
+  headers: {
+    "svix-id": id,
+    "svix-timestamp": timestamp,
+    "svix-signature": signSvixPayload({ payload, secret, id, timestamp }),
+  },
+});
+
+describe("webhookUtils", () => {
+  describe("verifySvixSignature", () => {
+    it("accepts a payload signed with the secret", () => {
+      const { payload, headers } = signedRequest();
+
+      expect(
+        verifySvixSignature({ payload, headers, secret: SECRET, now: NOW })
+      ).to.deep.equal({ valid: true, reason: "Signature verified" });
+    });
+
+    it("matches the signature Svix documents", () => {
+      const result = verifySvixSignature({
+        payload: '{"test": 2432232314}',
+        headers: {
+          "svix-id": "msg_p5jXN8AQM9LWM0D4loKWxJek",
+          "svix-timestamp": "1614265330",
+          "svix-signature": "v1,g0hM9SsE+OTPJTGt/tmIKtSyZlE3uFJELVlNIOLJ1OE=",
+        },
+        secret: "whsec_MfKQ9r8GKYqrTwjUPD8ILPZIo2LaLaSw",
+        now: 1614265330 * 1000,
+      });
+
+      expect(result.valid).to.equal(true);
+    });
+
+    it("rejects a tampered body", () => {
+      const { headers } = signedRequest();
+      const payload = JSON.stringify({
+        type: "user.deleted",
+        data: { id: "user_1" },
+      });
+
+      const result = verifySvixSignature({
+        payload,
+        headers,
+        secret: SECRET,
+        now: NOW,
+      });
+      expect(result).to.deep.equal({
+        valid: false,
+        reason: "Invalid webhook signature",
+      });
+    });
+
+    it("rejects a payload signed with another secret", () => {
+      const { payload, headers } = signedRequest({
+        secret: `whsec_${crypto.randomBytes(24).toString("base64")}`,
+      });
+
+      const result = verifySvixSignature({
+        payload,
+        headers,
+        secret: SECRET,
+        now: NOW,
+      });
+      expect(result.valid).to.equal(false);
+    });
+
+    it("rejects stale and future timestamps", () => {
+      const { payload, headers } = signedRequest();
+
+      for (const offset of [-6 * 60 * 1000, 6 * 60 * 1000]) {
+        const result = verifySvixSignature({
+          payload,
+          headers,
+          secret: SECRET,
+          now: NOW + offset,
+        });
+        expect(result).to.deep.equal({
+          valid: false,
+          reason: "Webhook timestamp is outside tolerance",
+        });
+      }
+
+      // Within the five minute tolerance
+      expect(
+        verifySvixSignature({
+          payload,
+          headers,
+          secret: SECRET,
+          now: NOW + 4 * 60 * 1000,
+        }).valid
+      ).to.equal(true);
+    });
+
+    it("accepts a header with several signatures if one matches", () => {
+      const { payload, headers } = signedRequest();
+      const other = signSvixPayload({
+        payload,
+        secret: `whsec_${crypto.randomBytes(24).toString("base64")}`,
+        id: headers["svix-id"],
+        timestamp: headers["svix-timestamp"],
+      });
+
+      // Svix sends one entry per active secret while a secret is rotated
+      for (const signatureHeader of [
+        `${other} ${headers["svix-signature"]}`,
+        `${headers["svix-signature"]} ${other}`,
+        `v2,ignored ${headers["svix-signature"]}`,
+      ]) {
+        const result = verifySvixSignature({
+          payload,
+          headers: { ...headers, "svix-signature": signatureHeader },
+          secret: SECRET,
+          now: NOW,
+        });
+        expect(result.valid).to.equal(true);
+      }
+    });
+
+    it("rejects a header where no signature matches", () => {
+      const { payload, headers } = signedRequest();
+      const other = signSvixPayload({
+        payload,
+        secret: `whsec_${crypto.randomBytes(24).toString("base64")}`,
+        id: headers["svix-id"],
+        timestamp: headers["svix-timestamp"],
+      });
+
+      const result = verifySvixSignature({
+        payload,
+        headers: { ...headers, "svix-signature": `${other} v1,` },
+        secret: SECRET,
+        now: NOW,
+      });
+      expect(result.valid).to.equal(false);
+    });
+
+    it("rejects requests without the Svix headers", () => {
+      const { payload, headers } = signedRequest();
+
+      for (const name of ["svix-id", "svix-timestamp", "svix-signature"]) {
+        const result = verifySvixSignature({
+          payload,
+          headers: { ...headers, [name]: undefined },
+          secret: SECRET,
+          now: NOW,
+        });
+        expect(result).to.deep.equal({
+          valid: false,
+          reason: "Missing Svix headers",
+        });
+      }
+    });
+  });
+});
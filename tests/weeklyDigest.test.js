@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const Activity = require("../src/models/activity.model");
+const RewardClaim = require("../src/models/rewardclaim.model");
+const Leaderboard = require("../src/models/leaderboard.model");
+const Partner = require("../src/models/partner.model");
+const Reward = require("../src/models/reward.model");
+const DigestLog = require("../src/models/digestlog.model");
+const EmailOutbox = require("../src/models/emailoutbox.model");
+const sendWeeklyDigests = require("../src/jobs/weeklyDigest.job");
+const {
+  getDigestWeek,
+  buildWeeklyDigest,
+} = require("../src/utils/digestUtils");
+const { verifyUnsubscribeToken } = require("../src/utils/notificationUtils");
+const { unsubscribe } = require("../src/controllers/notification.controller");
+const {
+  stub,
+  restoreStubs,
+  query,
+  stubPersistence,
+  captureEmails,
+  callHandler,
+} = require("./helpers/stubs");
+
+describe("weekly digest", () => {
+  const week = getDigestWeek(new Date("2026-10-21T09:00:00Z"));
+  let users;
+  let thisWeek;
+  let logs;
+  let userFilters;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret";
+    process.env.CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+  });
+
+  beforeEach(() => {
+    users = [
+      User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: "Ada",
+        email: "ada@example.com",
+        points: 340,
+        ecoLevel: "intermediate",
+      }),
+    ];
+    // What each user did during the week
+    thisWeek = {
+      activities: [{ activityType: "recycling", pointsEarned: 20 }],
+      claims: [
+        {
+          rewardId: { title: "Free Coffee" },
+          partnerId: { name: "Green Beans" },
+          pointsAwarded: 15,
+        },
+      ],
+      leaderboard: { currentRank: 4, previousRank: 9, rankMovement: "up" },
+      rewards: [],
+    };
+    logs = [];
+    userFilters = [];
+
+    stub(Activity, "find", () => query(thisWeek.activities));
+    stub(RewardClaim, "find", () => query(thisWeek.claims));
+    stub(Leaderboard, "findOne", () => query(thisWeek.leaderboard));
+    stub(RewardClaim, "distinct", async () => []);
+    stub(Activity, "distinct", async () => []);
+    stub(Partner, "distinct", async () =>
+      thisWeek.rewards.length ? ["Lyon"] : []
+    );
+    stub(Partner, "find", () => query([]));
+    stub(Reward, "find", () => query(thisWeek.rewards));
+    stub(User, "find", (filter) => {
+      userFilters.push(filter);
+      return { select: () => ({ cursor: () => users }) };
+    });
+
+    // The unique (userId, weekStart) index
+    stub(DigestLog, "create", async (fields) => {
+      if (
+        logs.some(
+          (log) =>
+            log.userId.equals(fields.userId) &&
+            log.weekStart.getTime() === fields.weekStart.getTime()
+        )
+      ) {
+        throw Object.assign(new Error("E11000 duplicate key"), {
+          code: 11000,
+        });
+      }
+      const log = stubPersistence(new DigestLog(fields));
+      logs.push(log);
+      return log;
+    });
+    stub(DigestLog, "findOneAndUpdate", async (filter, update) => {
+      const log = logs.find(
+        (entry) =>
+          entry.userId.equals(filter.userId) &&
+          (entry.status === "failed" ||
+            (entry.status === "sending" && entry.lockedUntil <= new Date()))
+      );
+      if (!log) return null;
+      log.set(update.$set);
+      return log;
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  describe("getDigestWeek", () => {
+    it("is the last full week, Monday to Monday in UTC", () => {
+      expect(week.start.toISOString()).to.equal("2026-10-12T00:00:00.000Z");
+      expect(week.end.toISOString()).to.equal("2026-10-19T00:00:00.000Z");
+    });
+
+    it("is the week before when run on a Monday", () => {
+      const monday = getDigestWeek(new Date("2026-10-19T00:00:00Z"));
+
+      expect(monday.start.getTime()).to.equal(week.start.getTime());
+    });
+  });
+
+  describe("buildWeeklyDigest", () => {
+    it("sums up points, claims and rank movement", async () => {
+      const digest = await buildWeeklyDigest(users[0], week);
+
+      expect(digest).to.include({
+        pointsEarned: 35,
+        totalPoints: 340,
+        activitiesCount: 1,
+        rank: 4,
+        previousRank: 9,
+        rankMovement: "up",
+        isEmpty: false,
+      });
+      expect(digest.rewardsClaimed).to.deep.equal([
+        { reward: "Free Coffee", partner: "Green Beans", points: 15 },
+      ]);
+      expect(digest.weekEnd.toISOString()).to.equal("2026-10-18T23:59:59.999Z");
+    });
+
+    it("lists new rewards near the user", async () => {
+      thisWeek.activities = [];
+      thisWeek.claims = [];
+      thisWeek.rewards = [
+        {
+          title: "Bike Tune-up",
+          points: 120,
+          partnerId: { name: "Pedal Co", address: { city: "Lyon" } },
+        },
+      ];
+
+      const digest = await buildWeeklyDigest(users[0], week);
+
+      expect(digest.newRewards).to.deep.equal([
+        {
+          title: "Bike Tune-up",
+          points: 120,
+          partner: "Pedal Co",
+          city: "Lyon",
+        },
+      ]);
+      expect(digest.isEmpty).to.equal(false);
+    });
+
+    it("is empty when there is nothing to report", async () => {
+      thisWeek.activities = [];
+      thisWeek.claims = [];
+      thisWeek.leaderboard = null;
+
+      const digest = await buildWeeklyDigest(users[0], week);
+
+      expect(digest).to.include({ isEmpty: true, rankMovement: "new" });
+    });
+  });
+
+  describe("sendWeeklyDigests", () => {
+    it("emails each opted-in user once per week", async () => {
+      const outbox = captureEmails();
+
+      const first = await sendWeeklyDigests({ week });
+      const second = await sendWeeklyDigests({ week });
+
+      expect(userFilters[0]).to.deep.equal({
+        "notificationPreferences.digest": true,
+        isEmailVerified: true,
+      });
+      expect(first).to.include({ users: 1, sent: 1, alreadySent: 0 });
+      expect(second).to.include({ users: 1, sent: 0, alreadySent: 1 });
+      expect(outbox.messages).to.have.length(1);
+      expect(logs).to.have.length(1);
+      expect(logs[0].status).to.equal("sent");
+      expect(logs[0].summary.pointsEarned).to.equal(35);
+    });
+
+    it("records an empty week as skipped without emailing", async () => {
+      const outbox = captureEmails();
+      thisWeek.activities = [];
+      thisWeek.claims = [];
+
+      const results = await sendWeeklyDigests({ week });
+
+      expect(results).to.include({ sent: 0, skipped: 1 });
+      expect(outbox.messages).to.have.length(0);
+      expect(logs[0].status).to.equal("skipped");
+    });
+
+    it("retries a failed send on the next run", async () => {
+      const outbox = captureEmails();
+      const queue = EmailOutbox.queue;
+      let outboxDown = true;
+      stub(EmailOutbox, "queue", async function (...args) {
+        if (outboxDown) throw new Error("Outbox unavailable");
+        return queue.apply(this, args);
+      });
+      stub(console, "error", () => {});
+
+      const failed = await sendWeeklyDigests({ week });
+      expect(failed.failed).to.equal(1);
+      expect(logs[0]).to.include({
+        status: "failed",
+        lastError: "Email could not be sent",
+      });
+
+      outboxDown = false;
+      const retried = await sendWeeklyDigests({ week });
+
+      expect(retried.sent).to.equal(1);
+      expect(outbox.messages).to.have.length(1);
+      expect(logs).to.have.length(1);
+      expect(logs[0].status).to.equal("sent");
+    });
+
+    it("links to an unsubscribe page that turns the digest off", async () => {
+      const outbox = captureEmails();
+      await sendWeeklyDigests({ week });
+
+      const [, token] = outbox.messages[0].text.match(
+        /\/unsubscribe\/([\w.-]+)/
+      );
+      expect(verifyUnsubscribeToken(token)).to.deep.equal({
+        userId: users[0]._id.toString(),
+        list: "digest",
+      });
+
+      const updates = [];
+      stub(User, "findByIdAndUpdate", (id, update) => {
+        updates.push(update);
+        return query(users[0]);
+      });
+      const res = await callHandler(unsubscribe, { params: { token } });
+
+      expect(res.statusCode).to.equal(200);
+      expect(updates).to.deep.equal([
+        { $set: { "notificationPreferences.digest": false } },
+      ]);
+    });
+
+    it("writes digests to disk instead of sending them in a dry run", async () => {
+      const outbox = captureEmails();
+      const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "digests-"));
+
+      try {
+        const results = await sendWeeklyDigests({
+          week,
+          dryRun: true,
+          outputDir,
+        });
+
+        const files = await fs.readdir(path.join(outputDir, "2026-10-12"));
+        expect(results.sent).to.equal(1);
+        expect(files.sort()).to.deep.equal(
+          ["html", "json", "txt"].map((ext) => `${users[0]._id}.${ext}`)
+        );
+        expect(outbox.messages).to.have.length(0);
+        expect(logs).to.have.length(0);
+      } finally {
+        await fs.rm(outputDir, { recursive: true, force: true });
+      }
+    });
+  });
+});